@@ -0,0 +1,155 @@
+// Audit Trail Module - who changed what and when, shared by DataManager and the server
+// Entries are only ever appended: { id, at, user, device, action, collection, entityId,
+// studentId, studentName, before, after }. An update keeps just the fields that changed
+// ('sessions.3.quiz': 3 -> 9); a create or delete keeps the whole entity.
+const AuditTrail = {
+    // Bookkeeping fields that change with every edit and say nothing about it
+    ignoredFields: ['rev', 'revBy', 'updatedAt'],
+    defaultLimit: 200,
+    maxLimit: 1000
+};
+
+// Entry for a change to an entity (before is the entity as it was, or null);
+// null when nothing but bookkeeping fields changed
+AuditTrail.fromChange = function(change, before, context = {}) {
+    if (change.action !== 'upsert' && change.action !== 'remove') return null;
+
+    const after = change.action === 'upsert' ? change.value : null;
+    if (!before && !after) return null;
+
+    let values = { before: before || null, after };
+    if (before && after) {
+        values = this.diffFields(before, after);
+        if (Object.keys(values.after).length === 0 && Object.keys(values.before).length === 0) {
+            return null;
+        }
+    }
+
+    const entity = after || before;
+    return {
+        at: context.at || new Date().toISOString(),
+        user: context.user || null,
+        device: context.device || null,
+        action: !before ? 'create' : (!after ? 'delete' : 'update'),
+        collection: change.collection,
+        entityId: change.id,
+        studentId: this.getStudentId(change.collection, entity),
+        studentName: this.getStudentName(change.collection, entity),
+        before: values.before,
+        after: values.after,
+        ...(context.opId ? { opId: context.opId } : {})
+    };
+};
+
+// The changed fields of an entity as flat paths: { before: { path: value }, after: { path: value } }
+AuditTrail.diffFields = function(before, after) {
+    const previous = this.flatten(before);
+    const next = this.flatten(after);
+    const result = { before: {}, after: {} };
+
+    new Set([...Object.keys(previous), ...Object.keys(next)]).forEach(path => {
+        if (JSON.stringify(previous[path]) === JSON.stringify(next[path])) return;
+        if (path in previous) result.before[path] = previous[path];
+        if (path in next) result.after[path] = next[path];
+    });
+
+    return result;
+};
+
+// Nested objects become 'a.b.c' paths; arrays are compared as a whole
+AuditTrail.flatten = function(value, prefix = '', result = {}) {
+    Object.keys(value || {}).forEach(key => {
+        if (this.ignoredFields.includes(key)) return;
+
+        const path = prefix ? `${prefix}.${key}` : key;
+        const item = value[key];
+        if (item && typeof item === 'object' && !Array.isArray(item)) {
+            this.flatten(item, path, result);
+        } else if (item !== undefined) {
+            result[path] = item;
+        }
+    });
+    return result;
+};
+
+AuditTrail.getStudentId = function(collection, entity) {
+    switch (collection) {
+        case 'students':
+        case 'studentRecords':
+            return entity.id;
+        case 'attendanceLogs':
+        case 'enrollments':
+            return entity.studentId;
+        case 'deletedStudents':
+            return entity.student ? entity.student.id : null;
+        default:
+            return null;
+    }
+};
+
+AuditTrail.getStudentName = function(collection, entity) {
+    switch (collection) {
+        case 'students':
+        case 'studentRecords':
+            return entity.fullName || null;
+        case 'attendanceLogs':
+            return entity.studentName || null;
+        case 'deletedStudents':
+            return entity.student ? entity.student.fullName : null;
+        default:
+            return null;
+    }
+};
+
+// Filters (all optional): studentId, user, collection, action, dateFrom, dateTo ('YYYY-MM-DD', inclusive)
+AuditTrail.filter = function(entries, filters = {}) {
+    const isSet = value => value !== undefined && value !== null && value !== '';
+    const user = isSet(filters.user) ? String(filters.user).toLowerCase() : null;
+
+    return entries.filter(entry => {
+        if (isSet(filters.studentId) && String(entry.studentId) !== String(filters.studentId)) return false;
+        if (user && String(entry.user || '').toLowerCase() !== user) return false;
+        if (isSet(filters.collection) && entry.collection !== filters.collection) return false;
+        if (isSet(filters.action) && entry.action !== filters.action) return false;
+
+        const date = this.getDateKey(entry.at);
+        if (isSet(filters.dateFrom) && date < filters.dateFrom) return false;
+        if (isSet(filters.dateTo) && date > filters.dateTo) return false;
+
+        return true;
+    });
+};
+
+// Newest entries first, one page at a time: { entries, total, nextBefore }.
+// Pass nextBefore as `before` to get the next (older) page.
+AuditTrail.query = function(entries, query = {}) {
+    const limit = query.limit === undefined || query.limit === '' ? this.defaultLimit : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > this.maxLimit) {
+        throw new Error(`limit must be a whole number from 1 to ${this.maxLimit}`);
+    }
+
+    const matches = this.filter(entries, query).reverse();
+    const before = query.before === undefined || query.before === '' ? null : Number(query.before);
+    const older = before === null ? matches : matches.filter(entry => entry.id < before);
+    const page = older.slice(0, limit);
+
+    return {
+        entries: page,
+        total: matches.length,
+        nextBefore: older.length > limit ? page[page.length - 1].id : null
+    };
+};
+
+// Local 'YYYY-MM-DD' of a timestamp
+AuditTrail.getDateKey = function(timestamp) {
+    const date = new Date(timestamp);
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AuditTrail;
+} else {
+    window.AuditTrail = AuditTrail;
+}
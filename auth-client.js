@@ -0,0 +1,105 @@
+// Auth Client Module - logs in to the sync server and remembers the login token
+// The local-only app (opened without server.js) has no accounts, so every action is allowed.
+class AuthClient {
+    constructor(storage) {
+        this.storage = storage;
+        this.token = null;
+        this.user = null; // { username, role, permissions }
+        this.onChange = null; // Called with the user (or null) after logging in or out
+    }
+
+    // Load the saved login
+    async init() {
+        const { data } = await this.storage.load('login', stored => stored && 'token' in stored);
+        if (data && data.token) {
+            this.token = data.token;
+            this.user = data.user;
+        }
+        return this;
+    }
+
+    // Accounts only exist when the page is served by the sync server
+    isEnabled() {
+        return CONFIG.sync.enabled && typeof io !== 'undefined';
+    }
+
+    isLoggedIn() {
+        return this.token !== null;
+    }
+
+    can(permission) {
+        if (!this.isEnabled()) return true;
+        return Boolean(this.user) && CONFIG.hasPermission(this.user.role, permission);
+    }
+
+    async login(username, password) {
+        const session = await this.request('/api/auth/login', {
+            method: 'POST',
+            body: { username, password },
+            anonymous: true
+        });
+        this.setSession(session);
+        return session.user;
+    }
+
+    logout() {
+        this.setSession({ token: null, user: null });
+    }
+
+    async changePassword(currentPassword, newPassword) {
+        const session = await this.request('/api/auth/password', {
+            method: 'POST',
+            body: { currentPassword, newPassword }
+        });
+        this.setSession(session);
+    }
+
+    setSession({ token, user }) {
+        this.token = token;
+        this.user = user;
+        this.storage.save('login', { token, user });
+
+        if (typeof this.onChange === 'function') {
+            this.onChange(user);
+        }
+    }
+
+    // Request to the server with the login token; resolves with the JSON (or text) response
+    // and throws with the server's error message
+    async request(path, { method = 'GET', body, anonymous = false, text = false } = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (!anonymous && this.token) {
+            headers.Authorization = `Bearer ${this.token}`;
+        }
+
+        const response = await fetch(this.getUrl(path), {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+
+        if (response.status === 401 && !anonymous) {
+            this.logout(); // Expired or revoked
+        }
+        if (!response.ok) {
+            const result = await response.json().catch(() => ({}));
+            throw new Error(result.error || `Request failed (${response.status})`);
+        }
+        return text ? response.text() : response.json();
+    }
+
+    getUrl(path) {
+        return (CONFIG.sync.serverUrl || '') + path;
+    }
+}
+
+// Create singleton instance
+const authClient = new AuthClient(storageManager);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AuthClient, authClient };
+} else {
+    window.AuthClient = AuthClient;
+    window.authClient = authClient;
+}
@@ -0,0 +1,305 @@
+// auth.js - Local user accounts, login tokens and role permissions for the server
+// Users live in appData.users (never sent to clients) with scrypt password hashes.
+// Tokens are "<payload>.<signature>" signed with a key kept next to the data, so
+// logins survive a server restart; changing a password invalidates older tokens.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('./config');
+const DataChanges = require('./data-changes');
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9._-]{3,32}$/;
+
+class AuthManager {
+    constructor(options = {}) {
+        this.secretFile = options.secretFile || path.join(__dirname, 'data', 'auth-secret');
+        this.secret = options.secret || null;
+        this.getUsers = options.getUsers; // Returns the (mutable) users array
+        this.saveUsers = options.saveUsers || (() => {});
+    }
+
+    // Load the token signing key, creating one on first run
+    loadSecret() {
+        if (this.secret) return this.secret;
+
+        if (fs.existsSync(this.secretFile)) {
+            this.secret = fs.readFileSync(this.secretFile, 'utf8').trim();
+        } else {
+            fs.mkdirSync(path.dirname(this.secretFile), { recursive: true });
+            this.secret = crypto.randomBytes(32).toString('hex');
+            fs.writeFileSync(this.secretFile, this.secret, { mode: 0o600 });
+        }
+
+        return this.secret;
+    }
+
+    // Create the first admin account when there are no users yet
+    ensureAdmin(username = 'admin', password = null) {
+        if (this.getUsers().length > 0) return null;
+
+        const initialPassword = password || crypto.randomBytes(9).toString('base64url');
+        this.createUser({ username, password: initialPassword, role: 'admin' });
+
+        if (!password) {
+            console.log(`🔐 Created admin account "${username}" with password: ${initialPassword}`);
+            console.log('   Log in and change it under 👥 Users.');
+        }
+        return username;
+    }
+
+    // Users
+    findUser(username) {
+        return this.getUsers().find(user => user.username.toLowerCase() === String(username).toLowerCase()) || null;
+    }
+
+    listUsers() {
+        return this.getUsers().map(user => AuthManager.publicUser(user));
+    }
+
+    createUser({ username, password, role }) {
+        this.validateUsername(username);
+        this.validatePassword(password);
+        this.validateRole(role);
+
+        if (this.findUser(username)) {
+            throw new AuthError(`User "${username}" already exists`, 409);
+        }
+
+        const user = {
+            username,
+            role,
+            passwordHash: AuthManager.hashPassword(password),
+            sessionVersion: 1,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        this.getUsers().push(user);
+        this.saveUsers();
+        return AuthManager.publicUser(user);
+    }
+
+    updateUser(username, { role, password }) {
+        const user = this.requireUser(username);
+
+        if (role !== undefined && role !== user.role) {
+            this.validateRole(role);
+            if (user.role === 'admin') {
+                this.ensureAnotherAdmin(user);
+            }
+            user.role = role;
+        }
+
+        if (password !== undefined) {
+            this.validatePassword(password);
+            user.passwordHash = AuthManager.hashPassword(password);
+            user.sessionVersion++; // Log out everywhere
+        }
+
+        user.updatedAt = new Date().toISOString();
+        this.saveUsers();
+        return AuthManager.publicUser(user);
+    }
+
+    deleteUser(username) {
+        const user = this.requireUser(username);
+        if (user.role === 'admin') {
+            this.ensureAnotherAdmin(user);
+        }
+
+        const users = this.getUsers();
+        users.splice(users.indexOf(user), 1);
+        this.saveUsers();
+    }
+
+    changePassword(username, currentPassword, newPassword) {
+        const user = this.requireUser(username);
+        if (!AuthManager.verifyPassword(currentPassword, user.passwordHash)) {
+            throw new AuthError('Current password is incorrect', 403);
+        }
+        return this.updateUser(username, { password: newPassword });
+    }
+
+    requireUser(username) {
+        const user = this.findUser(username);
+        if (!user) {
+            throw new AuthError(`User "${username}" not found`, 404);
+        }
+        return user;
+    }
+
+    ensureAnotherAdmin(user) {
+        const admins = this.getUsers().filter(other => other.role === 'admin' && other !== user);
+        if (admins.length === 0) {
+            throw new AuthError('There must be at least one admin', 409);
+        }
+    }
+
+    validateUsername(username) {
+        if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+            throw new AuthError('Username must be 3-32 letters, digits, dots, dashes or underscores', 422);
+        }
+    }
+
+    validatePassword(password) {
+        if (typeof password !== 'string' || password.length < CONFIG.auth.minPasswordLength) {
+            throw new AuthError(`Password must be at least ${CONFIG.auth.minPasswordLength} characters`, 422);
+        }
+    }
+
+    validateRole(role) {
+        if (!CONFIG.auth.roles[role]) {
+            throw new AuthError(`Unknown role: ${role}`, 422);
+        }
+    }
+
+    // Login tokens
+    login(username, password) {
+        const user = this.findUser(username);
+
+        // Hash even for unknown users so response times don't reveal which names exist
+        const valid = AuthManager.verifyPassword(password, user ? user.passwordHash : AuthManager.dummyHash);
+        if (!user || !valid) {
+            throw new AuthError('Invalid username or password', 401);
+        }
+
+        return {
+            token: this.createToken(user),
+            user: AuthManager.publicUser(user)
+        };
+    }
+
+    createToken(user) {
+        const payload = Buffer.from(JSON.stringify({
+            u: user.username,
+            v: user.sessionVersion,
+            exp: Date.now() + CONFIG.auth.tokenLifetimeHours * 60 * 60 * 1000
+        })).toString('base64url');
+
+        return `${payload}.${this.sign(payload)}`;
+    }
+
+    // Return the user a token belongs to, or null if it is invalid, expired or revoked
+    verifyToken(token) {
+        if (typeof token !== 'string' || !token.includes('.')) return null;
+
+        const [payload, signature] = token.split('.');
+        const expected = Buffer.from(this.sign(payload));
+        const actual = Buffer.from(signature || '');
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+            return null;
+        }
+
+        let claims;
+        try {
+            claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        } catch (error) {
+            return null;
+        }
+
+        const user = this.findUser(claims.u);
+        if (!user || claims.v !== user.sessionVersion || claims.exp < Date.now()) {
+            return null;
+        }
+        return user;
+    }
+
+    sign(payload) {
+        return crypto.createHmac('sha256', this.loadSecret()).update(payload).digest('base64url');
+    }
+
+    // Permissions
+    can(user, permission) {
+        return Boolean(user) && CONFIG.hasPermission(user.role, permission);
+    }
+
+    // Permission needed to apply a change from a client. Removing data is a permanent
+    // delete unless the same batch keeps it: deleting a student temporarily moves the
+    // student, record and logs into deletedStudents, and restoring moves them back.
+    // A user may also take back an attendance log they created themselves on the same device
+    // that nobody has changed since (undoing a check-in), which context.isOwnNewLog(id) tells.
+    // Removing an enrolment takes a student off a class roster and keeps their record.
+    static requiredPermission(change, batch = [], context = {}) {
+        // Course settings and the holiday calendar (adding or taking back a change included)
+        if (change.collection === 'courses' || change.collection === 'holidays') {
+            return 'manage-courses';
+        }
+        // Closing sessions (which queues messages to parents) and message templates
+        if (change.collection === 'notifications' || change.collection === 'notificationTemplates') {
+            return 'notify';
+        }
+        if (change.action === 'remove' && change.collection !== 'enrollments' &&
+            !AuthManager.isKeptInBatch(change, batch) && !AuthManager.isOwnNewLog(change, context)) {
+            return 'delete-permanent';
+        }
+        if (change.collection === 'students' || change.collection === 'deletedStudents' ||
+            change.collection === 'enrollments') {
+            return 'edit-students';
+        }
+        return 'mark-attendance';
+    }
+
+    static isOwnNewLog(change, context) {
+        return change.collection === 'attendanceLogs' && typeof context.isOwnNewLog === 'function' &&
+            Boolean(context.isOwnNewLog(change.id));
+    }
+
+    static isKeptInBatch(change, batch) {
+        const upserts = collection => batch
+            .filter(other => other.collection === collection && other.action === 'upsert')
+            .map(other => other.value);
+
+        switch (change.collection) {
+            case 'deletedStudents':
+                return upserts('students').some(student => student.id == change.id);
+            case 'students':
+                return upserts('deletedStudents').some(deleted => deleted.student && deleted.student.id == change.id);
+            case 'studentRecords':
+                return upserts('deletedStudents').some(deleted => DataChanges.getDeletedRecords(deleted)
+                    .some(record => DataChanges.getKey('studentRecords', record) == change.id));
+            case 'attendanceLogs':
+                return upserts('deletedStudents').some(deleted =>
+                    Array.isArray(deleted.logs) && deleted.logs.some(log => log.id == change.id));
+            default:
+                return false;
+        }
+    }
+
+    static publicUser(user) {
+        return {
+            username: user.username,
+            role: user.role,
+            permissions: CONFIG.auth.roles[user.role].permissions,
+            createdAt: user.createdAt,
+            updatedAt: user.updatedAt
+        };
+    }
+
+    static hashPassword(password) {
+        const salt = crypto.randomBytes(16);
+        const hash = crypto.scryptSync(password, salt, 64);
+        return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+    }
+
+    static verifyPassword(password, stored) {
+        const [scheme, saltHex, hashHex] = String(stored).split('$');
+        if (scheme !== 'scrypt' || typeof password !== 'string') return false;
+
+        const expected = Buffer.from(hashHex, 'hex');
+        const actual = crypto.scryptSync(password, Buffer.from(saltHex, 'hex'), expected.length);
+        return crypto.timingSafeEqual(actual, expected);
+    }
+}
+
+AuthManager.dummyHash = AuthManager.hashPassword(crypto.randomBytes(16).toString('hex'));
+
+// Error with the HTTP status it should be reported with
+class AuthError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+    }
+}
+
+module.exports = { AuthManager, AuthError };
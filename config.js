@@ -1,8 +1,9 @@
 // Configuration file for Student Management System
 const CONFIG = {
-    // Session Configuration
+    // Session Configuration (each course sets its own number of sessions)
     sessions: {
-        maxSessions: 8,
+        defaultCount: 8, // Sessions in a course that hasn't set its own count
+        maxCount: 60,
         defaultSession: 1,
         sessionNames: [
             'Session 1', 'Session 2', 'Session 3', 'Session 4',
@@ -10,6 +11,28 @@ const CONFIG = {
         ]
     },
 
+    // Courses (classes): each has its own roster, session plan, records and logs.
+    // Records and logs without a courseId belong to the default course.
+    courses: {
+        defaultId: 'default',
+        defaultName: 'Main Course',
+        maxNameLength: 80
+    },
+
+    // Session calendar: a course can plan each session with a date (M/D/YYYY, like
+    // session and log dates), a start and end time ('HH:MM'), a grace period, a room,
+    // a center and a topic, or date its sessions with a recurring rule that skips
+    // holidays. Students marked present after start + grace are tagged late.
+    schedule: {
+        weekDays: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+        defaultGraceMinutes: 5,
+        maxGraceMinutes: 120,
+        maxTextLength: 100, // Room, center, topic and holiday names
+        maxPlanDays: 730, // How far ahead a recurring rule looks for session dates
+        recentCheckIns: 5, // Check-ins shown in the punctuality report
+        trendMinSessions: 4 // Attended sessions needed before a punctuality trend is shown
+    },
+
     // Homework Options
     homework: {
         options: [
@@ -20,13 +43,20 @@ const CONFIG = {
         defaultOption: 'complete'
     },
 
-    // Attendance Options
+    // Attendance Options. weight: how much the status counts toward the attendance rate
+    // (1 = fully attended); detail: the extra value recorded with it; colours are the
+    // .status-<value> rules in styles.css
     attendance: {
         options: [
-            { value: 'present', label: 'Present', shortCode: 'P' },
-            { value: 'absent', label: 'Absent', shortCode: 'A' }
+            { value: 'present', label: 'Present', shortCode: 'P', weight: 1 },
+            { value: 'late', label: 'Late', shortCode: 'L', weight: 0.75, detail: 'minutesLate' },
+            { value: 'left-early', label: 'Left Early', shortCode: 'LE', weight: 0.75 },
+            { value: 'excused', label: 'Excused', shortCode: 'E', weight: 0, detail: 'reason', excused: true },
+            { value: 'absent', label: 'Absent', shortCode: 'A', weight: 0 }
         ],
-        defaultOption: 'present'
+        defaultOption: 'present',
+        excusedCountsAgainstRate: false, // false leaves excused sessions out of the attendance rate
+        maxReasonLength: 200
     },
 
     // Quiz Configuration
@@ -41,7 +71,14 @@ const CONFIG = {
         fileNames: {
             studentInfo: 'Student_Info',
             studentRecords: 'Student_Records',
-            attendanceLogs: 'Attendance_Logs'
+            attendanceLogs: 'Attendance_Logs',
+            importErrors: 'Import_Errors'
+        },
+        // Sheets of the complete export; a workbook with these is imported as a whole (see ExcelHandler.readExportWorkbook)
+        sheetNames: {
+            studentInfo: 'Student Info',
+            studentRecords: 'Student Records',
+            attendanceLogs: 'Attendance Logs'
         },
         dateFormat: 'YYYY-MM-DD',
         includeTimestamp: true,
@@ -55,6 +92,35 @@ const CONFIG = {
             basic: ['ID', 'Full Name', 'Phone Number'],
             optional: ['Email', 'Preferred Contact Method', 'Parent\'s Phone Number', 'Grade/Year Level', 'Center', 'School']
         },
+        // Student fields a spreadsheet column can be mapped to, and the headers recognised
+        // for each (compared without case, spaces or punctuation; see normalizeHeader)
+        studentFields: [
+            { key: 'id', label: 'ID', aliases: ['ID', 'Student ID'] },
+            { key: 'fullName', label: 'Full Name', aliases: ['Full Name', 'Name'], required: true },
+            { key: 'phoneNumber', label: 'Phone Number', aliases: ['Phone Number', 'Phone'], required: true },
+            { key: 'email', label: 'Email', aliases: ['Email'] },
+            { key: 'contactMethod', label: 'Preferred Contact Method', aliases: ['Preferred Contact Method', 'Contact Method'] },
+            { key: 'parentPhone', label: 'Parent\'s Phone Number', aliases: ['Parent\'s Phone Number', 'Parent Phone'] },
+            { key: 'gradeLevel', label: 'Grade/Year Level', aliases: ['Grade/Year Level', 'Grade Level', 'Grade'] },
+            { key: 'center', label: 'Center', aliases: ['Center', 'Center?'] },
+            { key: 'school', label: 'School', aliases: ['School'] }
+        ],
+        previewRows: 100, // Rows shown in the import preview (every row is checked)
+        workerUrl: 'import-worker.js', // Reads and checks files off the page (see ExcelHandler.prepareImport)
+        progressRows: 250, // Rows checked between progress updates
+        // What an import does with students already in the system (see ExcelHandler.buildImportPreview)
+        modes: {
+            add: 'Add new students only',
+            update: 'Update existing students only',
+            upsert: 'Add new and update existing students',
+            replace: 'Add and replace (blank cells clear values)'
+        },
+        defaultMode: 'add',
+        // Rows an import rejects, downloaded with their errors (see ExcelHandler.exportImportErrors)
+        errorReport: {
+            column: 'Errors',
+            sheetNames: { rows: 'Rejected Rows', logs: 'Rejected Logs' }
+        },
         sessionColumnPatterns: {
             attendance: [
                 'Session {n} Attendance',
@@ -85,10 +151,72 @@ const CONFIG = {
         }
     },
 
+    // Browser Storage Configuration
+    storage: {
+        backend: 'indexeddb', // 'indexeddb' (falls back to localStorage) or 'localstorage'
+        databaseName: 'StudentManagementSystem',
+        storeName: 'appData',
+        keyPrefix: 'sms',
+        schemaVersion: 1, // Bump when the stored data shape changes
+        saveDebounce: 300 // Coalesce saves within 0.3 seconds
+    },
+
+    // Multi-device Sync Configuration (used when served by server.js)
+    sync: {
+        enabled: true,
+        serverUrl: null, // null = same server that served the page
+        pushDebounce: 500, // Coalesce bulk changes within 0.5 seconds
+        ackTimeout: 15000, // Resend a queued operation if the server hasn't confirmed it in 15 seconds
+        heartbeatInterval: 30000, // 30 seconds
+        reconnectionDelayMax: 10000, // 10 seconds
+        maxDeviceTextLength: 60 // Device names and types clients report are cut to 60 characters
+    },
+
+    // QR Code Scanning
+    qrScan: {
+        scanToMark: true, // Scans during an active session mark the student present
+        defaultClassroom: 'Main Classroom',
+        duplicateWindowMinutes: 10, // Repeat scans within this time report "already checked in"
+        frameInterval: 250, // Camera frames are decoded every 250 ms
+        repeatDelay: 3000 // The same card held in front of the camera is reported once per 3 seconds
+    },
+
+    // Accounts and Roles (server mode; the local-only app has no login)
+    // 'view' includes every student's contact details; 'export' only allows downloading files
+    auth: {
+        tokenLifetimeHours: 12, // Logins expire after a school day
+        minPasswordLength: 8,
+        roles: {
+            admin: {
+                label: 'Admin',
+                permissions: ['view', 'mark-attendance', 'edit-students', 'import', 'export', 'delete-permanent', 'manage-users', 'view-audit', 'manage-courses', 'notify']
+            },
+            teacher: {
+                label: 'Teacher',
+                permissions: ['view', 'mark-attendance', 'edit-students', 'import', 'export', 'view-audit', 'manage-courses', 'notify']
+            },
+            assistant: {
+                label: 'Assistant',
+                permissions: ['view', 'mark-attendance']
+            }
+        }
+    },
+
+    // Undo/Redo (Ctrl+Z / Ctrl+Y; bulk actions undo as one step)
+    undo: {
+        maxSteps: 50
+    },
+
+    // Change history kept in the browser (the server keeps the full history)
+    audit: {
+        maxLocalEntries: 5000
+    },
+
     // UI Configuration
     ui: {
         alerts: {
             duration: 3000, // 3 seconds
+            undoDuration: 8000, // Alerts with an Undo button stay for 8 seconds
             fadeOutDuration: 300 // 0.3 seconds
         },
         search: {
@@ -152,6 +280,382 @@ CONFIG.getSessionName = function(sessionNumber) {
     return this.sessions.sessionNames[sessionNumber - 1] || `Session ${sessionNumber}`;
 };
 
+// Number of sessions in a course
+CONFIG.getSessionCount = function(course) {
+    return course && Number.isInteger(course.sessionCount) ? course.sessionCount : this.sessions.defaultCount;
+};
+
+CONFIG.createDefaultCourse = function() {
+    return {
+        id: this.courses.defaultId,
+        name: this.courses.defaultName,
+        sessionCount: this.sessions.defaultCount,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+};
+
+CONFIG.createCourse = function({ name, sessionCount = this.sessions.defaultCount }) {
+    return {
+        id: `course-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        name: String(name).trim(),
+        sessionCount,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+};
+
+CONFIG.validateCourse = function(course) {
+    const errors = [];
+    const name = typeof course.name === 'string' ? course.name.trim() : '';
+    if (!name) {
+        errors.push('Class name is required');
+    } else if (name.length > this.courses.maxNameLength) {
+        errors.push(`Class name must be at most ${this.courses.maxNameLength} characters`);
+    }
+
+    const countError = this.validateSessionCount(course.sessionCount);
+    if (countError) {
+        errors.push(countError);
+    }
+
+    if (course.schedule !== undefined && course.schedule !== null) {
+        if (typeof course.schedule !== 'object' || Array.isArray(course.schedule)) {
+            errors.push('Schedule must map session numbers to times');
+        } else {
+            Object.keys(course.schedule).forEach(n => {
+                if (!/^\d+$/.test(n)) {
+                    errors.push(`Schedule: "${n}" is not a session number`);
+                    return;
+                }
+                errors.push(...this.validateSessionSchedule(course.schedule[n]).map(error => `Session ${n}: ${error}`));
+            });
+        }
+    }
+    if (course.recurrence !== undefined && course.recurrence !== null) {
+        errors.push(...this.validateRecurrence(course.recurrence).map(error => `Recurring rule: ${error}`));
+    }
+    return errors;
+};
+
+// A day without sessions: { date (M/D/YYYY), name }
+CONFIG.validateHoliday = function(holiday) {
+    const errors = [];
+    if (!holiday || !this.toDate(holiday.date) || !/^\d{1,2}\/\d{1,2}\/\d{4}$/.test(holiday.date)) {
+        errors.push('Holiday date must be M/D/YYYY');
+    }
+    if (holiday && holiday.name !== undefined && !this.isScheduleText(holiday.name)) {
+        errors.push(`Holiday name must be text of at most ${this.schedule.maxTextLength} characters`);
+    }
+    return errors;
+};
+
+// Minutes after midnight of a time of day ('09:30', '14:05' or a log time such as
+// '2:05:30 PM'); null if it can't be read
+CONFIG.toMinutes = function(time) {
+    const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?$/i.exec(String(time || '').trim());
+    if (!match || Number(match[2]) > 59) return null;
+
+    let hours = Number(match[1]) % (match[4] ? 12 : 24);
+    if (match[4] && match[4].toUpperCase() === 'PM') hours += 12;
+    return hours * 60 + Number(match[2]) + Number(match[3] || 0) / 60;
+};
+
+// Date of a 'M/D/YYYY' or 'YYYY-MM-DD' text at local midnight; null if it isn't a real date
+CONFIG.toDate = function(text) {
+    const value = String(text || '').trim();
+    const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+    const us = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(value);
+    const [year, month, day] = iso ? [iso[1], iso[2], iso[3]] : us ? [us[3], us[1], us[2]] : [];
+    if (!year) return null;
+
+    const date = new Date(Number(year), Number(month) - 1, Number(day));
+    return date.getMonth() === Number(month) - 1 && date.getDate() === Number(day) ? date : null;
+};
+
+// A date in the app's format (M/D/YYYY, as written by toLocaleDateString('en-US'))
+CONFIG.formatDate = function(date) {
+    return `${date.getMonth() + 1}/${date.getDate()}/${date.getFullYear()}`;
+};
+
+// Plan of a course's session (date, start, end, graceMinutes, room, center, topic, each
+// optional); null if the session isn't planned
+CONFIG.getSessionSchedule = function(course, sessionNumber) {
+    const entry = course && course.schedule && course.schedule[sessionNumber];
+    return entry ? { graceMinutes: this.schedule.defaultGraceMinutes, ...entry } : null;
+};
+
+// Number of the course's session planned for a date (M/D/YYYY); null if none is
+CONFIG.getSessionOnDate = function(course, date) {
+    for (let i = 1; i <= this.getSessionCount(course); i++) {
+        const schedule = this.getSessionSchedule(course, i);
+        if (schedule && schedule.date === date) {
+            return i;
+        }
+    }
+    return null;
+};
+
+CONFIG.validateSessionSchedule = function(entry) {
+    if (!entry || typeof entry !== 'object') {
+        return ['Session plan must be an object'];
+    }
+    const errors = this.validateScheduleFields(entry);
+    if (!entry.date && !entry.start) {
+        errors.push('Give the session a date or a start time');
+    }
+    if (entry.date && !(this.toDate(entry.date) && /^\d{1,2}\/\d{1,2}\/\d{4}$/.test(entry.date))) {
+        errors.push('Date must be M/D/YYYY');
+    }
+    if (entry.topic !== undefined && entry.topic !== null && !this.isScheduleText(entry.topic)) {
+        errors.push(`Topic must be text of at most ${this.schedule.maxTextLength} characters`);
+    }
+    return errors;
+};
+
+// A recurring rule dates a course's sessions on some week days from a start date:
+// { days: [0, 3], startDate, start, end, graceMinutes, room, center } (days are 0 for
+// Sunday to 6 for Saturday; the times, room and center are given to every session)
+CONFIG.validateRecurrence = function(rule) {
+    if (!rule || typeof rule !== 'object') {
+        return ['Recurring rule must be an object'];
+    }
+    const errors = this.validateScheduleFields(rule);
+    if (!Array.isArray(rule.days) || rule.days.length === 0 ||
+        !rule.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+        errors.push('Pick at least one week day (0 for Sunday to 6 for Saturday)');
+    }
+    if (!this.toDate(rule.startDate)) {
+        errors.push('Start date must be M/D/YYYY');
+    }
+    return errors;
+};
+
+// Dates (M/D/YYYY) of the first `count` days matching a recurring rule, skipping holiday
+// dates; fewer if CONFIG.schedule.maxPlanDays runs out first
+CONFIG.planSessionDates = function(rule, count, holidayDates = []) {
+    const dates = [];
+    const day = this.toDate(rule.startDate);
+    for (let i = 0; day && i < this.schedule.maxPlanDays && dates.length < count; i++) {
+        const date = this.formatDate(day);
+        if (rule.days.includes(day.getDay()) && !holidayDates.includes(date)) {
+            dates.push(date);
+        }
+        day.setDate(day.getDate() + 1);
+    }
+    return dates;
+};
+
+// Schedule of a course with a recurring rule: session n gets the rule's nth date and its
+// times, room and center; topics (and fields the rule leaves out) are kept, and sessions
+// the rule found no date for lose theirs
+CONFIG.planSchedule = function(course, holidayDates = []) {
+    const rule = course.recurrence;
+    const count = this.getSessionCount(course);
+    const dates = this.planSessionDates(rule, count, holidayDates);
+    const schedule = { ...course.schedule };
+
+    for (let i = 1; i <= count; i++) {
+        const planned = { ...schedule[i] };
+        ['start', 'end', 'graceMinutes', 'room', 'center'].forEach(field => {
+            if (rule[field] !== undefined && rule[field] !== null && rule[field] !== '') {
+                planned[field] = rule[field];
+            }
+        });
+        if (dates[i - 1]) {
+            planned.date = dates[i - 1];
+        } else {
+            delete planned.date;
+        }
+
+        if (planned.date || planned.start) {
+            schedule[i] = planned;
+        } else {
+            delete schedule[i];
+        }
+    }
+    return schedule;
+};
+
+CONFIG.isScheduleText = function(value) {
+    return typeof value === 'string' && value.length <= this.schedule.maxTextLength;
+};
+
+// Errors in the times, grace period, room and center of a session plan or recurring rule
+CONFIG.validateScheduleFields = function(entry) {
+    const errors = [];
+    const isSet = value => value !== undefined && value !== null && value !== '';
+    const isTime = value => /^\d{2}:\d{2}$/.test(String(value)) && this.toMinutes(value) !== null && Number(value.slice(0, 2)) < 24;
+
+    if (isSet(entry.start) && !isTime(entry.start)) {
+        errors.push('Start time must be HH:MM (24-hour)');
+    }
+    if (isSet(entry.end)) {
+        if (!isTime(entry.end)) {
+            errors.push('End time must be HH:MM (24-hour)');
+        } else if (isTime(entry.start) && entry.end <= entry.start) {
+            errors.push('End time must be after the start time');
+        }
+    }
+    if (entry.graceMinutes !== undefined && entry.graceMinutes !== null &&
+        !(Number.isInteger(entry.graceMinutes) && entry.graceMinutes >= 0 && entry.graceMinutes <= this.schedule.maxGraceMinutes)) {
+        errors.push(`Grace period must be a whole number of minutes from 0 to ${this.schedule.maxGraceMinutes}`);
+    }
+    ['room', 'center'].forEach(field => {
+        if (isSet(entry[field]) && !this.isScheduleText(entry[field])) {
+            errors.push(`${field.charAt(0).toUpperCase()}${field.slice(1)} must be text of at most ${this.schedule.maxTextLength} characters`);
+        }
+    });
+    return errors;
+};
+
+// Minutes late of a check-in at `time` (a log time), or null if it doesn't count as late:
+// within the grace period, or after the session ended (marked by hand afterwards)
+CONFIG.getMinutesLate = function(schedule, time) {
+    const start = this.toMinutes(schedule.start);
+    const end = schedule.end ? this.toMinutes(schedule.end) : null;
+    const checkIn = this.toMinutes(time);
+
+    if (start === null || checkIn === null || checkIn <= start + schedule.graceMinutes || (end !== null && checkIn > end)) {
+        return null;
+    }
+    return Math.floor(checkIn - start);
+};
+
+// An attendance entry marked present at `time` on `date`, tagged late (with its minutes) when
+// the check-in came after the session's grace period on the day the session is planned for.
+// Marks for any other day (e.g. filling in last week's session) are never tagged.
+CONFIG.withLateDetection = function(entry, schedule, time, date) {
+    if (entry.attendance !== 'present' || !schedule || !this.isSessionDay(schedule, date)) {
+        return entry;
+    }
+    const minutesLate = this.getMinutesLate(schedule, time);
+    return minutesLate === null ? entry : { ...entry, attendance: 'late', minutesLate };
+};
+
+// Whether a date (M/D/YYYY or YYYY-MM-DD) is the day a session is planned for
+CONFIG.isSessionDay = function(schedule, date) {
+    const day = this.toDate(schedule.date);
+    const other = this.toDate(date);
+    return Boolean(day && other) && day.getTime() === other.getTime();
+};
+
+CONFIG.createEnrollment = function(studentId, courseId = this.courses.defaultId) {
+    return { courseId, studentId, enrolledAt: new Date().toISOString() };
+};
+
+// The course a record, log or active session belongs to
+CONFIG.getCourseId = function(entity) {
+    return (entity && entity.courseId) || this.courses.defaultId;
+};
+
+// Copy of a record or log assigned to a course. The default course is left implicit,
+// so records from before classes keep their keys (see DataChanges.collections).
+CONFIG.withCourse = function(entity, courseId) {
+    const { courseId: previous, ...rest } = entity;
+    return courseId && courseId !== this.courses.defaultId ? { ...rest, courseId } : rest;
+};
+
+// Session entries of a record with empty entries added for sessions 1..count it doesn't
+// have yet (entries beyond count are kept)
+CONFIG.fillSessions = function(sessions = {}, count) {
+    const filled = { ...sessions };
+    for (let i = 1; i <= count; i++) {
+        if (!filled[i]) {
+            filled[i] = { attendance: null, homework: null, quiz: null, date: null };
+        }
+    }
+    return filled;
+};
+
+CONFIG.validateSessionCount = function(count) {
+    if (!Number.isInteger(count) || count < 1 || count > this.sessions.maxCount) {
+        return `Number of sessions must be a whole number from 1 to ${this.sessions.maxCount}`;
+    }
+    return null;
+};
+
+CONFIG.getAttendanceOption = function(value) {
+    return this.attendance.options.find(option => option.value === value) || null;
+};
+
+// Attendance rate (0-100) of a list of attendance values, weighted per status; null when
+// no session counts
+CONFIG.getAttendanceRate = function(values) {
+    const counted = values
+        .map(value => this.getAttendanceOption(value))
+        .filter(option => option && (!option.excused || this.attendance.excusedCountsAgainstRate));
+    if (counted.length === 0) {
+        return null;
+    }
+    return counted.reduce((sum, option) => sum + option.weight, 0) / counted.length * 100;
+};
+
+// Copy of a session entry or log that keeps only the detail its status records
+// (minutesLate for late, reason for excused)
+CONFIG.withAttendanceDetails = function(entry) {
+    const { minutesLate, reason, ...rest } = entry;
+    const option = this.getAttendanceOption(entry.attendance);
+    const detail = option && option.detail;
+
+    if (detail === 'minutesLate' && minutesLate !== undefined && minutesLate !== null && minutesLate !== '') {
+        return { ...rest, minutesLate: Number(minutesLate) };
+    }
+    if (detail === 'reason' && reason) {
+        return { ...rest, reason: String(reason).trim() };
+    }
+    return rest;
+};
+
+// Errors in the details of an attendance value
+CONFIG.validateAttendanceDetails = function(values) {
+    const errors = [];
+    const isSet = value => value !== null && value !== undefined && value !== '';
+
+    if (isSet(values.minutesLate) && !(Number.isInteger(Number(values.minutesLate)) && Number(values.minutesLate) >= 0)) {
+        errors.push('minutesLate must be a whole number of minutes');
+    }
+    if (isSet(values.reason) && (typeof values.reason !== 'string' || values.reason.length > this.attendance.maxReasonLength)) {
+        errors.push(`reason must be text of at most ${this.attendance.maxReasonLength} characters`);
+    }
+    return errors;
+};
+
+// Excel short code of a session entry: the status code, then its detail after a colon
+// (L:15 is 15 minutes late, E:Sick an excused absence)
+CONFIG.formatAttendanceCode = function(entry) {
+    const option = this.getAttendanceOption(entry && entry.attendance);
+    if (!option) {
+        return entry && entry.attendance ? String(entry.attendance) : '';
+    }
+    const detail = option.detail && entry[option.detail];
+    return detail !== undefined && detail !== null && detail !== '' ? `${option.shortCode}:${detail}` : option.shortCode;
+};
+
+// Attendance and its detail from a short code, value or label ("L:15", "late", "Late");
+// null if it doesn't name a status
+CONFIG.parseAttendanceCode = function(text) {
+    const clean = String(text).trim();
+    const find = code => this.attendance.options.find(option =>
+        [option.shortCode, option.value, option.label].some(name => name.toLowerCase() === code.trim().toLowerCase()));
+
+    let option = find(clean);
+    let detail = '';
+    if (!option && clean.includes(':')) {
+        option = find(clean.slice(0, clean.indexOf(':')));
+        detail = clean.slice(clean.indexOf(':') + 1).trim();
+    }
+    if (!option) {
+        return null;
+    }
+
+    const parsed = { attendance: option.value };
+    if (option.detail && detail) {
+        parsed[option.detail] = option.detail === 'minutesLate' ? parseInt(detail) || 0 : detail;
+    }
+    return parsed;
+};
+
 CONFIG.getExportFileName = function(type, includeDate = true) {
     const baseName = this.export.fileNames[type] || type;
     const timestamp = includeDate && this.export.includeTimestamp 
@@ -160,6 +664,26 @@ CONFIG.getExportFileName = function(type, includeDate = true) {
     return `${baseName}${timestamp}${this.export.fileExtension}`;
 };
 
+// Fields of an import for a course with sessionCount sessions: [{ key, label, aliases }],
+// student fields first, then 'session.<n>.<attendance|homework|quiz|date>'
+CONFIG.getImportFields = function(sessionCount) {
+    const names = { attendance: 'Attendance', homework: 'HW', quiz: 'Quiz', date: 'Date' };
+    const fields = this.import.studentFields.map(field => ({ ...field, aliases: [field.key, ...field.aliases] }));
+
+    for (let i = 1; i <= sessionCount; i++) {
+        const patterns = this.getSessionColumnPatterns(i);
+        Object.keys(names).forEach(part => {
+            fields.push({ key: `session.${i}.${part}`, label: `Session ${i} ${names[part]}`, aliases: patterns[part] });
+        });
+    }
+    return fields;
+};
+
+// Headers compare without case, spaces or punctuation ("Parent's phone" = "parent_phone")
+CONFIG.normalizeHeader = function(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+};
+
 CONFIG.getSessionColumnPatterns = function(sessionNumber) {
     const patterns = {};
     Object.keys(this.import.sessionColumnPatterns).forEach(key => {
@@ -197,6 +721,12 @@ CONFIG.validateStudent = function(student) {
     };
 };
 
+// Check whether a role is allowed to do something (see auth.roles)
+CONFIG.hasPermission = function(role, permission) {
+    const definition = this.auth.roles[role];
+    return Boolean(definition) && definition.permissions.includes(permission);
+};
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = CONFIG;
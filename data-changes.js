@@ -0,0 +1,345 @@
+// Data Changes Module - per-entity change records shared by the server and the browser
+const DataChanges = {
+    // Collections that hold entities, and how each entity is identified
+    collections: {
+        students: {
+            key: entity => entity.id
+        },
+        // One record per student and course; records of the default course have no
+        // courseId and keep the plain student ID, as they did before classes
+        studentRecords: {
+            key: entity => entity.courseId ? `${entity.courseId}:${entity.id}` : entity.id
+        },
+        attendanceLogs: {
+            key: entity => entity.id,
+            prepend: true // Newest logs first, like addAttendanceLog
+        },
+        deletedStudents: {
+            key: entity => entity.student && entity.student.id
+        },
+        courses: {
+            key: entity => entity.id
+        },
+        // A student on a course's roster
+        enrollments: {
+            key: entity => `${entity.courseId}:${entity.studentId}`
+        },
+        // Days without sessions, skipped by recurring rules
+        holidays: {
+            key: entity => entity.date
+        },
+        // Messages to parents and their delivery status (see Notifications)
+        notifications: {
+            key: entity => entity.id,
+            prepend: true // Newest first
+        },
+        // Message templates changed from the defaults in Notifications.templates
+        notificationTemplates: {
+            key: entity => entity.type
+        }
+    }
+};
+
+// Change builders
+DataChanges.upsert = function(collection, value) {
+    return {
+        collection,
+        action: 'upsert',
+        id: this.getKey(collection, value),
+        value
+    };
+};
+
+DataChanges.remove = function(collection, id) {
+    return {
+        collection,
+        action: 'remove',
+        id
+    };
+};
+
+DataChanges.reset = function(data) {
+    return {
+        action: 'reset',
+        value: data
+    };
+};
+
+DataChanges.getKey = function(collection, entity) {
+    const definition = this.collections[collection];
+    if (!definition) {
+        throw new Error(`Unknown collection: ${collection}`);
+    }
+    return entity ? definition.key(entity) : undefined;
+};
+
+DataChanges.findIndex = function(data, collection, id) {
+    const items = data[collection] || [];
+    return items.findIndex(item => this.getKey(collection, item) == id);
+};
+
+// Apply a single change to a data object (mutates and returns it)
+DataChanges.applyChange = function(data, change) {
+    if (!change || typeof change !== 'object') {
+        throw new Error('Invalid change');
+    }
+
+    if (change.action === 'reset') {
+        Object.keys(this.collections).forEach(collection => {
+            data[collection] = Array.isArray(change.value[collection]) ? change.value[collection] : [];
+        });
+        return data;
+    }
+
+    const definition = this.collections[change.collection];
+    if (!definition) {
+        throw new Error(`Unknown collection: ${change.collection}`);
+    }
+
+    if (!Array.isArray(data[change.collection])) {
+        data[change.collection] = [];
+    }
+
+    const items = data[change.collection];
+    const index = this.findIndex(data, change.collection, change.id);
+
+    switch (change.action) {
+        case 'upsert':
+            if (index >= 0) {
+                items[index] = change.value;
+            } else if (definition.prepend) {
+                items.unshift(change.value);
+            } else {
+                items.push(change.value);
+            }
+            break;
+        case 'remove':
+            if (index >= 0) {
+                items.splice(index, 1);
+            }
+            break;
+        default:
+            throw new Error(`Unknown change action: ${change.action}`);
+    }
+
+    return data;
+};
+
+DataChanges.applyChanges = function(data, changes) {
+    changes.forEach(change => this.applyChange(data, change));
+    return data;
+};
+
+// Per-entity changes that turn prevData into nextData (missing collections count as empty)
+DataChanges.diff = function(prevData, nextData) {
+    const changes = [];
+
+    Object.keys(this.collections).forEach(collection => {
+        const previous = new Map();
+        (prevData[collection] || []).forEach(entity => {
+            const id = this.getKey(collection, entity);
+            previous.set(String(id), { id, json: JSON.stringify(entity) });
+        });
+
+        const seen = new Set();
+        (nextData[collection] || []).forEach(entity => {
+            const key = String(this.getKey(collection, entity));
+            const before = previous.get(key);
+            seen.add(key);
+            if (!before || before.json !== JSON.stringify(entity)) {
+                changes.push(this.upsert(collection, entity));
+            }
+        });
+
+        previous.forEach((before, key) => {
+            if (!seen.has(key)) {
+                changes.push(this.remove(collection, before.id));
+            }
+        });
+    });
+
+    return changes;
+};
+
+// Revisions: the server bumps `rev` on every entity it changes (and on each changed
+// session entry of a student record) and records the device that wrote it in `revBy`;
+// clients send the revision their edit was based on.
+DataChanges.sameContent = function(a, b) {
+    const withoutRevisions = (key, value) => key === 'rev' || key === 'revBy' ? undefined : value;
+    return JSON.stringify(a, withoutRevisions) === JSON.stringify(b, withoutRevisions);
+};
+
+DataChanges.findEntity = function(data, collection, id) {
+    const index = this.findIndex(data, collection, id);
+    return index >= 0 ? data[collection][index] : null;
+};
+
+// Records kept with a deleted student: one per course ('record' in entries from before classes)
+DataChanges.getDeletedRecords = function(deleted) {
+    if (Array.isArray(deleted.records)) return deleted.records;
+    return deleted.record ? [deleted.record] : [];
+};
+
+// Give an upsert the next revision numbers relative to the current entity
+DataChanges.stampRevisions = function(change, current, deviceId) {
+    if (change.action !== 'upsert') {
+        return change;
+    }
+
+    const value = { ...change.value, rev: (current && current.rev || 0) + 1, revBy: deviceId };
+
+    if (change.collection === 'studentRecords' && value.sessions) {
+        const sessions = {};
+        Object.keys(value.sessions).forEach(n => {
+            const before = current && current.sessions ? current.sessions[n] : null;
+            const after = value.sessions[n];
+            sessions[n] = before && this.sameContent(before, after)
+                ? { ...after, rev: before.rev || 0, revBy: before.revBy }
+                : { ...after, rev: (before && before.rev || 0) + 1, revBy: deviceId };
+        });
+        value.sessions = sessions;
+    }
+
+    return { ...change, value };
+};
+
+// Record which revisions a client change was based on (base null = new entity)
+DataChanges.withBase = function(change, base) {
+    const annotated = { ...change, baseRev: base ? base.rev || 0 : null };
+
+    if (change.collection === 'studentRecords' && change.action === 'upsert') {
+        annotated.baseSessionRevs = {};
+        annotated.changedSessions = [];
+
+        Object.keys(change.value.sessions || {}).forEach(n => {
+            const baseSession = base && base.sessions ? base.sessions[n] : null;
+            annotated.baseSessionRevs[n] = baseSession ? baseSession.rev || 0 : null;
+            if (!this.sameContent(baseSession || null, change.value.sessions[n])) {
+                annotated.changedSessions.push(n);
+            }
+        });
+    }
+
+    return annotated;
+};
+
+// Check a client change against the current entity. Stale writes become conflicts;
+// student records are merged per session so edits to different sessions never clash.
+// A device may always build on its own latest write (queued offline edits are based
+// on revisions the server assigns later). Returns { change, conflicts } where change
+// is null when nothing should be applied.
+DataChanges.mergeChange = function(change, current, deviceId) {
+    const plain = { collection: change.collection, action: change.action, id: change.id, value: change.value };
+    const isUpToDate = (entity, baseRev) =>
+        (entity ? entity.rev || 0 : null) === baseRev || Boolean(entity && deviceId && entity.revBy === deviceId);
+
+    if (change.baseRev === undefined) {
+        return { change: plain, conflicts: [] }; // No base information: last writer wins
+    }
+
+    const conflict = (extra = {}) => ({
+        collection: change.collection,
+        id: change.id,
+        serverValue: current,
+        clientValue: change.action === 'upsert' ? change.value : null,
+        serverEntity: current,
+        ...extra
+    });
+
+    if (change.collection === 'studentRecords' && change.action === 'upsert' && current && change.changedSessions) {
+        const sessions = { ...current.sessions };
+        const conflicts = [];
+
+        change.changedSessions.forEach(n => {
+            const serverSession = current.sessions ? current.sessions[n] : null;
+            const clientSession = change.value.sessions[n];
+            const baseRev = change.baseSessionRevs[n];
+
+            if (!serverSession || isUpToDate(serverSession, baseRev) || this.sameContent(serverSession, clientSession)) {
+                sessions[n] = clientSession;
+            } else {
+                conflicts.push(conflict({
+                    session: Number(n),
+                    serverValue: serverSession,
+                    clientValue: clientSession
+                }));
+            }
+        });
+
+        const merged = { ...current, ...change.value, sessions, rev: current.rev };
+        return {
+            change: this.sameContent(merged, current) ? null : this.upsert('studentRecords', merged),
+            conflicts
+        };
+    }
+
+    if (isUpToDate(current, change.baseRev)) {
+        return { change: plain, conflicts: [] };
+    }
+
+    // Both devices made the same edit, or removed the same entity
+    if (change.action === 'remove' ? !current : this.sameContent(current, change.value)) {
+        return { change: null, conflicts: [] };
+    }
+
+    return { change: null, conflicts: [conflict()] };
+};
+
+// Check that a change received from a client is well formed
+DataChanges.validateChange = function(change) {
+    if (!change || typeof change !== 'object') {
+        return 'Change must be an object';
+    }
+    if (!this.collections[change.collection]) {
+        return `Unknown collection: ${change.collection}`;
+    }
+    if (change.action === 'upsert') {
+        if (!change.value || typeof change.value !== 'object') {
+            return 'Upsert requires a value';
+        }
+        if (this.getKey(change.collection, change.value) != change.id) {
+            return `Change id ${change.id} does not match the value`;
+        }
+        // What a deleted student keeps is read when it is restored (or permissions are checked)
+        if (change.collection === 'deletedStudents') {
+            const invalid = ['records', 'logs', 'enrollments'].find(field =>
+                change.value[field] !== undefined && !this.isListOfObjects(change.value[field]));
+            return invalid ? `Deleted student ${invalid} must be a list of objects` : null;
+        }
+        return null;
+    }
+    if (change.action === 'remove') {
+        return change.id === undefined || change.id === null ? 'Remove requires an id' : null;
+    }
+    return `Unknown change action: ${change.action}`;
+};
+
+// Check a list of changes received from a client; the first problem, or null
+DataChanges.validateChanges = function(changes) {
+    if (!Array.isArray(changes)) {
+        return 'Changes must be a list';
+    }
+    return changes.map(change => this.validateChange(change)).find(error => error) || null;
+};
+
+// Check a full data set received from a client: an object whose collections, where
+// given, are lists of entities. The first problem, or null.
+DataChanges.validateData = function(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return 'Data must be an object';
+    }
+    const invalid = Object.keys(this.collections).find(collection => data[collection] !== undefined &&
+        !this.isListOfObjects(data[collection]));
+    return invalid ? `${invalid} must be a list of objects` : null;
+};
+
+DataChanges.isListOfObjects = function(items) {
+    return Array.isArray(items) && items.every(item => item && typeof item === 'object' && !Array.isArray(item));
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataChanges;
+} else {
+    window.DataChanges = DataChanges;
+}
@@ -5,18 +5,227 @@ class DataManager {
         this.studentRecords = [];
         this.attendanceLogs = [];
         this.deletedStudents = []; // For temporary storage of deleted students
+        this.courses = []; // Classes and their settings such as the number of sessions
+        this.enrollments = []; // Which students are on which class's roster
+        this.holidays = []; // Days without sessions, skipped by recurring rules
+        this.notifications = []; // Messages to parents and their delivery status (see Notifications)
+        this.notificationTemplates = []; // Message templates changed from the defaults
+        this.currentCourseId = CONFIG.courses.defaultId; // The class shown on this device
+        this.storage = storageManager;
+        this.storageStatus = null;
+        this.listeners = [];
+        this.muted = 0;
+        this.savesHeld = 0; // saveToStorage only marks savePending while a batch runs
+        this.savePending = false;
+        this.baseline = null; // Data as of the last notification
+        this.auditLog = []; // Append-only record of local changes (see AuditTrail)
+        this.undoStack = []; // { label, changes, inverse } per local change, newest last
+        this.redoStack = [];
+        this.getActor = null; // Returns { user, device } for audit entries (set by main-script.js)
         this.initialized = false;
     }
 
+    // Change notifications (used by the sync client and UI)
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    notifyChange(type, payload = {}, source = 'local') {
+        if (this.muted > 0) return;
+
+        this.trackChanges(type, payload, source);
+
+        this.listeners.forEach(listener => {
+            try {
+                listener({ type, payload, source });
+            } catch (error) {
+                console.error(`Change listener failed for ${type}:`, error);
+            }
+        });
+    }
+
+    // Run several mutations while reporting only the caller's own notification
+    runMuted(operation) {
+        this.muted++;
+        try {
+            return operation();
+        } finally {
+            this.muted--;
+        }
+    }
+
+    // Run several mutations as one change: a single notification, a single undo step
+    // (payload.label names the step) and a single save
+    runBatch(type, operation, payload = {}) {
+        this.savesHeld++;
+        let result;
+        try {
+            result = this.runMuted(operation);
+        } finally {
+            this.savesHeld--;
+            if (this.savesHeld === 0 && this.savePending) {
+                this.savePending = false;
+                this.saveToStorage();
+            }
+        }
+        this.notifyChange(type, payload);
+        return result;
+    }
+
+    // A local change is the difference from the data as of the last notification; it is
+    // recorded in the audit trail and the undo history. Remote changes were recorded by
+    // the device that made them. Only the collections the change can touch are compared
+    // (see DataManager.changedCollections).
+    trackChanges(type, payload, source) {
+        const collections = this.baseline
+            ? this.getChangedCollections(type, payload)
+            : Object.keys(DataChanges.collections);
+        const current = {};
+        collections.forEach(collection => {
+            current[collection] = this[collection];
+        });
+
+        if (source === 'local' && this.baseline) {
+            const previous = {};
+            collections.forEach(collection => {
+                previous[collection] = this.baseline[collection];
+            });
+            const changes = DataChanges.diff(previous, current);
+            if (changes.length > 0) {
+                this.recordAudit(changes, this.baseline);
+                if (type !== 'undo' && type !== 'redo') {
+                    this.recordUndoStep(payload.label || DataManager.undoLabels[type] || type, changes, this.baseline);
+                }
+            }
+        }
+
+        this.baseline = { ...this.baseline, ...JSON.parse(JSON.stringify(current)) };
+    }
+
+    // Collections a notification may have changed (all of them when unknown)
+    getChangedCollections(type, payload) {
+        const all = Object.keys(DataChanges.collections);
+        const changes = type === 'undo' || type === 'redo'
+            ? payload.step && payload.step.changes
+            : type === 'data-synced' ? payload.changes : null;
+
+        if (Array.isArray(changes)) {
+            return changes.some(change => change.action === 'reset')
+                ? all
+                : all.filter(collection => changes.some(change => change.collection === collection));
+        }
+        return DataManager.changedCollections[type] || all;
+    }
+
+    // The newest CONFIG.audit.maxLocalEntries entries are kept; the server keeps the
+    // full history
+    recordAudit(changes, before) {
+        const actor = typeof this.getActor === 'function' ? this.getActor() : {};
+        const at = new Date().toISOString();
+        const last = this.auditLog[this.auditLog.length - 1];
+        const nextId = last ? last.id + 1 : 1;
+        const entries = changes
+            .map(change => AuditTrail.fromChange(change, DataChanges.findEntity(before, change.collection, change.id), { at }))
+            .filter(Boolean)
+            .map((entry, index) => ({
+                id: nextId + index,
+                ...entry,
+                user: actor.user || null,
+                device: actor.device || null
+            }));
+
+        if (entries.length > 0) {
+            this.auditLog.push(...entries);
+            if (this.auditLog.length > CONFIG.audit.maxLocalEntries) {
+                this.auditLog.splice(0, this.auditLog.length - CONFIG.audit.maxLocalEntries);
+            }
+            this.storage.save('auditLog', this.auditLog);
+        }
+    }
+
+    // Newest first, one page at a time (see AuditTrail.query for the filters)
+    queryAuditLog(query = {}) {
+        return AuditTrail.query(this.auditLog, query);
+    }
+
+    // Undo/redo: each step keeps the changes it made and the changes that reverse them
+    recordUndoStep(label, changes, before) {
+        const inverse = changes.map(change => {
+            const previous = DataChanges.findEntity(before, change.collection, change.id);
+            return previous
+                ? DataChanges.upsert(change.collection, previous)
+                : DataChanges.remove(change.collection, change.id);
+        }).reverse();
+
+        this.undoStack.push({ label, changes: JSON.parse(JSON.stringify(changes)), inverse });
+        if (this.undoStack.length > CONFIG.undo.maxSteps) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // The step the next undo would reverse (null if none)
+    peekUndo() {
+        return this.undoStack[this.undoStack.length - 1] || null;
+    }
+
+    // Reverse the latest step; returns it, or null if there is nothing to undo
+    undo() {
+        const step = this.undoStack.pop();
+        if (!step) return null;
+
+        this.applyUndoStep(step, step.changes, step.inverse, 'undo');
+        this.redoStack.push(step);
+        return step;
+    }
+
+    redo() {
+        const step = this.redoStack.pop();
+        if (!step) return null;
+
+        this.applyUndoStep(step, step.inverse, step.changes, 'redo');
+        this.undoStack.push(step);
+        return step;
+    }
+
+    // Apply a step's changes if its entities are still as the step left them; a step
+    // whose data was changed since (e.g. by another device) is dropped
+    applyUndoStep(step, expected, changes, type) {
+        const changed = expected.find(change => {
+            const current = DataChanges.findEntity(this, change.collection, change.id);
+            return change.action === 'remove' ? current !== null : !DataChanges.sameContent(current, change.value);
+        });
+        if (changed) {
+            throw new Error(`Can't ${type} "${step.label}": the data has been changed since`);
+        }
+
+        DataChanges.applyChanges(this, JSON.parse(JSON.stringify(changes)));
+        this.saveToStorage();
+        this.notifyChange(type, { step });
+    }
+
     // Initialize the data manager
-    init() {
-        this.loadFromStorage();
+    async init() {
+        await this.storage.init();
+        await this.loadFromStorage();
+        this.baseline = JSON.parse(JSON.stringify(this.exportData()));
         this.initialized = true;
         return this;
     }
 
     // Student Management
-    addStudent(studentData) {
+    addStudent(studentData, courseId = this.getCurrentCourseId()) {
         const validation = CONFIG.validateStudent(studentData);
         if (!validation.isValid) {
             throw new Error(`Invalid student data: ${validation.errors.join(', ')}`);
@@ -42,8 +251,9 @@ class DataManager {
         };
 
         this.students.push(student);
-        this.createStudentRecord(student);
+        this.addToCourse(student, courseId);
         this.saveToStorage();
+        this.notifyChange('student-added', { student });
         
         return student;
     }
@@ -55,14 +265,16 @@ class DataManager {
             total: studentsData.length
         };
 
-        studentsData.forEach((studentData, index) => {
-            try {
-                const student = this.addStudent(studentData);
-                results.successful.push({ index, student });
-            } catch (error) {
-                results.failed.push({ index, error: error.message, data: studentData });
-            }
-        });
+        this.runBatch('student-added', () => {
+            studentsData.forEach((studentData, index) => {
+                try {
+                    const student = this.addStudent(studentData);
+                    results.successful.push({ index, student });
+                } catch (error) {
+                    results.failed.push({ index, error: error.message, data: studentData });
+                }
+            });
+        }, { label: 'Add students' });
 
         return results;
     }
@@ -94,15 +306,17 @@ class DataManager {
 
         this.students[studentIndex] = updatedStudent;
         
-        // Update related student record
-        const recordIndex = this.studentRecords.findIndex(record => record.id == id);
-        if (recordIndex !== -1) {
-            this.studentRecords[recordIndex].fullName = updatedStudent.fullName;
-            this.studentRecords[recordIndex].parentPhone = updatedStudent.parentPhone;
-            this.studentRecords[recordIndex].updatedAt = new Date().toISOString();
-        }
+        // Update related student records (one per class)
+        this.studentRecords.forEach(record => {
+            if (record.id == id) {
+                record.fullName = updatedStudent.fullName;
+                record.parentPhone = updatedStudent.parentPhone;
+                record.updatedAt = new Date().toISOString();
+            }
+        });
 
         this.saveToStorage();
+        this.notifyChange('student-updated', { student: updatedStudent });
         
         return updatedStudent;
     }
@@ -117,14 +331,16 @@ class DataManager {
         const deletedStudent = this.students.splice(studentIndex, 1)[0];
         
         // Move associated data to temporary storage
-        const studentRecord = this.studentRecords.find(record => record.id == id);
+        const studentRecords = this.studentRecords.filter(record => record.id == id);
         const studentLogs = this.attendanceLogs.filter(log => log.studentId == id);
+        const studentEnrollments = this.enrollments.filter(enrollment => enrollment.studentId == id);
         
         // Add to deleted students with timestamp
         const deletedData = {
             student: deletedStudent,
-            record: studentRecord,
+            records: studentRecords,
             logs: studentLogs,
+            enrollments: studentEnrollments,
             deletedAt: new Date().toISOString(),
             deletedBy: 'system' // You can modify this to track who deleted
         };
@@ -134,8 +350,10 @@ class DataManager {
         // Remove from active data but keep in deleted storage
         this.studentRecords = this.studentRecords.filter(record => record.id != id);
         this.attendanceLogs = this.attendanceLogs.filter(log => log.studentId != id);
+        this.enrollments = this.enrollments.filter(enrollment => enrollment.studentId != id);
         
         this.saveToStorage();
+        this.notifyChange('student-deleted', { deletedData });
         return deletedData;
     }
 
@@ -227,21 +445,19 @@ restoreStudent(id) {
     // Restore student data
     this.students.push(deletedData.student);
     
-    // Restore record if it exists
-    if (deletedData.record) {
-        // Check if record already exists
-        const existingRecordIndex = this.studentRecords.findIndex(r => r.id == deletedData.student.id);
-        if (existingRecordIndex >= 0) {
-            // Update existing record
-            this.studentRecords[existingRecordIndex] = deletedData.record;
-        } else {
-            // Add new record
-            this.studentRecords.push(deletedData.record);
-        }
-    } else {
-        // Create new record if none exists
-        this.createStudentRecord(deletedData.student);
-    }
+    // Restore records (one per class) if they exist
+    DataChanges.getDeletedRecords(deletedData).forEach(record => {
+        DataChanges.applyChange(this, DataChanges.upsert('studentRecords', record));
+    });
+    
+    // Put the student back on their classes' rosters (entries from before classes had
+    // none: those students were in the default class), creating any missing records
+    const enrollments = Array.isArray(deletedData.enrollments)
+        ? deletedData.enrollments
+        : [CONFIG.createEnrollment(deletedData.student.id)];
+    enrollments
+        .filter(enrollment => this.getCourse(enrollment.courseId))
+        .forEach(enrollment => this.addToCourse(deletedData.student, enrollment.courseId));
     
     // Restore logs if they exist
     if (deletedData.logs && Array.isArray(deletedData.logs) && deletedData.logs.length > 0) {
@@ -264,6 +480,7 @@ restoreStudent(id) {
     }
     
     this.saveToStorage();
+    this.notifyChange('student-restored', { student: deletedData.student });
     console.log('Student restored successfully:', deletedData.student);
     return deletedData.student;
 }
@@ -331,11 +548,17 @@ importData(data) {
         this.studentRecords = data.studentRecords;
         this.attendanceLogs = data.attendanceLogs;
         this.deletedStudents = data.deletedStudents || [];
+        this.courses = data.courses || this.courses;
+        this.enrollments = this.getImportedEnrollments(data);
+        this.holidays = data.holidays || this.holidays;
+        this.notifications = data.notifications || this.notifications;
+        this.notificationTemplates = data.notificationTemplates || this.notificationTemplates;
         
         // Validate and fix deleted students structure after import
         this.validateAndFixDeletedStudentsStructure();
         
         this.saveToStorage();
+        this.notifyChange('data-imported');
         
         return {
             success: true,
@@ -352,6 +575,11 @@ importData(data) {
         this.studentRecords = backup.studentRecords;
         this.attendanceLogs = backup.attendanceLogs;
         this.deletedStudents = backup.deletedStudents;
+        this.courses = backup.courses;
+        this.enrollments = backup.enrollments;
+        this.holidays = backup.holidays;
+        this.notifications = backup.notifications;
+        this.notificationTemplates = backup.notificationTemplates;
         this.saveToStorage();
         
         throw new Error(`Import failed: ${error.message}`);
@@ -369,8 +597,10 @@ importData(data) {
             // Remove associated records permanently
             this.studentRecords = this.studentRecords.filter(record => record.id != id);
             this.attendanceLogs = this.attendanceLogs.filter(log => log.studentId != id);
+            this.enrollments = this.enrollments.filter(enrollment => enrollment.studentId != id);
             
             this.saveToStorage();
+            this.notifyChange('student-deleted-permanently', { student: deletedStudent, source: 'active' });
             return { student: deletedStudent, source: 'active' };
         }
         
@@ -379,6 +609,7 @@ importData(data) {
         if (deletedIndex !== -1) {
             const deletedData = this.deletedStudents.splice(deletedIndex, 1)[0];
             this.saveToStorage();
+            this.notifyChange('student-deleted-permanently', { student: deletedData.student, source: 'deleted' });
             return { student: deletedData.student, source: 'deleted' };
         }
         
@@ -395,6 +626,7 @@ importData(data) {
         const count = this.deletedStudents.length;
         this.deletedStudents = [];
         this.saveToStorage();
+        this.notifyChange('deleted-students-cleared', { count });
         return count;
     }
 
@@ -419,31 +651,374 @@ importData(data) {
         });
     }
 
+    // Courses (classes). The default course always exists and is stored once its
+    // settings have been changed; the app shows one course at a time.
+    getCourses() {
+        const others = this.courses.filter(course => course.id !== CONFIG.courses.defaultId);
+        return [this.getCourse(CONFIG.courses.defaultId), ...others];
+    }
+
+    getCourse(courseId = this.getCurrentCourseId()) {
+        const course = this.courses.find(item => item.id === courseId);
+        if (course) {
+            return course;
+        }
+        return courseId === CONFIG.courses.defaultId ? CONFIG.createDefaultCourse() : null;
+    }
+
+    // The course shown in the app (the default one if it was deleted on another device)
+    getCurrentCourseId() {
+        return this.courses.some(course => course.id === this.currentCourseId)
+            ? this.currentCourseId
+            : CONFIG.courses.defaultId;
+    }
+
+    // Switching courses is a setting of this device, not a change to the data
+    setCurrentCourse(courseId) {
+        const course = this.getCourse(courseId);
+        if (!course) {
+            throw new Error(`Class ${courseId} not found`);
+        }
+
+        this.currentCourseId = course.id;
+        this.saveToStorage();
+        return course;
+    }
+
+    getSessionCount(courseId = this.getCurrentCourseId()) {
+        return CONFIG.getSessionCount(this.getCourse(courseId));
+    }
+
+    addCourse(courseData) {
+        const course = CONFIG.createCourse(courseData);
+        const errors = this.validateCourse({ ...course, name: courseData.name });
+        if (errors.length > 0) {
+            throw new Error(errors.join(', '));
+        }
+
+        this.courses.push(course);
+        this.saveToStorage();
+        this.notifyChange('course-added', { course, label: `Add class "${course.name}"` });
+        return course;
+    }
+
+    // Change a course's name, number of sessions, schedule or recurring rule (null removes
+    // it, keeping the dates it planned); records get empty entries for any sessions added,
+    // and entries beyond a lower count are kept (they are just not shown). A course with
+    // a recurring rule has its session dates planned again when the rule or the number
+    // of sessions changes.
+    updateCourse(courseId, updates) {
+        const current = this.getCourse(courseId);
+        if (!current) {
+            throw new Error(`Class ${courseId} not found`);
+        }
+
+        const course = {
+            ...current,
+            ...(updates.name !== undefined ? { name: String(updates.name).trim() } : {}),
+            ...(updates.sessionCount !== undefined ? { sessionCount: updates.sessionCount } : {}),
+            ...(updates.schedule !== undefined ? { schedule: updates.schedule } : {}),
+            ...(updates.recurrence !== undefined ? { recurrence: updates.recurrence } : {})
+        };
+        if (!course.recurrence) {
+            delete course.recurrence;
+        }
+        const errors = this.validateCourse(course);
+        if (errors.length > 0) {
+            throw new Error(errors.join(', '));
+        }
+
+        const recurrenceChanged = JSON.stringify(course.recurrence) !== JSON.stringify(current.recurrence);
+        if (course.recurrence && (recurrenceChanged || course.sessionCount !== current.sessionCount)) {
+            course.schedule = CONFIG.planSchedule(course, this.getHolidayDates());
+        }
+        const scheduleChanged = JSON.stringify(course.schedule || {}) !== JSON.stringify(current.schedule || {});
+        if (course.name === current.name && course.sessionCount === current.sessionCount && !scheduleChanged && !recurrenceChanged) {
+            return current;
+        }
+
+        course.updatedAt = new Date().toISOString();
+        const label = course.sessionCount !== current.sessionCount
+            ? `Set sessions to ${course.sessionCount}`
+            : course.name !== current.name ? `Rename class to "${course.name}"`
+            : recurrenceChanged ? 'Change recurring sessions' : 'Change session plan';
+
+        this.runBatch('course-updated', () => {
+            const index = this.courses.findIndex(item => item.id === course.id);
+            if (index >= 0) {
+                this.courses[index] = course;
+            } else {
+                this.courses.push(course);
+            }
+            this.growStudentRecords(course.id, course.sessionCount);
+            this.saveToStorage();
+        }, { course, label });
+
+        return course;
+    }
+
+    setSessionCount(count, courseId = this.getCurrentCourseId()) {
+        const error = CONFIG.validateSessionCount(count);
+        if (error) {
+            throw new Error(error);
+        }
+        return this.updateCourse(courseId, { sessionCount: count });
+    }
+
+    // Change the plan of some of a course's sessions (date, start, end, graceMinutes,
+    // room, center, topic). Fields set to null or '' are cleared; a session left without
+    // a date or start time is taken off the schedule.
+    setSessionSchedule(sessionNumbers, fields, courseId = this.getCurrentCourseId()) {
+        const course = this.getCourse(courseId);
+        if (!course) {
+            throw new Error(`Class ${courseId} not found`);
+        }
+
+        const schedule = { ...course.schedule };
+        sessionNumbers.forEach(n => {
+            const entry = { ...schedule[n], ...fields };
+            Object.keys(entry).forEach(field => {
+                if (entry[field] === null || entry[field] === '') {
+                    delete entry[field];
+                }
+            });
+
+            if (entry.date || entry.start) {
+                schedule[n] = entry;
+            } else {
+                delete schedule[n];
+            }
+        });
+        return this.updateCourse(course.id, { schedule });
+    }
+
+    // Date sessions of a course with a recurring rule (see CONFIG.validateRecurrence);
+    // null stops planning by rule and keeps the dates
+    setRecurrence(rule, courseId = this.getCurrentCourseId()) {
+        return this.updateCourse(courseId, { recurrence: rule });
+    }
+
+    // Session number planned for today in a course; null if none is
+    getTodaySession(courseId = this.getCurrentCourseId()) {
+        return CONFIG.getSessionOnDate(this.getCourse(courseId), new Date().toLocaleDateString('en-US'));
+    }
+
+    // Planned sessions of every course between two dates (inclusive), in date order:
+    // { date, courseId, courseName, session, ...plan }
+    getScheduledSessions(from, to) {
+        const start = CONFIG.toDate(from);
+        const end = CONFIG.toDate(to);
+        const sessions = [];
+
+        this.getCourses().forEach(course => {
+            for (let i = 1; i <= CONFIG.getSessionCount(course); i++) {
+                const plan = CONFIG.getSessionSchedule(course, i);
+                const date = plan && CONFIG.toDate(plan.date);
+                if (date && date >= start && date <= end) {
+                    sessions.push({ ...plan, courseId: course.id, courseName: course.name, session: i, day: date });
+                }
+            }
+        });
+
+        return sessions
+            .sort((a, b) => a.day - b.day || String(a.start || '').localeCompare(String(b.start || '')))
+            .map(({ day, ...session }) => session);
+    }
+
+    // Holidays, in date order
+    getHolidays() {
+        return [...this.holidays].sort((a, b) => CONFIG.toDate(a.date) - CONFIG.toDate(b.date));
+    }
+
+    getHolidayDates() {
+        return this.holidays.map(holiday => holiday.date);
+    }
+
+    // Add (or rename) a holiday; classes with a recurring rule are planned around it
+    addHoliday(holidayData) {
+        const date = CONFIG.toDate(holidayData.date);
+        const holiday = {
+            date: date ? CONFIG.formatDate(date) : holidayData.date,
+            name: String(holidayData.name || '').trim()
+        };
+        const errors = CONFIG.validateHoliday(holiday);
+        if (errors.length > 0) {
+            throw new Error(errors.join(', '));
+        }
+
+        this.runBatch('holiday-added', () => {
+            this.holidays = [...this.holidays.filter(item => item.date !== holiday.date), holiday];
+            this.replanCourses();
+            this.saveToStorage();
+        }, { holiday, label: `Add holiday ${holiday.date}` });
+        return holiday;
+    }
+
+    removeHoliday(date) {
+        const holiday = this.holidays.find(item => item.date === date);
+        if (!holiday) {
+            throw new Error(`No holiday on ${date}`);
+        }
+
+        this.runBatch('holiday-removed', () => {
+            this.holidays = this.holidays.filter(item => item !== holiday);
+            this.replanCourses();
+            this.saveToStorage();
+        }, { holiday, label: `Remove holiday ${holiday.date}` });
+        return holiday;
+    }
+
+    // Plan the sessions of classes with a recurring rule again (after the holidays changed)
+    replanCourses() {
+        this.courses = this.courses.map(course => {
+            if (!course.recurrence) {
+                return course;
+            }
+            const schedule = CONFIG.planSchedule(course, this.getHolidayDates());
+            return JSON.stringify(schedule) === JSON.stringify(course.schedule || {})
+                ? course
+                : { ...course, schedule, updatedAt: new Date().toISOString() };
+        });
+    }
+
+    // Only a course without students can be deleted; records and logs left from students
+    // who were taken off its roster go with it
+    deleteCourse(courseId) {
+        const course = this.getCourse(courseId);
+        if (!course) {
+            throw new Error(`Class ${courseId} not found`);
+        }
+        if (course.id === CONFIG.courses.defaultId) {
+            throw new Error(`"${course.name}" is the default class and cannot be deleted`);
+        }
+        if (this.getEnrollments(course.id).length > 0) {
+            throw new Error(`"${course.name}" still has students - remove them from the class first`);
+        }
+
+        this.courses = this.courses.filter(item => item.id !== course.id);
+        this.studentRecords = this.studentRecords.filter(record => CONFIG.getCourseId(record) !== course.id);
+        this.attendanceLogs = this.attendanceLogs.filter(log => CONFIG.getCourseId(log) !== course.id);
+        this.saveToStorage();
+        this.notifyChange('course-deleted', { course, label: `Delete class "${course.name}"` });
+        return course;
+    }
+
+    // True when deleting the course would also delete records or logs
+    courseHasData(courseId) {
+        return this.studentRecords.some(record => CONFIG.getCourseId(record) === courseId) ||
+            this.attendanceLogs.some(log => CONFIG.getCourseId(log) === courseId);
+    }
+
+    validateCourse(course) {
+        const errors = CONFIG.validateCourse(course);
+        const name = String(course.name || '').trim().toLowerCase();
+        if (name && this.getCourses().some(other => other.id !== course.id && other.name.toLowerCase() === name)) {
+            errors.push(`A class named "${course.name}" already exists`);
+        }
+        return errors;
+    }
+
+    // Give the course's records entries for sessions 1..count
+    growStudentRecords(courseId, count) {
+        this.studentRecords = this.studentRecords.map(record => {
+            if (CONFIG.getCourseId(record) !== courseId) {
+                return record;
+            }
+            const sessions = CONFIG.fillSessions(record.sessions, count);
+            if (Object.keys(sessions).length === Object.keys(record.sessions || {}).length) {
+                return record;
+            }
+            return { ...record, sessions, updatedAt: new Date().toISOString() };
+        });
+    }
+
+    // Rosters: an enrolment puts a student on a course's roster and comes with the
+    // student's record for that course (the record is kept if they leave the class)
+    getEnrollments(courseId = this.getCurrentCourseId()) {
+        return this.enrollments.filter(enrollment => enrollment.courseId === courseId);
+    }
+
+    isEnrolled(studentId, courseId = this.getCurrentCourseId()) {
+        return this.enrollments.some(enrollment =>
+            enrollment.courseId === courseId && enrollment.studentId == studentId);
+    }
+
+    // Students on a course's roster, in the order they were added
+    getCourseStudents(courseId = this.getCurrentCourseId()) {
+        const enrolled = new Set(this.getEnrollments(courseId).map(enrollment => String(enrollment.studentId)));
+        return this.students.filter(student => enrolled.has(String(student.id)));
+    }
+
+    getStudentCourses(studentId) {
+        return this.getCourses().filter(course => this.isEnrolled(studentId, course.id));
+    }
+
+    enrollStudent(studentId, courseId = this.getCurrentCourseId()) {
+        const student = this.getStudentById(studentId);
+        if (!student) {
+            throw new Error(`Student with ID ${studentId} not found`);
+        }
+        const course = this.getCourse(courseId);
+        if (!course) {
+            throw new Error(`Class ${courseId} not found`);
+        }
+        if (this.isEnrolled(student.id, course.id)) {
+            throw new Error(`${student.fullName} is already in ${course.name}`);
+        }
+
+        this.addToCourse(student, course.id);
+        this.saveToStorage();
+        this.notifyChange('student-enrolled', { student, course });
+        return student;
+    }
+
+    unenrollStudent(studentId, courseId = this.getCurrentCourseId()) {
+        const index = this.enrollments.findIndex(enrollment =>
+            enrollment.courseId === courseId && enrollment.studentId == studentId);
+        if (index === -1) {
+            throw new Error(`Student with ID ${studentId} is not in this class`);
+        }
+
+        const enrollment = this.enrollments.splice(index, 1)[0];
+        this.saveToStorage();
+        this.notifyChange('student-unenrolled', { enrollment });
+        return enrollment;
+    }
+
+    // Put a student on a course's roster, with a record for the course (not saved)
+    addToCourse(student, courseId) {
+        if (!this.getCourse(courseId)) {
+            throw new Error(`Class ${courseId} not found`);
+        }
+        if (!this.isEnrolled(student.id, courseId)) {
+            this.enrollments.push(CONFIG.createEnrollment(student.id, courseId));
+        }
+        return this.createStudentRecord(student, courseId);
+    }
+
+    // Enrolments of imported data; backups from before classes put every student in the
+    // default class
+    getImportedEnrollments(data) {
+        return Array.isArray(data.enrollments)
+            ? data.enrollments
+            : data.students.map(student => CONFIG.createEnrollment(student.id));
+    }
+
     // Student Records Management
-    createStudentRecord(student) {
-        const existingRecord = this.studentRecords.find(record => record.id == student.id);
+    createStudentRecord(student, courseId = this.getCurrentCourseId()) {
+        const existingRecord = this.getStudentRecord(student.id, courseId);
         if (existingRecord) {
             return existingRecord;
         }
 
-        const record = {
+        const record = CONFIG.withCourse({
             id: student.id,
             fullName: student.fullName,
             parentPhone: student.parentPhone,
-            sessions: {},
+            sessions: CONFIG.fillSessions({}, this.getSessionCount(courseId)),
             createdAt: new Date().toISOString(),
             updatedAt: new Date().toISOString()
-        };
-
-        // Initialize sessions
-        for (let i = 1; i <= CONFIG.sessions.maxSessions; i++) {
-            record.sessions[i] = {
-                attendance: null,
-                homework: null,
-                quiz: null,
-                date: null
-            };
-        }
+        }, courseId);
 
         this.studentRecords.push(record);
         this.saveToStorage();
@@ -451,37 +1026,45 @@ importData(data) {
         return record;
     }
 
-    getStudentRecord(studentId) {
-        return this.studentRecords.find(record => record.id == studentId);
+    getStudentRecord(studentId, courseId = this.getCurrentCourseId()) {
+        return this.studentRecords.find(record => record.id == studentId && CONFIG.getCourseId(record) === courseId);
     }
 
-    getAllStudentRecords() {
-        return [...this.studentRecords];
+    // Records of the students on a course's roster
+    getAllStudentRecords(courseId = this.getCurrentCourseId()) {
+        const enrolled = new Set(this.getEnrollments(courseId).map(enrollment => String(enrollment.studentId)));
+        return this.studentRecords.filter(record =>
+            CONFIG.getCourseId(record) === courseId && enrolled.has(String(record.id)));
     }
 
-    updateStudentSession(studentId, sessionNumber, sessionData) {
-        let studentRecord = this.getStudentRecord(studentId);
+    updateStudentSession(studentId, sessionNumber, sessionData, courseId = this.getCurrentCourseId()) {
+        let studentRecord = this.getStudentRecord(studentId, courseId);
         
         if (!studentRecord) {
             const student = this.getStudentById(studentId);
             if (!student) {
                 throw new Error(`Student with ID ${studentId} not found`);
             }
-            studentRecord = this.createStudentRecord(student);
+            if (!this.isEnrolled(student.id, courseId)) {
+                throw new Error(`${student.fullName} is not in ${this.getCourse(courseId).name}`);
+            }
+            studentRecord = this.createStudentRecord(student, courseId);
         }
 
-        if (sessionNumber < 1 || sessionNumber > CONFIG.sessions.maxSessions) {
-            throw new Error(`Session number must be between 1 and ${CONFIG.sessions.maxSessions}`);
+        const sessionCount = this.getSessionCount(courseId);
+        if (sessionNumber < 1 || sessionNumber > sessionCount) {
+            throw new Error(`Session number must be between 1 and ${sessionCount}`);
         }
 
-        studentRecord.sessions[sessionNumber] = {
+        studentRecord.sessions[sessionNumber] = CONFIG.withAttendanceDetails({
             ...studentRecord.sessions[sessionNumber],
             ...sessionData,
             date: sessionData.date || new Date().toLocaleDateString('en-US')
-        };
+        });
 
         studentRecord.updatedAt = new Date().toISOString();
         this.saveToStorage();
+        this.notifyChange('session-updated', { studentId, sessionNumber, courseId, record: studentRecord });
         
         return studentRecord;
     }
@@ -495,15 +1078,17 @@ importData(data) {
             }
         }
 
-        // Check for existing log for same student, session, and date
+        // Check for existing log for same student, course, session, and date
+        const courseId = logData.courseId || this.getCurrentCourseId();
         const today = logData.date || new Date().toLocaleDateString('en-US');
         const existingLogIndex = this.attendanceLogs.findIndex(log =>
             log.studentId == logData.studentId &&
             log.date === today &&
-            log.session == logData.session
+            log.session == logData.session &&
+            CONFIG.getCourseId(log) === courseId
         );
 
-        const logEntry = {
+        const logEntry = CONFIG.withCourse(CONFIG.withAttendanceDetails({
             id: logData.id || Date.now() + Math.random() * 1000,
             date: today,
             time: logData.time || new Date().toLocaleTimeString('en-US'),
@@ -511,11 +1096,13 @@ importData(data) {
             studentName: logData.studentName,
             session: parseInt(logData.session),
             attendance: logData.attendance,
+            minutesLate: logData.minutesLate,
+            reason: logData.reason,
             homework: logData.homework || CONFIG.homework.defaultOption,
             quiz: parseInt(logData.quiz) || CONFIG.quiz.defaultScore,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
+            createdAt: logData.createdAt || new Date().toISOString(),
+            updatedAt: logData.updatedAt || new Date().toISOString()
+        }), courseId);
 
         if (existingLogIndex >= 0) {
             // Update existing log
@@ -528,29 +1115,71 @@ importData(data) {
         }
 
         this.saveToStorage();
+        this.notifyChange('attendance-logged', { log: logEntry });
         return logEntry;
     }
 
-    getAttendanceLogs(filters = {}) {
-        let logs = [...this.attendanceLogs];
-
-        if (filters.studentId) {
-            logs = logs.filter(log => log.studentId == filters.studentId);
+    // Record attendance for a session of the current course (or entry.courseId):
+    // updates the student record and writes the log. entry.minutesLate and entry.reason
+    // are kept for the statuses that record them.
+    // Students marked present after the session's grace period, on the session's day, are
+    // tagged late unless entry.detectLate is false.
+    recordAttendance(student, sessionNumber, entry) {
+        const date = entry.date || new Date().toLocaleDateString('en-US');
+        const time = entry.time || new Date().toLocaleTimeString('en-US');
+        const courseId = entry.courseId || this.getCurrentCourseId();
+        const schedule = CONFIG.getSessionSchedule(this.getCourse(courseId), sessionNumber);
+        const marked = entry.detectLate === false ? entry : CONFIG.withLateDetection(entry, schedule, time, date);
+        const details = { minutesLate: marked.minutesLate, reason: marked.reason };
+
+        const errors = CONFIG.validateAttendanceDetails(details);
+        if (errors.length > 0) {
+            throw new Error(errors.join(', '));
         }
 
-        if (filters.session) {
-            logs = logs.filter(log => log.session == filters.session);
-        }
+        const { record, log } = this.runMuted(() => ({
+            record: this.updateStudentSession(student.id, sessionNumber, {
+                attendance: marked.attendance,
+                ...details,
+                homework: entry.homework,
+                quiz: entry.quiz,
+                date
+            }, courseId),
+            log: this.addAttendanceLog({
+                studentId: student.id,
+                studentName: student.fullName,
+                session: sessionNumber,
+                attendance: marked.attendance,
+                ...details,
+                homework: entry.homework,
+                quiz: entry.quiz,
+                date,
+                time,
+                courseId
+            })
+        }));
+
+        this.notifyChange('attendance-marked', { record, log });
+        return log;
+    }
 
-        if (filters.date) {
-            logs = logs.filter(log => log.date === filters.date);
-        }
+    // Logs of a course (filters.courseId, the current course by default) matching the
+    // filters (see LogQuery.filter), in stored order unless filters.sort is given
+    getAttendanceLogs(filters = {}) {
+        const { courseId = this.getCurrentCourseId(), ...query } = filters;
+        const logs = LogQuery.filter(this.getCourseLogs(courseId), query);
+        return query.sort ? LogQuery.sort(logs, query.sort) : logs;
+    }
 
-        if (filters.attendance) {
-            logs = logs.filter(log => log.attendance === filters.attendance);
-        }
+    // One page of filtered, sorted logs: { logs, total, nextCursor }. Pass nextCursor
+    // back as query.cursor (with the same filters and sort) to get the next page.
+    queryAttendanceLogs(query = {}) {
+        const { courseId = this.getCurrentCourseId(), ...rest } = query;
+        return LogQuery.run(this.getCourseLogs(courseId), rest);
+    }
 
-        return logs;
+    getCourseLogs(courseId) {
+        return this.attendanceLogs.filter(log => CONFIG.getCourseId(log) === courseId);
     }
 
     getTodayAttendance() {
@@ -560,32 +1189,75 @@ importData(data) {
 
     // Statistics and Analytics
     getStatistics() {
-        const today = new Date().toLocaleDateString('en-US');
         const todayLogs = this.getTodayAttendance();
+        const todayOptions = todayLogs.map(log => CONFIG.getAttendanceOption(log.attendance) || {});
 
         return {
-            totalStudents: this.students.length,
+            totalStudents: this.getCourseStudents().length,
             deletedStudents: this.deletedStudents.length,
-            totalRecords: this.attendanceLogs.length,
-            todayPresent: todayLogs.filter(log => log.attendance === 'present').length,
-            todayAbsent: todayLogs.filter(log => log.attendance === 'absent').length,
-            totalSessions: CONFIG.sessions.maxSessions,
+            totalRecords: this.getCourseLogs(this.getCurrentCourseId()).length,
+            // Late and left-early students were there; excused ones are counted apart
+            todayPresent: todayOptions.filter(option => option.weight > 0).length,
+            todayAbsent: todayOptions.filter(option => !(option.weight > 0) && !option.excused).length,
+            todayExcused: todayOptions.filter(option => option.excused).length,
+            totalSessions: this.getSessionCount(),
             lastUpdated: new Date().toISOString()
         };
     }
 
-    getStudentStatistics(studentId) {
-        const logs = this.getAttendanceLogs({ studentId });
-        const record = this.getStudentRecord(studentId);
+    // Punctuality of a student in a course, from the sessions they attended: on-time and
+    // late counts, average minutes late, their last check-ins (minutes late, 0 when on
+    // time) and a trend comparing the earlier half of those sessions with the later half
+    getPunctuality(studentId, courseId = this.getCurrentCourseId()) {
+        const attended = this.getAttendanceLogs({ studentId, courseId, sort: ['date', 'time'] })
+            .filter(log => (CONFIG.getAttendanceOption(log.attendance) || {}).weight > 0);
+        const late = attended.filter(log => log.attendance === 'late');
+        const minutesLate = attended.map(log => log.attendance === 'late' ? Number(log.minutesLate) || 0 : 0);
+        const average = list => list.length > 0 ? list.reduce((sum, minutes) => sum + minutes, 0) / list.length : 0;
+
+        let trend = null;
+        if (attended.length >= CONFIG.schedule.trendMinSessions) {
+            const half = Math.floor(attended.length / 2);
+            const change = average(minutesLate.slice(-half)) - average(minutesLate.slice(0, half));
+            trend = change >= 1 ? 'worsening' : change <= -1 ? 'improving' : 'steady';
+        }
+
+        return {
+            attended: attended.length,
+            onTime: attended.length - late.length,
+            late: late.length,
+            averageMinutesLate: Math.round(average(late.map(log => Number(log.minutesLate) || 0))),
+            recent: minutesLate.slice(-CONFIG.schedule.recentCheckIns),
+            trend
+        };
+    }
+
+    // Punctuality of every student in a course, the most often late first
+    getPunctualityReport(courseId = this.getCurrentCourseId()) {
+        return this.getCourseStudents(courseId)
+            .map(student => ({ student, ...this.getPunctuality(student.id, courseId) }))
+            .sort((a, b) => b.late - a.late || b.averageMinutesLate - a.averageMinutesLate);
+    }
+
+    getStudentStatistics(studentId, courseId = this.getCurrentCourseId()) {
+        const logs = this.getAttendanceLogs({ studentId, courseId });
+        const record = this.getStudentRecord(studentId, courseId);
 
         if (!record) {
             return null;
         }
 
+        const statusCounts = {};
+        CONFIG.attendance.options.forEach(option => {
+            statusCounts[option.value] = logs.filter(log => log.attendance === option.value).length;
+        });
+
         const stats = {
             totalAttendance: logs.length,
-            presentCount: logs.filter(log => log.attendance === 'present').length,
-            absentCount: logs.filter(log => log.attendance === 'absent').length,
+            presentCount: statusCounts.present || 0,
+            absentCount: statusCounts.absent || 0,
+            statusCounts,
+            punctuality: this.getPunctuality(studentId, courseId),
             homeworkComplete: 0,
             homeworkPartial: 0,
             homeworkNotDone: 0,
@@ -613,28 +1285,131 @@ importData(data) {
             stats.averageQuizScore = (totalQuizScore / quizCount).toFixed(2);
         }
 
-        stats.attendanceRate = stats.totalAttendance > 0 
-            ? ((stats.presentCount / stats.totalAttendance) * 100).toFixed(2)
-            : 0;
+        // Weighted per status (see CONFIG.attendance); excused sessions count only if
+        // CONFIG.attendance.excusedCountsAgainstRate is set
+        const rate = CONFIG.getAttendanceRate(logs.map(log => log.attendance));
+        stats.attendanceRate = rate === null ? 0 : rate.toFixed(2);
 
         return stats;
     }
 
+    // Parent notifications (see Notifications; the sync server delivers queued messages)
+    getNotificationTemplates() {
+        return Notifications.getTemplates(this.notificationTemplates);
+    }
+
+    // Change a message template ({ body, enabled }; fields left out keep their value)
+    updateNotificationTemplate(type, changes) {
+        const current = this.getNotificationTemplates()[type];
+        const template = {
+            type,
+            body: changes.body !== undefined ? changes.body : current && current.body,
+            enabled: changes.enabled !== undefined ? changes.enabled : !current || current.enabled,
+            updatedAt: new Date().toISOString()
+        };
+        const errors = Notifications.validateTemplate(template);
+        if (errors.length > 0) {
+            throw new Error(errors.join(', '));
+        }
+
+        this.runBatch('notification-template-updated', () => {
+            this.notificationTemplates = [...this.notificationTemplates.filter(item => item.type !== type), template];
+            this.saveToStorage();
+        }, { template, label: `Change "${current.label}" message` });
+        return template;
+    }
+
+    // Queue messages for the parents of a course's students after a session (see
+    // Notifications.composeSessionMessages); returns { queued, cancelled, unchanged, skipped }
+    closeSession(sessionNumber, courseId = this.getCurrentCourseId()) {
+        const course = this.getCourse(courseId);
+        if (!course) {
+            throw new Error(`Class ${courseId} not found`);
+        }
+
+        const actor = typeof this.getActor === 'function' ? this.getActor() : {};
+        const result = Notifications.composeSessionMessages({
+            course,
+            session: sessionNumber,
+            students: this.getCourseStudents(course.id),
+            getEntry: student => {
+                const record = this.getStudentRecord(student.id, course.id);
+                return record && record.sessions ? record.sessions[sessionNumber] : null;
+            },
+            templates: this.getNotificationTemplates(),
+            existing: this.notifications,
+            date: new Date().toLocaleDateString('en-US'),
+            createdBy: actor.user || undefined
+        });
+
+        if (result.messages.length > 0) {
+            this.runBatch('session-closed', () => {
+                const ids = new Set(result.messages.map(message => message.id));
+                this.notifications = [...result.messages, ...this.notifications.filter(message => !ids.has(message.id))];
+                this.saveToStorage();
+            }, { course, session: sessionNumber, label: `Close ${CONFIG.getSessionName(sessionNumber)} of ${course.name}` });
+        }
+
+        const { messages, ...counts } = result;
+        return counts;
+    }
+
+    // Messages, newest first (filters: status, channel, courseId, session, studentId)
+    getNotifications(filters = {}) {
+        return this.notifications
+            .filter(message => Object.keys(filters).every(field =>
+                filters[field] === undefined || filters[field] === '' || String(message[field]) === String(filters[field])))
+            .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+    }
+
+    // Send a failed or cancelled message again
+    retryNotification(id) {
+        return this.updateNotification(id, message => Notifications.retry(message), 'Send message again');
+    }
+
+    cancelNotification(id) {
+        return this.updateNotification(id, message => Notifications.cancel(message), 'Cancel message');
+    }
+
+    updateNotification(id, update, label) {
+        const index = this.notifications.findIndex(message => message.id === id);
+        if (index < 0) {
+            throw new Error(`Message ${id} not found`);
+        }
+
+        const message = update(this.notifications[index]);
+        this.runBatch('notification-updated', () => {
+            this.notifications[index] = message;
+            this.saveToStorage();
+        }, { notification: message, label });
+        return message;
+    }
+
     // Data Persistence
     saveToStorage() {
+        if (this.savesHeld > 0) {
+            this.savePending = true;
+            return true;
+        }
+
         try {
             const data = {
                 students: this.students,
                 studentRecords: this.studentRecords,
                 attendanceLogs: this.attendanceLogs,
                 deletedStudents: this.deletedStudents,
+                courses: this.courses,
+                enrollments: this.enrollments,
+                holidays: this.holidays,
+                notifications: this.notifications,
+                notificationTemplates: this.notificationTemplates,
+                currentCourseId: this.currentCourseId,
                 lastSaved: new Date().toISOString(),
                 version: CONFIG.app.version
             };
             
-            // In a real application, you might save to localStorage, IndexedDB, or a server
-            // For now, we'll just keep data in memory
-            this._savedData = data;
+            // Writes are debounced and committed asynchronously by the storage backend
+            this.storage.save('appData', data);
             
             return true;
         } catch (error) {
@@ -643,29 +1418,75 @@ importData(data) {
         }
     }
 
-    loadFromStorage() {
+    async loadFromStorage() {
         try {
-            // In a real application, you might load from localStorage, IndexedDB, or a server
-            if (this._savedData) {
-                this.students = this._savedData.students || [];
-                this.studentRecords = this._savedData.studentRecords || [];
-                this.attendanceLogs = this._savedData.attendanceLogs || [];
-                this.deletedStudents = this._savedData.deletedStudents || [];
+            const { data, status } = await this.storage.load('appData', stored =>
+                ['students', 'studentRecords', 'attendanceLogs'].every(field => Array.isArray(stored[field]))
+            );
+            this.storageStatus = status;
+
+            if (data) {
+                this.students = data.students || [];
+                this.studentRecords = data.studentRecords || [];
+                this.attendanceLogs = data.attendanceLogs || [];
+                this.deletedStudents = data.deletedStudents || [];
+                this.courses = data.courses || [];
+                // Data from before classes: every student is in the default class
+                this.enrollments = Array.isArray(data.enrollments)
+                    ? data.enrollments
+                    : this.students.map(student => CONFIG.createEnrollment(student.id));
+                this.holidays = data.holidays || [];
+                this.notifications = data.notifications || [];
+                this.notificationTemplates = data.notificationTemplates || [];
+                this.currentCourseId = data.currentCourseId || CONFIG.courses.defaultId;
             }
+
+            const audit = await this.storage.load('auditLog', stored => Array.isArray(stored));
+            this.auditLog = audit.data || [];
             
             return true;
         } catch (error) {
             console.error('Failed to load data:', error);
+            this.storageStatus = 'load-failed';
             return false;
         }
     }
 
+    // True when closing the page now could lose data
+    hasUnsavedChanges() {
+        return this.storage.hasPendingWrites() || !this.storage.isPersistent();
+    }
+
     clearAllData() {
         this.students = [];
         this.studentRecords = [];
         this.attendanceLogs = [];
         this.deletedStudents = [];
+        this.enrollments = [];
         this.saveToStorage();
+        this.notifyChange('data-cleared');
+    }
+
+    // Replace local data with data received from the sync server
+    applyRemoteData(data) {
+        this.students = data.students || [];
+        this.studentRecords = data.studentRecords || [];
+        this.attendanceLogs = data.attendanceLogs || [];
+        this.deletedStudents = data.deletedStudents || [];
+        this.courses = data.courses || [];
+        this.enrollments = data.enrollments || [];
+        this.holidays = data.holidays || [];
+        this.notifications = data.notifications || [];
+        this.notificationTemplates = data.notificationTemplates || [];
+        this.saveToStorage();
+        this.notifyChange('data-synced', {}, 'remote');
+    }
+
+    // Apply per-entity changes received from the sync server
+    applyRemoteChanges(changes) {
+        DataChanges.applyChanges(this, changes);
+        this.saveToStorage();
+        this.notifyChange('data-synced', { changes }, 'remote');
     }
 
     exportData() {
@@ -674,6 +1495,11 @@ importData(data) {
             studentRecords: this.studentRecords,
             attendanceLogs: this.attendanceLogs,
             deletedStudents: this.deletedStudents,
+            courses: this.courses,
+            enrollments: this.enrollments,
+            holidays: this.holidays,
+            notifications: this.notifications,
+            notificationTemplates: this.notificationTemplates,
             exportedAt: new Date().toISOString(),
             version: CONFIG.app.version
         };
@@ -700,7 +1526,13 @@ importData(data) {
             this.studentRecords = data.studentRecords;
             this.attendanceLogs = data.attendanceLogs;
             this.deletedStudents = data.deletedStudents || [];
+            this.courses = data.courses || this.courses;
+            this.enrollments = this.getImportedEnrollments(data);
+            this.holidays = data.holidays || this.holidays;
+            this.notifications = data.notifications || this.notifications;
+            this.notificationTemplates = data.notificationTemplates || this.notificationTemplates;
             this.saveToStorage();
+            this.notifyChange('data-imported');
             
             return {
                 success: true,
@@ -717,6 +1549,11 @@ importData(data) {
             this.studentRecords = backup.studentRecords;
             this.attendanceLogs = backup.attendanceLogs;
             this.deletedStudents = backup.deletedStudents;
+            this.courses = backup.courses;
+            this.enrollments = backup.enrollments;
+            this.holidays = backup.holidays;
+            this.notifications = backup.notifications;
+            this.notificationTemplates = backup.notificationTemplates;
             this.saveToStorage();
             
             throw new Error(`Import failed: ${error.message}`);
@@ -765,7 +1602,7 @@ generateNextAvailableId() {
 }
 
 // Enhanced addStudent method with better error handling
-addStudent(studentData) {
+addStudent(studentData, courseId = this.getCurrentCourseId()) {
     const validation = CONFIG.validateStudent(studentData);
     if (!validation.isValid) {
         throw new Error(`Invalid student data: ${validation.errors.join(', ')}`);
@@ -788,18 +1625,68 @@ addStudent(studentData) {
         gradeLevel: studentData.gradeLevel || '',
         center: studentData.center || '',
         school: studentData.school || '',
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
+        createdAt: studentData.createdAt || new Date().toISOString(), // Kept when restoring an export
+        updatedAt: studentData.updatedAt || new Date().toISOString()
     };
 
     this.students.push(student);
-    this.createStudentRecord(student);
+    this.addToCourse(student, courseId);
     this.saveToStorage();
+    this.notifyChange('student-added', { student });
     
     return student;
 }
 }
 
+// Undo step names for change notifications
+DataManager.undoLabels = {
+    'student-added': 'Add student',
+    'student-updated': 'Edit student',
+    'student-deleted': 'Delete student',
+    'student-restored': 'Restore student',
+    'student-deleted-permanently': 'Permanently delete student',
+    'deleted-students-cleared': 'Empty deleted students',
+    'session-updated': 'Update session',
+    'attendance-logged': 'Log attendance',
+    'attendance-marked': 'Mark attendance',
+    'data-imported': 'Import',
+    'data-cleared': 'Clear all data',
+    'course-added': 'Add class',
+    'course-updated': 'Change class',
+    'holiday-added': 'Add holiday',
+    'holiday-removed': 'Remove holiday',
+    'session-closed': 'Close session',
+    'notification-updated': 'Change message',
+    'notification-template-updated': 'Change message template',
+    'course-deleted': 'Delete class',
+    'student-enrolled': 'Add student to class',
+    'student-unenrolled': 'Remove student from class'
+};
+
+// Collections each kind of local change can touch; other types compare every collection
+DataManager.changedCollections = {
+    'student-added': ['students', 'studentRecords', 'enrollments'],
+    'student-updated': ['students', 'studentRecords'],
+    'student-deleted': ['students', 'studentRecords', 'attendanceLogs', 'enrollments', 'deletedStudents'],
+    'student-restored': ['students', 'studentRecords', 'attendanceLogs', 'enrollments', 'deletedStudents'],
+    'student-deleted-permanently': ['students', 'studentRecords', 'attendanceLogs', 'enrollments', 'deletedStudents'],
+    'deleted-students-cleared': ['deletedStudents'],
+    'session-updated': ['studentRecords'],
+    'attendance-logged': ['attendanceLogs'],
+    'attendance-marked': ['studentRecords', 'attendanceLogs'],
+    'data-cleared': ['students', 'studentRecords', 'attendanceLogs', 'deletedStudents', 'enrollments'],
+    'course-added': ['courses'],
+    'course-updated': ['courses', 'studentRecords'],
+    'holiday-added': ['holidays', 'courses'],
+    'holiday-removed': ['holidays', 'courses'],
+    'session-closed': ['notifications'],
+    'notification-updated': ['notifications'],
+    'notification-template-updated': ['notificationTemplates'],
+    'course-deleted': ['courses', 'studentRecords', 'attendanceLogs'],
+    'student-enrolled': ['enrollments', 'studentRecords'],
+    'student-unenrolled': ['enrollments']
+};
+
 // Create singleton instance
 const dataManager = new DataManager();
 
@@ -0,0 +1,184 @@
+// data-store.js - File-backed storage for the server's appData
+// Every mutation is appended to a write-ahead log; the log is periodically
+// compacted into a snapshot so startup only replays recent changes.
+// The audit trail has its own file that is only ever appended to.
+const fs = require('fs');
+const path = require('path');
+const DataChanges = require('./data-changes');
+
+// The data holds password hashes and parents' contact details: only the server's user may read it
+const DIR_MODE = 0o700;
+const FILE_MODE = 0o600;
+
+class DataStore {
+    constructor(options = {}) {
+        this.dataDir = options.dataDir || path.join(__dirname, 'data');
+        this.snapshotFile = path.join(this.dataDir, 'appdata.json');
+        this.logFile = path.join(this.dataDir, 'appdata.wal');
+        this.auditFile = path.join(this.dataDir, 'audit.log');
+        this.compactInterval = options.compactInterval || 5 * 60 * 1000; // 5 minutes
+        this.maxLogEntries = options.maxLogEntries || 1000;
+        this.logEntries = 0;
+        this.logFd = null;
+        this.auditFd = null;
+        this.compactTimer = null;
+        this.getData = null;
+    }
+
+    // Load the snapshot and replay the write-ahead log on top of it
+    load(defaults) {
+        if (!fs.existsSync(this.dataDir)) {
+            fs.mkdirSync(this.dataDir, { recursive: true, mode: DIR_MODE });
+        }
+
+        let data = { ...defaults };
+
+        if (fs.existsSync(this.snapshotFile)) {
+            try {
+                data = { ...defaults, ...JSON.parse(fs.readFileSync(this.snapshotFile, 'utf8')) };
+            } catch (error) {
+                const corruptFile = `${this.snapshotFile}.corrupt-${Date.now()}`;
+                fs.renameSync(this.snapshotFile, corruptFile);
+                console.error(`⚠️ Snapshot is unreadable, moved to ${corruptFile}: ${error.message}`);
+            }
+        }
+
+        if (fs.existsSync(this.logFile)) {
+            const lines = fs.readFileSync(this.logFile, 'utf8').split('\n');
+
+            lines.forEach((line, index) => {
+                if (line.trim() === '') return;
+
+                try {
+                    const entry = JSON.parse(line);
+                    DataChanges.applyChanges(data, entry.changes);
+                    entry.changes.forEach(change => {
+                        if (change.seq > (data.seq || 0)) {
+                            data.seq = change.seq;
+                        }
+                    });
+                    if (entry.opId) {
+                        data.processedOps = data.processedOps || [];
+                        data.processedOps.push(entry.opId);
+                    }
+                    data.lastUpdated = entry.at;
+                    this.logEntries++;
+                } catch (error) {
+                    // A torn final line is expected after a crash mid-write
+                    console.error(`⚠️ Skipping unreadable log entry at line ${index + 1}: ${error.message}`);
+                }
+            });
+        }
+
+        this.logFd = this.openPrivate(this.logFile, 'a');
+
+        console.log(`💾 Loaded data from ${this.dataDir} (${this.logEntries} log entries replayed)`);
+        return data;
+    }
+
+    // Start periodic compaction; getData returns the current in-memory data
+    start(getData) {
+        this.getData = getData;
+        this.compactTimer = setInterval(() => {
+            if (this.logEntries > 0) {
+                this.compact();
+            }
+        }, this.compactInterval);
+        this.compactTimer.unref();
+    }
+
+    // Durably append changes (and the client operation that made them) to the write-ahead log
+    append(changes, timestamp = new Date().toISOString(), opId = null) {
+        if (this.logFd === null) {
+            throw new Error('Data store is not open');
+        }
+
+        const entry = opId ? { at: timestamp, changes, opId } : { at: timestamp, changes };
+        const line = JSON.stringify(entry) + '\n';
+        fs.writeSync(this.logFd, line);
+        fs.fsyncSync(this.logFd);
+        this.logEntries++;
+
+        if (this.logEntries >= this.maxLogEntries) {
+            this.compact();
+        }
+    }
+
+    // Read every audit entry (one JSON object per line)
+    loadAudit() {
+        const entries = [];
+
+        if (fs.existsSync(this.auditFile)) {
+            fs.readFileSync(this.auditFile, 'utf8').split('\n').forEach((line, index) => {
+                if (line.trim() === '') return;
+
+                try {
+                    entries.push(JSON.parse(line));
+                } catch (error) {
+                    console.error(`⚠️ Skipping unreadable audit entry at line ${index + 1}: ${error.message}`);
+                }
+            });
+        }
+
+        this.auditFd = this.openPrivate(this.auditFile, 'a');
+        return entries;
+    }
+
+    // Durably append audit entries; compaction never touches this file
+    appendAudit(entries) {
+        if (this.auditFd === null) {
+            throw new Error('Audit trail is not open');
+        }
+        if (entries.length === 0) return;
+
+        fs.writeSync(this.auditFd, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+        fs.fsyncSync(this.auditFd);
+    }
+
+    // Write a full snapshot atomically, then truncate the log
+    compact(data = this.getData && this.getData()) {
+        if (!data || this.logFd === null) return;
+
+        const tempFile = `${this.snapshotFile}.tmp`;
+        const fd = this.openPrivate(tempFile, 'w');
+        try {
+            fs.writeSync(fd, JSON.stringify(data));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tempFile, this.snapshotFile);
+
+        fs.ftruncateSync(this.logFd, 0);
+        fs.fsyncSync(this.logFd);
+        this.logEntries = 0;
+    }
+
+    // Open a file only the server's user can read (files from older versions included)
+    openPrivate(file, flags) {
+        const fd = fs.openSync(file, flags, FILE_MODE);
+        fs.fchmodSync(fd, FILE_MODE);
+        return fd;
+    }
+
+    // Compact and release the log file (used on shutdown)
+    close() {
+        if (this.compactTimer) {
+            clearInterval(this.compactTimer);
+            this.compactTimer = null;
+        }
+
+        if (this.logFd !== null) {
+            this.compact();
+            fs.closeSync(this.logFd);
+            this.logFd = null;
+        }
+
+        if (this.auditFd !== null) {
+            fs.closeSync(this.auditFd);
+            this.auditFd = null;
+        }
+    }
+}
+
+module.exports = DataStore;
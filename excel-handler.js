@@ -4,16 +4,13 @@ class ExcelHandler {
         this.dataManager = dataManager;
     }
 
-    // Helper function to parse session data from Excel
+    // Helper function to parse homework and quiz values from Excel (attendance codes are
+    // read by parseAttendanceValue)
     parseSessionData(value) {
         if (!value || value === '' || value === '-') return null;
         
         const cleanValue = String(value).trim().toLowerCase();
         
-        // Handle attendance
-        if (cleanValue === 'p' || cleanValue === 'present') return 'present';
-        if (cleanValue === 'a' || cleanValue === 'absent') return 'absent';
-        
         // Handle homework
         if (cleanValue === 'c' || cleanValue === 'complete') return 'complete';
         if (cleanValue === 'p' || cleanValue === 'partial') return 'partial';
@@ -28,6 +25,12 @@ class ExcelHandler {
         return cleanValue;
     }
 
+    // Attendance and its detail from a short code such as P, L:15 or E:Sick
+    parseAttendanceValue(value) {
+        if (!value || value === '' || value === '-') return { attendance: null };
+        return CONFIG.parseAttendanceCode(value) || { attendance: null };
+    }
+
     // Parse Excel date values
     parseExcelDate(dateValue) {
         if (!dateValue) return null;
@@ -49,157 +52,859 @@ class ExcelHandler {
         }
     }
 
-    // Find column data using multiple possible column name patterns
-    findColumnData(row, patterns, sessionNumber = null) {
-        const columnNames = sessionNumber 
-            ? patterns.map(pattern => pattern.replace('{n}', sessionNumber))
-            : patterns;
-            
-        for (const columnName of columnNames) {
-            if (row[columnName] !== undefined && row[columnName] !== null && row[columnName] !== '') {
-                return row[columnName];
-            }
-        }
-        return null;
-    }
+    // Staged import: prepareImport reads the first sheet of a file and maps its headers to
+    // fields (see CONFIG.getImportFields), buildImportPreview checks every row against a
+    // mapping, and commitImport adds the rows without errors once the user confirms.
 
-    // Import student data from Excel file
-    async importStudentData(file) {
+    // Workbook in a file (rejects unsupported file types)
+    readWorkbook(file) {
         if (!file) {
-            throw new Error('No file provided');
+            return Promise.reject(new Error('No file provided'));
         }
 
-        // Validate file type
         const fileExtension = file.name.split('.').pop().toLowerCase();
         if (!CONFIG.import.acceptedFileTypes.some(type => type.includes(fileExtension))) {
-            throw new Error(`Unsupported file type. Accepted types: ${CONFIG.import.acceptedFileTypes.join(', ')}`);
+            return Promise.reject(new Error(`Unsupported file type. Accepted types: ${CONFIG.import.acceptedFileTypes.join(', ')}`));
         }
 
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
-            
+
             reader.onload = (e) => {
                 try {
-                    const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, { type: 'array' });
-                    const firstSheetName = workbook.SheetNames[0];
-                    const worksheet = workbook.Sheets[firstSheetName];
-                    const jsonData = XLSX.utils.sheet_to_json(worksheet);
-
-                    const result = this.processImportedData(jsonData);
-                    resolve(result);
+                    resolve(XLSX.read(new Uint8Array(e.target.result), { type: 'array' }));
                 } catch (error) {
                     reject(new Error(`Failed to read Excel file: ${error.message}`));
                 }
             };
-
-            reader.onerror = () => {
-                reject(new Error('Failed to read file'));
-            };
+            reader.onerror = () => reject(new Error('Failed to read file'));
 
             reader.readAsArrayBuffer(file);
         });
     }
 
-    // Process imported Excel data
-    processImportedData(jsonData) {
-        if (!Array.isArray(jsonData) || jsonData.length === 0) {
+    // An import file: its first sheet as { fileName, sheetName, headers, rows: [{ rowNumber, values }] },
+    // or the whole workbook when it is a complete export (see readExportWorkbook)
+    async readImportFile(file) {
+        const workbook = await this.readWorkbook(file);
+        const names = CONFIG.export.sheetNames;
+        if (workbook.SheetNames.includes(names.studentInfo) &&
+            (workbook.SheetNames.includes(names.studentRecords) || workbook.SheetNames.includes(names.attendanceLogs))) {
+            return { fileName: file.name, ...this.readExportWorkbook(workbook) };
+        }
+
+        const sheetName = workbook.SheetNames[0];
+        const sheet = this.readSheet(workbook.Sheets[sheetName]);
+        if (sheet.rows.length === 0) {
             throw new Error('No data found in the Excel file');
         }
+        return { fileName: file.name, sheetName, ...sheet };
+    }
+
+    // { headers, rows: [{ rowNumber, values }] } of a sheet, with values keyed by header
+    // (a repeated header gets " (2)"); empty rows are left out
+    readSheet(sheet) {
+        const table = sheet ? XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' }) : [];
+        const headers = [];
+        (table[0] || []).forEach((cell, index) => {
+            const header = String(cell).trim() || `Column ${index + 1}`;
+            let name = header;
+            for (let n = 2; headers.includes(name); n++) {
+                name = `${header} (${n})`;
+            }
+            headers.push(name);
+        });
+
+        const rows = [];
+        table.slice(1).forEach((cells, index) => {
+            if (!cells.some(cell => !this.isEmptyCell(cell))) return;
+
+            const values = {};
+            headers.forEach((header, column) => {
+                values[header] = cells[column] === undefined ? '' : cells[column];
+            });
+            rows.push({ rowNumber: index + 2, values });
+        });
+
+        return { headers, rows };
+    }
+
+    // The sheets of a complete export (exportAllData) as one import: each Student Info row
+    // gets the session columns of its Student Records row and its Created At / Updated At
+    // timestamps, and the Attendance Logs rows are kept in logs (see buildLogPreview).
+    // Records rows for students missing from Student Info are listed in sheetErrors.
+    readExportWorkbook(workbook) {
+        const names = CONFIG.export.sheetNames;
+        const info = this.readSheet(workbook.Sheets[names.studentInfo]);
+        const records = this.readSheet(workbook.Sheets[names.studentRecords]);
+        const logs = this.readSheet(workbook.Sheets[names.attendanceLogs]);
+        const text = value => (this.isEmptyCell(value) ? '' : String(value).trim());
+        const sheetErrors = [];
+
+        if (info.rows.length === 0) {
+            throw new Error(`No students found on the ${names.studentInfo} sheet`);
+        }
+
+        const rows = info.rows.map(({ rowNumber, values }) => ({
+            rowNumber,
+            values,
+            errors: [],
+            createdAt: this.parseTimestamp(values['Created At']),
+            updatedAt: this.parseTimestamp(values['Updated At'])
+        }));
+        const rowsById = new Map(rows.map(row => [text(row.values.ID), row]));
+
+        const sessionHeaders = records.headers.filter(header => /^Session \d+ /.test(header));
+        records.rows.forEach(({ rowNumber, values }) => {
+            const row = rowsById.get(text(values.ID));
+            if (!row) {
+                sheetErrors.push(`${names.studentRecords} row ${rowNumber}: ID ${text(values.ID)} is not on the ${names.studentInfo} sheet`);
+                return;
+            }
+            if (text(values['Full Name']) !== text(row.values['Full Name'])) {
+                row.errors.push(`Full Name is "${text(values['Full Name'])}" on the ${names.studentRecords} sheet`);
+            }
+            sessionHeaders.forEach(header => { row.values[header] = values[header]; });
+        });
+
+        return {
+            sheetName: Object.values(names).filter(name => workbook.SheetNames.includes(name)).join(', '),
+            headers: [
+                ...info.headers.filter(header => header !== 'Created At' && header !== 'Updated At'),
+                ...sessionHeaders.filter(header => !info.headers.includes(header))
+            ],
+            rows,
+            logs: logs.rows,
+            logHeaders: logs.headers,
+            sheetErrors
+        };
+    }
+
+    // ISO timestamp of a cell, or undefined when it has none
+    parseTimestamp(value) {
+        if (this.isEmptyCell(value)) return undefined;
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? undefined : date.toISOString();
+    }
+
+    // Read a file and suggest a mapping: { parsed, mapping, profile, preview }. The file is
+    // read and checked in an import worker (see import-worker.js) when the browser allows,
+    // otherwise on the page. onProgress(message, done, total) reports how far it got;
+    // cancelImport stops it.
+    async prepareImport(file, onProgress = () => {}) {
+        const run = this.importRun = { cancelled: false };
+        await this.loadImportProfiles();
+        if (this.startImportWorker(onProgress)) {
+            try {
+                return await this.callImportWorker({ type: 'prepare', file, profiles: this.getImportProfiles() });
+            } catch (error) {
+                if (!error.workerFailed) throw error;
+                console.warn('Import worker unavailable, reading the file on the page:', error.message);
+                this.endImport();
+            }
+        }
+
+        const result = await this.prepareImportHere(file, onProgress);
+        if (run.cancelled) {
+            throw Object.assign(new Error('Import cancelled'), { cancelled: true });
+        }
+        return result;
+    }
+
+    // The work of prepareImport, done where it is called (the import worker calls it too)
+    async prepareImportHere(file, onProgress = () => {}) {
+        onProgress('Reading file...');
+        const parsed = await this.readImportFile(file);
+        const { mapping, profile } = this.suggestMapping(parsed.headers);
+        return { parsed, mapping, profile, preview: this.buildImportPreview(parsed, mapping, { onProgress }) };
+    }
+
+    // Check the rows of the file being imported again (after the mapping or options changed)
+    async previewImport(parsed, mapping, options = {}) {
+        if (this.importWorker) {
+            try {
+                return await this.callImportWorker({ type: 'preview', mapping, options });
+            } catch (error) {
+                if (!error.workerFailed) throw error;
+                this.endImport();
+            }
+        }
+        return this.buildImportPreview(parsed, mapping, options);
+    }
+
+    // Import worker: one per import, kept until endImport so previews don't read the file again
+    startImportWorker(onProgress) {
+        this.endImport();
+        if (typeof Worker === 'undefined') return null;
+
+        try {
+            this.importWorker = new Worker(CONFIG.import.workerUrl);
+        } catch (error) {
+            console.warn('Import worker unavailable, reading the file on the page:', error.message);
+            return null;
+        }
+
+        this.workerCalls = new Map(); // id -> { resolve, reject }
+        this.importWorker.onmessage = ({ data }) => {
+            if (data.type === 'progress') {
+                onProgress(data.message, data.done, data.total);
+                return;
+            }
+
+            const call = this.workerCalls.get(data.id);
+            if (!call) return;
+            this.workerCalls.delete(data.id);
+            if (data.type === 'result') {
+                call.resolve(data.result);
+            } else {
+                call.reject(new Error(data.message));
+            }
+        };
+        // The worker couldn't start (e.g. pages opened from disk) or crashed
+        this.importWorker.onerror = (event) => {
+            event.preventDefault();
+            this.rejectWorkerCalls(Object.assign(new Error(event.message || 'Import worker failed'), { workerFailed: true }));
+        };
+
+        return this.importWorker;
+    }
+
+    callImportWorker(message) {
+        return new Promise((resolve, reject) => {
+            const id = (this.lastWorkerCall = (this.lastWorkerCall || 0) + 1);
+            this.workerCalls.set(id, { resolve, reject });
+            this.importWorker.postMessage({ ...message, id, data: this.getImportSnapshot() });
+        });
+    }
+
+    rejectWorkerCalls(error) {
+        if (!this.workerCalls) return;
+        this.workerCalls.forEach(call => call.reject(error));
+        this.workerCalls.clear();
+    }
+
+    // The data rows are checked against, for the import worker
+    getImportSnapshot() {
+        const manager = this.dataManager;
+        return {
+            students: manager.students,
+            studentRecords: manager.studentRecords,
+            attendanceLogs: manager.attendanceLogs,
+            courses: manager.courses,
+            enrollments: manager.enrollments,
+            currentCourseId: manager.currentCourseId
+        };
+    }
+
+    // Stop reading or checking a file; the waiting call rejects with an error whose cancelled is true
+    cancelImport() {
+        if (this.importRun) this.importRun.cancelled = true;
+        this.rejectWorkerCalls(Object.assign(new Error('Import cancelled'), { cancelled: true }));
+        this.endImport();
+    }
+
+    // Done with the file being imported (confirmed or cancelled)
+    endImport() {
+        if (this.importWorker) {
+            this.importWorker.terminate();
+            this.importWorker = null;
+        }
+    }
+
+    isEmptyCell(value) {
+        return value === undefined || value === null || String(value).trim() === '' || String(value).trim() === '-';
+    }
+
+    // Field recognised from a header, or '' (see CONFIG.import.studentFields and sessionColumnPatterns)
+    matchHeader(header, fields) {
+        const normalized = CONFIG.normalizeHeader(header);
+        const field = fields.find(item => item.aliases.some(alias => CONFIG.normalizeHeader(alias) === normalized));
+        return field ? field.key : '';
+    }
+
+    // { mapping: { header: field key, or '' to ignore the column }, profile: name or null }.
+    // The saved profile sharing most headers with the file maps the headers it knows;
+    // other headers are recognised by name. A field is only suggested for one column.
+    suggestMapping(headers, profiles = this.importProfiles || []) {
+        const fields = CONFIG.getImportFields(this.dataManager.getSessionCount());
+        const profile = this.findImportProfile(headers, profiles);
+        const mapping = {};
+        const used = new Set();
+
+        headers.forEach(header => {
+            const saved = profile ? profile.mapping[header] : undefined;
+            const key = saved !== undefined && (saved === '' || fields.some(field => field.key === saved))
+                ? saved
+                : this.matchHeader(header, fields);
+
+            mapping[header] = key && used.has(key) ? '' : key;
+            if (key) used.add(key);
+        });
+
+        return { mapping, profile: profile ? profile.name : null };
+    }
+
+    // Mapping profiles are kept on this device
+    async loadImportProfiles() {
+        const { data } = await this.dataManager.storage.load('importProfiles', stored => Array.isArray(stored));
+        this.importProfiles = data || [];
+        return this.importProfiles;
+    }
+
+    getImportProfiles() {
+        return this.importProfiles || [];
+    }
+
+    findImportProfile(headers, profiles = this.getImportProfiles()) {
+        let best = null;
+        let bestCount = 0;
+        profiles.forEach(profile => {
+            const count = Object.keys(profile.mapping).filter(header => headers.includes(header)).length;
+            if (count > bestCount) {
+                best = profile;
+                bestCount = count;
+            }
+        });
+        return best;
+    }
+
+    // Save a mapping under a name (replacing a profile with the same name)
+    saveImportProfile(name, mapping) {
+        const profileName = String(name || '').trim();
+        if (!profileName) {
+            throw new Error('Profile name is required');
+        }
+
+        const profile = { name: profileName, mapping: { ...mapping }, updatedAt: new Date().toISOString() };
+        this.importProfiles = [
+            ...this.getImportProfiles().filter(item => item.name.toLowerCase() !== profileName.toLowerCase()),
+            profile
+        ].sort((a, b) => a.name.localeCompare(b.name));
+        this.dataManager.storage.save('importProfiles', this.importProfiles);
+        return profile;
+    }
+
+    deleteImportProfile(name) {
+        const profiles = this.getImportProfiles();
+        if (!profiles.some(profile => profile.name === name)) {
+            throw new Error(`No profile named "${name}"`);
+        }
+        this.importProfiles = profiles.filter(profile => profile.name !== name);
+        this.dataManager.storage.save('importProfiles', this.importProfiles);
+    }
+
+    // Check every row against a mapping: { mode, deleteMissing, columns: { field key: header },
+    // mappingErrors, rows, missing, fieldChanges: { field key: students changed }, counts, valid, invalid }.
+    // A row is { rowNumber, values, student, sessions, changes: [{ key, from, to }], errors,
+    // action: 'add' | 'enroll' | 'update' | 'unchanged' | 'skip' }; rows with errors are not
+    // imported. Mapping errors (a required field without a column, a field mapped twice) stop
+    // the whole import.
+    // options.mode is one of CONFIG.import.modes: 'add' only adds students (students already in
+    // the class are errors), 'update' only changes students already in the system, 'upsert'
+    // does both, and 'replace' does both with blank cells clearing the values they map to.
+    // missing lists the class's students whose ID is not in the file, with the action taken
+    // for them when options.deleteMissing is set: 'delete' (deleteStudentTemporary), or
+    // 'unenroll' for students who are in other classes too.
+    // options.onProgress(message, done, total) is called as the rows are checked.
+    buildImportPreview(parsed, mapping, options = {}) {
+        const mode = options.mode || CONFIG.import.defaultMode;
+        const fields = CONFIG.getImportFields(this.dataManager.getSessionCount());
+        const course = this.dataManager.getCourse();
+        const columns = {};
+        const mappingErrors = [];
+
+        if (!CONFIG.import.modes[mode]) {
+            throw new Error(`Import mode must be one of: ${Object.keys(CONFIG.import.modes).join(', ')}`);
+        }
+
+        parsed.headers.forEach(header => {
+            const key = mapping[header];
+            const field = fields.find(item => item.key === key);
+            if (!field) return;
+
+            if (columns[key]) {
+                mappingErrors.push(`${field.label} is mapped from both "${columns[key]}" and "${header}"`);
+            } else {
+                columns[key] = header;
+            }
+        });
+        if (mode !== 'update') {
+            fields.filter(field => field.required && !columns[field.key])
+                .forEach(field => mappingErrors.push(`Map a column to ${field.label}`));
+        }
+        if (!columns.id && (mode !== 'add' || options.deleteMissing)) {
+            mappingErrors.push(mode !== 'add'
+                ? 'Map a column to ID to find the students to update'
+                : 'Map a column to ID to find the students missing from the file');
+        }
+
+        const clearBlanks = mode === 'replace';
+        const rowsById = new Map();
+        const onProgress = options.onProgress || (() => {});
+        const rows = parsed.rows.map((parsedRow, index) => {
+            const { rowNumber, values } = parsedRow;
+            if (index % CONFIG.import.progressRows === 0) {
+                onProgress('Checking rows...', index, parsed.rows.length);
+            }
+            const getValue = key => (columns[key] ? values[columns[key]] : undefined);
+            let student = this.extractStudentData(getValue, index);
+            let { sessions, errors } = this.extractSessionData(getValue, fields, clearBlanks);
+            let changes = [];
+            let action = 'add';
+
+            const existing = this.dataManager.getStudentById(student.id);
+            const enrolled = existing && this.dataManager.isEnrolled(existing.id);
+            if (existing && mode === 'add') {
+                if (enrolled) {
+                    errors.push(`Student ${student.id} is already in ${course.name}`);
+                }
+                action = 'enroll'; // Students already in the system are put on the roster of the class shown
+            } else if (existing) {
+                const record = enrolled ? this.dataManager.getStudentRecord(existing.id) : null;
+                changes = this.getStudentChanges(existing, student, columns, clearBlanks);
+                student = { ...existing };
+                changes.forEach(change => { student[change.key] = change.to; });
+                errors.unshift(...CONFIG.validateStudent(student).errors);
+
+                Object.keys(sessions).forEach(sessionNumber => {
+                    const sessionChanges = this.getSessionChanges(record, sessionNumber, sessions[sessionNumber]);
+                    if (sessionChanges.length > 0) {
+                        changes.push(...sessionChanges);
+                    } else {
+                        delete sessions[sessionNumber]; // Nothing to write
+                    }
+                });
+                action = !enrolled ? 'enroll' : (changes.length > 0 ? 'update' : 'unchanged');
+            } else if (mode === 'update') {
+                action = 'skip'; // Only students already in the system are updated
+                errors = [];
+            } else {
+                errors.unshift(...CONFIG.validateStudent(student).errors);
+                if (parsedRow.createdAt) {
+                    student = { ...student, createdAt: parsedRow.createdAt, updatedAt: parsedRow.updatedAt || parsedRow.createdAt };
+                }
+            }
+            errors.push(...(parsedRow.errors || []));
+
+            if (rowsById.has(student.id)) {
+                errors.push(`ID ${student.id} is also on row ${rowsById.get(student.id)}`);
+            } else {
+                rowsById.set(student.id, rowNumber);
+            }
+
+            return { rowNumber, values, student, sessions, changes, errors, action };
+        });
+
+        const missing = mappingErrors.length > 0 || !columns.id ? [] : this.dataManager.getCourseStudents()
+            .filter(student => !rowsById.has(student.id) && !rowsById.has(String(student.id)))
+            .map(student => ({
+                student,
+                action: this.dataManager.getStudentCourses(student.id).length > 1 ? 'unenroll' : 'delete'
+            }));
+
+        const counts = { add: 0, enroll: 0, update: 0, unchanged: 0, skip: 0 };
+        const fieldChanges = {};
+        rows.filter(row => row.errors.length === 0).forEach(row => {
+            counts[row.action]++;
+            row.changes.forEach(change => {
+                fieldChanges[change.key] = (fieldChanges[change.key] || 0) + 1;
+            });
+        });
+
+        const logs = parsed.logs ? this.buildLogPreview(parsed.logs, rows, mode) : [];
+        const logCounts = { add: 0, update: 0, unchanged: 0, skip: 0 };
+        logs.filter(log => log.errors.length === 0).forEach(log => { logCounts[log.action]++; });
+
+        const invalid = rows.filter(row => row.errors.length > 0).length;
+        return {
+            mode,
+            deleteMissing: Boolean(options.deleteMissing),
+            rows,
+            columns,
+            mappingErrors,
+            missing,
+            fieldChanges,
+            counts,
+            valid: rows.length - invalid,
+            invalid,
+            logs,
+            logCounts,
+            invalidLogs: logs.filter(log => log.errors.length > 0).length,
+            sheetErrors: parsed.sheetErrors || []
+        };
+    }
+
+    // Attendance Logs rows of a complete export, checked against the students of the
+    // import (rows, see buildImportPreview): [{ rowNumber, values, log, errors,
+    // action: 'add' | 'update' | 'unchanged' | 'skip' }]. A log replaces the class's log for
+    // the same student, date and session (see DataManager.addAttendanceLog); 'add' mode
+    // keeps logs that are already there.
+    buildLogPreview(logRows, rows, mode) {
+        const names = CONFIG.export.sheetNames;
+        const course = this.dataManager.getCourse();
+        const sessionCount = this.dataManager.getSessionCount();
+        const homeworkValues = CONFIG.homework.options.map(option => option.value);
+        const existingLogs = this.dataManager.getAttendanceLogs();
+        const text = value => (this.isEmptyCell(value) ? '' : String(value).trim());
+        const students = new Map(rows.map(row => [String(row.student.id), row]));
+        const rowsByLogId = new Map();
+        const rowsByEntry = new Map(); // Student, date and session -> row number
+
+        return logRows.map(({ rowNumber, values }) => {
+            const errors = [];
+            const studentId = text(values['Student ID']);
+            const row = students.get(studentId);
+            let action = 'add';
+
+            if (!row) {
+                errors.push(`Student ID ${studentId} is not on the ${names.studentInfo} sheet`);
+            } else if (text(values['Full Name']) !== text(row.values['Full Name'])) {
+                errors.push(`Full Name is "${text(row.values['Full Name'])}" on the ${names.studentInfo} sheet`);
+            } else if (row.errors.length > 0) {
+                errors.push(`Student ${studentId} is not imported (row ${row.rowNumber} has errors)`);
+            } else if (row.action === 'skip') {
+                action = 'skip';
+            }
+
+            const session = Number(text(values.Session));
+            if (!Number.isInteger(session) || session < 1 || session > sessionCount) {
+                errors.push(`Session "${text(values.Session)}" is not a session of ${course.name}`);
+            }
+            const date = this.isEmptyCell(values.Date) ? null : this.parseExcelDate(values.Date);
+            if (!CONFIG.toDate(date)) {
+                errors.push(`Date "${text(values.Date)}" is not a date`);
+            }
+            const attendance = this.isEmptyCell(values.Attendance) ? null : CONFIG.parseAttendanceCode(values.Attendance);
+            if (!attendance) {
+                errors.push(`Attendance "${text(values.Attendance)}" is not an attendance status`);
+            }
+            const homework = this.isEmptyCell(values['Homework Status']) ? null : this.parseSessionData(values['Homework Status']);
+            if (homework !== null && !homeworkValues.includes(homework)) {
+                errors.push(`Homework Status "${text(values['Homework Status'])}" is not C, P or N`);
+            }
+            const quiz = this.isEmptyCell(values['Quiz Score']) ? null : Number(text(values['Quiz Score']));
+            if (quiz !== null && !(Number.isInteger(quiz) && quiz >= CONFIG.quiz.minScore && quiz <= CONFIG.quiz.maxScore)) {
+                errors.push(`Quiz Score "${text(values['Quiz Score'])}" is not a score from ${CONFIG.quiz.minScore} to ${CONFIG.quiz.maxScore}`);
+            }
+            const details = {
+                minutesLate: this.isEmptyCell(values['Minutes Late']) ? undefined : Number(text(values['Minutes Late'])),
+                reason: text(values.Reason) || undefined
+            };
+            errors.push(...CONFIG.validateAttendanceDetails(details));
+
+            const logId = this.isEmptyCell(values['Log ID']) ? undefined : values['Log ID'];
+            if (logId !== undefined && rowsByLogId.has(String(logId))) {
+                errors.push(`Log ID ${logId} is also on ${names.attendanceLogs} row ${rowsByLogId.get(String(logId))}`);
+            } else if (logId !== undefined) {
+                rowsByLogId.set(String(logId), rowNumber);
+            }
+
+            const entryKey = `${studentId}|${date}|${session}`;
+            if (rowsByEntry.has(entryKey)) {
+                errors.push(`Student ${studentId} has another log for ${CONFIG.getSessionName(session)} on ${date} (row ${rowsByEntry.get(entryKey)})`);
+            } else {
+                rowsByEntry.set(entryKey, rowNumber);
+            }
+
+            const log = CONFIG.withAttendanceDetails({
+                id: logId,
+                date,
+                time: text(values.Time) || undefined,
+                studentId: row ? row.student.id : studentId,
+                studentName: text(values['Full Name']),
+                session,
+                ...(attendance || {}),
+                ...details,
+                homework,
+                quiz,
+                createdAt: this.parseTimestamp(values['Created At']),
+                updatedAt: this.parseTimestamp(values['Updated At'])
+            });
+
+            if (errors.length === 0 && action !== 'skip') {
+                const existing = existingLogs.find(item =>
+                    item.studentId == log.studentId && item.date === log.date && item.session == log.session);
+                const same = existing && ['attendance', 'minutesLate', 'reason', 'homework', 'quiz', 'time']
+                    .every(field => String(existing[field] === undefined || existing[field] === null ? '' : existing[field]) ===
+                        String(log[field] === undefined || log[field] === null ? '' : log[field]));
+
+                if (existing) {
+                    action = same || mode === 'add' ? 'unchanged' : 'update';
+                } else if (log.id !== undefined && this.dataManager.attendanceLogs.some(item => item.id == log.id)) {
+                    delete log.id; // Taken by another log; a new ID is given
+                }
+            }
+
+            return { rowNumber, values, log, errors, action };
+        });
+    }
+
+    // Student fields a row changes: [{ key, from, to }]. Blank cells keep the value unless clearBlanks.
+    getStudentChanges(existing, student, columns, clearBlanks) {
+        return CONFIG.import.studentFields
+            .filter(field => field.key !== 'id' && columns[field.key])
+            .map(field => ({
+                key: field.key,
+                from: existing[field.key] === undefined || existing[field.key] === null ? '' : String(existing[field.key]),
+                to: student[field.key]
+            }))
+            .filter(change => change.from !== change.to && (change.to !== '' || clearBlanks));
+    }
+
+    // Changes a session entry makes to a record: [{ key, from, to }] ('session.<n>.<part>')
+    getSessionChanges(record, sessionNumber, entry) {
+        const current = (record && record.sessions[sessionNumber]) || {};
+        const next = CONFIG.withAttendanceDetails({ ...current, ...entry });
+        const format = (values, part) => {
+            if (part === 'attendance') return CONFIG.formatAttendanceCode(values);
+            return values[part] === undefined || values[part] === null ? '' : String(values[part]);
+        };
+
+        return ['attendance', 'homework', 'quiz', 'date']
+            .filter(part => part in entry)
+            .map(part => ({ key: `session.${sessionNumber}.${part}`, from: format(current, part), to: format(next, part) }))
+            .filter(change => change.from !== change.to);
+    }
+
+    // Summary lines of a preview ("3 new students", "Phone Number changed for 12 students")
+    describeImportPreview(preview) {
+        const fields = CONFIG.getImportFields(this.dataManager.getSessionCount());
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        const { counts } = preview;
+        const lines = [];
+
+        if (counts.add > 0) lines.push(plural(counts.add, 'new student'));
+        if (counts.enroll > 0) lines.push(`${plural(counts.enroll, 'student')} already in the system added to the class`);
+        if (counts.update > 0) lines.push(`${plural(counts.update, 'student')} updated`);
+        if (counts.unchanged > 0) lines.push(`${plural(counts.unchanged, 'student')} unchanged`);
+        if (counts.skip > 0) lines.push(`${plural(counts.skip, 'row')} skipped (not in the system)`);
+
+        Object.keys(preview.fieldChanges).forEach(key => {
+            const field = fields.find(item => item.key === key);
+            lines.push(`${field.label} changed for ${plural(preview.fieldChanges[key], 'student')}`);
+        });
+
+        if (preview.missing.length > 0) {
+            const deleted = preview.missing.filter(item => item.action === 'delete').length;
+            const unenrolled = preview.missing.length - deleted;
+            lines.push(!preview.deleteMissing
+                ? `${plural(preview.missing.length, 'student')} of the class missing from the file (kept)`
+                : [
+                    deleted > 0 ? `${plural(deleted, 'student')} missing from the file will be deleted` : '',
+                    unenrolled > 0 ? `${plural(unenrolled, 'student')} missing from the file will be removed from the class` : ''
+                ].filter(Boolean).join(', '));
+        }
+        if (preview.invalid > 0) lines.push(`${plural(preview.invalid, 'row')} with errors will be skipped`);
+
+        const { logCounts } = preview;
+        if (logCounts.add > 0) lines.push(`${plural(logCounts.add, 'attendance log')} restored`);
+        if (logCounts.update > 0) lines.push(`${plural(logCounts.update, 'attendance log')} updated`);
+        if (logCounts.unchanged > 0) lines.push(`${plural(logCounts.unchanged, 'attendance log')} already there`);
+        if (preview.invalidLogs > 0) lines.push(`${plural(preview.invalidLogs, 'attendance log')} with errors will be skipped`);
+
+        return lines;
+    }
+
+    // Apply a preview as one change (and one undo step): the rows without errors, the
+    // attendance logs of a complete export, then the students missing from the file when
+    // preview.deleteMissing is set
+    commitImport(preview) {
+        if (preview.mappingErrors.length > 0) {
+            throw new Error(preview.mappingErrors.join(', '));
+        }
 
         const results = {
             successful: [],
             failed: [],
+            failedLogs: [],
             studentsImported: 0,
+            studentsUpdated: 0,
+            studentsRemoved: 0,
+            unchanged: preview.counts.unchanged,
+            skipped: preview.counts.skip,
             recordsImported: 0,
+            logsImported: 0,
             errors: []
         };
+        const fail = (row, error) => {
+            results.failed.push({ row: row.rowNumber, error, data: this.sanitizeRowData(row.values) });
+            results.errors.push(`Row ${row.rowNumber}: ${error}`);
+        };
+        const failLog = (rowNumber, error) => {
+            results.failedLogs.push({ row: rowNumber, error });
+            results.errors.push(`${CONFIG.export.sheetNames.attendanceLogs} row ${rowNumber}: ${error}`);
+        };
 
-        jsonData.forEach((row, index) => {
-            try {
-                const studentData = this.extractStudentData(row, index);
-                const student = this.dataManager.addStudent(studentData);
-                
-                // Process session data if available
-                const sessionData = this.extractSessionData(row);
-                this.importSessionData(student.id, sessionData);
-
-                results.successful.push(student);
-                results.studentsImported++;
-                results.recordsImported += Object.keys(sessionData).length;
-                
-            } catch (error) {
-                const errorInfo = {
-                    row: index + 1,
-                    error: error.message,
-                    data: this.sanitizeRowData(row)
-                };
-                results.failed.push(errorInfo);
-                results.errors.push(`Row ${index + 1}: ${error.message}`);
-            }
-        });
+        preview.rows.filter(row => row.errors.length > 0).forEach(row => fail(row, row.errors.join('; ')));
+        const validRows = preview.rows.filter(row => row.errors.length === 0 && ['add', 'enroll', 'update'].includes(row.action));
+        const missing = preview.deleteMissing ? preview.missing : [];
+        const logs = preview.logs.filter(log => log.errors.length === 0 && (log.action === 'add' || log.action === 'update'));
+        preview.logs.filter(log => log.errors.length > 0).forEach(log => failLog(log.rowNumber, log.errors.join('; ')));
+        if (validRows.length === 0 && missing.length === 0 && logs.length === 0) {
+            return results;
+        }
+
+        this.dataManager.runBatch('data-imported', () => {
+            validRows.forEach(row => {
+                try {
+                    let student = row.action === 'add'
+                        ? this.dataManager.addStudent({ ...row.student, contactMethod: row.student.contactMethod || 'phone' })
+                        : this.dataManager.getStudentById(row.student.id);
+                    if (row.action === 'enroll') {
+                        this.dataManager.enrollStudent(student.id);
+                    }
+
+                    const updates = {};
+                    row.changes.filter(change => !change.key.startsWith('session.')).forEach(change => {
+                        updates[change.key] = change.to;
+                    });
+                    if (Object.keys(updates).length > 0) {
+                        student = this.dataManager.updateStudent(student.id, updates);
+                    }
+
+                    results.recordsImported += this.importSessionData(student.id, row.sessions);
+                    results.successful.push(student);
+                    if (row.action === 'update') {
+                        results.studentsUpdated++;
+                    } else {
+                        results.studentsImported++;
+                    }
+                } catch (error) {
+                    fail(row, error.message);
+                }
+            });
+
+            // Oldest first (the sheet lists the newest first), so the logs keep their order
+            [...logs].reverse().forEach(({ rowNumber, log }) => {
+                try {
+                    this.dataManager.addAttendanceLog(log);
+                    results.logsImported++;
+                } catch (error) {
+                    failLog(rowNumber, error.message);
+                }
+            });
+
+            missing.forEach(({ student, action }) => {
+                try {
+                    if (action === 'delete') {
+                        this.dataManager.deleteStudentTemporary(student.id);
+                    } else {
+                        this.dataManager.unenrollStudent(student.id);
+                    }
+                    results.studentsRemoved++;
+                } catch (error) {
+                    results.errors.push(`${student.fullName} (${student.id}): ${error.message}`);
+                }
+            });
+        }, { label: 'Import' });
 
         return results;
     }
 
-    // Extract basic student data from Excel row
-    extractStudentData(row, index) {
-        const studentId = row['ID'] || row['id'] || row['Student ID'] || 
-                         (Date.now() + index + Math.floor(Math.random() * 1000));
-        
-        const studentData = {
-            id: studentId,
-            fullName: String(row['Full Name'] || row['fullName'] || row['name'] || '').trim(),
-            phoneNumber: String(row['Phone Number'] || row['phoneNumber'] || row['phone'] || '').trim(),
-            email: String(row['Email'] || row['email'] || '').trim(),
-            contactMethod: String(row['Preferred Contact Method'] || row['contactMethod'] || 'phone').trim(),
-            parentPhone: String(row['Parent\'s Phone Number'] || row['parentPhone'] || row['parent_phone'] || '').trim(),
-            gradeLevel: String(row['Grade/Year Level'] || row['gradeLevel'] || row['grade'] || '').trim(),
-            center: String(row['Center?'] || row['Center'] || row['center'] || '').trim(),
-            school: String(row['School'] || row['school'] || '').trim()
-        };
-
-        // Validate required fields
-        if (!studentData.fullName || !studentData.phoneNumber) {
-            throw new Error(`Missing required fields: ${!studentData.fullName ? 'Full Name' : ''} ${!studentData.phoneNumber ? 'Phone Number' : ''}`.trim());
+    // Import rows (objects keyed by header) without a preview, with the recognised headers
+    processImportedData(jsonData, options = {}) {
+        if (!Array.isArray(jsonData) || jsonData.length === 0) {
+            throw new Error('No data found in the Excel file');
         }
 
-        return studentData;
+        const headers = [...new Set(jsonData.flatMap(row => Object.keys(row)))];
+        const parsed = { headers, rows: jsonData.map((values, index) => ({ rowNumber: index + 2, values })) };
+        return this.commitImport(this.buildImportPreview(parsed, this.suggestMapping(headers, []).mapping, options));
     }
 
-    // Extract session data from Excel row
-    extractSessionData(row) {
-        const sessionData = {};
-        
-        for (let i = 1; i <= CONFIG.sessions.maxSessions; i++) {
-            const patterns = CONFIG.getSessionColumnPatterns(i);
-            
-            const attendanceValue = this.findColumnData(row, patterns.attendance);
-            const homeworkValue = this.findColumnData(row, patterns.homework);
-            const quizValue = this.findColumnData(row, patterns.quiz);
-            const dateValue = this.findColumnData(row, patterns.date);
-            
-            if (attendanceValue || homeworkValue || quizValue || dateValue) {
-                sessionData[i] = {
-                    attendance: attendanceValue ? this.parseSessionData(attendanceValue) : null,
-                    homework: homeworkValue ? this.parseSessionData(homeworkValue) : null,
-                    quiz: quizValue ? this.parseSessionData(quizValue) : null,
-                    date: dateValue ? this.parseExcelDate(dateValue) : null
-                };
+    // Student data of a row (getValue returns the cell mapped to a field); blank cells are ''
+    extractStudentData(getValue, index) {
+        const text = key => (this.isEmptyCell(getValue(key)) ? '' : String(getValue(key)).trim());
+
+        return {
+            id: text('id') || String(Date.now() + index + Math.floor(Math.random() * 1000)),
+            fullName: text('fullName'),
+            phoneNumber: text('phoneNumber'),
+            email: text('email'),
+            contactMethod: text('contactMethod'),
+            parentPhone: text('parentPhone'),
+            gradeLevel: text('gradeLevel'),
+            center: text('center'),
+            school: text('school')
+        };
+    }
+
+    // Session values of a row, and errors for values that can't be read:
+    // { sessions: { n: { attendance, minutesLate, reason, homework, quiz, date } }, errors }.
+    // Entries only have the values given; with clearBlanks, a blank cell in a mapped
+    // attendance, homework or quiz column clears the value (dates are kept).
+    extractSessionData(getValue, fields, clearBlanks = false) {
+        const sessions = {};
+        const errors = [];
+        const homeworkValues = CONFIG.homework.options.map(option => option.value);
+
+        // Only the course's sessions are read (columns for later sessions are ignored)
+        for (let i = 1; i <= this.dataManager.getSessionCount(); i++) {
+            const cell = part => getValue(`session.${i}.${part}`);
+            const label = part => fields.find(field => field.key === `session.${i}.${part}`).label;
+            const blank = part => this.isEmptyCell(cell(part));
+            const clear = part => clearBlanks && cell(part) !== undefined && blank(part);
+            const entry = {};
+
+            if (!blank('attendance')) {
+                const attendance = this.parseAttendanceValue(cell('attendance'));
+                if (attendance.attendance) {
+                    Object.assign(entry, attendance);
+                } else {
+                    errors.push(`${label('attendance')}: "${cell('attendance')}" is not an attendance code`);
+                }
+            } else if (clear('attendance')) {
+                entry.attendance = null;
+            }
+            if (!blank('homework')) {
+                const homework = this.parseSessionData(cell('homework'));
+                if (homeworkValues.includes(homework)) {
+                    entry.homework = homework;
+                } else {
+                    errors.push(`${label('homework')}: "${cell('homework')}" is not C, P or N`);
+                }
+            } else if (clear('homework')) {
+                entry.homework = null;
+            }
+            if (!blank('quiz')) {
+                const quiz = Number(String(cell('quiz')).trim());
+                if (Number.isInteger(quiz) && quiz >= CONFIG.quiz.minScore && quiz <= CONFIG.quiz.maxScore) {
+                    entry.quiz = quiz;
+                } else {
+                    errors.push(`${label('quiz')}: "${cell('quiz')}" is not a score from ${CONFIG.quiz.minScore} to ${CONFIG.quiz.maxScore}`);
+                }
+            } else if (clear('quiz')) {
+                entry.quiz = null;
+            }
+            if (!blank('date')) {
+                const date = this.parseExcelDate(cell('date'));
+                if (CONFIG.toDate(date)) {
+                    entry.date = date;
+                } else {
+                    errors.push(`${label('date')}: "${cell('date')}" is not a date`);
+                }
+            }
+
+            if (['attendance', 'homework', 'quiz'].some(part => part in entry)) {
+                sessions[i] = entry;
             }
         }
-        
-        return sessionData;
+
+        return { sessions, errors };
     }
 
-    // Import session data for a specific student
+    // Write session entries to a student's record of the class shown (a missing date keeps
+    // the entry's date, or is today for a new one); returns the number of entries written
     importSessionData(studentId, sessionData) {
+        const record = this.dataManager.getStudentRecord(studentId);
         Object.keys(sessionData).forEach(sessionNumber => {
-            const session = sessionData[sessionNumber];
-            if (session && (session.attendance || session.homework || session.quiz !== null)) {
-                this.dataManager.updateStudentSession(studentId, parseInt(sessionNumber), session);
-            }
+            const current = (record && record.sessions[sessionNumber]) || {};
+            this.dataManager.updateStudentSession(studentId, parseInt(sessionNumber), {
+                ...sessionData[sessionNumber],
+                date: sessionData[sessionNumber].date || current.date
+            });
         });
+        return Object.keys(sessionData).length;
     }
 
     // Sanitize row data for error reporting (remove sensitive information)
@@ -215,9 +920,9 @@ class ExcelHandler {
         return sanitized;
     }
 
-    // Export student information to Excel
+    // Export student information of the class shown to Excel
     exportStudentInfo() {
-        const students = this.dataManager.getAllStudents();
+        const students = this.dataManager.getCourseStudents();
         
         if (students.length === 0) {
             throw new Error('No student data to export');
@@ -237,7 +942,7 @@ class ExcelHandler {
 
         const ws = XLSX.utils.json_to_sheet(exportData);
         const wb = XLSX.utils.book_new();
-        XLSX.utils.book_append_sheet(wb, ws, "Student Info");
+        XLSX.utils.book_append_sheet(wb, ws, CONFIG.export.sheetNames.studentInfo);
         
         const fileName = CONFIG.getExportFileName('studentInfo');
         XLSX.writeFile(wb, fileName);
@@ -257,6 +962,7 @@ class ExcelHandler {
             throw new Error('No student records to export');
         }
 
+        const sessionCount = this.dataManager.getSessionCount();
         const exportData = records.map(record => {
             const row = {
                 'ID': record.id,
@@ -265,9 +971,9 @@ class ExcelHandler {
             };
 
             // Add session data including dates
-            for (let i = 1; i <= CONFIG.sessions.maxSessions; i++) {
-                const session = record.sessions[i];
-                row[`Session ${i} Attendance`] = session.attendance || '';
+            for (let i = 1; i <= sessionCount; i++) {
+                const session = record.sessions[i] || {};
+                row[`Session ${i} Attendance`] = CONFIG.formatAttendanceCode(session);
                 row[`Session ${i} HW`] = session.homework || '';
                 row[`Session ${i} Quiz`] = session.quiz !== null && session.quiz !== undefined ? session.quiz : '';
                 row[`Session ${i} Date`] = session.date || '';
@@ -278,7 +984,7 @@ class ExcelHandler {
 
         const ws = XLSX.utils.json_to_sheet(exportData);
         const wb = XLSX.utils.book_new();
-        XLSX.utils.book_append_sheet(wb, ws, "Student Records");
+        XLSX.utils.book_append_sheet(wb, ws, CONFIG.export.sheetNames.studentRecords);
         
         const fileName = CONFIG.getExportFileName('studentRecords');
         XLSX.writeFile(wb, fileName);
@@ -305,13 +1011,15 @@ class ExcelHandler {
             'Full Name': log.studentName,
             'Session': log.session,
             'Attendance': log.attendance,
+            'Minutes Late': log.minutesLate !== undefined ? log.minutesLate : '',
+            'Reason': log.reason || '',
             'Homework Status': log.homework,
             'Quiz Score': log.quiz
         }));
 
         const ws = XLSX.utils.json_to_sheet(exportData);
         const wb = XLSX.utils.book_new();
-        XLSX.utils.book_append_sheet(wb, ws, "Attendance Logs");
+        XLSX.utils.book_append_sheet(wb, ws, CONFIG.export.sheetNames.attendanceLogs);
         
         const fileName = CONFIG.getExportFileName('attendanceLogs');
         XLSX.writeFile(wb, fileName);
@@ -323,9 +1031,10 @@ class ExcelHandler {
         };
     }
 
-    // Export all data to a comprehensive Excel file
+    // Export all data of the class shown to a comprehensive Excel file (importing it
+    // restores the class, see readExportWorkbook)
     exportAllData() {
-        const students = this.dataManager.getAllStudents();
+        const students = this.dataManager.getCourseStudents();
         const records = this.dataManager.getAllStudentRecords();
         const logs = this.dataManager.getAttendanceLogs();
 
@@ -346,14 +1055,17 @@ class ExcelHandler {
                 'Parent\'s Phone Number': student.parentPhone,
                 'Grade/Year Level': student.gradeLevel,
                 'Center': student.center,
-                'School': student.school
+                'School': student.school,
+                'Created At': student.createdAt || '',
+                'Updated At': student.updatedAt || ''
             }));
             const ws1 = XLSX.utils.json_to_sheet(studentData);
-            XLSX.utils.book_append_sheet(wb, ws1, "Student Info");
+            XLSX.utils.book_append_sheet(wb, ws1, CONFIG.export.sheetNames.studentInfo);
         }
 
         // Student Records Sheet
         if (records.length > 0) {
+            const sessionCount = this.dataManager.getSessionCount();
             const recordData = records.map(record => {
                 const row = {
                     'ID': record.id,
@@ -361,9 +1073,9 @@ class ExcelHandler {
                     'Parent\'s Phone Number': record.parentPhone
                 };
 
-                for (let i = 1; i <= CONFIG.sessions.maxSessions; i++) {
-                    const session = record.sessions[i];
-                    row[`Session ${i} Attendance`] = session.attendance || '';
+                for (let i = 1; i <= sessionCount; i++) {
+                    const session = record.sessions[i] || {};
+                    row[`Session ${i} Attendance`] = CONFIG.formatAttendanceCode(session);
                     row[`Session ${i} HW`] = session.homework || '';
                     row[`Session ${i} Quiz`] = session.quiz !== null && session.quiz !== undefined ? session.quiz : '';
                     row[`Session ${i} Date`] = session.date || '';
@@ -372,7 +1084,7 @@ class ExcelHandler {
                 return row;
             });
             const ws2 = XLSX.utils.json_to_sheet(recordData);
-            XLSX.utils.book_append_sheet(wb, ws2, "Student Records");
+            XLSX.utils.book_append_sheet(wb, ws2, CONFIG.export.sheetNames.studentRecords);
         }
 
         // Attendance Logs Sheet
@@ -384,11 +1096,16 @@ class ExcelHandler {
                 'Full Name': log.studentName,
                 'Session': log.session,
                 'Attendance': log.attendance,
+                'Minutes Late': log.minutesLate !== undefined ? log.minutesLate : '',
+                'Reason': log.reason || '',
                 'Homework Status': log.homework,
-                'Quiz Score': log.quiz
+                'Quiz Score': log.quiz,
+                'Log ID': log.id,
+                'Created At': log.createdAt || '',
+                'Updated At': log.updatedAt || ''
             }));
             const ws3 = XLSX.utils.json_to_sheet(logData);
-            XLSX.utils.book_append_sheet(wb, ws3, "Attendance Logs");
+            XLSX.utils.book_append_sheet(wb, ws3, CONFIG.export.sheetNames.attendanceLogs);
         }
 
         const fileName = `Complete_Export_${new Date().toISOString().split('T')[0]}.xlsx`;
@@ -405,6 +1122,54 @@ class ExcelHandler {
         };
     }
 
+    // The rows of a preview that won't be imported, in the form of commitImport's results:
+    // { failed: [{ row, error }], failedLogs: [{ row, error }] }
+    getRejectedRows(preview) {
+        const rejected = items => items
+            .filter(item => item.errors.length > 0)
+            .map(item => ({ row: item.rowNumber, error: item.errors.join('; ') }));
+        return { failed: rejected(preview.rows), failedLogs: rejected(preview.logs) };
+    }
+
+    // Download the rows an import rejected (results.failed and results.failedLogs of
+    // commitImport, or getRejectedRows) as they were in the file read (parsed, see readImportFile), with the
+    // original headers and an Errors column. The first sheet can be fixed and imported again
+    // on its own; the attendance logs of a complete export get a second sheet.
+    exportImportErrors(parsed, results) {
+        const { column, sheetNames } = CONFIG.import.errorReport;
+        const toSheet = (headers, rows, failed) => {
+            const byRow = new Map(rows.map(row => [row.rowNumber, row.values]));
+            const columns = headers.filter(header => header !== column); // A report imported again
+            return XLSX.utils.aoa_to_sheet([
+                [...columns, column],
+                ...failed.map(({ row, error }) => {
+                    const values = byRow.get(row) || {};
+                    return [...columns.map(header => (values[header] === undefined ? '' : values[header])), error];
+                })
+            ]);
+        };
+
+        const failedLogs = results.failedLogs || [];
+        if (results.failed.length === 0 && failedLogs.length === 0) {
+            throw new Error('No rejected rows to download');
+        }
+
+        const wb = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(wb, toSheet(parsed.headers, parsed.rows, results.failed), sheetNames.rows);
+        if (failedLogs.length > 0) {
+            XLSX.utils.book_append_sheet(wb, toSheet(parsed.logHeaders || [], parsed.logs || [], failedLogs), sheetNames.logs);
+        }
+
+        const fileName = CONFIG.getExportFileName('importErrors');
+        XLSX.writeFile(wb, fileName);
+
+        return {
+            success: true,
+            fileName,
+            recordCount: results.failed.length + failedLogs.length
+        };
+    }
+
     // Create a sample Excel template for import
     createImportTemplate() {
         const templateData = [
@@ -422,7 +1187,7 @@ class ExcelHandler {
                 'Session 1 HW': 'C',
                 'Session 1 Quiz': '8',
                 'Session 1 Date': '1/15/2024',
-                'Session 2 Attendance': 'P',
+                'Session 2 Attendance': 'L:10',
                 'Session 2 HW': 'P',
                 'Session 2 Quiz': '7',
                 'Session 2 Date': '1/22/2024'
@@ -437,7 +1202,7 @@ class ExcelHandler {
                 'Grade/Year Level': '11th Grade',
                 'Center': 'East Center',
                 'School': 'XYZ High School',
-                'Session 1 Attendance': 'A',
+                'Session 1 Attendance': 'E:Sick',
                 'Session 1 HW': 'N',
                 'Session 1 Quiz': '0',
                 'Session 1 Date': '1/15/2024'
@@ -448,6 +1213,7 @@ class ExcelHandler {
         const wb = XLSX.utils.book_new();
         
         // Add instructions sheet
+        const sessionCount = this.dataManager.getSessionCount();
         const instructions = [
             { 'Field': 'ID', 'Description': 'Unique student identifier (required)', 'Example': '12345' },
             { 'Field': 'Full Name', 'Description': 'Student full name (required)', 'Example': 'John Doe' },
@@ -458,7 +1224,7 @@ class ExcelHandler {
             { 'Field': 'Grade/Year Level', 'Description': 'Student grade level (optional)', 'Example': '10th Grade' },
             { 'Field': 'Center', 'Description': 'Learning center (optional)', 'Example': 'Main Center' },
             { 'Field': 'School', 'Description': 'Student school (optional)', 'Example': 'ABC High School' },
-            { 'Field': 'Session X Attendance', 'Description': 'P for Present, A for Absent', 'Example': 'P' },
+            { 'Field': 'Session X Attendance', 'Description': `P for Present, L:minutes for Late, LE for Left Early, E:reason for Excused, A for Absent (X is the session number, 1 to ${sessionCount})`, 'Example': 'L:10' },
             { 'Field': 'Session X HW', 'Description': 'C for Complete, P for Partial, N for Not Done', 'Example': 'C' },
             { 'Field': 'Session X Quiz', 'Description': 'Score from 0 to 10', 'Example': '8' },
             { 'Field': 'Session X Date', 'Description': 'Session date (MM/DD/YYYY)', 'Example': '1/15/2024' }
@@ -0,0 +1,46 @@
+// Import Worker - reads and checks import files off the page (see ExcelHandler.prepareImport).
+// In: { id, type: 'prepare', file, profiles, data } or { id, type: 'preview', mapping, options, data },
+// where data is the app data rows are checked against (see ExcelHandler.getImportSnapshot).
+// Out: { type: 'progress', message, done, total } while working, then { id, type: 'result', result }
+// or { id, type: 'error', message }.
+self.window = self; // The modules below export to window
+
+importScripts(
+    'https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js',
+    'config.js',
+    'data-changes.js',
+    'log-query.js',
+    'audit-trail.js',
+    'notifications.js',
+    'storage-manager.js',
+    'data-manager.js',
+    'excel-handler.js'
+);
+
+let parsed = null; // The file read by the last 'prepare', checked again by 'preview'
+
+self.onmessage = async ({ data: message }) => {
+    const progress = (text, done, total) => self.postMessage({ type: 'progress', message: text, done, total });
+
+    try {
+        Object.assign(dataManager, message.data);
+
+        let result;
+        if (message.type === 'prepare') {
+            excelHandler.importProfiles = message.profiles;
+            result = await excelHandler.prepareImportHere(message.file, progress);
+            parsed = result.parsed;
+        } else if (message.type === 'preview') {
+            if (!parsed) {
+                throw new Error('No file has been read');
+            }
+            result = excelHandler.buildImportPreview(parsed, message.mapping, { ...message.options, onProgress: progress });
+        } else {
+            throw new Error(`Unknown message: ${message.type}`);
+        }
+
+        self.postMessage({ id: message.id, type: 'result', result });
+    } catch (error) {
+        self.postMessage({ id: message.id, type: 'error', message: error.message });
+    }
+};
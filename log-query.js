@@ -0,0 +1,231 @@
+// Log Query Module - filtering, sorting and cursor pagination for attendance logs,
+// shared by DataManager and the server's /api/attendance-logs endpoint
+const LogQuery = {
+    // Columns logs can be sorted by, and how their values compare
+    sortFields: {
+        date: 'date',
+        time: 'time',
+        studentId: 'text',
+        studentName: 'text',
+        session: 'number',
+        attendance: 'text',
+        homework: 'text',
+        quiz: 'number',
+        createdAt: 'text',
+        updatedAt: 'text'
+    },
+    defaultSort: ['-date', '-time'], // Newest first
+    defaultLimit: 50,
+    maxLimit: 500
+};
+
+// Filters (every one is optional; list filters accept one value or an array):
+//   studentId, session, date, attendance, homework - exact matches (homework null = not recorded)
+//   dateFrom, dateTo - inclusive range ('YYYY-MM-DD' or 'M/D/YYYY')
+//   quizMin, quizMax - inclusive score range
+//   studentName - case-insensitive text search
+LogQuery.filter = function(logs, filters = {}) {
+    const matchesAny = (value, expected) => this.toList(expected).some(item =>
+        item === null ? value === null || value === undefined || value === '' : String(value) === String(item));
+    const isSet = value => value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0);
+
+    // Dates in other formats only match exactly
+    const dateKey = date => this.toDateKey(date) || String(date);
+    const dates = isSet(filters.date) ? this.toList(filters.date).map(dateKey) : null;
+    const dateFrom = isSet(filters.dateFrom) ? this.toDateKey(filters.dateFrom) : null;
+    const dateTo = isSet(filters.dateTo) ? this.toDateKey(filters.dateTo) : null;
+    const name = isSet(filters.studentName) ? String(filters.studentName).trim().toLowerCase() : '';
+
+    return logs.filter(log => {
+        if (isSet(filters.studentId) && !matchesAny(log.studentId, filters.studentId)) return false;
+        if (isSet(filters.session) && !matchesAny(log.session, filters.session)) return false;
+        if (dates && !dates.includes(dateKey(log.date))) return false;
+        if (isSet(filters.attendance) && !matchesAny(log.attendance, filters.attendance)) return false;
+        if (isSet(filters.homework) && !matchesAny(log.homework, filters.homework)) return false;
+
+        if (dateFrom || dateTo) {
+            const date = this.toDateKey(log.date);
+            if (!date || (dateFrom && date < dateFrom) || (dateTo && date > dateTo)) return false;
+        }
+
+        if (isSet(filters.quizMin) || isSet(filters.quizMax)) {
+            const quiz = log.quiz === null || log.quiz === undefined || log.quiz === '' ? NaN : Number(log.quiz);
+            if (Number.isNaN(quiz)) return false;
+            if (isSet(filters.quizMin) && quiz < Number(filters.quizMin)) return false;
+            if (isSet(filters.quizMax) && quiz > Number(filters.quizMax)) return false;
+        }
+
+        if (name && !String(log.studentName || '').toLowerCase().includes(name)) return false;
+
+        return true;
+    });
+};
+
+// Sort by one or more columns ('quiz', '-date' for descending, or ['-date', 'studentName']).
+// Logs with equal values are ordered by ID so pages never overlap.
+LogQuery.sort = function(logs, sort = this.defaultSort) {
+    const keys = this.parseSort(sort);
+    return [...logs].sort((a, b) => this.compareKeys(this.getSortValues(a, keys), this.getSortValues(b, keys), keys));
+};
+
+LogQuery.parseSort = function(sort) {
+    const keys = this.toList(sort).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+
+    return keys.map(key => {
+        const field = key.replace(/^[-+]/, '');
+        if (!this.sortFields[field]) {
+            throw new Error(`Cannot sort by "${field}" (use ${Object.keys(this.sortFields).join(', ')})`);
+        }
+        return { field, descending: key.startsWith('-') };
+    });
+};
+
+// Comparable values for a log: one per sort key, then the log ID
+LogQuery.getSortValues = function(log, keys) {
+    const values = keys.map(({ field }) => {
+        const value = log[field];
+        if (value === null || value === undefined || value === '') return null;
+
+        switch (this.sortFields[field]) {
+            case 'date': return this.toDateKey(value);
+            case 'time': return this.toSeconds(value);
+            case 'number': return Number(value);
+            default: return String(value).toLowerCase();
+        }
+    });
+    values.push(String(log.id));
+    return values;
+};
+
+// Missing values sort last in either direction
+LogQuery.compareKeys = function(a, b, keys) {
+    for (let i = 0; i < a.length; i++) {
+        const descending = i < keys.length && keys[i].descending;
+        if (a[i] === b[i]) continue;
+        if (a[i] === null) return 1;
+        if (b[i] === null) return -1;
+
+        const order = typeof a[i] === 'number' && typeof b[i] === 'number'
+            ? a[i] - b[i]
+            : String(a[i]).localeCompare(String(b[i]));
+        if (order !== 0) return descending ? -order : order;
+    }
+    return 0;
+};
+
+// Filter, sort and return one page: { logs, total, nextCursor }. The cursor holds the sort
+// values of the last log on the page, so logs added or removed meanwhile don't shift pages.
+LogQuery.run = function(logs, query = {}) {
+    const keys = this.parseSort(query.sort === undefined || query.sort === '' ? this.defaultSort : query.sort);
+    const limit = query.limit === undefined || query.limit === '' ? this.defaultLimit : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > this.maxLimit) {
+        throw new Error(`limit must be a whole number from 1 to ${this.maxLimit}`);
+    }
+
+    const sorted = this.filter(logs, query)
+        .map(log => ({ log, values: this.getSortValues(log, keys) }))
+        .sort((a, b) => this.compareKeys(a.values, b.values, keys));
+
+    let start = 0;
+    if (query.cursor) {
+        const after = this.decodeCursor(query.cursor, keys);
+        start = sorted.findIndex(item => this.compareKeys(item.values, after, keys) > 0);
+        if (start === -1) start = sorted.length;
+    }
+
+    const page = sorted.slice(start, start + limit);
+    const hasMore = start + limit < sorted.length;
+
+    return {
+        logs: page.map(item => item.log),
+        total: sorted.length,
+        nextCursor: hasMore ? this.encodeCursor(page[page.length - 1].values) : null
+    };
+};
+
+// Query from URL parameters (lists may be repeated or comma separated; 'none' means no homework)
+LogQuery.fromQueryParams = function(params) {
+    const list = value => value === undefined ? undefined : this.toList(value).flatMap(item => String(item).split(','));
+    const query = {};
+
+    ['studentId', 'session', 'date', 'attendance'].forEach(field => {
+        if (params[field] !== undefined) query[field] = list(params[field]);
+    });
+    if (params.homework !== undefined) {
+        query.homework = list(params.homework).map(value => value === 'none' ? null : value);
+    }
+
+    ['dateFrom', 'dateTo'].forEach(field => {
+        if (params[field] === undefined) return;
+        if (!this.toDateKey(params[field])) {
+            throw new Error(`${field} must be a date like 2024-09-30 or 9/30/2024`);
+        }
+        query[field] = params[field];
+    });
+    ['quizMin', 'quizMax'].forEach(field => {
+        if (params[field] === undefined) return;
+        if (params[field] === '' || Number.isNaN(Number(params[field]))) {
+            throw new Error(`${field} must be a number`);
+        }
+        query[field] = Number(params[field]);
+    });
+
+    ['studentName', 'sort', 'limit', 'cursor'].forEach(field => {
+        if (params[field] !== undefined) query[field] = params[field];
+    });
+
+    return query;
+};
+
+LogQuery.toList = function(value) {
+    return Array.isArray(value) ? value : [value];
+};
+
+// 'YYYY-MM-DD' key for 'M/D/YYYY' (how logs store dates) or ISO dates; null if unreadable
+LogQuery.toDateKey = function(value) {
+    const text = String(value || '').trim();
+    const pad = number => String(number).padStart(2, '0');
+
+    let match = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(text);
+    if (match) return `${match[1]}-${pad(match[2])}-${pad(match[3])}`;
+
+    match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(text);
+    if (match) return `${match[3]}-${pad(match[1])}-${pad(match[2])}`;
+
+    return null;
+};
+
+// Seconds since midnight for '6:47:12 PM' or '18:47'
+LogQuery.toSeconds = function(value) {
+    const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?$/i.exec(String(value).trim());
+    if (!match) return null;
+
+    let hours = Number(match[1]) % (match[4] ? 12 : 24);
+    if (match[4] && match[4].toUpperCase() === 'PM') hours += 12;
+    return hours * 3600 + Number(match[2]) * 60 + Number(match[3] || 0);
+};
+
+LogQuery.encodeCursor = function(values) {
+    const bytes = new TextEncoder().encode(JSON.stringify(values));
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+LogQuery.decodeCursor = function(cursor, keys) {
+    try {
+        const binary = atob(String(cursor).replace(/-/g, '+').replace(/_/g, '/'));
+        const values = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0))));
+        if (Array.isArray(values) && values.length === keys.length + 1) {
+            return values;
+        }
+    } catch (error) {
+        // Reported below
+    }
+    throw new Error('Invalid cursor (it must come from a request with the same sort)');
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LogQuery;
+} else {
+    window.LogQuery = LogQuery;
+}
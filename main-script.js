@@ -23,14 +23,67 @@ async function initializeApplication() {
         if (typeof UIComponents === 'undefined') {
             throw new Error('UIComponents module not loaded');
         }
+        if (typeof AuthClient === 'undefined') {
+            throw new Error('AuthClient module not loaded');
+        }
+        if (typeof SyncClient === 'undefined') {
+            throw new Error('SyncClient module not loaded');
+        }
+        if (typeof QRScanner === 'undefined') {
+            throw new Error('QRScanner module not loaded');
+        }
 
-        // Initialize data manager
+        // Initialize data manager (opens browser storage and loads saved data)
         console.log('Initializing data manager...');
-        dataManager.init();
+        await dataManager.init();
+
+        // Load the saved server login
+        await authClient.init();
+
+        // Audit entries name the logged-in user and this device
+        dataManager.getActor = () => {
+            const device = syncClient.getDeviceInfo();
+            return {
+                user: authClient.user ? authClient.user.username : null,
+                device: { id: syncClient.deviceId, name: device.deviceName, type: device.deviceType }
+            };
+        };
 
         // Initialize UI components
         console.log('Initializing UI components...');
         uiComponents.init();
+        authClient.onChange = () => uiComponents.applyPermissions();
+        uiComponents.applyPermissions();
+
+        // Report storage problems to the user
+        storageManager.onError = ({ type }) => {
+            const message = type === 'quota-exceeded'
+                ? 'Browser storage is full. Export your data now and clear old records to keep saving.'
+                : 'Failed to save data to browser storage. Export your data to avoid losing changes.';
+            uiComponents.showAlert(message, 'error');
+        };
+        showStorageStatus(dataManager.storageStatus);
+
+        // Connect to the sync server (falls back to local-only mode)
+        console.log('Initializing sync client...');
+        syncClient.onStatusChange = (status) => uiComponents.updateSyncStatus(status);
+        syncClient.onRemoteChange = () => uiComponents.refreshAfterDataChange();
+        syncClient.onError = ({ operation, error }) => {
+            uiComponents.showAlert(`Server rejected ${operation}: ${error}`, 'error');
+        };
+        syncClient.onConflict = (conflicts) => uiComponents.showSyncConflicts(conflicts);
+        syncClient.onPendingChange = (count) => uiComponents.updatePendingCount(count);
+        syncClient.onActiveSessionsChange = () => uiComponents.updateActiveSessionStatus();
+        syncClient.onScanResult = (result) => uiComponents.handleScanResult(result);
+        syncClient.onAuthRequired = (message) => uiComponents.showLoginForm(message);
+        syncClient.onNotice = (message) => uiComponents.showAlert(message, 'info');
+        syncClient.onSeedRequest = (students, pending) => confirm(
+            `The sync server has no students. Send this device's ${students} students to it` +
+            `${pending > 0 ? ` (including ${pending} changes not yet sent)` : ''}?\n\n` +
+            'Only do this if this device has the latest data: students deleted elsewhere would come back. ' +
+            'Cancel shows the server\'s data on this device instead.'
+        );
+        await syncClient.init();
 
         console.log('✅ Student Management System initialized successfully');
         
@@ -43,6 +96,20 @@ async function initializeApplication() {
     }
 }
 
+function showStorageStatus(status) {
+    const messages = {
+        'recovered-from-backup': 'Saved data was corrupt and has been restored from the last backup. Recent changes may be missing.',
+        'reset-after-corruption': 'Saved data was corrupt and could not be recovered. Re-import your latest export to restore it.',
+        'load-failed': 'Failed to load saved data from browser storage.'
+    };
+
+    if (messages[status]) {
+        uiComponents.showAlert(messages[status], 'error');
+    } else if (!storageManager.isPersistent()) {
+        uiComponents.showAlert('Browser storage is unavailable. Data will be lost when this page is closed - export regularly.', 'error');
+    }
+}
+
 function showWelcomeMessage() {
     const alertContainer = document.getElementById('alertContainer');
     if (alertContainer) {
@@ -323,6 +390,20 @@ document.addEventListener('keydown', function(e) {
         uiComponents.showDeletedStudents();
     }
     
+    // Ctrl/Cmd + Z: Undo, Ctrl/Cmd + Y or Ctrl/Cmd + Shift + Z: Redo
+    // (text fields keep their own undo)
+    const editingText = e.target.matches && e.target.matches('input, textarea, select, [contenteditable="true"]');
+    if ((e.ctrlKey || e.metaKey) && !e.altKey && !editingText) {
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            uiComponents.undo();
+        } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+            e.preventDefault();
+            uiComponents.redo();
+        }
+    }
+    
     // Escape key: Close modals
     if (e.key === 'Escape') {
         // Close any open forms or modals
@@ -347,6 +428,19 @@ document.addEventListener('keydown', function(e) {
     }
 });
 
+// Queue and write pending changes as soon as the page is hidden or closed
+function flushPendingChanges() {
+    syncClient.journalChanges();
+    storageManager.flush();
+}
+
+window.addEventListener('pagehide', flushPendingChanges);
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+        flushPendingChanges();
+    }
+});
+
 // Auto-save functionality (if needed in the future)
 let autoSaveInterval;
 
@@ -0,0 +1,235 @@
+// Notifications Module - messages to parents composed from editable templates when a
+// session is closed, shared by DataManager and the server (which delivers them, see notifier.js).
+// A message is { id, courseId, session, studentId, studentName, channel, to, subject, body,
+// status, attempts, nextAttemptAt, provider, providerMessageId, error, sentAt, createdAt, updatedAt }.
+const Notifications = {
+    // Parts of a message, in the order they appear in it. The subject is used for email;
+    // a message gets the parts that apply to the student and are enabled.
+    templates: {
+        subject: {
+            label: 'Email subject',
+            body: '{courseName} {sessionName}: {studentName}'
+        },
+        absent: {
+            label: 'Absent',
+            body: 'Dear parent, {studentName} was absent from {courseName} ({sessionName}) on {date}.'
+        },
+        homework: {
+            label: 'Homework not done',
+            body: 'Dear parent, {studentName} did not do the homework for {courseName} ({sessionName}).'
+        },
+        quiz: {
+            label: 'Quiz score',
+            body: '{studentName} scored {quiz}/{quizMax} in the {courseName} quiz on {date}.'
+        }
+    },
+    placeholders: ['studentName', 'studentId', 'courseName', 'sessionName', 'session', 'date', 'topic', 'attendance', 'homework', 'quiz', 'quizMax'],
+    maxTemplateLength: 500,
+
+    // How parents are reached, by the student's contactMethod (anything else is SMS)
+    channels: {
+        sms: { label: 'SMS', contactField: 'parentPhone' },
+        whatsapp: { label: 'WhatsApp', contactField: 'parentPhone' },
+        email: { label: 'Email', contactField: 'email' }
+    },
+
+    statuses: {
+        queued: 'Queued',
+        sending: 'Sending',
+        sent: 'Sent',
+        failed: 'Failed',
+        cancelled: 'Cancelled'
+    },
+    maxAttempts: 3,
+    retryDelaySeconds: 60 // Doubles after every failed attempt
+};
+
+// CONFIG is a global in the browser
+Notifications.getConfig = function() {
+    return typeof CONFIG !== 'undefined' ? CONFIG : require('./config');
+};
+
+// Templates with the stored edits ({ type, body, enabled }) applied: { type: { label, body, enabled } }
+Notifications.getTemplates = function(stored = []) {
+    const templates = {};
+    Object.keys(this.templates).forEach(type => {
+        const edit = stored.find(template => template.type === type) || {};
+        templates[type] = {
+            label: this.templates[type].label,
+            body: typeof edit.body === 'string' ? edit.body : this.templates[type].body,
+            enabled: edit.enabled !== false
+        };
+    });
+    return templates;
+};
+
+Notifications.validateTemplate = function(template) {
+    const errors = [];
+    if (!template || !this.templates[template.type]) {
+        return [`Template must be one of: ${Object.keys(this.templates).join(', ')}`];
+    }
+    if (typeof template.body !== 'string' || !template.body.trim()) {
+        errors.push('Template text is required');
+    } else if (template.body.length > this.maxTemplateLength) {
+        errors.push(`Template text must be at most ${this.maxTemplateLength} characters`);
+    } else {
+        const unknown = (template.body.match(/\{[^{}]*\}/g) || [])
+            .map(placeholder => placeholder.slice(1, -1))
+            .filter(name => !this.placeholders.includes(name));
+        if (unknown.length > 0) {
+            errors.push(`Unknown placeholder(s): ${unknown.map(name => `{${name}}`).join(', ')}`);
+        }
+    }
+    if (template.enabled !== undefined && typeof template.enabled !== 'boolean') {
+        errors.push('Enabled must be true or false');
+    }
+    return errors;
+};
+
+// Fill {placeholders} in (unknown ones and missing values are left empty)
+Notifications.render = function(text, values) {
+    return String(text).replace(/\{(\w+)\}/g, (match, name) =>
+        values[name] === undefined || values[name] === null ? '' : String(values[name]));
+};
+
+// { channel, to } for a student's parent; to is '' when there is no address for the channel
+Notifications.getContact = function(student) {
+    const method = String(student.contactMethod || '').toLowerCase();
+    const channel = method.includes('whatsapp') ? 'whatsapp' : (method.includes('mail') ? 'email' : 'sms');
+    return { channel, to: String(student[this.channels[channel].contactField] || '').trim() };
+};
+
+Notifications.getMessageId = function(courseId, session, studentId) {
+    return `${courseId}:${session}:${studentId}`;
+};
+
+// Template types that apply to a session entry
+Notifications.getTriggers = function(entry) {
+    if (!entry || !entry.attendance) return [];
+    if (entry.attendance === 'absent') return ['absent'];
+
+    const triggers = [];
+    if (entry.homework === 'not-done') triggers.push('homework');
+    if (entry.quiz !== null && entry.quiz !== undefined && entry.quiz !== '') triggers.push('quiz');
+    return triggers;
+};
+
+// Messages for the parents of a course's students after a session (one per parent).
+// options: { course, session, students, getEntry(student), templates (see getTemplates),
+// existing (messages already stored), date (when the entry has none), now, createdBy }.
+// Messages already sent or queued with the same text are left as they are; queued ones
+// that no longer apply (the marks or templates changed) are cancelled.
+// Returns { messages (new or changed), queued, cancelled, unchanged,
+// skipped: [{ studentId, studentName, reason }] }.
+Notifications.composeSessionMessages = function(options) {
+    const config = this.getConfig();
+    const { course, session, templates, existing = [] } = options;
+    const now = options.now || new Date().toISOString();
+    const plan = config.getSessionSchedule(course, session) || {};
+    const result = { messages: [], queued: 0, cancelled: 0, unchanged: 0, skipped: [] };
+    const cancel = student => {
+        const previous = existing.find(item => item.id === this.getMessageId(course.id, session, student.id));
+        if (previous && previous.status === 'queued') {
+            result.messages.push(this.cancel(previous, now));
+            result.cancelled++;
+        }
+    };
+
+    options.students.forEach(student => {
+        const entry = options.getEntry(student);
+        const types = this.getTriggers(entry).filter(type => templates[type].enabled);
+        if (types.length === 0) {
+            cancel(student);
+            return;
+        }
+
+        const attendance = config.getAttendanceOption(entry.attendance);
+        const homework = config.homework.options.find(option => option.value === entry.homework);
+        const values = {
+            studentName: student.fullName,
+            studentId: student.id,
+            courseName: course.name,
+            sessionName: config.getSessionName(session),
+            session,
+            date: entry.date || plan.date || options.date,
+            topic: plan.topic,
+            attendance: attendance ? attendance.label : entry.attendance,
+            homework: homework ? homework.label : entry.homework,
+            quiz: entry.quiz,
+            quizMax: config.quiz.maxScore
+        };
+
+        const { channel, to } = this.getContact(student);
+        if (!to) {
+            result.skipped.push({
+                studentId: student.id,
+                studentName: student.fullName,
+                reason: channel === 'email' ? 'No email address' : 'No parent phone number'
+            });
+            cancel(student);
+            return;
+        }
+
+        const message = {
+            id: this.getMessageId(course.id, session, student.id),
+            courseId: course.id,
+            session,
+            studentId: student.id,
+            studentName: student.fullName,
+            channel,
+            to,
+            subject: this.render(templates.subject.body, values),
+            body: types.map(type => this.render(templates[type].body, values)).join('\n')
+        };
+
+        const previous = existing.find(item => item.id === message.id);
+        if (previous && (previous.status === 'sent' || previous.status === 'sending' ||
+            (previous.status === 'queued' && previous.body === message.body && previous.to === message.to))) {
+            result.unchanged++;
+            return;
+        }
+
+        result.queued++;
+        result.messages.push({
+            ...message,
+            status: 'queued',
+            attempts: 0,
+            ...(options.createdBy ? { createdBy: options.createdBy } : {}),
+            createdAt: previous ? previous.createdAt : now,
+            updatedAt: now
+        });
+    });
+
+    return result;
+};
+
+// A failed or cancelled message queued again
+Notifications.retry = function(message, now = new Date().toISOString()) {
+    if (message.status !== 'failed' && message.status !== 'cancelled') {
+        throw new Error(`Only failed or cancelled messages can be sent again (this one is ${message.status})`);
+    }
+    const { nextAttemptAt, error, ...rest } = message;
+    return { ...rest, status: 'queued', attempts: 0, updatedAt: now };
+};
+
+Notifications.cancel = function(message, now = new Date().toISOString()) {
+    if (message.status !== 'queued') {
+        throw new Error(`Only queued messages can be cancelled (this one is ${message.status})`);
+    }
+    const { nextAttemptAt, ...rest } = message;
+    return { ...rest, status: 'cancelled', updatedAt: now };
+};
+
+// Queued messages whose (next) attempt is due, oldest first
+Notifications.getDue = function(messages, now = new Date().toISOString()) {
+    return messages
+        .filter(message => message.status === 'queued' && (!message.nextAttemptAt || message.nextAttemptAt <= now))
+        .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Notifications;
+} else {
+    window.Notifications = Notifications;
+}
@@ -0,0 +1,201 @@
+// notifier.js - Delivers messages to parents (see notifications.js) through a provider per
+// channel: an SMS gateway, the WhatsApp Cloud API and email over SMTP are set up from
+// environment variables. Channels without one use the fallback provider, which writes
+// messages to an outbox file (or the console) instead of sending them.
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const nodemailer = require('nodemailer');
+
+const REQUEST_TIMEOUT = 15000; // 15 seconds per gateway request
+const SMTP_TIMEOUT = 30000; // 30 seconds per email
+
+class Notifier {
+    constructor(options = {}) {
+        this.outboxFile = options.outboxFile || path.join(__dirname, 'data', 'outbox.log');
+        this.fallback = options.fallback || 'file';
+        this.providers = {}; // name -> { send(message) -> Promise<{ id }> }
+        this.channels = {}; // channel -> provider name
+
+        this.registerProvider('console', {
+            send: async message => {
+                console.log(`📨 [${message.channel}] to ${message.to}: ${message.body.replace(/\n/g, ' / ')}`);
+                return { id: `console-${Date.now()}` };
+            }
+        });
+        this.registerProvider('file', {
+            send: async message => {
+                const id = `outbox-${Date.now()}`;
+                fs.mkdirSync(path.dirname(this.outboxFile), { recursive: true, mode: 0o700 });
+                fs.appendFileSync(this.outboxFile, JSON.stringify({
+                    id,
+                    at: new Date().toISOString(),
+                    channel: message.channel,
+                    to: message.to,
+                    subject: message.subject,
+                    body: message.body
+                }) + '\n', { mode: 0o600 }); // Parents' contact details
+                return { id };
+            }
+        });
+    }
+
+    // A notifier with the providers configured in env (see README, "Parent Notifications")
+    static fromEnv(env, options = {}) {
+        const notifier = new Notifier({ ...options, fallback: env.NOTIFY_FALLBACK || options.fallback });
+
+        if (env.SMS_GATEWAY_URL) {
+            notifier.registerProvider('sms-gateway', Notifier.createSmsGateway({
+                url: env.SMS_GATEWAY_URL,
+                token: env.SMS_GATEWAY_TOKEN,
+                sender: env.SMS_SENDER
+            }));
+            notifier.useProvider('sms', 'sms-gateway');
+        }
+        if (env.WHATSAPP_TOKEN && env.WHATSAPP_PHONE_NUMBER_ID) {
+            notifier.registerProvider('whatsapp-cloud', Notifier.createWhatsApp({
+                token: env.WHATSAPP_TOKEN,
+                phoneNumberId: env.WHATSAPP_PHONE_NUMBER_ID
+            }));
+            notifier.useProvider('whatsapp', 'whatsapp-cloud');
+        }
+        if (env.SMTP_HOST) {
+            const secure = env.SMTP_SECURE === 'true';
+            notifier.registerProvider('smtp', Notifier.createSmtp({
+                host: env.SMTP_HOST,
+                port: Number(env.SMTP_PORT) || (secure ? 465 : 587),
+                secure,
+                user: env.SMTP_USER,
+                pass: env.SMTP_PASS,
+                from: env.SMTP_FROM || env.SMTP_USER
+            }));
+            notifier.useProvider('email', 'smtp');
+        }
+
+        return notifier;
+    }
+
+    registerProvider(name, provider) {
+        if (!provider || typeof provider.send !== 'function') {
+            throw new Error(`Provider ${name} must have a send(message) function`);
+        }
+        this.providers[name] = provider;
+    }
+
+    useProvider(channel, name) {
+        this.channels[channel] = name;
+    }
+
+    getProviderName(channel) {
+        return this.channels[channel] || this.fallback;
+    }
+
+    // Send one message; resolves with { provider, providerMessageId }, rejects when it failed
+    async send(message) {
+        const name = this.getProviderName(message.channel);
+        const provider = this.providers[name];
+        if (!provider) {
+            throw new Error(`Unknown notification provider: ${name}`);
+        }
+
+        const result = (await provider.send(message)) || {};
+        return { provider: name, providerMessageId: result.id ? String(result.id) : null };
+    }
+
+    // Providers
+
+    // Any HTTP SMS gateway taking { to, from, message } as JSON with a bearer token;
+    // the message ID is read from the response's id or messageId
+    static createSmsGateway({ url, token, sender }) {
+        return {
+            send: async message => {
+                const response = await postJson(url, {
+                    to: message.to,
+                    ...(sender ? { from: sender } : {}),
+                    message: message.body
+                }, token ? { Authorization: `Bearer ${token}` } : {});
+                return { id: response && (response.id || response.messageId) };
+            }
+        };
+    }
+
+    static createWhatsApp({ token, phoneNumberId, apiVersion = 'v19.0' }) {
+        return {
+            send: async message => {
+                const response = await postJson(`https://graph.facebook.com/${apiVersion}/${phoneNumberId}/messages`, {
+                    messaging_product: 'whatsapp',
+                    to: message.to.replace(/[^\d]/g, ''),
+                    type: 'text',
+                    text: { body: message.body }
+                }, { Authorization: `Bearer ${token}` });
+                return { id: response && response.messages && response.messages[0] && response.messages[0].id };
+            }
+        };
+    }
+
+    // Plain text email through nodemailer: implicit TLS with settings.secure, STARTTLS when
+    // the server offers it, login when a user is set. settings.transport replaces the SMTP
+    // connection (any nodemailer transport, e.g. { jsonTransport: true }).
+    static createSmtp({ host, port, secure, user, pass, from, transport }) {
+        const transporter = nodemailer.createTransport(transport || {
+            host,
+            port,
+            secure,
+            ...(user ? { auth: { user, pass } } : {}),
+            connectionTimeout: SMTP_TIMEOUT,
+            greetingTimeout: SMTP_TIMEOUT,
+            socketTimeout: SMTP_TIMEOUT
+        });
+
+        return {
+            send: async message => {
+                const info = await transporter.sendMail({
+                    from,
+                    to: message.to,
+                    subject: message.subject,
+                    text: message.body
+                });
+                return { id: info.messageId };
+            }
+        };
+    }
+}
+
+// POST JSON and resolve with the parsed response; rejects on errors and non-2xx statuses
+function postJson(url, body, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const payload = JSON.stringify(body);
+        const request = (target.protocol === 'http:' ? http : https).request(target, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(payload),
+                ...headers
+            },
+            timeout: REQUEST_TIMEOUT
+        }, response => {
+            let text = '';
+            response.setEncoding('utf8');
+            response.on('data', chunk => { text += chunk; });
+            response.on('end', () => {
+                if (response.statusCode < 200 || response.statusCode >= 300) {
+                    reject(new Error(`${target.host} answered ${response.statusCode}: ${text.slice(0, 200)}`));
+                    return;
+                }
+                try {
+                    resolve(text ? JSON.parse(text) : null);
+                } catch (error) {
+                    resolve(null); // Sent; the gateway just didn't answer with JSON
+                }
+            });
+        });
+
+        request.on('timeout', () => request.destroy(new Error(`${target.host} did not answer in time`)));
+        request.on('error', reject);
+        request.end(payload);
+    });
+}
+
+module.exports = Notifier;
@@ -0,0 +1,121 @@
+// qr-codes.js - Signed QR codes for student ID cards
+// A payload is "SMS:<student id>:<signature>", where the signature is an HMAC of the
+// student ID with a server secret, so a code typed up for an arbitrary ID is rejected.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const QRCode = require('qrcode');
+
+const PAYLOAD_PREFIX = 'SMS';
+const SIGNATURE_LENGTH = 22; // 128 bits of the HMAC, base64url encoded
+
+class QRCodes {
+    constructor(options = {}) {
+        this.secretFile = options.secretFile || path.join(__dirname, 'data', 'qr-secret');
+        this.secret = options.secret || null;
+    }
+
+    // Load the signing secret, creating one on first run. Replacing the secret
+    // invalidates every printed card.
+    loadSecret() {
+        if (this.secret) return this.secret;
+
+        if (fs.existsSync(this.secretFile)) {
+            this.secret = fs.readFileSync(this.secretFile, 'utf8').trim();
+        } else {
+            fs.mkdirSync(path.dirname(this.secretFile), { recursive: true });
+            this.secret = crypto.randomBytes(32).toString('hex');
+            fs.writeFileSync(this.secretFile, this.secret, { mode: 0o600 });
+            console.log(`🔑 Created QR signing key at ${this.secretFile}`);
+        }
+
+        return this.secret;
+    }
+
+    sign(studentId) {
+        return crypto.createHmac('sha256', this.loadSecret())
+            .update(String(studentId))
+            .digest('base64url')
+            .slice(0, SIGNATURE_LENGTH);
+    }
+
+    createPayload(studentId) {
+        return `${PAYLOAD_PREFIX}:${studentId}:${this.sign(studentId)}`;
+    }
+
+    // Return the student ID from a scanned payload, or null if it is malformed or forged
+    verifyPayload(payload) {
+        if (typeof payload !== 'string' || !payload.startsWith(`${PAYLOAD_PREFIX}:`)) {
+            return null;
+        }
+
+        const separator = payload.lastIndexOf(':');
+        const studentId = payload.slice(PAYLOAD_PREFIX.length + 1, separator);
+        const signature = Buffer.from(payload.slice(separator + 1));
+        const expected = Buffer.from(this.sign(studentId));
+
+        if (studentId === '' || signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+            return null;
+        }
+
+        return studentId;
+    }
+
+    toPNG(studentId, size = 300) {
+        return QRCode.toBuffer(this.createPayload(studentId), { type: 'png', width: size, margin: 1 });
+    }
+
+    toSVG(studentId, size = 300) {
+        return QRCode.toString(this.createPayload(studentId), { type: 'svg', width: size, margin: 1 });
+    }
+
+    // Printable A4 sheet of ID cards (10 per page)
+    async renderCardSheet(students, title) {
+        const cards = await Promise.all(students.map(async student => `
+            <div class="card">
+                <div class="qr">${await this.toSVG(student.id, 140)}</div>
+                <div class="details">
+                    <div class="name">${escapeHtml(student.fullName)}</div>
+                    <div><strong>ID:</strong> ${escapeHtml(student.id)}</div>
+                    ${student.gradeLevel ? `<div>${escapeHtml(student.gradeLevel)}</div>` : ''}
+                    ${student.center ? `<div>${escapeHtml(student.center)}</div>` : ''}
+                </div>
+            </div>
+        `));
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(title)}</title>
+    <style>
+        @page { size: A4; margin: 10mm; }
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; }
+        h1 { font-size: 18px; margin: 10px 0; }
+        .sheet { display: grid; grid-template-columns: repeat(2, 90mm); gap: 5mm; }
+        .card { display: flex; align-items: center; gap: 10px; height: 50mm; padding: 8px;
+                border: 1px dashed #999; border-radius: 8px; box-sizing: border-box; break-inside: avoid; }
+        .qr svg { width: 38mm; height: 38mm; display: block; }
+        .details { font-size: 12px; line-height: 1.5; overflow: hidden; }
+        .name { font-size: 15px; font-weight: bold; color: #2c3e50; }
+        @media print { h1, .no-print { display: none; } }
+    </style>
+</head>
+<body>
+    <h1>🎓 ${escapeHtml(title)} (${students.length} card${students.length === 1 ? '' : 's'})</h1>
+    <button class="no-print" onclick="window.print()">🖨️ Print</button>
+    <div class="sheet">${cards.join('')}</div>
+</body>
+</html>`;
+    }
+}
+
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports = QRCodes;
@@ -0,0 +1,186 @@
+// QR Scanner Module - reads student QR codes from the device camera or an image file
+// Uses the browser's BarcodeDetector when available and falls back to jsQR.
+class QRScanner {
+    constructor() {
+        this.stream = null;
+        this.video = null;
+        this.canvas = null;
+        this.detector = null;
+        this.frameTimer = null;
+        this.lastCode = null;
+        this.lastCodeAt = 0;
+        this.audioContext = null;
+        this.onDetect = null; // Called with the decoded text
+    }
+
+    isCameraSupported() {
+        return typeof navigator !== 'undefined' &&
+            Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    }
+
+    isDecoderAvailable() {
+        return typeof BarcodeDetector !== 'undefined' || typeof jsQR !== 'undefined';
+    }
+
+    isRunning() {
+        return this.stream !== null;
+    }
+
+    // Start the camera and decode frames into the given video element
+    async start(video) {
+        if (this.isRunning()) return;
+
+        if (!this.isCameraSupported()) {
+            throw new Error('Camera access is not available in this browser (it needs HTTPS or localhost). Use "Scan from Image" instead.');
+        }
+        if (!this.isDecoderAvailable()) {
+            throw new Error('QR decoder failed to load');
+        }
+
+        this.stream = await navigator.mediaDevices.getUserMedia({
+            video: { facingMode: 'environment' },
+            audio: false
+        });
+
+        this.video = video;
+        this.video.srcObject = this.stream;
+        await this.video.play();
+
+        this.scheduleFrame();
+    }
+
+    stop() {
+        clearTimeout(this.frameTimer);
+        this.frameTimer = null;
+
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        if (this.video) {
+            this.video.srcObject = null;
+            this.video = null;
+        }
+    }
+
+    scheduleFrame() {
+        this.frameTimer = setTimeout(() => this.scanFrame(), CONFIG.qrScan.frameInterval);
+    }
+
+    async scanFrame() {
+        if (!this.isRunning()) return;
+
+        try {
+            if (this.video.readyState >= 2) {
+                const text = await this.decode(this.video, this.video.videoWidth, this.video.videoHeight);
+                if (text) {
+                    this.handleCode(text);
+                }
+            }
+        } catch (error) {
+            console.error('QR frame decoding failed:', error);
+        }
+
+        if (this.isRunning()) {
+            this.scheduleFrame();
+        }
+    }
+
+    // The camera sees the same card for several frames; report it once per pause
+    handleCode(text) {
+        const now = Date.now();
+        if (text === this.lastCode && now - this.lastCodeAt < CONFIG.qrScan.repeatDelay) {
+            return;
+        }
+
+        this.lastCode = text;
+        this.lastCodeAt = now;
+
+        if (typeof this.onDetect === 'function') {
+            this.onDetect(text);
+        }
+    }
+
+    // Decode a QR code from an uploaded image; resolves with the text or null
+    async decodeFile(file) {
+        if (!file || !file.type.startsWith('image/')) {
+            throw new Error('Please choose an image file');
+        }
+        if (!this.isDecoderAvailable()) {
+            throw new Error('QR decoder failed to load');
+        }
+
+        const url = URL.createObjectURL(file);
+        try {
+            const image = new Image();
+            await new Promise((resolve, reject) => {
+                image.onload = resolve;
+                image.onerror = () => reject(new Error('The image could not be read'));
+                image.src = url;
+            });
+            return await this.decode(image, image.naturalWidth, image.naturalHeight);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    async decode(source, width, height) {
+        if (typeof BarcodeDetector !== 'undefined') {
+            this.detector = this.detector || new BarcodeDetector({ formats: ['qr_code'] });
+            const codes = await this.detector.detect(source);
+            return codes.length > 0 ? codes[0].rawValue : null;
+        }
+
+        this.canvas = this.canvas || document.createElement('canvas');
+        this.canvas.width = width;
+        this.canvas.height = height;
+
+        const context = this.canvas.getContext('2d', { willReadFrequently: true });
+        context.drawImage(source, 0, 0, width, height);
+        const imageData = context.getImageData(0, 0, width, height);
+        const code = jsQR(imageData.data, width, height, { inversionAttempts: 'dontInvert' });
+
+        return code ? code.data : null;
+    }
+
+    // Short beep for a good scan, low buzz for a rejected one
+    playSound(success) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+
+        try {
+            this.audioContext = this.audioContext || new AudioContextClass();
+            const oscillator = this.audioContext.createOscillator();
+            const gain = this.audioContext.createGain();
+
+            oscillator.type = success ? 'sine' : 'square';
+            oscillator.frequency.value = success ? 1200 : 220;
+            gain.gain.value = 0.1;
+
+            oscillator.connect(gain);
+            gain.connect(this.audioContext.destination);
+            oscillator.start();
+            oscillator.stop(this.audioContext.currentTime + (success ? 0.15 : 0.4));
+        } catch (error) {
+            console.warn('Could not play scan sound:', error);
+        }
+    }
+
+    // Student ID from a card payload ("SMS:<id>:<signature>"). The signature can only
+    // be checked by the server; offline the teacher confirms the student before marking.
+    static parsePayload(text) {
+        const match = /^SMS:(.+):[A-Za-z0-9_-]+$/.exec(String(text || '').trim());
+        return match ? match[1] : null;
+    }
+}
+
+// Create singleton instance
+const qrScanner = new QRScanner();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { QRScanner, qrScanner };
+} else {
+    window.QRScanner = QRScanner;
+    window.qrScanner = qrScanner;
+}
@@ -6,12 +6,21 @@ const path = require('path');
 const os = require('os');
 const multer = require('multer');
 const fs = require('fs');
+const DataStore = require('./data-store');
+const DataChanges = require('./data-changes');
+const LogQuery = require('./log-query');
+const AuditTrail = require('./audit-trail');
+const QRCodes = require('./qr-codes');
+const Notifications = require('./notifications');
+const Notifier = require('./notifier');
+const { AuthManager, AuthError } = require('./auth');
+const CONFIG = require('./config');
 
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server, {
     cors: {
-        origin: "*",
+        origin: process.env.CORS_ORIGIN || "*", // Every request still needs a login token
         methods: ["GET", "POST"]
     }
 });
@@ -19,7 +28,6 @@ const io = socketIo(server, {
 // Middleware
 app.use(express.json({ limit: '50mb' }));
 app.use(express.static('public'));
-app.use('/uploads', express.static('uploads'));
 
 // File upload configuration
 const storage = multer.diskStorage({
@@ -35,15 +43,407 @@ const storage = multer.diskStorage({
 });
 const upload = multer({ storage });
 
-// In-memory database (synchronized across all clients)
-let appData = {
+// Persistent storage (write-ahead log + snapshot in the data directory)
+const dataStore = new DataStore({
+    dataDir: process.env.DATA_DIR || path.join(__dirname, 'data')
+});
+
+// In-memory database (synchronized across all clients, persisted by dataStore)
+let appData = dataStore.load({
     students: [],
     studentRecords: [],
     attendanceLogs: [],
     deletedStudents: [],
+    courses: [],
+    holidays: [],
+    notifications: [],
+    notificationTemplates: [],
+    processedOps: [],
+    activeSessions: [],
+    users: [],
+    seq: 0,
     lastUpdated: new Date().toISOString(),
     version: '2.0.0'
-};
+});
+dataStore.start(() => appData);
+
+// Audit entries in the order they were made (see recordAudit)
+const auditTrail = dataStore.loadAudit();
+
+// Signed QR codes for student ID cards (the signing key is kept next to the data)
+const qrCodes = new QRCodes({
+    secret: process.env.QR_SECRET,
+    secretFile: path.join(dataStore.dataDir, 'qr-secret')
+});
+qrCodes.loadSecret();
+
+// User accounts are kept with the data; tokens are signed with a key next to it
+const auth = new AuthManager({
+    secret: process.env.AUTH_SECRET,
+    secretFile: path.join(dataStore.dataDir, 'auth-secret'),
+    getUsers: () => appData.users,
+    saveUsers: () => dataStore.compact()
+});
+auth.loadSecret();
+auth.ensureAdmin(process.env.ADMIN_USERNAME, process.env.ADMIN_PASSWORD);
+
+// Messages to parents go out through the providers set up in the environment; channels
+// without one are written to an outbox file next to the data (see notifier.js)
+const notifier = Notifier.fromEnv(process.env, {
+    outboxFile: path.join(dataStore.dataDir, 'outbox.log')
+});
+
+// Recent changes kept in memory so reconnecting clients only fetch what they missed
+const MAX_CHANGE_HISTORY = 5000;
+let changeHistory = [];
+let historyStartSeq = appData.seq; // Changes after this sequence number are in changeHistory
+
+// Client operation IDs already applied, so operations replayed from an offline queue
+// are not applied twice
+const MAX_PROCESSED_OPS = 10000;
+const processedOps = new Set(appData.processedOps);
+
+// appData without server bookkeeping or accounts, as sent to clients
+function getPublicData() {
+    const { processedOps, users, ...data } = appData;
+    return data;
+}
+
+function isDuplicateOperation(opId) {
+    return Boolean(opId) && processedOps.has(opId);
+}
+
+function rememberOperation(opId) {
+    if (!opId) return;
+
+    processedOps.add(opId);
+    appData.processedOps.push(opId);
+    if (appData.processedOps.length > MAX_PROCESSED_OPS) {
+        processedOps.delete(appData.processedOps.shift());
+    }
+}
+
+// Apply changes to appData, number them, persist them and broadcast them to every client.
+// deviceId identifies the writer of the new revisions; opId the client operation, if any;
+// actor ({ user, device }) who is recorded in the audit trail.
+function commitChanges(changes, { deviceId = null, opId = null, actor = SYSTEM_ACTOR } = {}) {
+    rememberOperation(opId);
+
+    if (changes.length === 0) {
+        return changes;
+    }
+
+    // Stamp the next revision numbers before applying each change
+    const auditEntries = [];
+    changes = changes.map(change => {
+        const current = DataChanges.findEntity(appData, change.collection, change.id);
+        const stamped = DataChanges.stampRevisions(change, current, deviceId);
+        DataChanges.applyChange(appData, stamped);
+
+        const entry = AuditTrail.fromChange(stamped, current, { opId });
+        if (entry) {
+            auditEntries.push({ entry, change: stamped });
+        }
+        return stamped;
+    });
+    appData.lastUpdated = new Date().toISOString();
+    changes.forEach(change => {
+        change.seq = ++appData.seq;
+    });
+
+    dataStore.append(changes, appData.lastUpdated, opId);
+    recordAudit(auditEntries.map(({ entry, change }) => ({ ...entry, at: appData.lastUpdated, seq: change.seq })), actor);
+
+    changeHistory.push(...changes);
+    if (changeHistory.length > MAX_CHANGE_HISTORY) {
+        changeHistory = changeHistory.slice(-MAX_CHANGE_HISTORY);
+        historyStartSeq = changeHistory[0].seq - 1;
+    }
+
+    io.emit('data-changes', {
+        fromSeq: changes[0].seq,
+        toSeq: appData.seq,
+        changes
+    });
+
+    if (changes.some(change => change.collection === 'notifications' && change.value && change.value.status === 'queued')) {
+        setImmediate(deliverNotifications);
+    }
+
+    return changes;
+}
+
+// Audit trail: every change to the data and to user accounts, with who made it and from
+// which device. Kept in its own append-only file next to the data.
+const SYSTEM_ACTOR = { user: null, device: { id: 'server', name: 'Server', type: 'server' } };
+
+function recordAudit(entries, actor = SYSTEM_ACTOR) {
+    const recorded = entries.map((entry, index) => ({
+        id: auditTrail.length + index + 1,
+        ...entry,
+        user: actor.user,
+        device: actor.device
+    }));
+
+    dataStore.appendAudit(recorded);
+    auditTrail.push(...recorded);
+}
+
+// The user and device behind a socket (device details come from its client-info)
+function getClientActor(clientId) {
+    const client = connectedClients.get(clientId) || {};
+    return {
+        user: client.user || null,
+        device: {
+            id: client.deviceId || clientId,
+            name: client.deviceName || 'Unknown Device',
+            type: client.deviceType || 'unknown'
+        }
+    };
+}
+
+// Device details a client reports are free text: kept as short plain strings
+function getDeviceText(value, fallback) {
+    const text = typeof value === 'string' ? value.trim().slice(0, CONFIG.sync.maxDeviceTextLength) : '';
+    return text || fallback;
+}
+
+function getApiActor(req) {
+    return {
+        user: req.user ? req.user.username : null,
+        device: { id: `api:${req.ip}`, name: `REST API (${req.ip})`, type: 'api' }
+    };
+}
+
+// Check client changes against the revisions they were based on; stale writes
+// are held back and returned as conflicts for a person to resolve
+function mergeClientChanges(changes, deviceId) {
+    const accepted = [];
+    const conflicts = [];
+
+    changes.forEach(change => {
+        const current = DataChanges.findEntity(appData, change.collection, change.id);
+        const result = DataChanges.mergeChange(change, current, deviceId);
+        if (result.change) {
+            accepted.push(result.change);
+        }
+        conflicts.push(...result.conflicts);
+    });
+
+    return { accepted, conflicts };
+}
+
+// Send a client everything after sinceSeq, or the full data set if that history is gone
+function sendCatchUp(socket, sinceSeq) {
+    if (Number.isInteger(sinceSeq) && sinceSeq >= historyStartSeq && sinceSeq <= appData.seq) {
+        socket.emit('data-changes', {
+            fromSeq: sinceSeq + 1,
+            toSeq: appData.seq,
+            changes: changeHistory.filter(change => change.seq > sinceSeq),
+            resync: true
+        });
+    } else {
+        socket.emit('initial-data', getPublicData());
+    }
+}
+
+// Courses (classes). The default course always exists (it is stored once its settings
+// have been changed); null for unknown courses.
+function getCourse(courseId = CONFIG.courses.defaultId) {
+    const course = appData.courses.find(item => item.id === courseId);
+    if (course) {
+        return course;
+    }
+    return courseId === CONFIG.courses.defaultId ? CONFIG.createDefaultCourse() : null;
+}
+
+function getCourses() {
+    return [getCourse(), ...appData.courses.filter(course => course.id !== CONFIG.courses.defaultId)];
+}
+
+function getHolidayDates() {
+    return appData.holidays.map(holiday => holiday.date);
+}
+
+function getSessionCount(courseId) {
+    return CONFIG.getSessionCount(getCourse(courseId));
+}
+
+function isEnrolled(studentId, courseId) {
+    return appData.enrollments.some(enrollment =>
+        enrollment.courseId === courseId && enrollment.studentId == studentId);
+}
+
+function getCourseStudents(courseId) {
+    return appData.students.filter(student => isEnrolled(student.id, courseId));
+}
+
+// Build an empty student record with all sessions of the course initialized
+function createStudentRecord(student, courseId) {
+    return CONFIG.withCourse({
+        id: student.id,
+        fullName: student.fullName,
+        parentPhone: student.parentPhone,
+        sessions: CONFIG.fillSessions({}, getSessionCount(courseId)),
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    }, courseId);
+}
+
+function findStudentRecord(studentId, courseId = CONFIG.courses.defaultId) {
+    return appData.studentRecords.find(record =>
+        String(record.id) === String(studentId) && CONFIG.getCourseId(record) === courseId) || null;
+}
+
+// Changes that put a student on a course's roster, with a record for the course
+function buildEnrollChanges(student, courseId) {
+    const changes = [];
+    if (!isEnrolled(student.id, courseId)) {
+        changes.push(DataChanges.upsert('enrollments', CONFIG.createEnrollment(student.id, courseId)));
+    }
+    if (!findStudentRecord(student.id, courseId)) {
+        changes.push(DataChanges.upsert('studentRecords', createStudentRecord(student, courseId)));
+    }
+    return changes;
+}
+
+// The course a request is about (?courseId= or body.courseId, the default one if not
+// given); sends a 404 and returns null for unknown courses
+function getRequestCourse(req, res) {
+    const courseId = (req.body && req.body.courseId) || req.query.courseId || CONFIG.courses.defaultId;
+    const course = getCourse(String(courseId));
+    if (!course) {
+        res.status(404).json({ error: `Class ${courseId} not found` });
+    }
+    return course;
+}
+
+// Data sent by clients that predate courses (or holidays) must not remove them; students
+// without enrolments are put in the default course
+function withCourses(data) {
+    const courses = Array.isArray(data.courses) ? data.courses : appData.courses;
+    const holidays = Array.isArray(data.holidays) ? data.holidays : appData.holidays;
+    const notifications = Array.isArray(data.notifications) ? data.notifications : appData.notifications;
+    const notificationTemplates = Array.isArray(data.notificationTemplates)
+        ? data.notificationTemplates
+        : appData.notificationTemplates;
+    if (Array.isArray(data.enrollments)) {
+        return { ...data, courses, holidays, notifications, notificationTemplates };
+    }
+
+    const students = Array.isArray(data.students) ? data.students : [];
+    const enrollments = appData.enrollments.filter(enrollment =>
+        students.some(student => student.id == enrollment.studentId));
+    students.forEach(student => {
+        if (!enrollments.some(enrollment => enrollment.studentId == student.id)) {
+            enrollments.push(CONFIG.createEnrollment(student.id));
+        }
+    });
+    return { ...data, courses, holidays, notifications, notificationTemplates, enrollments };
+}
+
+// Data from before classes: every student is in the default course
+if (!Array.isArray(appData.enrollments)) {
+    appData.enrollments = [];
+    commitChanges(appData.students.map(student =>
+        DataChanges.upsert('enrollments', CONFIG.createEnrollment(student.id))));
+}
+
+// Changes that record attendance for one student, like a teacher marking it by hand:
+// the session entry is overwritten and today's log for that session is updated or created
+// (input.courseId names the course, the default one if not given). With detectLate, a
+// student marked present after the session's grace period on the session's day is tagged late.
+function buildAttendanceChanges(input) {
+    const changes = [];
+    const courseId = input.courseId || CONFIG.courses.defaultId;
+    const time = input.time || new Date().toLocaleTimeString('en-US');
+    const date = input.date || new Date().toLocaleDateString('en-US');
+    const attendanceData = input.detectLate
+        ? CONFIG.withLateDetection(input, CONFIG.getSessionSchedule(getCourse(courseId), parseInt(input.session)), time, date)
+        : input;
+    const session = parseInt(attendanceData.session);
+    const quiz = attendanceData.quiz === null || attendanceData.quiz === undefined || attendanceData.quiz === ''
+        ? null
+        : parseInt(attendanceData.quiz);
+    
+    // Update student record
+    const existingRecord = findStudentRecord(attendanceData.studentId, courseId);
+    if (existingRecord) {
+        changes.push(DataChanges.upsert('studentRecords', {
+            ...existingRecord,
+            sessions: {
+                ...existingRecord.sessions,
+                [session]: CONFIG.withAttendanceDetails({
+                    ...existingRecord.sessions[session],
+                    attendance: attendanceData.attendance,
+                    minutesLate: attendanceData.minutesLate,
+                    reason: attendanceData.reason,
+                    homework: attendanceData.homework,
+                    quiz,
+                    date
+                })
+            },
+            updatedAt: new Date().toISOString()
+        }));
+    }
+    
+    // Add attendance log
+    const logEntry = CONFIG.withCourse(CONFIG.withAttendanceDetails({
+        id: Date.now() + Math.random() * 1000,
+        date,
+        time,
+        studentId: attendanceData.studentId,
+        studentName: attendanceData.studentName,
+        session,
+        attendance: attendanceData.attendance,
+        minutesLate: attendanceData.minutesLate,
+        reason: attendanceData.reason,
+        homework: attendanceData.homework,
+        quiz,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    }), courseId);
+    
+    // Check if log already exists for today and update it
+    const existingLog = findAttendanceLog(attendanceData.studentId, date, session, courseId);
+    if (existingLog) {
+        logEntry.id = existingLog.id;
+        logEntry.createdAt = existingLog.createdAt;
+    }
+    changes.push(DataChanges.upsert('attendanceLogs', logEntry));
+    
+    return { changes, logEntry };
+}
+
+function findAttendanceLog(studentId, date, session, courseId = CONFIG.courses.defaultId) {
+    return appData.attendanceLogs.find(log =>
+        String(log.studentId) === String(studentId) &&
+        log.date === date &&
+        log.session === session &&
+        CONFIG.getCourseId(log) === courseId
+    );
+}
+
+// Active sessions per classroom (scans during an active session with scan-to-mark
+// enabled record attendance). Kept with the data so a restart doesn't end a class.
+function getActiveSession(classroom) {
+    return appData.activeSessions.find(active => active.classroom === classroom) || null;
+}
+
+function setActiveSession(classroom, activeSession, actor) {
+    const current = getActiveSession(classroom);
+    appData.activeSessions = appData.activeSessions.filter(active => active.classroom !== classroom);
+    if (activeSession) {
+        appData.activeSessions.push(activeSession);
+    }
+    
+    dataStore.compact();
+    const change = activeSession
+        ? { collection: 'activeSessions', action: 'upsert', id: classroom, value: activeSession }
+        : { collection: 'activeSessions', action: 'remove', id: classroom };
+    recordAudit([AuditTrail.fromChange(change, current)].filter(Boolean), actor);
+    io.emit('active-sessions', { sessions: appData.activeSessions });
+}
 
 // Connected clients tracking
 let connectedClients = new Map();
@@ -64,11 +464,104 @@ function getLocalIPAddresses() {
     return addresses;
 }
 
+// Authentication: REST requests send "Authorization: Bearer <token>",
+// sockets send the token in the handshake
+function getRequestToken(req) {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+function requirePermission(permission) {
+    return (req, res, next) => {
+        const user = auth.verifyToken(getRequestToken(req));
+        if (!user) {
+            return res.status(401).json({ error: 'Login required' });
+        }
+        if (!auth.can(user, permission)) {
+            return res.status(403).json({ error: `Your role (${user.role}) is not allowed to ${permission}` });
+        }
+        req.user = user;
+        next();
+    };
+}
+
+// The permission a user's role lacks for a batch of changes, if any
+// actor ({ user, device }) sends the changes; they may take back their own new logs
+function findMissingPermission(user, changes, actor = null) {
+    const context = { isOwnNewLog: id => Boolean(actor) && isOwnNewLog(actor, id) };
+    const permissions = new Set(changes.map(change => AuthManager.requiredPermission(change, changes, context)));
+    return Array.from(permissions).find(permission => !auth.can(user, permission)) || null;
+}
+
+// Whether an attendance log was created by this user on this device and nobody has
+// changed it since (its latest audit entry is that creation)
+function isOwnNewLog(actor, logId) {
+    for (let i = auditTrail.length - 1; i >= 0; i--) {
+        const entry = auditTrail[i];
+        if (entry.collection === 'attendanceLogs' && String(entry.entityId) === String(logId)) {
+            return entry.action === 'create' && Boolean(actor.user) && entry.user === actor.user &&
+                Boolean(entry.device) && entry.device.id === actor.device.id;
+        }
+    }
+    return false;
+}
+
+function sendAuthError(res, error) {
+    res.status(error instanceof AuthError ? error.status : 500).json({ error: error.message });
+}
+
+// Disconnect sockets whose login was revoked (password changed or user deleted)
+function disconnectRevokedSockets() {
+    io.sockets.sockets.forEach(socket => {
+        if (!auth.verifyToken(socket.data.token)) {
+            socket.emit('auth-error', { error: 'Your login is no longer valid - please log in again' });
+            socket.disconnect(true);
+        }
+    });
+}
+
+// Failed logins per address, so passwords can't be guessed at full speed
+const MAX_FAILED_LOGINS = 5;
+const FAILED_LOGIN_WINDOW = 15 * 60 * 1000; // 15 minutes
+const failedLogins = new Map();
+
+function isLoginBlocked(address) {
+    const entry = failedLogins.get(address);
+    if (entry && Date.now() - entry.firstAt > FAILED_LOGIN_WINDOW) {
+        failedLogins.delete(address);
+        return false;
+    }
+    return Boolean(entry) && entry.count >= MAX_FAILED_LOGINS;
+}
+
+function recordFailedLogin(address) {
+    const entry = failedLogins.get(address) || { count: 0, firstAt: Date.now() };
+    entry.count++;
+    failedLogins.set(address, entry);
+}
+
+io.use((socket, next) => {
+    const token = socket.handshake.auth && socket.handshake.auth.token;
+    const user = auth.verifyToken(token);
+    if (!user) {
+        const error = new Error(token ? 'Login expired - please log in again' : 'Login required');
+        error.data = { code: 'auth-required' }; // Lets the client tell this apart from network errors
+        return next(error);
+    }
+    socket.data.token = token;
+    socket.data.username = user.username;
+    next();
+});
+
 // Socket.io connection handling
 io.on('connection', (socket) => {
     const clientId = socket.id;
+    // Devices send a persistent ID so revisions they wrote are recognised after reconnecting
+    const deviceId = (socket.handshake.auth && socket.handshake.auth.deviceId) || clientId;
     const clientInfo = {
         id: clientId,
+        deviceId,
+        user: socket.data.username,
         connectedAt: new Date().toISOString(),
         lastActivity: new Date().toISOString(),
         deviceType: 'unknown'
@@ -76,11 +569,19 @@ io.on('connection', (socket) => {
     
     connectedClients.set(clientId, clientInfo);
     
-    console.log(`✅ Client connected: ${clientId}`);
+    // Roles are looked up on every action so changes apply to open connections
+    const currentUser = () => auth.findUser(socket.data.username);
+    const allowed = permission => auth.can(currentUser(), permission);
+    const deniedMessage = permission => `Your role is not allowed to ${permission}`;
+    
+    console.log(`✅ Client connected: ${clientId} (${socket.data.username})`);
     console.log(`📊 Total connected clients: ${connectedClients.size}`);
     
-    // Send initial data to newly connected client
-    socket.emit('initial-data', appData);
+    // Send initial data to newly connected client, or only what it missed
+    // when it reconnects with the last sequence number it applied
+    const sinceSeq = socket.handshake.auth && socket.handshake.auth.sinceSeq;
+    sendCatchUp(socket, sinceSeq);
+    socket.emit('active-sessions', { sessions: appData.activeSessions });
     
     // Broadcast updated client count to all clients
     io.emit('clients-update', {
@@ -90,8 +591,10 @@ io.on('connection', (socket) => {
     
     // Handle client identification
     socket.on('client-info', (info) => {
-        clientInfo.deviceType = info.deviceType || 'unknown';
-        clientInfo.deviceName = info.deviceName || 'Unknown Device';
+        if (!info || typeof info !== 'object') return;
+        
+        clientInfo.deviceType = getDeviceText(info.deviceType, 'unknown');
+        clientInfo.deviceName = getDeviceText(info.deviceName, 'Unknown Device');
         connectedClients.set(clientId, clientInfo);
         
         io.emit('clients-update', {
@@ -100,30 +603,134 @@ io.on('connection', (socket) => {
         });
     });
     
-    // Handle data updates from clients
+    // Handle resync requests (client detected a gap in sequence numbers)
+    socket.on('resync', (request) => {
+        sendCatchUp(socket, request && request.sinceSeq);
+    });
+    
+    // Handle per-entity changes from clients
+    socket.on('apply-changes', (request, ack) => {
+        const respond = typeof ack === 'function' ? ack : () => {};
+        const changes = request && request.changes !== undefined ? request.changes : [];
+        const opId = request && request.opId;
+        
+        // Operations replayed after a lost acknowledgement were already applied
+        if (isDuplicateOperation(opId)) {
+            respond({ success: true, duplicate: true, seq: appData.seq, count: 0, conflicts: [] });
+            return;
+        }
+        
+        const invalid = DataChanges.validateChanges(changes);
+        if (invalid) {
+            respond({ success: false, error: invalid });
+            return;
+        }
+        
+        try {
+            const missing = findMissingPermission(currentUser(), changes, getClientActor(clientId));
+            if (missing) {
+                respond({ success: false, error: deniedMessage(missing) });
+                return;
+            }
+            
+            console.log(`📝 ${changes.length} change(s) received from ${clientId}`);
+            
+            const { accepted, conflicts } = mergeClientChanges(changes, deviceId);
+            
+            // Conflicts go out before the broadcast so the sender keeps its local values
+            if (conflicts.length > 0) {
+                console.log(`⚠️ ${conflicts.length} conflicting change(s) from ${clientId}`);
+                socket.emit('sync-conflict', { conflicts });
+            }
+            
+            const committed = commitChanges(accepted, { deviceId, opId, actor: getClientActor(clientId) });
+            respond({ success: true, seq: appData.seq, count: committed.length, conflicts });
+        } catch (error) {
+            respond({ success: false, error: error.message });
+        }
+    });
+    
+    // Handle full data updates from clients (only the differences are applied and broadcast).
+    // Entities carry the revision the client last saw; removals are only safe when the
+    // client's copy was based on the latest sequence number.
     socket.on('data-update', (data) => {
         console.log(`📝 Data update received from ${clientId}`);
         
-        // Update server data
-        appData = {
-            ...data,
-            lastUpdated: new Date().toISOString()
-        };
-        
-        // Broadcast to all OTHER clients (not the sender)
-        socket.broadcast.emit('data-sync', appData);
+        const invalid = DataChanges.validateData(data);
+        if (invalid) {
+            socket.emit('operation-error', { operation: 'data-update', error: invalid });
+            return;
+        }
         
-        // Send confirmation to sender
-        socket.emit('update-confirmed', {
-            success: true,
-            timestamp: appData.lastUpdated
-        });
+        try {
+            const upToDate = data.seq === appData.seq;
+            const changes = DataChanges.diff(appData, withCourses(data)).map(change => {
+                if (upToDate) {
+                    return change;
+                }
+                
+                const current = DataChanges.findEntity(appData, change.collection, change.id);
+                if (change.action === 'remove') {
+                    return { ...change, baseRev: -1 }; // Never matches: the client may not have seen this entity
+                }
+                
+                const annotated = { ...change, baseRev: change.value.rev === undefined ? null : change.value.rev };
+                if (change.collection === 'studentRecords' && current) {
+                    const sessions = change.value.sessions || {};
+                    annotated.baseSessionRevs = {};
+                    annotated.changedSessions = Object.keys(sessions).filter(n => {
+                        annotated.baseSessionRevs[n] = sessions[n] && sessions[n].rev !== undefined ? sessions[n].rev : null;
+                        return !DataChanges.sameContent(current.sessions && current.sessions[n], sessions[n]);
+                    });
+                }
+                return annotated;
+            });
+            
+            const missing = findMissingPermission(currentUser(), changes, getClientActor(clientId));
+            if (missing) {
+                socket.emit('operation-error', { operation: 'data-update', error: deniedMessage(missing) });
+                return;
+            }
+            
+            const { accepted, conflicts } = mergeClientChanges(changes, deviceId);
+            
+            if (conflicts.length > 0) {
+                socket.emit('sync-conflict', { conflicts });
+            }
+            commitChanges(accepted, { deviceId, actor: getClientActor(clientId) });
+            
+            // Send confirmation to sender
+            socket.emit('update-confirmed', {
+                success: true,
+                timestamp: appData.lastUpdated,
+                seq: appData.seq,
+                conflicts: conflicts.length
+            });
+        } catch (error) {
+            console.error('Data update failed:', error);
+            socket.emit('operation-error', { operation: 'data-update', error: error.message });
+        }
     });
     
     // Handle student operations
     socket.on('add-student', (studentData) => {
+        if (!studentData || typeof studentData !== 'object') {
+            socket.emit('operation-error', { operation: 'add-student', error: 'Student data must be an object' });
+            return;
+        }
+        
         console.log(`➕ Adding student: ${studentData.fullName}`);
         
+        if (isDuplicateOperation(studentData.opId)) {
+            socket.emit('operation-success', { operation: 'add-student', duplicate: true });
+            return;
+        }
+        
+        if (!allowed('edit-students')) {
+            socket.emit('operation-error', { operation: 'add-student', error: deniedMessage('edit-students') });
+            return;
+        }
+        
         try {
             // Check for duplicate ID
             const exists = appData.students.some(s => s.id === studentData.id);
@@ -135,40 +742,23 @@ io.on('connection', (socket) => {
                 return;
             }
             
-            // Add student
+            // Add student to the given class (the default one if not given)
+            const { opId, courseId = CONFIG.courses.defaultId, ...studentFields } = studentData;
+            if (!getCourse(courseId)) {
+                socket.emit('operation-error', { operation: 'add-student', error: `Class ${courseId} not found` });
+                return;
+            }
             const newStudent = {
-                ...studentData,
+                ...studentFields,
                 createdAt: new Date().toISOString(),
                 updatedAt: new Date().toISOString()
             };
             
-            appData.students.push(newStudent);
-            appData.lastUpdated = new Date().toISOString();
-            
-            // Create student record
-            const record = {
-                id: newStudent.id,
-                fullName: newStudent.fullName,
-                parentPhone: newStudent.parentPhone,
-                sessions: {},
-                createdAt: new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            };
-            
-            // Initialize sessions
-            for (let i = 1; i <= 8; i++) {
-                record.sessions[i] = {
-                    attendance: null,
-                    homework: null,
-                    quiz: null,
-                    date: null
-                };
-            }
-            
-            appData.studentRecords.push(record);
-            
-            // Broadcast to all clients
-            io.emit('data-sync', appData);
+            // Create student record and enrolment and broadcast them to all clients
+            commitChanges([
+                DataChanges.upsert('students', newStudent),
+                ...buildEnrollChanges(newStudent, courseId)
+            ], { deviceId, opId, actor: getClientActor(clientId) });
             
             socket.emit('operation-success', {
                 operation: 'add-student',
@@ -185,56 +775,36 @@ io.on('connection', (socket) => {
     
     // Handle attendance marking
     socket.on('mark-attendance', (attendanceData) => {
+        if (!attendanceData || typeof attendanceData !== 'object') {
+            socket.emit('operation-error', { operation: 'mark-attendance', error: 'Attendance data must be an object' });
+            return;
+        }
+        
         console.log(`✅ Marking attendance for student: ${attendanceData.studentId}`);
         
+        if (isDuplicateOperation(attendanceData.opId)) {
+            socket.emit('operation-success', { operation: 'mark-attendance', duplicate: true });
+            return;
+        }
+        
+        if (!allowed('mark-attendance')) {
+            socket.emit('operation-error', { operation: 'mark-attendance', error: deniedMessage('mark-attendance') });
+            return;
+        }
+        
         try {
-            // Update student record
-            const recordIndex = appData.studentRecords.findIndex(r => r.id === attendanceData.studentId);
-            if (recordIndex >= 0) {
-                const session = attendanceData.session;
-                appData.studentRecords[recordIndex].sessions[session] = {
-                    attendance: attendanceData.attendance,
-                    homework: attendanceData.homework,
-                    quiz: attendanceData.quiz,
-                    date: attendanceData.date || new Date().toLocaleDateString('en-US')
-                };
-                appData.studentRecords[recordIndex].updatedAt = new Date().toISOString();
+            const course = getCourse(attendanceData.courseId || CONFIG.courses.defaultId);
+            if (!course) {
+                throw new Error(`Class ${attendanceData.courseId} not found`);
             }
-            
-            // Add attendance log
-            const logEntry = {
-                id: Date.now() + Math.random() * 1000,
-                date: attendanceData.date || new Date().toLocaleDateString('en-US'),
-                time: attendanceData.time || new Date().toLocaleTimeString('en-US'),
-                studentId: attendanceData.studentId,
-                studentName: attendanceData.studentName,
-                session: parseInt(attendanceData.session),
-                attendance: attendanceData.attendance,
-                homework: attendanceData.homework,
-                quiz: parseInt(attendanceData.quiz),
-                createdAt: new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            };
-            
-            // Check if log already exists for today and update it
-            const existingLogIndex = appData.attendanceLogs.findIndex(log =>
-                log.studentId === attendanceData.studentId &&
-                log.date === logEntry.date &&
-                log.session === logEntry.session
-            );
-            
-            if (existingLogIndex >= 0) {
-                logEntry.id = appData.attendanceLogs[existingLogIndex].id;
-                logEntry.createdAt = appData.attendanceLogs[existingLogIndex].createdAt;
-                appData.attendanceLogs[existingLogIndex] = logEntry;
-            } else {
-                appData.attendanceLogs.unshift(logEntry);
+            if (!isEnrolled(attendanceData.studentId, course.id)) {
+                throw new Error(`Student ${attendanceData.studentId} is not in ${course.name}`);
             }
             
-            appData.lastUpdated = new Date().toISOString();
+            const { changes, logEntry } = buildAttendanceChanges({ ...attendanceData, detectLate: true });
             
             // Broadcast to all clients
-            io.emit('data-sync', appData);
+            commitChanges(changes, { deviceId, opId: attendanceData.opId, actor: getClientActor(clientId) });
             
             socket.emit('operation-success', {
                 operation: 'mark-attendance',
@@ -252,12 +822,31 @@ io.on('connection', (socket) => {
     // Handle QR code scan
     // ✅ FIXED QR Scan Handler - Offline First + Auto Sync
     socket.on('qr-scan', (data) => {
-        console.log(`📷 QR Code scanned: ${data.studentId}`);
+        if (!allowed('mark-attendance')) {
+            socket.emit('qr-scan-result', { success: false, error: deniedMessage('mark-attendance') });
+            return;
+        }
+        
+        // Only codes printed by this server carry a valid signature
+        const studentId = qrCodes.verifyPayload(data && data.payload);
+        if (!studentId) {
+            console.log('🚫 Rejected QR code with an invalid signature');
+            socket.emit('qr-scan-result', {
+                success: false,
+                error: 'Invalid QR code - please use a card printed by this system'
+            });
+            return;
+        }
+
+        console.log(`📷 QR Code scanned: ${studentId}`);
 
-        let student = appData.students.find(s => s.id === data.studentId);
+        let student = appData.students.find(s => String(s.id) === studentId);
+        const classroom = (data && data.classroom) || CONFIG.qrScan.defaultClassroom;
+        const activeSession = getActiveSession(classroom);
+        const courseId = CONFIG.getCourseId(activeSession);
 
         // ⭐ IF STUDENT NOT ON SERVER BUT CLIENT HAS IT → ACCEPT
-        if (!student && data.student) {
+        if (!student && data.student && String(data.student.id) === studentId && allowed('edit-students')) {
             console.log('🟡 Student missing on server → importing from client');
 
             student = {
@@ -266,29 +855,70 @@ io.on('connection', (socket) => {
                 createdAt: new Date().toISOString()
             };
 
-            appData.students.push(student);
+            // Also enrol them in the class being scanned, with an empty record
+            const changes = [
+                DataChanges.upsert('students', student),
+                ...buildEnrollChanges(student, courseId)
+            ];
 
-            // Also create empty record if not exists
-            if (!appData.studentRecords.find(r => r.id === student.id)) {
-                appData.studentRecords.push({
-                    id: student.id,
-                    fullName: student.fullName,
-                    sessions: {},
-                    createdAt: new Date().toISOString()
-                });
-            }
+            commitChanges(changes, { deviceId, actor: getClientActor(clientId) });
         }
 
         // NOW ACCEPT THE SCAN
         if (student) {
-            socket.emit('qr-scan-result', {
-                success: true,
-                student: student
-            });
+            const result = { success: true, student: student, marked: false, alreadyCheckedIn: false };
+
+            // Only students on the roster of the class in session can check in
+            if (activeSession && !isEnrolled(student.id, courseId)) {
+                const course = getCourse(courseId);
+                socket.emit('qr-scan-result', {
+                    success: false,
+                    student,
+                    error: `${student.fullName} is not in ${course ? course.name : 'this class'}`
+                });
+                return;
+            }
+
+            // ⭐ SCAN-TO-MARK: record attendance for the classroom's active session
+            if (activeSession && activeSession.scanToMark) {
+                const existingLog = findAttendanceLog(student.id, activeSession.date, activeSession.sessionNumber, courseId);
+                const windowMs = CONFIG.qrScan.duplicateWindowMinutes * 60 * 1000;
+
+                if (existingLog && ['present', 'late'].includes(existingLog.attendance) &&
+                    Date.now() - new Date(existingLog.updatedAt).getTime() < windowMs) {
+                    result.alreadyCheckedIn = true;
+                    result.log = existingLog;
+                } else {
+                    const record = findStudentRecord(student.id, courseId);
+                    const session = record && record.sessions[activeSession.sessionNumber] || {};
+                    const { changes, logEntry } = buildAttendanceChanges({
+                        courseId,
+                        studentId: student.id,
+                        studentName: student.fullName,
+                        session: activeSession.sessionNumber,
+                        date: activeSession.date,
+                        attendance: 'present',
+                        detectLate: true,
+                        homework: session.homework || null,
+                        quiz: session.quiz === undefined ? null : session.quiz
+                    });
+
+                    commitChanges(changes, { deviceId, actor: getClientActor(clientId) });
+                    result.marked = true;
+                    result.log = logEntry;
+                }
+
+                result.activeSession = activeSession;
+            }
+
+            socket.emit('qr-scan-result', result);
 
             io.emit('student-scanned', {
                 studentId: student.id,
                 studentName: student.fullName,
+                classroom,
+                courseId,
+                marked: result.marked,
                 timestamp: new Date().toISOString()
             });
 
@@ -302,22 +932,73 @@ io.on('connection', (socket) => {
         });
     });
 
-    
-    // Handle disconnection
-    socket.on('disconnect', () => {
-        console.log(`❌ Client disconnected: ${clientId}`);
-        connectedClients.delete(clientId);
+    // Start (or change) the active session of a classroom
+    socket.on('session-start', (request, ack) => {
+        const respond = typeof ack === 'function' ? ack : () => {};
+        const sessionNumber = parseInt(request && request.sessionNumber);
         
-        io.emit('clients-update', {
-            count: connectedClients.size,
-            clients: Array.from(connectedClients.values())
-        });
-    });
-    
-    // Handle heartbeat
-    socket.on('heartbeat', () => {
-        const client = connectedClients.get(clientId);
-        if (client) {
+        if (!allowed('mark-attendance')) {
+            respond({ success: false, error: deniedMessage('mark-attendance') });
+            return;
+        }
+        
+        const course = getCourse((request && request.courseId) || CONFIG.courses.defaultId);
+        if (!course) {
+            respond({ success: false, error: `Class ${request.courseId} not found` });
+            return;
+        }
+        
+        if (!(sessionNumber >= 1 && sessionNumber <= getSessionCount(course.id))) {
+            respond({ success: false, error: `Session number must be between 1 and ${getSessionCount(course.id)}` });
+            return;
+        }
+        
+        const classroom = request.classroom || CONFIG.qrScan.defaultClassroom;
+        const activeSession = {
+            classroom,
+            courseId: course.id,
+            sessionNumber,
+            date: request.date || new Date().toLocaleDateString('en-US'),
+            scanToMark: request.scanToMark !== false,
+            startedAt: new Date().toISOString(),
+            startedBy: socket.data.username
+        };
+        
+        console.log(`▶️ ${course.name} session ${sessionNumber} started in ${classroom}`);
+        setActiveSession(classroom, activeSession, getClientActor(clientId));
+        respond({ success: true, session: activeSession });
+    });
+    
+    // End the active session of a classroom
+    socket.on('session-stop', (request, ack) => {
+        const respond = typeof ack === 'function' ? ack : () => {};
+        const classroom = (request && request.classroom) || CONFIG.qrScan.defaultClassroom;
+        
+        if (!allowed('mark-attendance')) {
+            respond({ success: false, error: deniedMessage('mark-attendance') });
+            return;
+        }
+        
+        console.log(`⏹️ Session ended in ${classroom}`);
+        setActiveSession(classroom, null, getClientActor(clientId));
+        respond({ success: true });
+    });
+    
+    // Handle disconnection
+    socket.on('disconnect', () => {
+        console.log(`❌ Client disconnected: ${clientId}`);
+        connectedClients.delete(clientId);
+        
+        io.emit('clients-update', {
+            count: connectedClients.size,
+            clients: Array.from(connectedClients.values())
+        });
+    });
+    
+    // Handle heartbeat
+    socket.on('heartbeat', () => {
+        const client = connectedClients.get(clientId);
+        if (client) {
             client.lastActivity = new Date().toISOString();
             connectedClients.set(clientId, client);
         }
@@ -340,29 +1021,128 @@ app.get('/api/info', (req, res) => {
     });
 });
 
-// Get all data
-app.get('/api/data', (req, res) => {
-    res.json(appData);
+// Log in with a username and password; returns a token for REST and socket requests
+app.post('/api/auth/login', (req, res) => {
+    const address = req.ip;
+    if (isLoginBlocked(address)) {
+        return res.status(429).json({ error: 'Too many failed logins - try again in a few minutes' });
+    }
+    
+    try {
+        const { username, password } = req.body || {};
+        const session = auth.login(username, password);
+        failedLogins.delete(address);
+        console.log(`🔓 ${session.user.username} logged in from ${address}`);
+        res.json(session);
+    } catch (error) {
+        if (error instanceof AuthError && error.status === 401) {
+            recordFailedLogin(address);
+        }
+        sendAuthError(res, error);
+    }
+});
+
+// The logged-in user
+app.get('/api/auth/me', requirePermission('view'), (req, res) => {
+    res.json({ user: AuthManager.publicUser(req.user) });
+});
+
+// Change your own password (logs out your other devices)
+app.post('/api/auth/password', requirePermission('view'), (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body || {};
+        auth.changePassword(req.user.username, currentPassword, newPassword);
+        auditUserChange(req, req.user, req.user, true);
+        disconnectRevokedSockets();
+        res.json(auth.login(req.user.username, newPassword));
+    } catch (error) {
+        sendAuthError(res, error);
+    }
+});
+
+// Audit entry for a user account change (passwords are only noted as changed)
+function auditUserChange(req, before, after, passwordChanged = false) {
+    const values = user => user && { username: user.username, role: user.role };
+    const value = after && { ...values(after), ...(passwordChanged ? { password: 'changed' } : {}) };
+    const change = after
+        ? { collection: 'users', action: 'upsert', id: after.username, value }
+        : { collection: 'users', action: 'remove', id: before.username };
+    recordAudit([AuditTrail.fromChange(change, values(before))].filter(Boolean), getApiActor(req));
+}
+
+// User accounts (admins only)
+app.get('/api/users', requirePermission('manage-users'), (req, res) => {
+    res.json({ users: auth.listUsers() });
+});
+
+app.post('/api/users', requirePermission('manage-users'), (req, res) => {
+    try {
+        const user = auth.createUser(req.body || {});
+        auditUserChange(req, null, user);
+        console.log(`👤 ${req.user.username} created user ${user.username} (${user.role})`);
+        res.status(201).json({ user });
+    } catch (error) {
+        sendAuthError(res, error);
+    }
+});
+
+app.patch('/api/users/:username', requirePermission('manage-users'), (req, res) => {
+    try {
+        const { role, password } = req.body || {};
+        const before = AuthManager.publicUser(auth.requireUser(req.params.username));
+        const user = auth.updateUser(req.params.username, { role, password });
+        auditUserChange(req, before, user, password !== undefined);
+        disconnectRevokedSockets();
+        res.json({ user });
+    } catch (error) {
+        sendAuthError(res, error);
+    }
+});
+
+app.delete('/api/users/:username', requirePermission('manage-users'), (req, res) => {
+    try {
+        const before = auth.requireUser(req.params.username);
+        auth.deleteUser(req.params.username);
+        auditUserChange(req, before, null);
+        console.log(`👤 ${req.user.username} deleted user ${req.params.username}`);
+        disconnectRevokedSockets();
+        res.json({ success: true });
+    } catch (error) {
+        sendAuthError(res, error);
+    }
+});
+
+// Active sessions per classroom
+app.get('/api/active-sessions', requirePermission('view'), (req, res) => {
+    res.json({ sessions: appData.activeSessions });
+});
+
+// Get all data. Every role that can view gets all of it, contact details included (it is
+// what the app syncs); the export permission only covers the file download below.
+app.get('/api/data', requirePermission('view'), (req, res) => {
+    res.json(getPublicData());
 });
 
 // Import data
-app.post('/api/import', (req, res) => {
+app.post('/api/import', requirePermission('import'), (req, res) => {
     try {
         const importedData = req.body;
         
         // Validate data structure
-        if (!importedData.students || !Array.isArray(importedData.students)) {
-            return res.status(400).json({ error: 'Invalid data format' });
+        const invalid = DataChanges.validateData(importedData);
+        if (invalid || !Array.isArray(importedData.students)) {
+            return res.status(400).json({ error: invalid || 'Invalid data format' });
         }
         
-        // Update app data
-        appData = {
-            ...importedData,
-            lastUpdated: new Date().toISOString()
-        };
+        // Importing may not permanently delete anything the user couldn't delete by hand
+        const changes = DataChanges.diff(appData, withCourses(importedData));
+        const missing = findMissingPermission(req.user, changes, getApiActor(req));
+        if (missing) {
+            return res.status(403).json({ error: `Your role (${req.user.role}) is not allowed to ${missing}` });
+        }
         
-        // Broadcast to all clients
-        io.emit('data-sync', appData);
+        // Update app data and broadcast only the differences to all clients
+        commitChanges(changes, { actor: getApiActor(req) });
         
         res.json({
             success: true,
@@ -378,13 +1158,965 @@ app.post('/api/import', (req, res) => {
     }
 });
 
-// Export data
-app.get('/api/export', (req, res) => {
-    res.json(appData);
+// Export data as a file download
+app.get('/api/export', requirePermission('export'), (req, res) => {
+    res.attachment(`Complete_Export_${new Date().toISOString().split('T')[0]}.json`);
+    res.json(getPublicData());
+});
+
+// Audit trail, newest first (?studentId, ?user, ?collection, ?action, ?dateFrom, ?dateTo,
+// ?limit and ?before=<nextBefore of the previous page>)
+app.get('/api/audit', requirePermission('view-audit'), (req, res) => {
+    const query = { ...req.query };
+    const errors = [];
+    ['dateFrom', 'dateTo'].forEach(field => {
+        if (query[field] === undefined) return;
+        query[field] = LogQuery.toDateKey(query[field]);
+        if (!query[field]) {
+            errors.push(`${field} must be a date like 2024-09-30 or 9/30/2024`);
+        }
+    });
+    if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+    }
+
+    try {
+        res.json(AuditTrail.query(auditTrail, query));
+    } catch (error) {
+        sendValidationErrors(res, [error.message]);
+    }
+});
+
+// REST API for students, session records and attendance logs. Changes go through
+// commitChanges, so they are saved and broadcast exactly like changes from the app,
+// and are checked against the same role permissions.
+const STUDENT_FIELDS = ['fullName', 'phoneNumber', 'email', 'contactMethod', 'parentPhone', 'gradeLevel', 'center', 'school'];
+const SESSION_FIELDS = ['attendance', 'minutesLate', 'reason', 'homework', 'quiz', 'date'];
+const COURSE_FIELDS = ['name', 'sessionCount', 'schedule', 'recurrence'];
+const LOG_FIELDS = ['attendance', 'minutesLate', 'reason', 'homework', 'quiz', 'time'];
+
+function findStudent(id) {
+    return appData.students.find(student => String(student.id) === String(id)) || null;
+}
+
+function findDeletedStudent(id) {
+    return appData.deletedStudents.find(deleted => deleted.student && String(deleted.student.id) === String(id)) || null;
+}
+
+function getUnknownFields(body, allowed) {
+    return Object.keys(body).filter(field => !allowed.includes(field) && field !== 'rev');
+}
+
+// Errors in attendance (with minutesLate and reason), homework and quiz values (null
+// clears a value)
+function validateSessionValues(values) {
+    const errors = CONFIG.validateAttendanceDetails(values);
+    const isSet = value => value !== null && value !== undefined && value !== '';
+
+    if (isSet(values.attendance) && !CONFIG.attendance.options.some(option => option.value === values.attendance)) {
+        errors.push(`attendance must be one of: ${CONFIG.attendance.options.map(option => option.value).join(', ')}`);
+    }
+    if (isSet(values.homework) && !CONFIG.homework.options.some(option => option.value === values.homework)) {
+        errors.push(`homework must be one of: ${CONFIG.homework.options.map(option => option.value).join(', ')}`);
+    }
+    if (isSet(values.quiz)) {
+        const quiz = Number(values.quiz);
+        if (!Number.isInteger(quiz) || quiz < CONFIG.quiz.minScore || quiz > CONFIG.quiz.maxScore) {
+            errors.push(`quiz must be a whole number from ${CONFIG.quiz.minScore} to ${CONFIG.quiz.maxScore}`);
+        }
+    }
+
+    return errors;
+}
+
+function sendValidationErrors(res, errors) {
+    res.status(422).json({ error: 'Validation failed', errors });
+}
+
+// A stale "rev" in a PATCH body means someone else changed the entity first
+function isStaleRevision(body, current) {
+    return body.rev !== undefined && body.rev !== (current.rev || 0);
+}
+
+// Commit REST changes if the user's role allows them; returns the committed changes or null
+function commitApiChanges(req, res, changes) {
+    const missing = findMissingPermission(req.user, changes, getApiActor(req));
+    if (missing) {
+        res.status(403).json({ error: `Your role (${req.user.role}) is not allowed to ${missing}` });
+        return null;
+    }
+    return commitChanges(changes, { deviceId: `api:${req.user.username}`, actor: getApiActor(req) });
+}
+
+// List students (?q searches names, IDs and phone numbers; ?center, ?grade and ?courseId filter)
+app.get('/api/students', requirePermission('view'), (req, res) => {
+    const query = String(req.query.q || '').toLowerCase();
+    const students = appData.students.filter(student =>
+        (!req.query.courseId || isEnrolled(student.id, req.query.courseId)) &&
+        (!req.query.center || student.center === req.query.center) &&
+        (!req.query.grade || student.gradeLevel === req.query.grade) &&
+        (!query || CONFIG.ui.search.searchFields.some(field =>
+            student[field] && String(student[field]).toLowerCase().includes(query)))
+    );
+
+    res.json({ students, total: students.length });
+});
+
+// One student with their classes and their session record in a class (?courseId, the
+// default class if not given)
+app.get('/api/students/:id', requirePermission('view'), (req, res) => {
+    const student = findStudent(req.params.id);
+    if (!student) {
+        return res.status(404).json({ error: `Student with ID ${req.params.id} not found` });
+    }
+    const course = getRequestCourse(req, res);
+    if (!course) return;
+
+    res.json({
+        student,
+        courses: getCourses().filter(other => isEnrolled(student.id, other.id)),
+        record: findStudentRecord(student.id, course.id)
+    });
+});
+
+// Add a student to a class (body.courseId, the default class if not given) with an
+// empty session record
+app.post('/api/students', requirePermission('view'), (req, res) => {
+    const body = req.body || {};
+    const unknown = getUnknownFields(body, ['id', 'courseId', ...STUDENT_FIELDS]);
+    if (unknown.length > 0) {
+        return sendValidationErrors(res, unknown.map(field => `${field} is not a student field`));
+    }
+
+    const student = {
+        id: body.id === undefined || body.id === null ? '' : String(body.id).trim(),
+        fullName: body.fullName,
+        phoneNumber: body.phoneNumber,
+        email: body.email || '',
+        contactMethod: body.contactMethod || 'phone',
+        parentPhone: body.parentPhone || '',
+        gradeLevel: body.gradeLevel || '',
+        center: body.center || '',
+        school: body.school || '',
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+
+    const validation = CONFIG.validateStudent(student);
+    if (!validation.isValid) {
+        return sendValidationErrors(res, validation.errors);
+    }
+    if (findStudent(student.id)) {
+        return res.status(409).json({ error: `Student with ID ${student.id} already exists` });
+    }
+    if (findDeletedStudent(student.id)) {
+        return res.status(409).json({ error: `Student with ID ${student.id} is in the deleted students - restore it instead` });
+    }
+    const course = getRequestCourse(req, res);
+    if (!course) return;
+
+    const committed = commitApiChanges(req, res, [
+        DataChanges.upsert('students', student),
+        ...buildEnrollChanges(student, course.id)
+    ]);
+    if (committed) {
+        res.status(201).json({
+            student: committed[0].value,
+            record: committed.find(change => change.collection === 'studentRecords').value
+        });
+    }
+});
+
+// Update student fields (send "rev" to fail with 409 if someone else changed the student first)
+app.patch('/api/students/:id', requirePermission('view'), (req, res) => {
+    const current = findStudent(req.params.id);
+    if (!current) {
+        return res.status(404).json({ error: `Student with ID ${req.params.id} not found` });
+    }
+
+    const body = req.body || {};
+    const unknown = getUnknownFields(body, STUDENT_FIELDS);
+    if (unknown.length > 0) {
+        return sendValidationErrors(res, unknown.map(field =>
+            field === 'id' ? 'id cannot be changed' : `${field} is not a student field`));
+    }
+    if (isStaleRevision(body, current)) {
+        return res.status(409).json({ error: `Student ${current.id} was changed by someone else`, current });
+    }
+
+    const { rev, ...updates } = body;
+    const student = { ...current, ...updates, updatedAt: new Date().toISOString() };
+    const validation = CONFIG.validateStudent(student);
+    if (!validation.isValid) {
+        return sendValidationErrors(res, validation.errors);
+    }
+
+    // Keep the records' copy of the name and parent phone in step, like DataManager.updateStudent
+    const changes = [DataChanges.upsert('students', student)];
+    appData.studentRecords
+        .filter(record => String(record.id) === String(student.id))
+        .forEach(record => changes.push(DataChanges.upsert('studentRecords', {
+            ...record,
+            fullName: student.fullName,
+            parentPhone: student.parentPhone,
+            updatedAt: student.updatedAt
+        })));
+
+    const committed = commitApiChanges(req, res, changes);
+    if (committed) {
+        res.json({ student: committed[0].value });
+    }
+});
+
+// Move a student to the deleted students (restorable in the app), or remove
+// them for good with ?permanent=true
+app.delete('/api/students/:id', requirePermission('view'), (req, res) => {
+    const permanent = req.query.permanent === 'true';
+    const student = findStudent(req.params.id);
+    const deleted = findDeletedStudent(req.params.id);
+
+    if (!student && !(permanent && deleted)) {
+        return deleted
+            ? res.status(409).json({ error: `Student ${req.params.id} is already deleted (use ?permanent=true to remove it for good)` })
+            : res.status(404).json({ error: `Student with ID ${req.params.id} not found` });
+    }
+
+    const changes = [];
+    if (student) {
+        const isStudent = item => String(item.studentId === undefined ? item.id : item.studentId) === String(student.id);
+        const records = appData.studentRecords.filter(isStudent);
+        const logs = appData.attendanceLogs.filter(isStudent);
+        const enrollments = appData.enrollments.filter(isStudent);
+
+        changes.push(DataChanges.remove('students', student.id));
+        records.forEach(record => changes.push(DataChanges.remove('studentRecords', DataChanges.getKey('studentRecords', record))));
+        logs.forEach(log => changes.push(DataChanges.remove('attendanceLogs', log.id)));
+        enrollments.forEach(enrollment => changes.push(DataChanges.remove('enrollments', DataChanges.getKey('enrollments', enrollment))));
+
+        if (!permanent) {
+            changes.push(DataChanges.upsert('deletedStudents', {
+                student,
+                records,
+                logs,
+                enrollments,
+                deletedAt: new Date().toISOString(),
+                deletedBy: req.user.username
+            }));
+        }
+    } else {
+        changes.push(DataChanges.remove('deletedStudents', deleted.student.id));
+    }
+
+    if (commitApiChanges(req, res, changes)) {
+        res.json({ success: true, id: (student || deleted.student).id, permanent });
+    }
+});
+
+// Validated session number of a class from the URL, or null after sending a 422
+function getSessionNumber(req, res, course) {
+    const session = parseInt(req.params.n);
+    const count = getSessionCount(course.id);
+    if (!(session >= 1 && session <= count) || String(session) !== req.params.n) {
+        sendValidationErrors(res, [`Session number must be between 1 and ${count}`]);
+        return null;
+    }
+    return session;
+}
+
+// The student's record in a class, or null after sending a 404
+function getRequestRecord(req, res, course) {
+    const student = findStudent(req.params.id);
+    if (!student) {
+        res.status(404).json({ error: `Student with ID ${req.params.id} not found` });
+        return null;
+    }
+    const record = findStudentRecord(student.id, course.id);
+    if (!record || !isEnrolled(student.id, course.id)) {
+        res.status(404).json({ error: `Student ${student.id} is not in ${course.name}` });
+        return null;
+    }
+    return record;
+}
+
+// One session entry of a student's record (?courseId, the default class if not given;
+// the same goes for the other session endpoints)
+app.get('/api/students/:id/sessions/:n', requirePermission('view'), (req, res) => {
+    const course = getRequestCourse(req, res);
+    if (!course) return;
+    const session = getSessionNumber(req, res, course);
+    if (session === null) return;
+    const record = getRequestRecord(req, res, course);
+    if (!record) return;
+
+    res.json({ studentId: record.id, courseId: course.id, session, entry: record.sessions[session] || null });
+});
+
+// Record attendance, homework and quiz for a session. Fields left out keep their
+// current value; like marking in the app, today's attendance log is created or updated
+// and a student marked present after the grace period on the session's day is tagged late.
+app.patch('/api/students/:id/sessions/:n', requirePermission('view'), (req, res) => {
+    const course = getRequestCourse(req, res);
+    if (!course) return;
+    const session = getSessionNumber(req, res, course);
+    if (session === null) return;
+    const record = getRequestRecord(req, res, course);
+    if (!record) return;
+
+    const student = findStudent(req.params.id);
+    const body = req.body || {};
+    const current = record.sessions[session] || {};
+    const unknown = getUnknownFields(body, SESSION_FIELDS);
+    if (unknown.length > 0) {
+        return sendValidationErrors(res, unknown.map(field => `${field} is not a session field`));
+    }
+    if (isStaleRevision(body, current)) {
+        return res.status(409).json({ error: `Session ${session} of student ${student.id} was changed by someone else`, current });
+    }
+
+    const values = { ...current, ...body };
+    const errors = validateSessionValues(values);
+    if (!values.attendance) {
+        errors.push('attendance is required');
+    }
+    if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+    }
+
+    const { changes, logEntry } = buildAttendanceChanges({
+        courseId: course.id,
+        studentId: student.id,
+        studentName: student.fullName,
+        session,
+        date: values.date || undefined, // Today if the session wasn't marked before
+        attendance: values.attendance,
+        detectLate: body.attendance !== undefined, // Not when only the homework or quiz changes
+        minutesLate: values.minutesLate,
+        reason: values.reason,
+        homework: values.homework === undefined ? null : values.homework,
+        quiz: values.quiz
+    });
+
+    const committed = commitApiChanges(req, res, changes);
+    if (committed) {
+        res.json({ studentId: student.id, courseId: course.id, session, entry: committed[0].value.sessions[session], log: logEntry });
+    }
+});
+
+// Clear a session entry (attendance logs are kept as history)
+app.delete('/api/students/:id/sessions/:n', requirePermission('view'), (req, res) => {
+    const course = getRequestCourse(req, res);
+    if (!course) return;
+    const session = getSessionNumber(req, res, course);
+    if (session === null) return;
+    const record = getRequestRecord(req, res, course);
+    if (!record) return;
+
+    const committed = commitApiChanges(req, res, [DataChanges.upsert('studentRecords', {
+        ...record,
+        sessions: {
+            ...record.sessions,
+            [session]: { ...record.sessions[session], attendance: null, homework: null, quiz: null, date: null }
+        },
+        updatedAt: new Date().toISOString()
+    })]);
+    if (committed) {
+        res.json({ studentId: record.id, courseId: course.id, session, entry: committed[0].value.sessions[session] });
+    }
+});
+
+function findLog(id) {
+    return appData.attendanceLogs.find(log => String(log.id) === String(id)) || null;
+}
+
+// Search attendance logs of all classes, or of one with ?courseId; one page at a time
+// (see LogQuery and the README for the parameters)
+app.get('/api/attendance-logs', requirePermission('view'), (req, res) => {
+    const logs = req.query.courseId
+        ? appData.attendanceLogs.filter(log => CONFIG.getCourseId(log) === req.query.courseId)
+        : appData.attendanceLogs;
+    try {
+        res.json(LogQuery.run(logs, LogQuery.fromQueryParams(req.query)));
+    } catch (error) {
+        sendValidationErrors(res, [error.message]);
+    }
+});
+
+app.get('/api/attendance-logs/:id', requirePermission('view'), (req, res) => {
+    const log = findLog(req.params.id);
+    if (!log) {
+        return res.status(404).json({ error: `Attendance log ${req.params.id} not found` });
+    }
+    res.json({ log });
+});
+
+// Mark attendance, like the mark-attendance socket event: { studentId, session, attendance,
+// homework, quiz, date, time, courseId }. Marking the same student, date and session of a
+// class again updates the log.
+app.post('/api/attendance-logs', requirePermission('view'), (req, res) => {
+    const body = req.body || {};
+    const course = getRequestCourse(req, res);
+    if (!course) return;
+    const student = findStudent(body.studentId);
+    const session = parseInt(body.session);
+
+    const errors = validateSessionValues(body);
+    if (!student) {
+        errors.push(`studentId ${body.studentId} does not match a student`);
+    } else if (!isEnrolled(student.id, course.id)) {
+        errors.push(`Student ${student.id} is not in ${course.name}`);
+    }
+    if (!(session >= 1 && session <= getSessionCount(course.id))) {
+        errors.push(`session must be between 1 and ${getSessionCount(course.id)}`);
+    }
+    if (!body.attendance) {
+        errors.push('attendance is required');
+    }
+    if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+    }
+
+    const date = body.date || new Date().toLocaleDateString('en-US');
+    const existing = findAttendanceLog(student.id, date, session, course.id);
+    const { changes, logEntry } = buildAttendanceChanges({
+        courseId: course.id,
+        studentId: student.id,
+        studentName: student.fullName,
+        session,
+        date,
+        time: body.time,
+        attendance: body.attendance,
+        detectLate: true,
+        minutesLate: body.minutesLate,
+        reason: body.reason,
+        homework: body.homework === undefined ? null : body.homework,
+        quiz: body.quiz
+    });
+
+    if (commitApiChanges(req, res, changes)) {
+        res.status(existing ? 200 : 201).json({ log: logEntry });
+    }
+});
+
+// Correct a log; the session entry is updated too while it still holds that day's marks
+app.patch('/api/attendance-logs/:id', requirePermission('view'), (req, res) => {
+    const log = findLog(req.params.id);
+    if (!log) {
+        return res.status(404).json({ error: `Attendance log ${req.params.id} not found` });
+    }
+
+    const body = req.body || {};
+    const unknown = getUnknownFields(body, LOG_FIELDS);
+    if (unknown.length > 0) {
+        return sendValidationErrors(res, unknown.map(field => `${field} cannot be changed on a log`));
+    }
+    if (isStaleRevision(body, log)) {
+        return res.status(409).json({ error: `Attendance log ${log.id} was changed by someone else`, current: log });
+    }
+
+    const { rev, ...updates } = body;
+    const errors = validateSessionValues({ ...log, ...updates });
+    if (updates.attendance === null || updates.attendance === '') {
+        errors.push('attendance is required');
+    }
+    if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+    }
+
+    if (updates.quiz !== undefined) {
+        updates.quiz = updates.quiz === null || updates.quiz === '' ? null : parseInt(updates.quiz);
+    }
+    const updatedLog = CONFIG.withAttendanceDetails({ ...log, ...updates, updatedAt: new Date().toISOString() });
+    const changes = [DataChanges.upsert('attendanceLogs', updatedLog)];
+
+    const record = findStudentRecord(log.studentId, CONFIG.getCourseId(log));
+    const entry = record && record.sessions[log.session];
+    if (entry && entry.date === log.date) {
+        changes.push(DataChanges.upsert('studentRecords', {
+            ...record,
+            sessions: {
+                ...record.sessions,
+                [log.session]: CONFIG.withAttendanceDetails({
+                    ...entry,
+                    attendance: updatedLog.attendance,
+                    minutesLate: updatedLog.minutesLate,
+                    reason: updatedLog.reason,
+                    homework: updatedLog.homework,
+                    quiz: updatedLog.quiz
+                })
+            },
+            updatedAt: updatedLog.updatedAt
+        }));
+    }
+
+    const committed = commitApiChanges(req, res, changes);
+    if (committed) {
+        res.json({ log: committed[0].value });
+    }
+});
+
+// Remove a log for good (session entries are left as they are)
+app.delete('/api/attendance-logs/:id', requirePermission('view'), (req, res) => {
+    const log = findLog(req.params.id);
+    if (!log) {
+        return res.status(404).json({ error: `Attendance log ${req.params.id} not found` });
+    }
+
+    if (commitApiChanges(req, res, [DataChanges.remove('attendanceLogs', log.id)])) {
+        res.json({ success: true, id: log.id });
+    }
+});
+
+// Courses (classes) with their settings and rosters
+function findCourse(req, res) {
+    const course = getCourse(req.params.id);
+    if (!course) {
+        res.status(404).json({ error: `Class ${req.params.id} not found` });
+    }
+    return course;
+}
+
+// Errors in a course's name and number of sessions (names must be unique)
+function validateCourse(course) {
+    const errors = CONFIG.validateCourse(course);
+    const name = typeof course.name === 'string' ? course.name.trim().toLowerCase() : '';
+    if (name && getCourses().some(other => other.id !== course.id && other.name.toLowerCase() === name)) {
+        errors.push(`A class named "${course.name.trim()}" already exists`);
+    }
+    return errors;
+}
+
+app.get('/api/courses', requirePermission('view'), (req, res) => {
+    res.json({ courses: getCourses() });
+});
+
+app.get('/api/courses/:id', requirePermission('view'), (req, res) => {
+    const course = findCourse(req, res);
+    if (course) {
+        res.json({ course });
+    }
+});
+
+// Add a class: { name, sessionCount }
+app.post('/api/courses', requirePermission('view'), (req, res) => {
+    const body = req.body || {};
+    const errors = getUnknownFields(body, COURSE_FIELDS).map(field => `Unknown field: ${field}`);
+    const course = {
+        ...CONFIG.createCourse({ name: body.name, sessionCount: body.sessionCount }),
+        ...(body.schedule ? { schedule: body.schedule } : {}),
+        ...(body.recurrence ? { recurrence: body.recurrence } : {})
+    };
+    errors.push(...validateCourse({ ...course, name: body.name }));
+    if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+    }
+    if (course.recurrence) {
+        course.schedule = CONFIG.planSchedule(course, getHolidayDates());
+    }
+
+    const committed = commitApiChanges(req, res, [DataChanges.upsert('courses', course)]);
+    if (committed) {
+        res.status(201).json({ course: committed[0].value });
+    }
+});
+
+// Change a course's name, number of sessions, schedule (which replaces the whole
+// schedule) or recurring rule (null removes it and keeps its dates); its records get empty
+// entries for any sessions added (entries beyond a lower count are kept). Sessions of a
+// course with a recurring rule are dated again when the rule or the number of sessions
+// changes.
+app.patch('/api/courses/:id', requirePermission('view'), (req, res) => {
+    const current = findCourse(req, res);
+    if (!current) return;
+
+    const body = req.body || {};
+    const errors = getUnknownFields(body, COURSE_FIELDS).map(field => `Unknown field: ${field}`);
+    const { recurrence, ...merged } = {
+        ...current,
+        ...(body.name !== undefined ? { name: body.name } : {}),
+        ...(body.sessionCount !== undefined ? { sessionCount: body.sessionCount } : {}),
+        ...(body.schedule !== undefined ? { schedule: body.schedule || {} } : {}),
+        ...(body.recurrence !== undefined ? { recurrence: body.recurrence } : {})
+    };
+    if (recurrence) {
+        merged.recurrence = recurrence;
+    }
+    errors.push(...validateCourse(merged));
+    if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+    }
+    if (isStaleRevision(body, current)) {
+        return res.status(409).json({ error: `Course ${current.id} was changed by someone else`, current });
+    }
+
+    const course = { ...merged, name: merged.name.trim(), updatedAt: new Date().toISOString() };
+    if (course.recurrence && (body.recurrence !== undefined || course.sessionCount !== current.sessionCount)) {
+        course.schedule = CONFIG.planSchedule(course, getHolidayDates());
+    }
+    const changes = [DataChanges.upsert('courses', course)];
+    appData.studentRecords.forEach(record => {
+        if (CONFIG.getCourseId(record) !== course.id) return;
+        const sessions = CONFIG.fillSessions(record.sessions, course.sessionCount);
+        if (Object.keys(sessions).length !== Object.keys(record.sessions || {}).length) {
+            changes.push(DataChanges.upsert('studentRecords', { ...record, sessions, updatedAt: course.updatedAt }));
+        }
+    });
+
+    const committed = commitApiChanges(req, res, changes);
+    if (committed) {
+        res.json({ course: committed[0].value, recordsUpdated: committed.length - 1 });
+    }
+});
+
+// Delete a class without students, with the records and logs left from students who were
+// taken off its roster (the default class cannot be deleted)
+app.delete('/api/courses/:id', requirePermission('view'), (req, res) => {
+    const course = findCourse(req, res);
+    if (!course) return;
+
+    if (course.id === CONFIG.courses.defaultId) {
+        return res.status(409).json({ error: `${course.name} is the default class and cannot be deleted` });
+    }
+    if (getCourseStudents(course.id).length > 0) {
+        return res.status(409).json({ error: `${course.name} still has students - remove them from the class first` });
+    }
+
+    const isCourse = item => CONFIG.getCourseId(item) === course.id;
+    const changes = [
+        ...appData.enrollments.filter(isCourse).map(enrollment =>
+            DataChanges.remove('enrollments', DataChanges.getKey('enrollments', enrollment))),
+        ...appData.studentRecords.filter(isCourse).map(record =>
+            DataChanges.remove('studentRecords', DataChanges.getKey('studentRecords', record))),
+        ...appData.attendanceLogs.filter(isCourse).map(log => DataChanges.remove('attendanceLogs', log.id)),
+        DataChanges.remove('courses', course.id)
+    ];
+
+    if (commitApiChanges(req, res, changes)) {
+        res.json({ success: true, id: course.id });
+    }
+});
+
+// A class's roster
+app.get('/api/courses/:id/students', requirePermission('view'), (req, res) => {
+    const course = findCourse(req, res);
+    if (!course) return;
+
+    const students = getCourseStudents(course.id);
+    res.json({ course, students, total: students.length });
+});
+
+// Put an existing student on a class's roster (with an empty record for the class)
+app.put('/api/courses/:id/students/:studentId', requirePermission('view'), (req, res) => {
+    const course = findCourse(req, res);
+    if (!course) return;
+    const student = findStudent(req.params.studentId);
+    if (!student) {
+        return res.status(404).json({ error: `Student with ID ${req.params.studentId} not found` });
+    }
+
+    const changes = buildEnrollChanges(student, course.id);
+    if (changes.length === 0) {
+        return res.json({ courseId: course.id, studentId: student.id, record: findStudentRecord(student.id, course.id) });
+    }
+    if (commitApiChanges(req, res, changes)) {
+        res.status(201).json({ courseId: course.id, studentId: student.id, record: findStudentRecord(student.id, course.id) });
+    }
+});
+
+// Take a student off a class's roster (their record and logs for the class are kept)
+app.delete('/api/courses/:id/students/:studentId', requirePermission('view'), (req, res) => {
+    const course = findCourse(req, res);
+    if (!course) return;
+    if (!isEnrolled(req.params.studentId, course.id)) {
+        return res.status(404).json({ error: `Student ${req.params.studentId} is not in ${course.name}` });
+    }
+
+    const enrollment = appData.enrollments.find(item =>
+        item.courseId === course.id && String(item.studentId) === String(req.params.studentId));
+    const id = DataChanges.getKey('enrollments', enrollment);
+    if (commitApiChanges(req, res, [DataChanges.remove('enrollments', id)])) {
+        res.json({ success: true, courseId: course.id, studentId: enrollment.studentId });
+    }
+});
+
+// Holidays: days without sessions. Adding or removing one dates the sessions of classes
+// with a recurring rule again, in the same commit.
+function buildReplanChanges(holidayDates) {
+    return appData.courses
+        .filter(course => course.recurrence)
+        .map(course => ({ course, schedule: CONFIG.planSchedule(course, holidayDates) }))
+        .filter(({ course, schedule }) => JSON.stringify(schedule) !== JSON.stringify(course.schedule || {}))
+        .map(({ course, schedule }) => DataChanges.upsert('courses', { ...course, schedule, updatedAt: new Date().toISOString() }));
+}
+
+// Holiday date from the URL: YYYY-MM-DD or an encoded M/D/YYYY
+function getHolidayDate(req) {
+    const date = CONFIG.toDate(req.params.date);
+    return date ? CONFIG.formatDate(date) : null;
+}
+
+app.get('/api/holidays', requirePermission('view'), (req, res) => {
+    res.json({ holidays: appData.holidays });
+});
+
+// Add a holiday, or rename the one on that date
+app.put('/api/holidays/:date', requirePermission('view'), (req, res) => {
+    const body = req.body || {};
+    const errors = getUnknownFields(body, ['name']).map(field => `Unknown field: ${field}`);
+    const holiday = {
+        date: getHolidayDate(req) || req.params.date,
+        name: typeof body.name === 'string' ? body.name.trim() : body.name || ''
+    };
+    errors.push(...CONFIG.validateHoliday(holiday));
+    if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+    }
+
+    const existing = appData.holidays.some(item => item.date === holiday.date);
+    const dates = [...getHolidayDates().filter(date => date !== holiday.date), holiday.date];
+    const committed = commitApiChanges(req, res, [DataChanges.upsert('holidays', holiday), ...buildReplanChanges(dates)]);
+    if (committed) {
+        res.status(existing ? 200 : 201).json({ holiday: committed[0].value, coursesReplanned: committed.length - 1 });
+    }
+});
+
+app.delete('/api/holidays/:date', requirePermission('view'), (req, res) => {
+    const date = getHolidayDate(req);
+    if (!appData.holidays.some(item => item.date === date)) {
+        return res.status(404).json({ error: `No holiday on ${req.params.date}` });
+    }
+
+    const dates = getHolidayDates().filter(item => item !== date);
+    const committed = commitApiChanges(req, res, [DataChanges.remove('holidays', date), ...buildReplanChanges(dates)]);
+    if (committed) {
+        res.json({ success: true, date, coursesReplanned: committed.length - 1 });
+    }
+});
+
+// Parent notifications. Closing a session queues a message for the parent of every student
+// who was absent, didn't do the homework or took the quiz; the server delivers queued
+// messages one at a time and records each attempt on the message.
+let deliveringNotifications = false;
+let shuttingDown = false; // Set once SIGTERM/SIGINT arrives (see shutDown)
+
+async function deliverNotifications() {
+    if (deliveringNotifications) return;
+    deliveringNotifications = true;
+
+    try {
+        let message;
+        while (!shuttingDown && (message = Notifications.getDue(appData.notifications)[0])) {
+            await deliverNotification(message);
+        }
+    } catch (error) {
+        console.error('❌ Notification delivery stopped:', error);
+    } finally {
+        deliveringNotifications = false;
+    }
+}
+
+async function deliverNotification(message) {
+    const attempt = {
+        ...message,
+        status: 'sending',
+        attempts: (message.attempts || 0) + 1,
+        provider: notifier.getProviderName(message.channel),
+        updatedAt: new Date().toISOString()
+    };
+    delete attempt.nextAttemptAt;
+    commitChanges([DataChanges.upsert('notifications', attempt)]);
+
+    let result;
+    try {
+        const delivery = await notifier.send(attempt);
+        const { error, ...sent } = attempt;
+        result = { ...sent, ...delivery, status: 'sent', sentAt: new Date().toISOString() };
+    } catch (error) {
+        // Tried again later, waiting twice as long after every failed attempt
+        const retry = attempt.attempts < Notifications.maxAttempts;
+        const delay = Notifications.retryDelaySeconds * 1000 * 2 ** (attempt.attempts - 1);
+        result = {
+            ...attempt,
+            status: retry ? 'queued' : 'failed',
+            error: error.message,
+            ...(retry ? { nextAttemptAt: new Date(Date.now() + delay).toISOString() } : {})
+        };
+        console.log(`⚠️ Message to ${attempt.to} failed (attempt ${attempt.attempts}): ${error.message}`);
+    }
+
+    // Messages taken back (with Undo) while they were being sent stay removed
+    if (DataChanges.findEntity(appData, 'notifications', message.id)) {
+        commitChanges([DataChanges.upsert('notifications', { ...result, updatedAt: new Date().toISOString() })]);
+    }
+}
+
+// Messages still being sent when the server stopped may or may not have gone out
+commitChanges(appData.notifications
+    .filter(message => message.status === 'sending')
+    .map(message => DataChanges.upsert('notifications', {
+        ...message,
+        status: 'failed',
+        error: 'The server stopped while sending this message; send it again if it did not arrive',
+        updatedAt: new Date().toISOString()
+    })));
+const notificationTimer = setInterval(deliverNotifications, 15 * 1000); // Retries that are due
+setImmediate(deliverNotifications);
+
+function findNotification(req, res) {
+    const message = appData.notifications.find(item => item.id === req.params.id);
+    if (!message) {
+        res.status(404).json({ error: `Message ${req.params.id} not found` });
+    }
+    return message;
+}
+
+// Queue messages for the parents of a class's students after a session
+// (messages already sent, or queued with the same text, are left alone)
+app.post('/api/courses/:id/sessions/:n/close', requirePermission('view'), (req, res) => {
+    const course = findCourse(req, res);
+    if (!course) return;
+    const session = getSessionNumber(req, res, course);
+    if (!session) return;
+
+    const result = Notifications.composeSessionMessages({
+        course,
+        session,
+        students: getCourseStudents(course.id),
+        getEntry: student => {
+            const record = findStudentRecord(student.id, course.id);
+            return record && record.sessions ? record.sessions[session] : null;
+        },
+        templates: Notifications.getTemplates(appData.notificationTemplates),
+        existing: appData.notifications,
+        date: new Date().toLocaleDateString('en-US'),
+        createdBy: req.user.username
+    });
+
+    const committed = commitApiChanges(req, res, result.messages.map(message => DataChanges.upsert('notifications', message)));
+    if (committed) {
+        res.json({
+            queued: result.queued,
+            cancelled: result.cancelled,
+            unchanged: result.unchanged,
+            skipped: result.skipped,
+            notifications: committed.map(change => change.value)
+        });
+    }
+});
+
+// Messages, newest first (?status, ?channel, ?courseId, ?session and ?studentId filter)
+app.get('/api/notifications', requirePermission('view'), (req, res) => {
+    const notifications = appData.notifications.filter(message =>
+        ['status', 'channel', 'courseId', 'session', 'studentId'].every(field =>
+            req.query[field] === undefined || String(message[field]) === String(req.query[field])))
+        .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+
+    res.json({ notifications, total: notifications.length });
+});
+
+app.get('/api/notifications/:id', requirePermission('view'), (req, res) => {
+    const message = findNotification(req, res);
+    if (message) {
+        res.json({ notification: message });
+    }
+});
+
+// Send a failed or cancelled message again, or cancel a queued one (409 otherwise)
+['retry', 'cancel'].forEach(action => {
+    app.post(`/api/notifications/:id/${action}`, requirePermission('view'), (req, res) => {
+        const message = findNotification(req, res);
+        if (!message) return;
+
+        let updated;
+        try {
+            updated = Notifications[action](message);
+        } catch (error) {
+            return res.status(409).json({ error: error.message });
+        }
+
+        const committed = commitApiChanges(req, res, [DataChanges.upsert('notifications', updated)]);
+        if (committed) {
+            res.json({ notification: committed[0].value });
+        }
+    });
+});
+
+app.get('/api/notification-templates', requirePermission('view'), (req, res) => {
+    res.json({
+        templates: Notifications.getTemplates(appData.notificationTemplates),
+        placeholders: Notifications.placeholders
+    });
+});
+
+// Change a template's text or turn it off ({ body, enabled }; fields left out keep their value)
+app.put('/api/notification-templates/:type', requirePermission('view'), (req, res) => {
+    const body = req.body || {};
+    const current = Notifications.getTemplates(appData.notificationTemplates)[req.params.type];
+    const template = {
+        type: req.params.type,
+        body: body.body !== undefined ? body.body : current && current.body,
+        enabled: body.enabled !== undefined ? body.enabled : !current || current.enabled,
+        updatedAt: new Date().toISOString()
+    };
+
+    const errors = [
+        ...getUnknownFields(body, ['body', 'enabled']).map(field => `Unknown field: ${field}`),
+        ...Notifications.validateTemplate(template)
+    ];
+    if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+    }
+
+    const committed = commitApiChanges(req, res, [DataChanges.upsert('notificationTemplates', template)]);
+    if (committed) {
+        res.json({ template: committed[0].value });
+    }
+});
+
+// QR code image for one student (?format=png|svg, ?size in pixels)
+app.get('/api/students/:id/qr', requirePermission('view'), async (req, res) => {
+    const student = appData.students.find(s => String(s.id) === req.params.id);
+    if (!student) {
+        return res.status(404).json({ error: `Student with ID ${req.params.id} not found` });
+    }
+    
+    const size = Math.min(Math.max(parseInt(req.query.size) || 300, 100), 1000);
+    
+    try {
+        if (req.query.format === 'svg') {
+            res.type('image/svg+xml').send(await qrCodes.toSVG(student.id, size));
+        } else {
+            res.type('image/png').send(await qrCodes.toPNG(student.id, size));
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Printable ID card sheet for all students, or filtered by ?courseId, ?center, ?grade or ?ids=1,2,3
+app.get('/api/id-cards', requirePermission('view'), async (req, res) => {
+    const ids = req.query.ids ? String(req.query.ids).split(',') : null;
+    const students = appData.students.filter(student =>
+        (!req.query.courseId || isEnrolled(student.id, req.query.courseId)) &&
+        (!req.query.center || student.center === req.query.center) &&
+        (!req.query.grade || student.gradeLevel === req.query.grade) &&
+        (!ids || ids.includes(String(student.id)))
+    );
+    
+    if (students.length === 0) {
+        return res.status(404).json({ error: 'No students match the selection' });
+    }
+    
+    const title = req.query.center ? `ID Cards - ${req.query.center}` : 'Student ID Cards';
+    
+    try {
+        res.type('html').send(await qrCodes.renderCardSheet(students, title));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
 });
 
 // File upload endpoint
-app.post('/api/upload', upload.single('file'), (req, res) => {
+app.post('/api/upload', requirePermission('import'), upload.single('file'), (req, res) => {
     if (!req.file) {
         return res.status(400).json({ error: 'No file uploaded' });
     }
@@ -397,6 +2129,9 @@ app.post('/api/upload', upload.single('file'), (req, res) => {
     });
 });
 
+// Uploaded files
+app.use('/uploads', requirePermission('import'), express.static('uploads'));
+
 // Health check
 app.get('/health', (req, res) => {
     res.json({ 
@@ -440,19 +2175,32 @@ server.listen(PORT, '0.0.0.0', () => {
     console.log('═══════════════════════════════════════════\n');
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
+// Flush pending data to disk before exiting
+function flushDataStore() {
+    try {
+        dataStore.close();
+        console.log('💾 Data saved');
+    } catch (error) {
+        console.error('❌ Failed to save data:', error);
+    }
+}
+
+// Graceful shutdown: nothing may change the data once the store is closed, and open
+// websocket connections would keep the server from closing
+function shutDown() {
+    if (shuttingDown) return;
+    shuttingDown = true;
     console.log('🛑 Shutting down gracefully...');
-    server.close(() => {
+    clearInterval(notificationTimer);
+    io.close(() => {
         console.log('✅ Server closed');
         process.exit(0);
     });
-});
+    flushDataStore();
+}
 
+process.on('SIGTERM', shutDown);
 process.on('SIGINT', () => {
-    console.log('\n🛑 Shutting down gracefully...');
-    server.close(() => {
-        console.log('✅ Server closed');
-        process.exit(0);
-    });
+    console.log('');
+    shutDown();
 });
\ No newline at end of file
@@ -0,0 +1,348 @@
+// Storage Manager Module - pluggable browser persistence for DataManager
+
+// IndexedDB backend (default)
+class IndexedDBBackend {
+    constructor(options = {}) {
+        this.name = 'indexeddb';
+        this.databaseName = options.databaseName || 'StudentManagementSystem';
+        this.storeName = options.storeName || 'appData';
+        this.db = null;
+    }
+
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.databaseName, 1);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName);
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this);
+            };
+
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB is blocked by another open tab'));
+        });
+    }
+
+    // Run a single request inside a transaction and resolve once it is committed
+    transaction(mode, operation) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(this.storeName, mode);
+            const request = operation(tx.objectStore(this.storeName));
+            let result;
+
+            request.onsuccess = () => {
+                result = request.result;
+            };
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error || request.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    getItem(key) {
+        return this.transaction('readonly', store => store.get(key))
+            .then(value => value === undefined ? null : value);
+    }
+
+    setItem(key, value) {
+        return this.transaction('readwrite', store => store.put(value, key));
+    }
+
+    removeItem(key) {
+        return this.transaction('readwrite', store => store.delete(key));
+    }
+
+    keys() {
+        return this.transaction('readonly', store => store.getAllKeys());
+    }
+}
+
+// localStorage backend (fallback when IndexedDB is unavailable)
+class LocalStorageBackend {
+    constructor() {
+        this.name = 'localstorage';
+    }
+
+    static isAvailable() {
+        try {
+            const testKey = '__storage_test__';
+            localStorage.setItem(testKey, testKey);
+            localStorage.removeItem(testKey);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async open() {
+        return this;
+    }
+
+    async getItem(key) {
+        return localStorage.getItem(key);
+    }
+
+    async setItem(key, value) {
+        localStorage.setItem(key, value);
+    }
+
+    async removeItem(key) {
+        localStorage.removeItem(key);
+    }
+
+    async keys() {
+        return Object.keys(localStorage);
+    }
+}
+
+// In-memory backend (last resort, e.g. private browsing with storage disabled)
+class MemoryBackend {
+    constructor() {
+        this.name = 'memory';
+        this.items = new Map();
+    }
+
+    async open() {
+        return this;
+    }
+
+    async getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    async setItem(key, value) {
+        this.items.set(key, value);
+    }
+
+    async removeItem(key) {
+        this.items.delete(key);
+    }
+
+    async keys() {
+        return Array.from(this.items.keys());
+    }
+}
+
+class StorageManager {
+    constructor(options = CONFIG.storage) {
+        this.options = options;
+        this.backend = null;
+        this.pendingWrites = new Map();
+        this.saveTimer = null;
+        this.savePromise = Promise.resolve();
+        this.onError = null; // Called with { type, key, error } when a write fails
+    }
+
+    // Pick the first backend that opens successfully
+    async init() {
+        const candidates = this.options.backend === 'localstorage'
+            ? [LocalStorageBackend]
+            : [IndexedDBBackend, LocalStorageBackend];
+
+        for (const Backend of candidates) {
+            if (!Backend.isAvailable()) continue;
+
+            try {
+                this.backend = await new Backend(this.options).open();
+                break;
+            } catch (error) {
+                console.warn(`Storage backend ${Backend.name} unavailable:`, error);
+            }
+        }
+
+        if (!this.backend) {
+            console.warn('No persistent storage available - data will only be kept for this session');
+            this.backend = await new MemoryBackend().open();
+        }
+
+        console.log(`Using ${this.backend.name} storage`);
+        return this;
+    }
+
+    isPersistent() {
+        return this.backend !== null && this.backend.name !== 'memory';
+    }
+
+    hasPendingWrites() {
+        return this.pendingWrites.size > 0;
+    }
+
+    // Versioned key, e.g. "sms:v1:appData"
+    getKey(name, schemaVersion = this.options.schemaVersion) {
+        return `${this.options.keyPrefix}:v${schemaVersion}:${name}`;
+    }
+
+    // Load a value, recovering from corrupt blobs and migrating older versions.
+    // Returns { data, status } where status is 'ok', 'empty', 'migrated',
+    // 'recovered-from-backup' or 'reset-after-corruption'.
+    async load(name, validate = () => true) {
+        const key = this.getKey(name);
+        const raw = await this.backend.getItem(key);
+
+        if (raw !== null) {
+            const data = this.parse(raw, validate);
+            if (data) {
+                await this.writeBackup(name, raw);
+                return { data, status: 'ok' };
+            }
+
+            await this.quarantine(key, raw);
+
+            const backupRaw = await this.backend.getItem(this.getKey(`${name}:backup`));
+            const backup = backupRaw !== null ? this.parse(backupRaw, validate) : null;
+            if (backup) {
+                await this.backend.setItem(key, backupRaw);
+                return { data: backup, status: 'recovered-from-backup' };
+            }
+
+            return { data: null, status: 'reset-after-corruption' };
+        }
+
+        // Look for data saved under an older schema version
+        for (let version = this.options.schemaVersion - 1; version >= 1; version--) {
+            const oldRaw = await this.backend.getItem(this.getKey(name, version));
+            const oldData = oldRaw !== null ? this.parse(oldRaw, () => true) : null;
+
+            if (oldData) {
+                const migrated = this.migrate(oldData, version);
+                if (validate(migrated)) {
+                    await this.backend.setItem(key, JSON.stringify(migrated));
+                    return { data: migrated, status: 'migrated' };
+                }
+            }
+        }
+
+        return { data: null, status: 'empty' };
+    }
+
+    parse(raw, validate) {
+        try {
+            const data = JSON.parse(raw);
+            return data && typeof data === 'object' && validate(data) ? data : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Apply migrations step by step from an older schema version
+    migrate(data, fromVersion) {
+        let migrated = data;
+        for (let version = fromVersion; version < this.options.schemaVersion; version++) {
+            const migration = StorageManager.migrations[version];
+            if (migration) {
+                migrated = migration(migrated);
+            }
+        }
+        return migrated;
+    }
+
+    // Keep the corrupt blob around so it can be inspected or recovered by hand
+    async quarantine(key, raw) {
+        const corruptKey = `${key}:corrupt:${Date.now()}`;
+        console.error(`Stored data under "${key}" is corrupt; moved to "${corruptKey}"`);
+
+        try {
+            await this.backend.setItem(corruptKey, raw);
+        } catch (error) {
+            console.error('Failed to keep a copy of the corrupt data:', error);
+        }
+        await this.backend.removeItem(key);
+    }
+
+    async writeBackup(name, raw) {
+        try {
+            await this.backend.setItem(this.getKey(`${name}:backup`), raw);
+        } catch (error) {
+            // The backup is best effort; never block loading on it
+            console.warn('Failed to write storage backup:', error);
+        }
+    }
+
+    // Queue a write; consecutive saves within the debounce window are coalesced
+    save(name, data) {
+        this.pendingWrites.set(name, data);
+
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.flush(), this.options.saveDebounce);
+    }
+
+    // Write all queued values now
+    flush() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        const writes = Array.from(this.pendingWrites.entries());
+        this.pendingWrites.clear();
+
+        this.savePromise = this.savePromise.then(() => Promise.all(
+            writes.map(([name, data]) => this.write(name, data))
+        ));
+        return this.savePromise;
+    }
+
+    async write(name, data) {
+        const key = this.getKey(name);
+        const raw = JSON.stringify(data);
+
+        try {
+            await this.backend.setItem(key, raw);
+        } catch (error) {
+            if (!StorageManager.isQuotaError(error)) {
+                this.reportError('write-failed', key, error);
+                return false;
+            }
+
+            // Free the backup copy and try once more before giving up
+            try {
+                await this.backend.removeItem(this.getKey(`${name}:backup`));
+                await this.backend.setItem(key, raw);
+            } catch (retryError) {
+                this.reportError('quota-exceeded', key, retryError);
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    reportError(type, key, error) {
+        console.error(`Storage ${type} for "${key}":`, error);
+        if (typeof this.onError === 'function') {
+            this.onError({ type, key, error });
+        }
+    }
+
+    static isQuotaError(error) {
+        return !!error && (
+            error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22 ||
+            error.code === 1014
+        );
+    }
+}
+
+// Schema migrations keyed by the version they upgrade from (e.g. 1: data => data)
+StorageManager.migrations = {};
+
+// Create singleton instance
+const storageManager = new StorageManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StorageManager, IndexedDBBackend, LocalStorageBackend, MemoryBackend, storageManager };
+} else {
+    window.StorageManager = StorageManager;
+    window.storageManager = storageManager;
+}
@@ -0,0 +1,584 @@
+// Sync Client Module - keeps DataManager in sync with the Socket.IO server
+// Local edits are journaled as operations in a persisted outbox and replayed in
+// order once the server confirms it is reachable.
+class SyncClient {
+    constructor(dataManager, authClient) {
+        this.dataManager = dataManager;
+        this.authClient = authClient;
+        this.socket = null;
+        this.state = 'local'; // local | connecting | connected | disconnected
+        this.connectedClients = 0;
+        this.deviceId = null; // Persistent ID of this device (stored with the outbox)
+        this.lastSeq = null; // Sequence number of the last server change applied
+        this.synced = null; // Copy of the server's data as of lastSeq, plus queued operations
+        this.outbox = []; // Operations not yet confirmed by the server: { opId, types, createdAt, changes }
+        this.sendingOpId = null; // Operation waiting for the server's acknowledgement
+        this.pendingTypes = new Set(); // Kinds of local changes since the last journal entry
+        this.activeSessions = []; // Active session per classroom, held by the server
+        this.conflicts = new Map(); // Unresolved conflicts by key (collection:id[:session])
+        this.editBases = new Map(); // Server version local edits were based on, when the server has moved on
+        this.pushTimer = null;
+        this.heartbeatTimer = null;
+        this.onStatusChange = null; // Called with { state, clients }
+        this.onRemoteChange = null; // Called after remote data was applied
+        this.onError = null; // Called with { operation, error }
+        this.onConflict = null; // Called with the list of unresolved conflicts
+        this.onPendingChange = null; // Called with the number of queued operations
+        this.onActiveSessionsChange = null; // Called with the list of active sessions
+        this.onScanResult = null; // Called with the server's response to a QR scan
+        this.onAuthRequired = null; // Called with a message when the server wants a (new) login
+        this.onNotice = null; // Called with a message the user should see
+        this.onSeedRequest = null; // Asked (students, queued operations) before filling an empty server; true to go ahead
+        this.seedRefused = false; // The server refused this device's data once; it is not offered again
+    }
+
+    // Connect to the server; stays in local-only mode when Socket.IO is unavailable
+    async init() {
+        if (!CONFIG.sync.enabled || typeof io === 'undefined') {
+            console.log('Sync server not available - running in local-only mode');
+            this.setState('local');
+            return this;
+        }
+
+        await this.loadOutbox();
+
+        // Until the server sends its state, the local data (which already includes
+        // the queued operations) is the best known copy
+        this.synced = SyncClient.clone(SyncClient.pickCollections(this.dataManager.exportData()));
+
+        // The handshake carries the login token, the device ID and the last applied
+        // sequence number so a reconnect only receives the changes that were missed
+        this.socket = io(CONFIG.sync.serverUrl || undefined, {
+            reconnectionDelayMax: CONFIG.sync.reconnectionDelayMax,
+            auth: (callback) => callback({
+                token: this.authClient.token,
+                sinceSeq: this.lastSeq,
+                deviceId: this.deviceId
+            })
+        });
+        this.setState('connecting');
+        this.notifyPendingChange();
+
+        this.setupSocketListeners();
+        this.dataManager.subscribe(change => this.handleLocalChange(change));
+
+        return this;
+    }
+
+    isConnected() {
+        return this.state === 'connected';
+    }
+
+    // Only an expired or revoked login comes with a message; a first login doesn't need one
+    requireLogin(message) {
+        const hadLogin = this.authClient.isLoggedIn();
+        this.authClient.logout();
+        if (typeof this.onAuthRequired === 'function') {
+            this.onAuthRequired(hadLogin ? message : '');
+        }
+    }
+
+    // Connect again with a new login
+    reconnect() {
+        if (!this.socket) return;
+
+        this.seedRefused = false;
+        this.socket.disconnect();
+        this.socket.connect();
+    }
+
+    setState(state) {
+        this.state = state;
+        if (typeof this.onStatusChange === 'function') {
+            this.onStatusChange({ state, clients: this.connectedClients });
+        }
+    }
+
+    setupSocketListeners() {
+        this.socket.on('connect', () => {
+            console.log('🔌 Connected to sync server');
+            this.socket.emit('client-info', this.getDeviceInfo());
+            this.startHeartbeat();
+            this.setState('connected');
+            this.flushOutbox();
+        });
+
+        this.socket.on('connect_error', (error) => {
+            this.setState('disconnected');
+
+            // The server refused the login; local edits stay queued until the user logs in
+            if (error.data && error.data.code === 'auth-required') {
+                console.warn('Sync server requires a login:', error.message);
+                this.requireLogin(error.message);
+                return;
+            }
+            console.warn('Sync server unreachable:', error.message);
+        });
+
+        // The login was revoked while connected (password changed or account deleted)
+        this.socket.on('auth-error', (info) => this.requireLogin(info.error));
+
+        this.socket.on('disconnect', (reason) => {
+            console.warn('Disconnected from sync server:', reason);
+            this.stopHeartbeat();
+            this.sendingOpId = null; // Replayed after reconnecting; the server ignores duplicates
+            this.setState('disconnected');
+        });
+
+        // Full server state (first connection, or the missed history is no longer available)
+        this.socket.on('initial-data', (data) => this.handleInitialData(data));
+
+        // Numbered per-entity changes made on the server (by this or another device)
+        this.socket.on('data-changes', (batch) => this.handleDataChanges(batch));
+
+        this.socket.on('clients-update', (info) => {
+            this.connectedClients = info.count;
+            this.setState(this.state);
+        });
+
+        this.socket.on('operation-error', (info) => this.reportError(info.operation, info.error));
+
+        this.socket.on('active-sessions', (info) => {
+            this.activeSessions = info.sessions || [];
+            if (typeof this.onActiveSessionsChange === 'function') {
+                this.onActiveSessionsChange(this.activeSessions);
+            }
+        });
+
+        this.socket.on('qr-scan-result', (result) => {
+            if (typeof this.onScanResult === 'function') {
+                this.onScanResult(result);
+            }
+        });
+
+        // Changes the server refused because another device changed the same data first
+        this.socket.on('sync-conflict', (info) => this.handleConflicts(info.conflicts || []));
+    }
+
+    handleInitialData(data) {
+        const serverData = SyncClient.clone(SyncClient.pickCollections(data));
+        const serverIsEmpty = serverData.students.length === 0;
+        const hasLocalData = this.dataManager.students.length > 0;
+
+        // Queue local edits that haven't been journaled yet, based on the last known state
+        this.journalChanges();
+        this.editBases.clear();
+
+        this.synced = serverData;
+        this.lastSeq = data.seq || 0;
+
+        // An empty server is only filled with this device's data when the user says so: the
+        // device may be out of date (students deleted on the server would come back)
+        if (serverIsEmpty && hasLocalData && this.confirmSeed()) {
+            // This device's data includes every queued operation, so it replaces them
+            console.log('⬆️ Pushing local data to sync server');
+            this.outbox = [];
+            const operation = this.journalChanges();
+            if (operation) {
+                operation.seed = true;
+                this.saveOutbox();
+            }
+            this.flushOutbox();
+            return;
+        }
+        if (serverIsEmpty && hasLocalData) {
+            this.notify(`The sync server has no students, so this device now shows the server's data instead of its ${this.dataManager.students.length} local students`);
+        }
+
+        this.dataManager.applyRemoteData(SyncClient.clone(serverData));
+
+        // Re-apply queued operations on top of the fresh server state, then replay them
+        this.outbox.forEach(operation => {
+            DataChanges.applyChanges(this.synced, SyncClient.clone(operation.changes));
+            this.dataManager.applyRemoteChanges(SyncClient.clone(operation.changes));
+        });
+        this.flushOutbox();
+
+        this.notifyRemoteChange();
+    }
+
+    // Whether to fill an empty server with this device's data: only for roles that may import,
+    // and only when the user confirms
+    confirmSeed() {
+        if (this.seedRefused || !this.authClient.can('import') || typeof this.onSeedRequest !== 'function') {
+            return false;
+        }
+        return Boolean(this.onSeedRequest(this.dataManager.students.length, this.outbox.length));
+    }
+
+    handleDataChanges(batch) {
+        if (this.lastSeq === null || batch.toSeq <= this.lastSeq) {
+            return; // Not hydrated yet, or already applied
+        }
+
+        if (batch.fromSeq > this.lastSeq + 1) {
+            // Missed some changes; ask for everything after the last one applied
+            this.socket.emit('resync', { sinceSeq: this.lastSeq });
+            return;
+        }
+
+        const fresh = batch.changes.filter(change => change.seq > this.lastSeq);
+
+        // Don't overwrite local edits that haven't been pushed yet (they are sent next)
+        // or that wait for a conflict decision
+        const localData = this.dataManager.exportData();
+        const applicable = fresh.filter(change => {
+            if (this.hasConflict(change.collection, change.id)) return false;
+            if (!this.hasUnjournaledEdit(localData, change)) return true;
+
+            // The edit is still based on the version before this change; keep that base
+            // so the server can tell the two edits were concurrent
+            const key = `${change.collection}:${change.id}`;
+            if (!this.editBases.has(key)) {
+                this.editBases.set(key, DataChanges.findEntity(this.synced, change.collection, change.id));
+            }
+            return false;
+        });
+
+        DataChanges.applyChanges(this.synced, SyncClient.clone(fresh));
+        this.lastSeq = batch.toSeq;
+
+        if (applicable.length > 0) {
+            this.dataManager.applyRemoteChanges(SyncClient.clone(applicable));
+            this.notifyRemoteChange();
+        }
+        if (applicable.length < fresh.length) {
+            this.schedulePush();
+        }
+        this.flushOutbox();
+    }
+
+    hasUnjournaledEdit(localData, change) {
+        const local = DataChanges.findEntity(localData, change.collection, change.id);
+        const synced = DataChanges.findEntity(this.synced, change.collection, change.id);
+
+        return !DataChanges.sameContent(local, synced);
+    }
+
+    notifyRemoteChange() {
+        if (typeof this.onRemoteChange === 'function') {
+            this.onRemoteChange();
+        }
+    }
+
+    notify(message) {
+        console.warn(message);
+        if (typeof this.onNotice === 'function') {
+            this.onNotice(message);
+        }
+    }
+
+    reportError(operation, error) {
+        console.error(`Sync operation ${operation} failed:`, error);
+        if (typeof this.onError === 'function') {
+            this.onError({ operation, error });
+        }
+    }
+
+    // Local DataManager mutations are journaled (online or offline) as per-entity changes
+    handleLocalChange(change) {
+        if (change.source !== 'local') return;
+
+        this.pendingTypes.add(change.type);
+        this.schedulePush();
+    }
+
+    // Coalesce bursts of changes (e.g. an Excel import) into a single operation
+    schedulePush() {
+        clearTimeout(this.pushTimer);
+        this.pushTimer = setTimeout(() => this.pushChanges(), CONFIG.sync.pushDebounce);
+    }
+
+    pushChanges() {
+        clearTimeout(this.pushTimer);
+        this.journalChanges();
+        this.flushOutbox();
+    }
+
+    // Queue everything that differs from the last known server state as one operation
+    journalChanges() {
+        if (!this.synced) return null;
+
+        const localData = this.dataManager.exportData();
+
+        // Entities waiting for a conflict decision are held back until it is made
+        const changes = DataChanges.diff(this.synced, localData)
+            .filter(change => !this.hasConflict(change.collection, change.id))
+            .filter(change => change.action === 'remove' ||
+                !DataChanges.sameContent(DataChanges.findEntity(this.synced, change.collection, change.id), change.value))
+            .map(change => {
+                const key = `${change.collection}:${change.id}`;
+                const base = this.editBases.has(key)
+                    ? this.editBases.get(key)
+                    : DataChanges.findEntity(this.synced, change.collection, change.id);
+                this.editBases.delete(key);
+                return DataChanges.withBase(change, base);
+            });
+
+        const types = Array.from(this.pendingTypes);
+        this.pendingTypes.clear();
+        if (changes.length === 0) return null;
+
+        // Assume success; the server echoes the changes back with sequence numbers
+        DataChanges.applyChanges(this.synced, SyncClient.clone(changes));
+
+        const operation = {
+            opId: `${this.deviceId}:${SyncClient.createId()}`,
+            types: types.length > 0 ? types : ['edit'],
+            createdAt: new Date().toISOString(),
+            changes
+        };
+        this.outbox.push(operation);
+        this.saveOutbox();
+
+        return operation;
+    }
+
+    // Send queued operations one at a time, in the order they were made. An operation
+    // stays queued until the server acknowledges it; resending one is harmless because
+    // the server skips operation IDs it has already applied.
+    flushOutbox() {
+        if (this.sendingOpId || !this.isConnected() || this.lastSeq === null || this.outbox.length === 0) {
+            return;
+        }
+
+        const operation = this.outbox[0];
+        this.sendingOpId = operation.opId;
+
+        this.socket.timeout(CONFIG.sync.ackTimeout).emit('apply-changes', {
+            opId: operation.opId,
+            changes: operation.changes
+        }, (error, result) => {
+            if (this.sendingOpId === operation.opId) {
+                this.sendingOpId = null;
+            }
+
+            if (error) {
+                // No acknowledgement in time; try again (or after reconnecting)
+                setTimeout(() => this.flushOutbox(), CONFIG.sync.pushDebounce);
+                return;
+            }
+
+            this.outbox = this.outbox.filter(queued => queued.opId !== operation.opId);
+            this.saveOutbox();
+
+            if (!result.success) {
+                this.reportError('apply-changes', result.error);
+                if (operation.seed) {
+                    // Resyncing would offer the same data again; stop syncing and keep the local data
+                    this.seedRefused = true;
+                    this.socket.disconnect();
+                    this.setState('local');
+                    this.notify('The sync server refused this device\'s data, so syncing has stopped. Log in again to retry.');
+                    return;
+                }
+                // The server refused the operation; start over from the server's state
+                this.lastSeq = null;
+                this.socket.emit('resync', { sinceSeq: null });
+                return;
+            }
+
+            this.flushOutbox();
+        });
+    }
+
+    // Send a request that the server acknowledges with { success, error }
+    request(event, payload) {
+        return new Promise((resolve, reject) => {
+            if (!this.isConnected()) {
+                reject(new Error('Not connected to the sync server'));
+                return;
+            }
+
+            this.socket.timeout(CONFIG.sync.ackTimeout).emit(event, payload, (error, result) => {
+                if (error) {
+                    reject(new Error('The sync server did not respond'));
+                } else if (!result.success) {
+                    reject(new Error(result.error));
+                } else {
+                    resolve(result);
+                }
+            });
+        });
+    }
+
+    getActiveSession(classroom) {
+        return this.activeSessions.find(active => active.classroom === classroom) || null;
+    }
+
+    startSession({ classroom, courseId, sessionNumber, date, scanToMark }) {
+        return this.request('session-start', { classroom, courseId, sessionNumber, date, scanToMark });
+    }
+
+    stopSession(classroom) {
+        return this.request('session-stop', { classroom });
+    }
+
+    // Send the text of a scanned QR code; the result arrives through onScanResult
+    scanQRCode(payload, classroom) {
+        if (!this.isConnected()) {
+            throw new Error('QR check-in needs a connection to the sync server');
+        }
+        this.socket.emit('qr-scan', { payload, classroom });
+    }
+
+    getPendingCount() {
+        return this.outbox.length;
+    }
+
+    async loadOutbox() {
+        const { data } = await this.dataManager.storage.load('outbox', stored =>
+            stored && typeof stored.deviceId === 'string' && Array.isArray(stored.operations));
+
+        this.deviceId = data ? data.deviceId : SyncClient.createId();
+        this.outbox = data ? data.operations : [];
+
+        if (!data) {
+            this.saveOutbox();
+        }
+    }
+
+    saveOutbox() {
+        this.dataManager.storage.save('outbox', {
+            deviceId: this.deviceId,
+            operations: this.outbox
+        });
+        this.notifyPendingChange();
+    }
+
+    notifyPendingChange() {
+        if (typeof this.onPendingChange === 'function') {
+            this.onPendingChange(this.outbox.length);
+        }
+    }
+
+    // Remember refused changes and reset the synced copy of those entities to the
+    // server's version, so the next diff is based on what the server really has
+    handleConflicts(conflicts) {
+        if (conflicts.length === 0 || !this.synced) return;
+
+        conflicts.forEach(conflict => {
+            const change = conflict.serverEntity
+                ? DataChanges.upsert(conflict.collection, conflict.serverEntity)
+                : DataChanges.remove(conflict.collection, conflict.id);
+            DataChanges.applyChange(this.synced, SyncClient.clone(change));
+            this.editBases.delete(`${conflict.collection}:${conflict.id}`);
+            this.conflicts.set(SyncClient.conflictKey(conflict), conflict);
+        });
+
+        console.warn(`⚠️ ${conflicts.length} change(s) conflict with edits from another device`);
+        if (typeof this.onConflict === 'function') {
+            this.onConflict(this.getConflicts());
+        }
+    }
+
+    getConflicts() {
+        return Array.from(this.conflicts.entries()).map(([key, conflict]) => ({ key, ...conflict }));
+    }
+
+    hasConflict(collection, id) {
+        const prefix = `${collection}:${id}`;
+        return Array.from(this.conflicts.keys()).some(key => key === prefix || key.startsWith(`${prefix}:`));
+    }
+
+    // Settle a conflict: 'mine' pushes this device's value over the server's,
+    // 'theirs' replaces the local value with the server's
+    resolveConflict(key, winner) {
+        const conflict = this.conflicts.get(key);
+        if (!conflict) {
+            throw new Error(`No conflict found for ${key}`);
+        }
+        if (winner !== 'mine' && winner !== 'theirs') {
+            throw new Error(`Unknown conflict winner: ${winner}`);
+        }
+
+        this.conflicts.delete(key);
+
+        // The local value may have been replaced by a remote change in the meantime,
+        // so the chosen value is written back explicitly
+        const serverEntity = DataChanges.findEntity(this.synced, conflict.collection, conflict.id);
+        let change;
+
+        if (conflict.session !== undefined) {
+            // Only the conflicting session is replaced; other local session edits stay
+            const local = DataChanges.findEntity(this.dataManager.exportData(), conflict.collection, conflict.id);
+            const record = SyncClient.clone(local || serverEntity);
+            const chosen = winner === 'theirs'
+                ? serverEntity && serverEntity.sessions ? serverEntity.sessions[conflict.session] : null
+                : conflict.clientValue;
+            record.sessions[conflict.session] = SyncClient.clone(chosen);
+            change = DataChanges.upsert(conflict.collection, record);
+        } else {
+            const chosen = winner === 'theirs' ? serverEntity : conflict.clientValue;
+            change = chosen
+                ? DataChanges.upsert(conflict.collection, SyncClient.clone(chosen))
+                : DataChanges.remove(conflict.collection, conflict.id);
+        }
+
+        this.dataManager.applyRemoteChanges([change]);
+        this.notifyRemoteChange();
+
+        // Anything still differing from the server (including a kept local value) is pushed
+        // with the server's current revision as its base
+        this.schedulePush();
+        return this.getConflicts();
+    }
+
+    startHeartbeat() {
+        this.stopHeartbeat();
+        this.heartbeatTimer = setInterval(() => {
+            this.socket.emit('heartbeat');
+        }, CONFIG.sync.heartbeatInterval);
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+    }
+
+    getDeviceInfo() {
+        const userAgent = navigator.userAgent;
+        const deviceType = /tablet|ipad/i.test(userAgent) ? 'tablet' :
+                          /mobi|android|iphone/i.test(userAgent) ? 'mobile' : 'desktop';
+
+        return {
+            deviceType,
+            deviceName: `${deviceType.charAt(0).toUpperCase() + deviceType.slice(1)} (${navigator.platform || 'Unknown'})`
+        };
+    }
+
+    static pickCollections(data) {
+        const collections = {};
+        Object.keys(DataChanges.collections).forEach(collection => {
+            collections[collection] = data[collection] || [];
+        });
+        return collections;
+    }
+
+    static conflictKey(conflict) {
+        const key = `${conflict.collection}:${conflict.id}`;
+        return conflict.session !== undefined ? `${key}:${conflict.session}` : key;
+    }
+
+    static createId() {
+        if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
+        }
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+    }
+
+    static clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+}
+
+// Create singleton instance
+const syncClient = new SyncClient(dataManager, authClient);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SyncClient, syncClient };
+} else {
+    window.SyncClient = SyncClient;
+    window.syncClient = syncClient;
+}
@@ -0,0 +1,47 @@
+// Unit tests for the permission each change needs (npm test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AuthManager } = require('../auth');
+const DataChanges = require('../data-changes');
+
+const required = (change, batch, context) => AuthManager.requiredPermission(change, batch, context);
+
+test('course, holiday and message changes need their own permissions', () => {
+    assert.equal(required(DataChanges.upsert('courses', { id: 'math' })), 'manage-courses');
+    assert.equal(required(DataChanges.remove('holidays', '12/25/2026')), 'manage-courses');
+    assert.equal(required(DataChanges.upsert('notifications', { id: 'n1' })), 'notify');
+    assert.equal(required(DataChanges.remove('notificationTemplates', 'absent')), 'notify');
+});
+
+test('edits need edit-students or mark-attendance', () => {
+    assert.equal(required(DataChanges.upsert('students', { id: '101' })), 'edit-students');
+    assert.equal(required(DataChanges.upsert('enrollments', { courseId: 'math', studentId: '101' })), 'edit-students');
+    assert.equal(required(DataChanges.upsert('studentRecords', { id: '101' })), 'mark-attendance');
+    assert.equal(required(DataChanges.upsert('attendanceLogs', { id: 1 })), 'mark-attendance');
+});
+
+test('removing data needs delete-permanent', () => {
+    assert.equal(required(DataChanges.remove('students', '101')), 'delete-permanent');
+    assert.equal(required(DataChanges.remove('studentRecords', '101')), 'delete-permanent');
+    assert.equal(required(DataChanges.remove('attendanceLogs', 1)), 'delete-permanent');
+});
+
+test('taking a student off a roster only needs edit-students', () => {
+    assert.equal(required(DataChanges.remove('enrollments', 'math:101')), 'edit-students');
+});
+
+test('a removal kept in the batch (moving a student to deleted students) needs no delete-permanent', () => {
+    const deleted = { student: { id: '101' }, records: [{ id: '101' }], logs: [{ id: 1 }] };
+    const batch = [DataChanges.upsert('deletedStudents', deleted)];
+    assert.equal(required(DataChanges.remove('students', '101'), batch), 'edit-students');
+    assert.equal(required(DataChanges.remove('studentRecords', '101'), batch), 'mark-attendance');
+    assert.equal(required(DataChanges.remove('attendanceLogs', 1), batch), 'mark-attendance');
+    assert.equal(required(DataChanges.remove('attendanceLogs', 2), batch), 'delete-permanent');
+});
+
+test('only the own new log can be removed without delete-permanent', () => {
+    const context = { isOwnNewLog: id => id === 1 };
+    assert.equal(required(DataChanges.remove('attendanceLogs', 1), [], context), 'mark-attendance');
+    assert.equal(required(DataChanges.remove('attendanceLogs', 2), [], context), 'delete-permanent');
+    assert.equal(required(DataChanges.remove('studentRecords', 1), [], context), 'delete-permanent');
+});
@@ -0,0 +1,38 @@
+// Unit tests for session times and late detection (npm test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CONFIG = require('../config');
+
+const schedule = { date: '10/19/2026', start: '16:00', end: '18:00', graceMinutes: 10 };
+
+test('getMinutesLate counts the minutes after the start once the grace period is over', () => {
+    assert.equal(CONFIG.getMinutesLate(schedule, '4:25:30 PM'), 25);
+    assert.equal(CONFIG.getMinutesLate(schedule, '16:11'), 11);
+});
+
+test('getMinutesLate is null within the grace period, after the end or for unreadable times', () => {
+    assert.equal(CONFIG.getMinutesLate(schedule, '3:55:00 PM'), null);
+    assert.equal(CONFIG.getMinutesLate(schedule, '16:10'), null);
+    assert.equal(CONFIG.getMinutesLate(schedule, '18:01'), null);
+    assert.equal(CONFIG.getMinutesLate(schedule, 'later'), null);
+    assert.equal(CONFIG.getMinutesLate({ ...schedule, start: '' }, '17:00'), null);
+});
+
+test('getMinutesLate has no upper limit without an end time', () => {
+    assert.equal(CONFIG.getMinutesLate({ date: schedule.date, start: '16:00', graceMinutes: 0 }, '20:00'), 240);
+});
+
+test('withLateDetection tags a late check-in on the session day', () => {
+    const entry = { attendance: 'present' };
+    assert.deepEqual(CONFIG.withLateDetection(entry, schedule, '16:30', '10/19/2026'), { attendance: 'late', minutesLate: 30 });
+    assert.deepEqual(CONFIG.withLateDetection(entry, schedule, '16:30', '2026-10-19'), { attendance: 'late', minutesLate: 30 });
+});
+
+test('withLateDetection leaves other days, other statuses and unplanned sessions alone', () => {
+    const entry = { attendance: 'present' };
+    assert.equal(CONFIG.withLateDetection(entry, schedule, '16:30', '10/12/2026'), entry);
+    assert.equal(CONFIG.withLateDetection(entry, schedule, '16:30', undefined), entry);
+    assert.equal(CONFIG.withLateDetection(entry, null, '16:30', '10/19/2026'), entry);
+    const absent = { attendance: 'absent' };
+    assert.equal(CONFIG.withLateDetection(absent, schedule, '16:30', '10/19/2026'), absent);
+});
@@ -0,0 +1,61 @@
+// Unit tests for the change records shared by the server and the browser (npm test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DataChanges = require('../data-changes');
+
+const log = (id, rev, revBy) => ({ id, studentId: '101', session: 1, attendance: 'present', rev, revBy });
+
+test('validateChange accepts well-formed upserts and removes', () => {
+    assert.equal(DataChanges.validateChange(DataChanges.upsert('students', { id: '101' })), null);
+    assert.equal(DataChanges.validateChange(DataChanges.remove('attendanceLogs', 5)), null);
+});
+
+test('validateChange rejects malformed changes', () => {
+    assert.equal(DataChanges.validateChange(null), 'Change must be an object');
+    assert.equal(DataChanges.validateChange({ collection: 'users', action: 'remove', id: 1 }), 'Unknown collection: users');
+    assert.equal(DataChanges.validateChange({ collection: 'students', action: 'upsert', id: '101' }), 'Upsert requires a value');
+    assert.equal(DataChanges.validateChange({ collection: 'students', action: 'upsert', id: '102', value: { id: '101' } }),
+        'Change id 102 does not match the value');
+    assert.equal(DataChanges.validateChange({ collection: 'students', action: 'remove' }), 'Remove requires an id');
+    assert.equal(DataChanges.validateChange({ collection: 'students', action: 'reset', id: '101' }), 'Unknown change action: reset');
+});
+
+test('validateChange rejects deleted students whose kept records or logs are not objects', () => {
+    const deleted = extra => DataChanges.upsert('deletedStudents', { student: { id: '101' }, ...extra });
+    assert.equal(DataChanges.validateChange(deleted({ records: [{ id: '101' }], logs: [], enrollments: [] })), null);
+    assert.equal(DataChanges.validateChange(deleted({ logs: [null] })), 'Deleted student logs must be a list of objects');
+    assert.equal(DataChanges.validateChange(deleted({ records: 'all' })), 'Deleted student records must be a list of objects');
+    assert.equal(DataChanges.validateChange(deleted({ enrollments: [[1]] })), 'Deleted student enrollments must be a list of objects');
+});
+
+test('validateChanges requires a list and reports its first bad change', () => {
+    assert.equal(DataChanges.validateChanges(undefined), 'Changes must be a list');
+    assert.equal(DataChanges.validateChanges({ length: 1 }), 'Changes must be a list');
+    assert.equal(DataChanges.validateChanges([]), null);
+    assert.equal(DataChanges.validateChanges([DataChanges.remove('students', '101'), null, {}]), 'Change must be an object');
+});
+
+test('diff lists the per-entity changes that turn one data set into another', () => {
+    const before = { students: [{ id: '101', fullName: 'Ann' }, { id: '102', fullName: 'Bob' }], attendanceLogs: [] };
+    const after = { students: [{ id: '101', fullName: 'Anna' }, { id: '103', fullName: 'Cy' }], attendanceLogs: [log(1)] };
+
+    const changes = DataChanges.diff(before, after);
+    assert.deepEqual(changes.map(change => [change.collection, change.action, change.id]), [
+        ['students', 'upsert', '101'],
+        ['students', 'upsert', '103'],
+        ['students', 'remove', '102'],
+        ['attendanceLogs', 'upsert', 1]
+    ]);
+    assert.deepEqual(DataChanges.applyChanges(JSON.parse(JSON.stringify(before)), changes), after);
+});
+
+test('applyChange keys student records by course and puts new logs first', () => {
+    const data = { studentRecords: [{ id: '101' }], attendanceLogs: [log(1)] };
+    DataChanges.applyChange(data, DataChanges.upsert('studentRecords', { id: '101', courseId: 'math' }));
+    DataChanges.applyChange(data, DataChanges.upsert('attendanceLogs', log(2)));
+    DataChanges.applyChange(data, DataChanges.remove('studentRecords', '101'));
+
+    assert.deepEqual(data.studentRecords, [{ id: '101', courseId: 'math' }]);
+    assert.deepEqual(data.attendanceLogs.map(entry => entry.id), [2, 1]);
+    assert.throws(() => DataChanges.applyChange(data, { collection: 'users', action: 'remove', id: 1 }), /Unknown collection/);
+});
@@ -0,0 +1,121 @@
+// Unit tests for the server's write-ahead log and snapshots (npm test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DataStore = require('../data-store');
+const DataChanges = require('../data-changes');
+
+const defaults = () => ({ students: [], seq: 0 });
+const student = (id, fullName = `Student ${id}`) => ({ id, fullName });
+
+// A store in a fresh directory; its log messages are kept out of the test output
+function openStore(t, dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-store-'))) {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    const store = new DataStore({ dataDir });
+    t.after(() => {
+        store.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+    return { store, dataDir };
+}
+
+// Reopen the same directory, as the server does after a restart or a crash
+function reopen(dataDir) {
+    const store = new DataStore({ dataDir });
+    return { store, data: store.load(defaults()) };
+}
+
+test('changes appended to the log are replayed on the next load', t => {
+    const { store, dataDir } = openStore(t);
+    store.load(defaults());
+    store.append([{ ...DataChanges.upsert('students', student('1')), seq: 1 }], '2026-01-01T00:00:00.000Z', 'op-1');
+    store.append([{ ...DataChanges.upsert('students', student('2')), seq: 2 }]);
+    store.append([{ ...DataChanges.remove('students', '1'), seq: 3 }]);
+
+    const { store: restarted, data } = reopen(dataDir);
+    restarted.close();
+    assert.deepEqual(data.students, [student('2')]);
+    assert.equal(data.seq, 3);
+    assert.deepEqual(data.processedOps, ['op-1']);
+});
+
+test('a torn final log line is skipped', t => {
+    const { store, dataDir } = openStore(t);
+    store.load(defaults());
+    store.append([{ ...DataChanges.upsert('students', student('1')), seq: 1 }]);
+    fs.appendFileSync(path.join(dataDir, 'appdata.wal'), '{"at":"2026-01-01","changes":[{"coll');
+
+    const { store: restarted, data } = reopen(dataDir);
+    restarted.close();
+    assert.deepEqual(data.students, [student('1')]);
+    assert.equal(data.seq, 1);
+});
+
+test('compaction writes a snapshot and empties the log', t => {
+    const { store, dataDir } = openStore(t);
+    const data = store.load(defaults());
+    const change = { ...DataChanges.upsert('students', student('1')), seq: 1 };
+    DataChanges.applyChange(data, change);
+    data.seq = 1;
+    store.append([change]);
+
+    store.compact(data);
+    assert.equal(fs.readFileSync(path.join(dataDir, 'appdata.wal'), 'utf8'), '');
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dataDir, 'appdata.json'), 'utf8')).students, [student('1')]);
+
+    // Changes after the snapshot go to the emptied log and are replayed on top of it
+    store.append([{ ...DataChanges.upsert('students', student('1', 'Renamed')), seq: 2 }]);
+    const { store: restarted, data: loaded } = reopen(dataDir);
+    restarted.close();
+    assert.deepEqual(loaded.students, [student('1', 'Renamed')]);
+    assert.equal(loaded.seq, 2);
+});
+
+test('the log is compacted once it reaches maxLogEntries', t => {
+    const { store, dataDir } = openStore(t);
+    store.maxLogEntries = 2;
+    const data = store.load(defaults());
+    store.start(() => data);
+
+    store.append([{ ...DataChanges.upsert('students', student('1')), seq: 1 }]);
+    assert.equal(store.logEntries, 1);
+    store.append([{ ...DataChanges.upsert('students', student('2')), seq: 2 }]);
+    assert.equal(store.logEntries, 0);
+    assert.ok(fs.existsSync(path.join(dataDir, 'appdata.json')));
+});
+
+test('an unreadable snapshot is set aside and the defaults are used', t => {
+    const { dataDir } = openStore(t);
+    fs.writeFileSync(path.join(dataDir, 'appdata.json'), '{"students": [');
+
+    const { store, data } = reopen(dataDir);
+    store.close();
+    assert.deepEqual(data.students, []);
+    assert.ok(fs.readdirSync(dataDir).some(file => file.startsWith('appdata.json.corrupt-')));
+});
+
+test('closing compacts, and appending afterwards fails', t => {
+    const { store, dataDir } = openStore(t);
+    const data = store.load(defaults());
+    store.start(() => data);
+    store.close();
+
+    assert.equal(fs.readFileSync(path.join(dataDir, 'appdata.wal'), 'utf8'), '');
+    assert.throws(() => store.append([DataChanges.upsert('students', student('1'))]), /Data store is not open/);
+});
+
+test('the data directory and files are readable by the owner only', { skip: process.platform === 'win32' }, t => {
+    const parent = fs.mkdtempSync(path.join(os.tmpdir(), 'data-store-'));
+    t.after(() => fs.rmSync(parent, { recursive: true, force: true }));
+    const { store, dataDir } = openStore(t, path.join(parent, 'data'));
+    const data = store.load(defaults());
+    store.loadAudit();
+    store.compact(data);
+
+    const mode = file => fs.statSync(path.join(dataDir, file)).mode & 0o777;
+    assert.equal(fs.statSync(dataDir).mode & 0o777, 0o700);
+    ['appdata.json', 'appdata.wal', 'audit.log'].forEach(file => assert.equal(mode(file), 0o600, file));
+});
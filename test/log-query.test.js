@@ -0,0 +1,90 @@
+// Unit tests for attendance log filters, sorting and cursor pages (npm test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LogQuery = require('../log-query');
+
+const logs = [
+    { id: 1, date: '9/28/2024', time: '9:05:00 AM', studentId: '101', studentName: 'Ann Lee', session: 1, attendance: 'present', homework: 'done', quiz: 8 },
+    { id: 2, date: '9/30/2024', time: '9:20:00 AM', studentId: '102', studentName: 'Bob Stone', session: 1, attendance: 'late', homework: null, quiz: 5 },
+    { id: 3, date: '10/1/2024', time: '6:47:12 PM', studentId: '101', studentName: 'Ann Lee', session: 2, attendance: 'absent', homework: 'not-done', quiz: null },
+    { id: 4, date: '10/1/2024', time: '9:00:00 AM', studentId: '103', studentName: 'Cara Ann', session: 2, attendance: 'present', homework: 'done', quiz: 10 },
+    { id: 5, date: '10/2/2024', time: '18:00', studentId: '102', studentName: 'Bob Stone', session: 3, attendance: 'present', homework: 'done', quiz: 7 }
+];
+const ids = result => (result.logs || result).map(log => log.id);
+
+test('dateFrom and dateTo are inclusive and accept both date formats', () => {
+    assert.deepEqual(ids(LogQuery.filter(logs, { dateFrom: '2024-09-30', dateTo: '10/1/2024' })), [2, 3, 4]);
+    assert.deepEqual(ids(LogQuery.filter(logs, { dateFrom: '10/2/2024' })), [5]);
+    assert.deepEqual(ids(LogQuery.filter(logs, { dateTo: '2024-09-28' })), [1]);
+});
+
+test('list filters match any of their values', () => {
+    assert.deepEqual(ids(LogQuery.filter(logs, { studentId: ['101', '103'] })), [1, 3, 4]);
+    assert.deepEqual(ids(LogQuery.filter(logs, { attendance: ['late', 'absent'], session: 1 })), [2]);
+    assert.deepEqual(ids(LogQuery.filter(logs, { date: ['2024-10-01', '9/28/2024'] })), [1, 3, 4]);
+    assert.deepEqual(ids(LogQuery.filter(logs, { homework: [null] })), [2]);
+    assert.deepEqual(ids(LogQuery.filter(logs, { studentId: [] })), [1, 2, 3, 4, 5]);
+});
+
+test('quiz ranges leave out logs without a score, and names match in any case', () => {
+    assert.deepEqual(ids(LogQuery.filter(logs, { quizMin: 7, quizMax: 8 })), [1, 5]);
+    assert.deepEqual(ids(LogQuery.filter(logs, { quizMax: 100 })), [1, 2, 4, 5]);
+    assert.deepEqual(ids(LogQuery.filter(logs, { studentName: ' ann ' })), [1, 3, 4]);
+});
+
+test('sort orders by dates and times as values, newest first by default', () => {
+    assert.deepEqual(ids(LogQuery.sort(logs)), [5, 3, 4, 2, 1]);
+    assert.deepEqual(ids(LogQuery.sort(logs, ['session', '-quiz'])), [1, 2, 4, 3, 5]);
+    assert.deepEqual(ids(LogQuery.sort(logs, 'quiz')), [2, 5, 1, 4, 3]); // Missing scores last
+    assert.throws(() => LogQuery.sort(logs, 'password'), /Cannot sort by "password"/);
+});
+
+test('pages of logs with equal sort values neither overlap nor skip any', () => {
+    const many = Array.from({ length: 7 }, (_, index) => ({ ...logs[0], id: index + 1 }));
+    const seen = [];
+    let cursor;
+    do {
+        const page = LogQuery.run(many, { sort: 'date', limit: 3, cursor });
+        assert.equal(page.total, 7);
+        seen.push(...ids(page));
+        cursor = page.nextCursor;
+    } while (cursor);
+
+    assert.deepEqual(seen, [1, 2, 3, 4, 5, 6, 7]);
+});
+
+test('the last page has no cursor, and a page fitting the limit exactly has none either', () => {
+    const first = LogQuery.run(logs, { limit: 4 });
+    assert.deepEqual(ids(first), [5, 3, 4, 2]);
+    const last = LogQuery.run(logs, { limit: 4, cursor: first.nextCursor });
+    assert.deepEqual(ids(last), [1]);
+    assert.equal(last.nextCursor, null);
+    assert.equal(LogQuery.run(logs, { limit: 5 }).nextCursor, null);
+});
+
+test('a page after a removed log starts at the next one', () => {
+    const first = LogQuery.run(logs, { limit: 2 });
+    const remaining = logs.filter(log => log.id !== 3);
+    assert.deepEqual(ids(LogQuery.run(remaining, { limit: 2, cursor: first.nextCursor })), [4, 2]);
+});
+
+test('invalid cursors and limits are refused', () => {
+    const cursor = LogQuery.run(logs, { limit: 1 }).nextCursor;
+    assert.throws(() => LogQuery.run(logs, { cursor: 'not a cursor' }), /Invalid cursor/);
+    assert.throws(() => LogQuery.run(logs, { cursor: LogQuery.encodeCursor({ a: 1 }) }), /Invalid cursor/);
+    assert.throws(() => LogQuery.run(logs, { sort: ['date', 'time', 'quiz'], cursor }), /Invalid cursor/);
+    assert.throws(() => LogQuery.run(logs, { limit: 0 }), /limit must be a whole number/);
+    assert.throws(() => LogQuery.run(logs, { limit: LogQuery.maxLimit + 1 }), /limit must be a whole number/);
+});
+
+test('cursors keep text beyond ASCII', () => {
+    const values = ['2024-10-01', 'مريم', '7'];
+    assert.deepEqual(LogQuery.decodeCursor(LogQuery.encodeCursor(values), [{}, {}]), values);
+});
+
+test('fromQueryParams splits lists and checks dates and numbers', () => {
+    assert.deepEqual(LogQuery.fromQueryParams({ studentId: '101,102', homework: 'none', quizMin: '5', limit: '10' }),
+        { studentId: ['101', '102'], homework: [null], quizMin: 5, limit: '10' });
+    assert.throws(() => LogQuery.fromQueryParams({ dateFrom: 'yesterday' }), /dateFrom must be a date/);
+    assert.throws(() => LogQuery.fromQueryParams({ quizMax: 'ten' }), /quizMax must be a number/);
+});
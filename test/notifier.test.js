@@ -0,0 +1,97 @@
+// Unit tests for the message delivery providers (npm test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const Notifier = require('../notifier');
+
+const message = { channel: 'email', to: 'parent@example.com', subject: 'Ann was absent', body: 'Ann missed Session 2 today.\nThank you' };
+
+// A local HTTP server answering every request with status and body; resolves with its URL
+function startGateway(t, status, body) {
+    const requests = [];
+    const server = http.createServer((request, response) => {
+        let text = '';
+        request.on('data', chunk => { text += chunk; });
+        request.on('end', () => {
+            requests.push({ headers: request.headers, body: JSON.parse(text) });
+            response.writeHead(status, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify(body));
+        });
+    });
+    t.after(() => server.close());
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () =>
+        resolve({ url: `http://127.0.0.1:${server.address().port}/send`, requests })));
+}
+
+test('send uses the channel provider and reports its name and message ID', async () => {
+    const notifier = new Notifier({ fallback: 'console' });
+    notifier.registerProvider('test', { send: async () => ({ id: 42 }) });
+    notifier.useProvider('sms', 'test');
+
+    assert.deepEqual(await notifier.send({ ...message, channel: 'sms' }), { provider: 'test', providerMessageId: '42' });
+    assert.equal(notifier.getProviderName('email'), 'console');
+});
+
+test('send rejects when the channel has no known provider', async () => {
+    const notifier = new Notifier({ fallback: 'missing' });
+    await assert.rejects(notifier.send(message), /Unknown notification provider: missing/);
+});
+
+test('the file provider appends the message to an outbox only the owner can read', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notifier-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const outboxFile = path.join(dir, 'data', 'outbox.log');
+    const notifier = new Notifier({ outboxFile });
+
+    const result = await notifier.send(message);
+    const written = JSON.parse(fs.readFileSync(outboxFile, 'utf8'));
+    assert.equal(result.provider, 'file');
+    assert.equal(written.id, result.providerMessageId);
+    assert.equal(written.to, message.to);
+    assert.equal(written.body, message.body);
+    if (process.platform !== 'win32') {
+        assert.equal(fs.statSync(outboxFile).mode & 0o777, 0o600);
+    }
+});
+
+test('the SMS gateway provider posts the message with the token and reads the ID', async t => {
+    const gateway = await startGateway(t, 200, { messageId: 'sms-1' });
+    const provider = Notifier.createSmsGateway({ url: gateway.url, token: 'secret', sender: 'School' });
+
+    assert.deepEqual(await provider.send({ ...message, to: '+201012345678' }), { id: 'sms-1' });
+    assert.equal(gateway.requests[0].headers.authorization, 'Bearer secret');
+    assert.deepEqual(gateway.requests[0].body, { to: '+201012345678', from: 'School', message: message.body });
+});
+
+test('the SMS gateway provider fails with the gateway answer on an error status', async t => {
+    const gateway = await startGateway(t, 402, { error: 'No credit' });
+    const provider = Notifier.createSmsGateway({ url: gateway.url });
+
+    await assert.rejects(provider.send(message), /answered 402: \{"error":"No credit"\}/);
+});
+
+test('the SMTP provider sends a plain text email from the configured address', async () => {
+    const sent = [];
+    const transport = {
+        name: 'test',
+        version: '1',
+        send: (mail, callback) => {
+            const { from, to, subject, text } = mail.data;
+            sent.push({ from, to, subject, text });
+            callback(null, { messageId: mail.message.messageId() });
+        }
+    };
+    const provider = Notifier.createSmtp({ from: 'school@example.com', transport });
+
+    const result = await provider.send(message);
+    assert.match(result.id, /^<.+@example\.com>$/);
+    assert.deepEqual(sent, [{ from: 'school@example.com', to: message.to, subject: message.subject, text: message.body }]);
+});
+
+test('the SMTP provider fails when the server cannot be reached', async () => {
+    const provider = Notifier.createSmtp({ host: '127.0.0.1', port: 1, secure: false, from: 'school@example.com' });
+    await assert.rejects(provider.send(message), /ECONNREFUSED/);
+});
@@ -0,0 +1,39 @@
+// Unit tests for signed student QR codes (npm test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const QRCodes = require('../qr-codes');
+
+const qrCodes = new QRCodes({ secret: 'test-secret' });
+
+test('a payload created by the server gives back its student ID', () => {
+    const payload = qrCodes.createPayload('101');
+    assert.match(payload, /^SMS:101:[\w-]{22}$/);
+    assert.equal(qrCodes.verifyPayload(payload), '101');
+});
+
+test('student IDs containing the separator survive', () => {
+    assert.equal(qrCodes.verifyPayload(qrCodes.createPayload('A:7')), 'A:7');
+});
+
+test('a signature copied to another student ID is rejected', () => {
+    const signature = qrCodes.createPayload('101').split(':')[2];
+    assert.equal(qrCodes.verifyPayload(`SMS:102:${signature}`), null);
+});
+
+test('payloads signed with another secret are rejected', () => {
+    const other = new QRCodes({ secret: 'other-secret' });
+    assert.equal(qrCodes.verifyPayload(other.createPayload('101')), null);
+});
+
+test('truncated and malformed payloads are rejected', () => {
+    const payload = qrCodes.createPayload('101');
+    assert.equal(qrCodes.verifyPayload(payload.slice(0, -1)), null);
+    assert.equal(qrCodes.verifyPayload(`${payload}x`), null);
+    assert.equal(qrCodes.verifyPayload('SMS:101'), null);
+    assert.equal(qrCodes.verifyPayload('SMS:'), null);
+    assert.equal(qrCodes.verifyPayload(`SMS::${qrCodes.sign('')}`), null);
+    assert.equal(qrCodes.verifyPayload(`XYZ:101:${qrCodes.sign('101')}`), null);
+    assert.equal(qrCodes.verifyPayload('101'), null);
+    assert.equal(qrCodes.verifyPayload(null), null);
+    assert.equal(qrCodes.verifyPayload({ payload }), null);
+});
@@ -0,0 +1,89 @@
+// Unit tests for revisions and conflict detection on client changes (npm test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DataChanges = require('../data-changes');
+
+const log = (id, rev, revBy) => ({ id, studentId: '101', session: 1, attendance: 'present', rev, revBy });
+
+test('validateData requires an object of lists of entities', () => {
+    assert.equal(DataChanges.validateData(null), 'Data must be an object');
+    assert.equal(DataChanges.validateData([]), 'Data must be an object');
+    assert.equal(DataChanges.validateData({}), null);
+    assert.equal(DataChanges.validateData({ students: [{ id: '101' }] }), null);
+    assert.equal(DataChanges.validateData({ students: 'all' }), 'students must be a list of objects');
+    assert.equal(DataChanges.validateData({ attendanceLogs: [null] }), 'attendanceLogs must be a list of objects');
+});
+
+test('mergeChange lets the last writer win without base information', () => {
+    const change = DataChanges.upsert('attendanceLogs', log(1));
+    const result = DataChanges.mergeChange(change, log(1, 4, 'b'), 'a');
+    assert.deepEqual(result, { change, conflicts: [] });
+});
+
+test('mergeChange applies a change based on the current revision', () => {
+    const change = DataChanges.withBase(DataChanges.upsert('attendanceLogs', { ...log(1), attendance: 'late' }), log(1, 2, 'b'));
+    const result = DataChanges.mergeChange(change, log(1, 2, 'b'), 'a');
+    assert.equal(result.change.value.attendance, 'late');
+    assert.deepEqual(result.conflicts, []);
+});
+
+test('mergeChange reports a stale edit as a conflict', () => {
+    const change = DataChanges.withBase(DataChanges.upsert('attendanceLogs', { ...log(1), attendance: 'late' }), log(1, 1, 'b'));
+    const result = DataChanges.mergeChange(change, log(1, 2, 'c'), 'a');
+    assert.equal(result.change, null);
+    assert.equal(result.conflicts.length, 1);
+    assert.equal(result.conflicts[0].id, 1);
+});
+
+test('mergeChange lets a device build on its own latest write', () => {
+    const change = DataChanges.withBase(DataChanges.upsert('attendanceLogs', { ...log(1), attendance: 'late' }), log(1, 1, 'a'));
+    const result = DataChanges.mergeChange(change, log(1, 3, 'a'), 'a');
+    assert.deepEqual(result.conflicts, []);
+    assert.notEqual(result.change, null);
+});
+
+test('mergeChange merges student records per session', () => {
+    const base = { id: '101', rev: 1, sessions: { 1: { attendance: '', rev: 1 }, 2: { attendance: '', rev: 1 } } };
+    const current = { ...base, rev: 2, sessions: { ...base.sessions, 2: { attendance: 'absent', rev: 2, revBy: 'b' } } };
+    const edited = { ...base, sessions: { ...base.sessions, 1: { attendance: 'present', rev: 1 } } };
+    const change = DataChanges.withBase(DataChanges.upsert('studentRecords', edited), base);
+
+    const result = DataChanges.mergeChange(change, current, 'a');
+    assert.deepEqual(result.conflicts, []);
+    assert.equal(result.change.value.sessions[1].attendance, 'present');
+    assert.equal(result.change.value.sessions[2].attendance, 'absent');
+});
+
+test('mergeChange reports a stale session as a conflict', () => {
+    const base = { id: '101', rev: 1, sessions: { 1: { attendance: '', rev: 1 } } };
+    const current = { ...base, rev: 2, sessions: { 1: { attendance: 'absent', rev: 2, revBy: 'b' } } };
+    const edited = { ...base, sessions: { 1: { attendance: 'present', rev: 1 } } };
+    const change = DataChanges.withBase(DataChanges.upsert('studentRecords', edited), base);
+
+    const result = DataChanges.mergeChange(change, current, 'a');
+    assert.equal(result.change, null);
+    assert.equal(result.conflicts.length, 1);
+    assert.equal(result.conflicts[0].session, 1);
+});
+
+test('mergeChange drops an edit or removal another device already made', () => {
+    const same = DataChanges.withBase(DataChanges.upsert('attendanceLogs', log(1)), log(1, 1, 'b'));
+    assert.deepEqual(DataChanges.mergeChange(same, log(1, 2, 'c'), 'a'), { change: null, conflicts: [] });
+
+    const removed = DataChanges.withBase(DataChanges.remove('attendanceLogs', 1), log(1, 1, 'b'));
+    assert.deepEqual(DataChanges.mergeChange(removed, null, 'a'), { change: null, conflicts: [] });
+});
+
+test('stampRevisions bumps the entity and only the sessions that changed', () => {
+    const current = { id: '101', rev: 3, sessions: { 1: { attendance: 'present', rev: 2, revBy: 'b' }, 2: { attendance: '', rev: 1 } } };
+    const change = DataChanges.upsert('studentRecords', {
+        id: '101',
+        sessions: { 1: { attendance: 'present', rev: 2, revBy: 'b' }, 2: { attendance: 'absent', rev: 1 } }
+    });
+
+    const stamped = DataChanges.stampRevisions(change, current, 'a').value;
+    assert.equal(stamped.rev, 4);
+    assert.equal(stamped.revBy, 'a');
+    assert.deepEqual(stamped.sessions[1], { attendance: 'present', rev: 2, revBy: 'b' });
+    assert.deepEqual(stamped.sessions[2], { attendance: 'absent', rev: 2, revBy: 'a' });
+});
@@ -8,11 +8,14 @@ class UIComponents {
         this.initialized = false;
         this.editMode = false;
         this.editingStudentId = null;
+        this.auditQuery = null; // Filters and paging of the open change history
+        this.lastImportErrors = null; // { parsed, rejected } of the last import that rejected rows
     }
 
     // Initialize UI components and event listeners
     init() {
         this.setupEventListeners();
+        this.setupScanControls();
         this.startTimeUpdate();
         this.updateCounters();
         this.displayAllData();
@@ -32,6 +35,22 @@ class UIComponents {
             });
         }
 
+        // QR check-in (USB/Bluetooth scanners type the code and press Enter)
+        const qrScanInput = document.getElementById('qrScanInput');
+        if (qrScanInput) {
+            qrScanInput.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter' && qrScanInput.value.trim()) {
+                    this.submitQRScan(qrScanInput.value.trim());
+                    qrScanInput.value = '';
+                }
+            });
+        }
+
+        const scanClassroom = document.getElementById('scanClassroom');
+        if (scanClassroom) {
+            scanClassroom.addEventListener('input', () => this.updateActiveSessionStatus());
+        }
+
         // File input change
         const fileInput = document.getElementById('fileInput');
         if (fileInput) {
@@ -44,7 +63,7 @@ class UIComponents {
 
         // Before unload warning
         window.addEventListener('beforeunload', (e) => {
-            if (this.dataManager.students.length > 0 || this.dataManager.attendanceLogs.length > 0) {
+            if (this.dataManager.hasUnsavedChanges()) {
                 const message = 'Are you sure you want to leave? Any unsaved data will be lost.';
                 e.returnValue = message;
                 return message;
@@ -56,7 +75,9 @@ class UIComponents {
             tab.addEventListener('click', (e) => {
                 const tabName = e.target.textContent.includes('Import') ? 'import' :
                               e.target.textContent.includes('Attendance') ? 'attendance' :
-                              e.target.textContent.includes('Records') ? 'students' : 'reports';
+                              e.target.textContent.includes('Records') ? 'students' :
+                              e.target.textContent.includes('Calendar') ? 'calendar' :
+                              e.target.textContent.includes('Messages') ? 'notifications' : 'reports';
                 this.showTab(tabName);
             });
         });
@@ -94,6 +115,11 @@ class UIComponents {
         if (tabContent) tabContent.classList.add('active');
         if (tabButton) tabButton.classList.add('active');
 
+        // Release the camera when leaving the attendance tab
+        if (tabName !== 'attendance' && qrScanner.isRunning()) {
+            this.stopCameraScanner();
+        }
+
         // Update displays based on tab
         switch (tabName) {
             case 'students':
@@ -101,8 +127,15 @@ class UIComponents {
                 break;
             case 'reports':
                 this.updateCounters();
+                this.displayPunctualityReport();
                 this.displayAttendanceLogs();
                 break;
+            case 'calendar':
+                this.displayCalendar();
+                break;
+            case 'notifications':
+                this.displayNotifications();
+                break;
             case 'import':
                 this.displayImportedStudents();
                 break;
@@ -110,13 +143,31 @@ class UIComponents {
     }
 
     // Alert system
-    showAlert(message, type = 'info') {
+    // options.undo adds an Undo button for the change the alert reports
+    showAlert(message, type = 'info', options = {}) {
         const alertContainer = document.getElementById('alertContainer');
         if (!alertContainer) return;
 
         const alertDiv = document.createElement('div');
         alertDiv.className = `alert alert-${type === 'success' ? 'success' : 'error'}`;
         alertDiv.textContent = message;
+
+        const step = options.undo ? this.dataManager.peekUndo() : null;
+        if (step) {
+            const undoButton = document.createElement('button');
+            undoButton.className = 'btn btn-sm alert-undo';
+            undoButton.textContent = '↩️ Undo';
+            undoButton.addEventListener('click', () => this.undo(step));
+            alertDiv.appendChild(undoButton);
+        }
+        // Another button, e.g. { label: '⬇️ Download', onClick }
+        if (options.action) {
+            const actionButton = document.createElement('button');
+            actionButton.className = 'btn btn-sm alert-action';
+            actionButton.textContent = options.action.label;
+            actionButton.addEventListener('click', options.action.onClick);
+            alertDiv.appendChild(actionButton);
+        }
         
         alertContainer.innerHTML = '';
         alertContainer.appendChild(alertDiv);
@@ -129,11 +180,48 @@ class UIComponents {
                     alertContainer.removeChild(alertDiv);
                 }
             }, CONFIG.ui.alerts.fadeOutDuration);
-        }, CONFIG.ui.alerts.duration);
+        }, step || options.action ? CONFIG.ui.alerts.undoDuration : CONFIG.ui.alerts.duration);
+    }
+
+    // Undo the latest change; from an alert, only if that alert's change is still the latest
+    undo(step = null) {
+        if (step && this.dataManager.peekUndo() !== step) {
+            this.showAlert('That change can no longer be undone', 'error');
+            return;
+        }
+        if (!this.dataManager.canUndo()) {
+            this.showAlert('Nothing to undo', 'error');
+            return;
+        }
+
+        try {
+            const undone = this.dataManager.undo();
+            this.showAlert(`↩️ Undone: ${undone.label}`, 'success');
+        } catch (error) {
+            this.showAlert(error.message, 'error');
+        }
+        this.refreshAfterDataChange();
+    }
+
+    redo() {
+        if (!this.dataManager.canRedo()) {
+            this.showAlert('Nothing to redo', 'error');
+            return;
+        }
+
+        try {
+            const redone = this.dataManager.redo();
+            this.showAlert(`↪️ Redone: ${redone.label}`, 'success');
+        } catch (error) {
+            this.showAlert(error.message, 'error');
+        }
+        this.refreshAfterDataChange();
     }
 
    // Enhanced Add Student Form with auto-ID suggestion
 showAddStudentForm() {
+    if (!this.checkPermission('edit-students', 'add students')) return;
+
     // Get suggested next ID for placeholder
     const suggestedId = this.dataManager.generateNextAvailableId ? 
                        this.dataManager.generateNextAvailableId() : '';
@@ -228,7 +316,7 @@ showAddStudentForm() {
 
     try {
         const student = this.dataManager.addStudent(studentData);
-        this.showAlert(`Student "${student.fullName}" added successfully with ID: ${student.id}`, 'success');
+        this.showAlert(`Student "${student.fullName}" added successfully with ID: ${student.id}`, 'success', { undo: true });
         this.hideAddStudentForm();
         this.displayAllData();
         this.updateCounters();
@@ -299,7 +387,7 @@ useSuggestedId(suggestedId, studentData) {
     
     try {
         const student = this.dataManager.addStudent(studentData);
-        this.showAlert(`Student "${student.fullName}" added successfully with ID: ${student.id}`, 'success');
+        this.showAlert(`Student "${student.fullName}" added successfully with ID: ${student.id}`, 'success', { undo: true });
         this.hideAddStudentForm();
         this.displayAllData();
         this.updateCounters();
@@ -425,6 +513,8 @@ closeExistingStudentInfo() {
 
     // NEW: Show Edit Student Form
     showEditStudentForm(student) {
+        if (!this.checkPermission('edit-students', 'edit students')) return;
+
         if (!student) {
             this.showAlert('No student selected for editing', 'error');
             return;
@@ -482,7 +572,7 @@ closeExistingStudentInfo() {
                             <button type="submit" class="btn btn-success">Update Student</button>
                             <button type="button" class="btn btn-warning" onclick="uiComponents.hideEditStudentForm()">Cancel</button>
                             <button type="button" class="btn btn-export" onclick="uiComponents.deleteStudentTemporary('${student.id}')" style="background: #e74c3c;">Delete (Temp)</button>
-                            <button type="button" class="btn btn-export" onclick="uiComponents.deleteStudentPermanent('${student.id}')" style="background: #c0392b;">Delete (Permanent)</button>
+                            <button type="button" class="btn btn-export" data-permission="delete-permanent" onclick="uiComponents.deleteStudentPermanent('${student.id}')" style="background: #c0392b;">Delete (Permanent)</button>
                         </div>
                     </form>
                 </div>
@@ -521,7 +611,7 @@ closeExistingStudentInfo() {
 
         try {
             const updatedStudent = this.dataManager.updateStudent(this.editingStudentId, updates);
-            this.showAlert(`Student "${updatedStudent.fullName}" updated successfully`, 'success');
+            this.showAlert(`Student "${updatedStudent.fullName}" updated successfully`, 'success', { undo: true });
             this.hideEditStudentForm();
             this.displayAllData();
             this.updateCounters();
@@ -538,6 +628,8 @@ closeExistingStudentInfo() {
 
     // NEW: Delete Student Temporarily
     deleteStudentTemporary(studentId) {
+        if (!this.checkPermission('edit-students', 'delete students')) return;
+
         if (!studentId) {
             this.showAlert('No student ID provided', 'error');
             return;
@@ -554,7 +646,7 @@ closeExistingStudentInfo() {
 
         try {
             const deletedData = this.dataManager.deleteStudentTemporary(studentId);
-            this.showAlert(`Student "${deletedData.student.fullName}" moved to deleted records. Can be restored if needed.`, 'success');
+            this.showAlert(`Student "${deletedData.student.fullName}" moved to deleted records. Can be restored if needed.`, 'success', { undo: true });
             this.hideEditStudentForm();
             this.hideStudentInfo();
             this.displayAllData();
@@ -566,6 +658,8 @@ closeExistingStudentInfo() {
 
     // NEW: Delete Student Permanently
     deleteStudentPermanent(studentId) {
+        if (!this.checkPermission('delete-permanent', 'permanently delete students')) return;
+
         if (!studentId) {
             this.showAlert('No student ID provided', 'error');
             return;
@@ -589,7 +683,7 @@ closeExistingStudentInfo() {
 
         try {
             const result = this.dataManager.deleteStudentPermanent(studentId);
-            this.showAlert(`Student "${result.student.fullName}" permanently deleted from ${result.source} records.`, 'success');
+            this.showAlert(`Student "${result.student.fullName}" permanently deleted from ${result.source} records.`, 'success', { undo: true });
             this.hideEditStudentForm();
             this.hideStudentInfo();
             this.displayAllData();
@@ -637,10 +731,10 @@ closeExistingStudentInfo() {
                                         <p><strong>Deleted:</strong> ${new Date(deletedAt).toLocaleDateString()}</p>
                                         <p><strong>Structure:</strong> ${deleted.student ? 'Complete' : 'Basic'}</p>
                                         <div class="deleted-student-actions">
-                                            <button class="btn btn-success btn-sm" onclick="uiComponents.restoreStudent('${studentId}')">
+                                            <button class="btn btn-success btn-sm" data-permission="edit-students" onclick="uiComponents.restoreStudent('${studentId}')">
                                                 Restore
                                             </button>
-                                            <button class="btn btn-export btn-sm" onclick="uiComponents.deleteStudentPermanent('${studentId}')" style="background: #c0392b;">
+                                            <button class="btn btn-export btn-sm" data-permission="delete-permanent" onclick="uiComponents.deleteStudentPermanent('${studentId}')" style="background: #c0392b;">
                                                 Delete Forever
                                             </button>
                                             <button class="btn btn-warning btn-sm" onclick="uiComponents.debugDeletedStudent(${index})" style="background: #17a2b8; font-size: 11px;">
@@ -654,7 +748,7 @@ closeExistingStudentInfo() {
                         <div class="deleted-students-actions">
                             <button class="btn btn-warning" onclick="uiComponents.hideDeletedStudents()">Close</button>
                             <button class="btn btn-export" onclick="uiComponents.fixDeletedStudentsStructure()" style="background: #17a2b8;">Fix Structure</button>
-                            <button class="btn btn-export" onclick="uiComponents.clearAllDeletedStudents()" style="background: #c0392b;">Clear All Deleted</button>
+                            <button class="btn btn-export" data-permission="delete-permanent" onclick="uiComponents.clearAllDeletedStudents()" style="background: #c0392b;">Clear All Deleted</button>
                         </div>
                     </div>
                 </div>
@@ -677,6 +771,8 @@ closeExistingStudentInfo() {
 
     // FIXED: Restore Student with improved error handling
     restoreStudent(studentId) {
+        if (!this.checkPermission('edit-students', 'restore students')) return;
+
         if (!studentId || studentId === 'undefined' || studentId === 'null') {
             this.showAlert('Invalid student ID provided', 'error');
             return;
@@ -716,7 +812,7 @@ closeExistingStudentInfo() {
             // Attempt the restore
             const restoredStudent = this.dataManager.restoreStudent(studentId);
             
-            this.showAlert(`Student "${restoredStudent.fullName}" restored successfully`, 'success');
+            this.showAlert(`Student "${restoredStudent.fullName}" restored successfully`, 'success', { undo: true });
             this.hideDeletedStudents();
             this.displayAllData();
             this.updateCounters();
@@ -791,6 +887,8 @@ closeExistingStudentInfo() {
 
     // NEW: Clear All Deleted Students
     clearAllDeletedStudents() {
+        if (!this.checkPermission('delete-permanent', 'permanently delete students')) return;
+
         const deletedCount = this.dataManager.getDeletedStudents().length;
         
         if (deletedCount === 0) {
@@ -808,7 +906,7 @@ closeExistingStudentInfo() {
 
         try {
             const clearedCount = this.dataManager.clearDeletedStudents();
-            this.showAlert(`${clearedCount} deleted students permanently removed`, 'success');
+            this.showAlert(`${clearedCount} deleted students permanently removed`, 'success', { undo: true });
             this.hideDeletedStudents();
             this.updateCounters();
         } catch (error) {
@@ -826,8 +924,11 @@ closeExistingStudentInfo() {
         }
     }
 
-    // FIXED: Import functionality with structure validation
+    // Import in steps: read the file, let the user map its columns and check the preview
+    // (see showImportWizard), then add the valid rows on confirmation (confirmImport)
     async importStudentData() {
+        if (!this.checkPermission('import', 'import data')) return;
+
         const fileInput = document.getElementById('fileInput');
         const file = fileInput.files[0];
 
@@ -836,34 +937,334 @@ closeExistingStudentInfo() {
             return;
         }
 
+        // Reading and checking run in a worker, so the page shows progress and can cancel them
+        const onCancel = () => this.excelHandler.cancelImport();
         try {
-            // Show loading state
-            this.setLoadingState(true, 'Importing student data...');
-            
-            const result = await this.excelHandler.importStudentData(file);
-            
+            this.setLoadingState(true, 'Reading file...', { onCancel });
+            const prepared = await this.excelHandler.prepareImport(file, (message, done, total) =>
+                this.setLoadingState(true, message, { done, total, onCancel }));
+            this.pendingImport = {
+                ...prepared,
+                mode: CONFIG.import.defaultMode,
+                deleteMissing: false,
+                onlyErrors: false
+            };
+            this.showImportWizard();
+        } catch (error) {
+            if (error.cancelled) {
+                this.showAlert('Import cancelled', 'info');
+                return;
+            }
+            console.error('Import failed:', error);
+            this.showAlert(`Import failed: ${error.message}`, 'error');
+        } finally {
+            this.setLoadingState(false);
+        }
+    }
+
+    showImportWizard() {
+        const { parsed, profile, mode, deleteMissing } = this.pendingImport;
+        const profiles = this.excelHandler.getImportProfiles();
+
+        this.hideImportWizard();
+        const wizardHtml = `
+            <div class="deleted-students-container" id="importWizardContainer">
+                <div class="deleted-students-list import-wizard">
+                    <h3>📥 Import ${escapeHtml(parsed.fileName)} (${parsed.rows.length} rows from "${escapeHtml(parsed.sheetName)}")</h3>
+                    <div class="import-profiles">
+                        <label>Mapping profile
+                            <select id="importProfileSelect" class="search-input" onchange="uiComponents.applyImportProfile(this.value)">
+                                <option value="">Match columns by name</option>
+                                ${profiles.map(item => `
+                                    <option value="${escapeHtml(item.name)}" ${item.name === profile ? 'selected' : ''}>${escapeHtml(item.name)}</option>
+                                `).join('')}
+                            </select>
+                        </label>
+                        <input type="text" id="importProfileName" class="search-input" placeholder="Profile name" value="${escapeHtml(profile)}">
+                        <button class="btn btn-primary" onclick="uiComponents.saveImportProfile()">💾 Save Mapping</button>
+                        <button class="btn btn-danger" onclick="uiComponents.deleteImportProfile()" ${profile ? '' : 'disabled'} id="importProfileDelete">🗑️ Delete Profile</button>
+                    </div>
+                    <div class="table-container">
+                        <table class="import-mapping-table">
+                            <thead>
+                                <tr><th>Column in file</th><th>First value</th><th>Import as</th></tr>
+                            </thead>
+                            <tbody id="importMappingRows"></tbody>
+                        </table>
+                    </div>
+                    <div class="import-profiles">
+                        <label>Mode
+                            <select class="search-input" onchange="uiComponents.changeImportOptions({ mode: this.value })">
+                                ${Object.keys(CONFIG.import.modes).map(value => `
+                                    <option value="${value}" ${value === mode ? 'selected' : ''}>${CONFIG.import.modes[value]}</option>
+                                `).join('')}
+                            </select>
+                        </label>
+                        <label>
+                            <input type="checkbox" ${deleteMissing ? 'checked' : ''}
+                                   onchange="uiComponents.changeImportOptions({ deleteMissing: this.checked })">
+                            Delete students of the class missing from the file
+                        </label>
+                    </div>
+                    <div id="importSummary" class="import-summary"></div>
+                    <label class="import-errors-toggle">
+                        <input type="checkbox" onchange="uiComponents.toggleImportErrors(this.checked)"> Only rows with errors
+                    </label>
+                    <div class="table-container">
+                        <table class="import-preview-table" id="importPreviewTable"></table>
+                    </div>
+                    <div class="deleted-students-actions">
+                        <button class="btn btn-success" id="importConfirm" onclick="uiComponents.confirmImport()">✅ Import</button>
+                        <button class="btn btn-primary" id="importRejected" onclick="uiComponents.downloadImportErrors()">⬇️ Download Rejected Rows</button>
+                        <button class="btn btn-warning" onclick="uiComponents.cancelImportWizard()">Cancel</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', wizardHtml);
+        this.renderImportMapping();
+        this.renderImportPreview();
+    }
+
+    hideImportWizard() {
+        const container = document.getElementById('importWizardContainer');
+        if (container) {
+            container.remove();
+        }
+    }
+
+    cancelImportWizard() {
+        this.hideImportWizard();
+        this.excelHandler.endImport();
+        this.pendingImport = null;
+    }
+
+    renderImportMapping() {
+        const { parsed, mapping } = this.pendingImport;
+        const fields = CONFIG.getImportFields(this.dataManager.getSessionCount());
+        const options = (key, fieldList) => fieldList.map(field => `
+            <option value="${field.key}" ${field.key === key ? 'selected' : ''}>${field.label}${field.required ? ' *' : ''}</option>
+        `).join('');
+
+        document.getElementById('importMappingRows').innerHTML = parsed.headers.map((header, index) => {
+            const sample = parsed.rows.map(row => row.values[header]).find(value => !this.excelHandler.isEmptyCell(value));
+            return `
+                <tr class="${mapping[header] ? '' : 'import-column-ignored'}">
+                    <td>${escapeHtml(header)}</td>
+                    <td>${sample === undefined ? '—' : escapeHtml(sample)}</td>
+                    <td>
+                        <select class="search-input" onchange="uiComponents.changeImportMapping(${index}, this.value)">
+                            <option value="">— Ignore —</option>
+                            <optgroup label="Student">${options(mapping[header], fields.filter(field => !field.key.startsWith('session.')))}</optgroup>
+                            <optgroup label="Sessions">${options(mapping[header], fields.filter(field => field.key.startsWith('session.')))}</optgroup>
+                        </select>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    renderImportPreview() {
+        const { preview, onlyErrors } = this.pendingImport;
+        const fields = CONFIG.getImportFields(this.dataManager.getSessionCount());
+        const shown = fields.filter(field => preview.columns[field.key]);
+        const actions = { add: 'New', enroll: 'Enrol', update: 'Update', unchanged: 'No change', skip: 'Skip (not in the system)' };
+        const label = key => fields.find(field => field.key === key).label;
+
+        const missingActions = { delete: 'Deleted', unenroll: 'Removed from the class' };
+        document.getElementById('importSummary').innerHTML = preview.mappingErrors.length > 0
+            ? `<div class="import-mapping-errors">${preview.mappingErrors.map(error => `<div>⚠️ ${escapeHtml(error)}</div>`).join('')}</div>`
+            : `
+                <ul>${this.excelHandler.describeImportPreview(preview).map(line => `<li>${escapeHtml(line)}</li>`).join('') || '<li>Nothing to import</li>'}</ul>
+                ${preview.sheetErrors.length > 0 || preview.invalidLogs > 0 ? `
+                    <details class="import-missing" open>
+                        <summary>Sheet errors</summary>
+                        ${preview.sheetErrors.map(error => `<div>${escapeHtml(error)}</div>`).join('')}
+                        ${preview.logs.filter(log => log.errors.length > 0).map(log => `
+                            <div>${CONFIG.export.sheetNames.attendanceLogs} row ${log.rowNumber}: ${escapeHtml(log.errors.join('; '))}</div>
+                        `).join('')}
+                    </details>
+                ` : ''}
+                ${preview.deleteMissing && preview.missing.length > 0 ? `
+                    <details class="import-missing">
+                        <summary>Students missing from the file</summary>
+                        ${preview.missing.map(({ student, action }) => `
+                            <div>${escapeHtml(student.fullName)} (${escapeHtml(student.id)}): ${missingActions[action]}</div>
+                        `).join('')}
+                    </details>
+                ` : ''}
+            `;
+
+        const rows = preview.rows.filter(row => !onlyErrors || row.errors.length > 0);
+        const limit = CONFIG.import.previewRows;
+        document.getElementById('importPreviewTable').innerHTML = `
+            <thead>
+                <tr>
+                    <th>Row</th><th>Action</th>
+                    ${shown.map(field => `<th>${field.label}<br><small>${escapeHtml(preview.columns[field.key])}</small></th>`).join('')}
+                    <th>Changes / Errors</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rows.slice(0, limit).map(row => `
+                    <tr class="${row.errors.length > 0 ? 'import-row-invalid' : ''}">
+                        <td>${row.rowNumber}</td>
+                        <td>${row.errors.length > 0 ? 'Skip' : actions[row.action]}</td>
+                        ${shown.map(field => `<td>${escapeHtml(row.values[preview.columns[field.key]])}</td>`).join('')}
+                        <td>${row.errors.length > 0
+                            ? row.errors.map(escapeHtml).join('<br>')
+                            : row.changes.map(change => `${label(change.key)}: ${escapeHtml(change.from || '—')} → ${escapeHtml(change.to || '—')}`).join('<br>')}</td>
+                    </tr>
+                `).join('') || `<tr><td colspan="${shown.length + 3}">No rows to show</td></tr>`}
+                ${rows.length > limit ? `<tr><td colspan="${shown.length + 3}">… and ${rows.length - limit} more rows</td></tr>` : ''}
+            </tbody>
+        `;
+
+        const rowCount = preview.counts.add + preview.counts.enroll + preview.counts.update;
+        const logCount = preview.logCounts.add + preview.logCounts.update;
+        const removing = preview.deleteMissing ? preview.missing.length : 0;
+        const confirmButton = document.getElementById('importConfirm');
+        confirmButton.textContent = `✅ Import ${rowCount} Rows${logCount > 0 ? ` and ${logCount} Logs` : ''}`;
+        confirmButton.disabled = preview.mappingErrors.length > 0 || (rowCount === 0 && logCount === 0 && removing === 0);
+
+        // Rows with errors can be downloaded, fixed and imported on their own, even when nothing else is imported
+        const rejected = preview.invalid + preview.invalidLogs;
+        const rejectedButton = document.getElementById('importRejected');
+        rejectedButton.textContent = `⬇️ Download ${rejected} Rejected Rows`;
+        rejectedButton.disabled = preview.mappingErrors.length > 0 || rejected === 0;
+    }
+
+    // Check the rows again with a new mapping (or options) and show the result
+    async setImportMapping(mapping) {
+        const pending = this.pendingImport;
+        const check = (pending.check || 0) + 1;
+        pending.check = check;
+        pending.mapping = mapping;
+        this.renderImportMapping();
+
+        const confirmButton = document.getElementById('importConfirm');
+        confirmButton.textContent = '⏳ Checking rows...';
+        confirmButton.disabled = true;
+
+        try {
+            const preview = await this.excelHandler.previewImport(pending.parsed, mapping, {
+                mode: pending.mode,
+                deleteMissing: pending.deleteMissing
+            });
+            // Skip results overtaken by a newer check, or for an import that was closed
+            if (this.pendingImport !== pending || pending.check !== check) return;
+
+            pending.preview = preview;
+            this.renderImportPreview();
+        } catch (error) {
+            if (!error.cancelled) {
+                this.showAlert(`Failed to check the rows: ${error.message}`, 'error');
+            }
+        }
+    }
+
+    // options: { mode, deleteMissing }
+    changeImportOptions(options) {
+        Object.assign(this.pendingImport, options);
+        this.setImportMapping(this.pendingImport.mapping);
+    }
+
+    changeImportMapping(index, key) {
+        const header = this.pendingImport.parsed.headers[index];
+        this.setImportMapping({ ...this.pendingImport.mapping, [header]: key });
+    }
+
+    // '' goes back to the columns recognised by name
+    applyImportProfile(name) {
+        const { parsed } = this.pendingImport;
+        const profiles = this.excelHandler.getImportProfiles().filter(item => item.name === name);
+        this.pendingImport.profile = name || null;
+
+        document.getElementById('importProfileName').value = name;
+        document.getElementById('importProfileDelete').disabled = !name;
+        this.setImportMapping(this.excelHandler.suggestMapping(parsed.headers, profiles).mapping);
+    }
+
+    saveImportProfile() {
+        try {
+            const profile = this.excelHandler.saveImportProfile(
+                document.getElementById('importProfileName').value,
+                this.pendingImport.mapping
+            );
+            this.pendingImport.profile = profile.name;
+            this.showImportWizard();
+            this.showAlert(`Mapping saved as "${profile.name}"`, 'success');
+        } catch (error) {
+            this.showAlert(error.message, 'error');
+        }
+    }
+
+    deleteImportProfile() {
+        const name = this.pendingImport.profile;
+        if (!name || !confirm(`Delete the mapping profile "${name}"?`)) return;
+
+        try {
+            this.excelHandler.deleteImportProfile(name);
+            this.pendingImport.profile = null;
+            this.showImportWizard();
+        } catch (error) {
+            this.showAlert(error.message, 'error');
+        }
+    }
+
+    toggleImportErrors(onlyErrors) {
+        this.pendingImport.onlyErrors = onlyErrors;
+        this.renderImportPreview();
+    }
+
+    async confirmImport() {
+        if (!this.checkPermission('import', 'import data') || !this.pendingImport) return;
+
+        const { parsed, preview } = this.pendingImport;
+        const removing = preview.deleteMissing ? preview.missing.length : 0;
+        if (removing > 0 && !this.checkPermission('edit-students', 'delete students')) return;
+        if (removing > 0 && !confirm(`${removing} students of ${this.dataManager.getCourse().name} are not in the file and will be removed (deleted students can be restored). Continue?`)) {
+            return;
+        }
+
+        try {
+            // All rows are one change with one save (see DataManager.runBatch); let the message show first
+            this.setLoadingState(true, 'Importing...');
+            await new Promise(resolve => setTimeout(resolve));
+            const result = this.excelHandler.commitImport(preview);
+            this.cancelImportWizard();
+            document.getElementById('fileInput').value = '';
+
             // After import, validate deleted students structure
             if (this.dataManager.validateAndFixDeletedStudentsStructure) {
                 this.dataManager.validateAndFixDeletedStudentsStructure();
             }
-            
-            if (result.failed.length > 0) {
-                console.warn('Some imports failed:', result.failed);
+
+            const changed = result.studentsImported + result.studentsUpdated + result.studentsRemoved + result.logsImported;
+            const done = [
+                `${result.studentsImported} students imported`,
+                `${result.studentsUpdated} updated`,
+                ...(result.studentsRemoved > 0 ? [`${result.studentsRemoved} removed`] : []),
+                `${result.recordsImported} session records`,
+                ...(result.logsImported > 0 ? [`${result.logsImported} attendance logs`] : [])
+            ].join(', ');
+            const rejected = result.failed.length + result.failedLogs.length;
+            this.setLastImportErrors(rejected > 0 ? { parsed, rejected: result } : null);
+            if (rejected > 0) {
+                console.warn('Some imports failed:', result.errors);
                 this.showAlert(
-                    `Imported ${result.studentsImported} students. ${result.failed.length} rows failed. Check console for details.`,
-                    result.studentsImported > 0 ? 'success' : 'error'
+                    `${done}. ${rejected} rows rejected; download them with their errors to fix and import again.`,
+                    changed > 0 ? 'success' : 'error',
+                    { undo: changed > 0, action: { label: '⬇️ Rejected Rows', onClick: () => this.downloadImportErrors() } }
                 );
             } else {
-                this.showAlert(
-                    `Successfully imported ${result.studentsImported} students with ${result.recordsImported} session records`,
-                    'success'
-                );
+                this.showAlert(`Import done: ${done}`, 'success', { undo: changed > 0 });
             }
 
             // Update displays
-            this.displayImportedStudents();
+            this.displayAllData();
             this.updateCounters();
-            
         } catch (error) {
             console.error('Import failed:', error);
             this.showAlert(`Import failed: ${error.message}`, 'error');
@@ -872,8 +1273,38 @@ closeExistingStudentInfo() {
         }
     }
 
+    // The rows rejected by the import being previewed, or else by the last import (kept
+    // until the next one, see setLastImportErrors), as a workbook to fix and import again
+    downloadImportErrors() {
+        const source = this.pendingImport
+            ? { parsed: this.pendingImport.parsed, rejected: this.excelHandler.getRejectedRows(this.pendingImport.preview) }
+            : this.lastImportErrors;
+        if (!source) {
+            this.showAlert('No rejected rows to download', 'error');
+            return;
+        }
+
+        try {
+            const download = this.excelHandler.exportImportErrors(source.parsed, source.rejected);
+            this.showAlert(`Rejected rows downloaded: ${download.fileName}`, 'success');
+        } catch (error) {
+            this.showAlert(`Download failed: ${error.message}`, 'error');
+        }
+    }
+
+    // { parsed, rejected } of the last import, or null; the Import section offers the download
+    setLastImportErrors(lastImportErrors) {
+        this.lastImportErrors = lastImportErrors;
+        const button = document.getElementById('importRejectedButton');
+        if (button) {
+            button.style.display = lastImportErrors ? '' : 'none';
+        }
+    }
+
     // Export functionality
     async exportStudentInfo() {
+        if (!this.checkPermission('export', 'export data')) return;
+
         try {
             const result = this.excelHandler.exportStudentInfo();
             this.showAlert(`Student info exported: ${result.fileName}`, 'success');
@@ -883,6 +1314,8 @@ closeExistingStudentInfo() {
     }
 
     async exportStudentRecords() {
+        if (!this.checkPermission('export', 'export data')) return;
+
         try {
             const result = this.excelHandler.exportStudentRecords();
             this.showAlert(`Student records exported: ${result.fileName}`, 'success');
@@ -892,6 +1325,8 @@ closeExistingStudentInfo() {
     }
 
     async exportAttendanceLogs() {
+        if (!this.checkPermission('export', 'export data')) return;
+
         try {
             const result = this.excelHandler.exportAttendanceLogs();
             this.showAlert(`Attendance logs exported: ${result.fileName}`, 'success');
@@ -954,7 +1389,7 @@ closeExistingStudentInfo() {
                     <button class="btn btn-sm btn-primary" onclick="uiComponents.showStudentInfo(uiComponents.dataManager.getStudentById('${student.id}'))" style="margin-right: 5px;">
                         View
                     </button>
-                    <button class="btn btn-sm btn-success" onclick="uiComponents.showEditStudentForm(uiComponents.dataManager.getStudentById('${student.id}'))">
+                    <button class="btn btn-sm btn-success" data-permission="edit-students" onclick="uiComponents.showEditStudentForm(uiComponents.dataManager.getStudentById('${student.id}'))">
                         Edit
                     </button>
                 </div>
@@ -1004,15 +1439,23 @@ closeExistingStudentInfo() {
                 <div class="detail-label">School</div>
                 <div class="detail-value">${student.school}</div>
             </div>
+            <div class="detail-item">
+                <div class="detail-label">Classes</div>
+                <div class="detail-value">${this.dataManager.getStudentCourses(student.id).map(course => course.name).join(', ') || 'None'}</div>
+            </div>
             <div class="detail-item" style="grid-column: 1 / -1;">
                 <div class="student-action-buttons" style="margin-top: 15px; display: flex; gap: 10px; flex-wrap: wrap;">
-                    <button class="btn btn-success" onclick="uiComponents.showEditStudentForm(uiComponents.currentStudent)">
+                    ${this.dataManager.isEnrolled(student.id) ? '' : `
+                    <button class="btn btn-primary" data-permission="edit-students" onclick="uiComponents.enrollStudent('${student.id}')">
+                        ➕ Add to ${this.dataManager.getCourse().name}
+                    </button>`}
+                    <button class="btn btn-success" data-permission="edit-students" onclick="uiComponents.showEditStudentForm(uiComponents.currentStudent)">
                         Edit Student
                     </button>
-                    <button class="btn btn-warning" onclick="uiComponents.deleteStudentTemporary('${student.id}')" style="background: #f39c12;">
+                    <button class="btn btn-warning" data-permission="edit-students" onclick="uiComponents.deleteStudentTemporary('${student.id}')" style="background: #f39c12;">
                         Delete (Temp)
                     </button>
-                    <button class="btn btn-export" onclick="uiComponents.deleteStudentPermanent('${student.id}')" style="background: #e74c3c;">
+                    <button class="btn btn-export" data-permission="delete-permanent" onclick="uiComponents.deleteStudentPermanent('${student.id}')" style="background: #e74c3c;">
                         Delete (Permanent)
                     </button>
                 </div>
@@ -1047,6 +1490,11 @@ closeExistingStudentInfo() {
         
         if (!recordsContent) return;
 
+        if (!this.dataManager.isEnrolled(student.id)) {
+            recordsContent.innerHTML = `<p style="color: #666; font-style: italic;">${student.fullName} is not in ${this.dataManager.getCourse().name}.</p>`;
+            return;
+        }
+
         if (!studentRecord) {
             recordsContent.innerHTML = '<p>No session records found for this student.</p>';
             return;
@@ -1054,12 +1502,14 @@ closeExistingStudentInfo() {
 
         let recordsHTML = '<div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(220px, 1fr)); gap: 15px;">';
         
-        for (let i = 1; i <= CONFIG.sessions.maxSessions; i++) {
-            const session = studentRecord.sessions[i];
+        for (let i = 1; i <= this.dataManager.getSessionCount(); i++) {
+            const session = studentRecord.sessions[i] || {};
             const hasData = session.attendance || session.homework || session.quiz !== null || session.date;
             
             if (hasData) {
-                const attStatus = this.getStatusDisplay(session.attendance, 'attendance');
+                const attStatus = session.attendance
+                    ? `<span class="status-${session.attendance}">${this.getStatusDisplay(session.attendance, 'attendance')}</span>${this.getAttendanceDetail(session)}`
+                    : 'Not Set';
                 const hwStatus = this.getStatusDisplay(session.homework, 'homework');
                 const quizScore = session.quiz !== null ? `${session.quiz}/10` : 'Not Set';
                 const sessionDate = session.date ? `${session.date}` : 'Date not recorded';
@@ -1087,11 +1537,12 @@ closeExistingStudentInfo() {
 
     // Get status display with appropriate formatting
     getStatusDisplay(value, type) {
+        if (type === 'attendance') {
+            const option = CONFIG.getAttendanceOption(value);
+            return option ? option.label : 'Not Set';
+        }
+
         const statusMaps = {
-            attendance: {
-                'present': 'Present',
-                'absent': 'Absent'
-            },
             homework: {
                 'complete': 'Complete',
                 'partial': 'Partial',
@@ -1102,6 +1553,34 @@ closeExistingStudentInfo() {
         return statusMaps[type] && statusMaps[type][value] || 'Not Set';
     }
 
+    // Detail recorded with an attendance status: " (15 min)" when late, " - Sick" when excused
+    getAttendanceDetail(entry) {
+        if (entry.minutesLate !== undefined && entry.minutesLate !== null) {
+            return ` (${entry.minutesLate} min)`;
+        }
+        return entry.reason ? ` - ${entry.reason}` : '';
+    }
+
+    // Ask for the detail a status records; null if the teacher cancels
+    promptAttendanceDetail(option) {
+        if (option.detail === 'minutesLate') {
+            const input = prompt(`How many minutes late is ${this.currentStudent.fullName}?`, '');
+            if (input === null) return null;
+            const minutes = input.trim() === '' ? undefined : Number(input);
+            if (minutes !== undefined && !(Number.isInteger(minutes) && minutes >= 0)) {
+                this.showAlert('Minutes late must be a whole number', 'error');
+                return null;
+            }
+            return { minutesLate: minutes };
+        }
+        if (option.detail === 'reason') {
+            const input = prompt(`Reason for excusing ${this.currentStudent.fullName} (optional):`, '');
+            if (input === null) return null;
+            return { reason: input.trim() || undefined };
+        }
+        return {};
+    }
+
     // Attendance marking
     markAttendance(status) {
         if (!this.currentStudent) {
@@ -1112,32 +1591,24 @@ closeExistingStudentInfo() {
         const sessionNum = document.getElementById('sessionNumber').value;
         const hwStatus = document.getElementById('hwStatus').value;
         const quizScore = document.getElementById('quizScore').value || CONFIG.quiz.defaultScore;
+        const option = CONFIG.getAttendanceOption(status);
+
+        const details = option ? this.promptAttendanceDetail(option) : {};
+        if (!details) return;
 
         try {
-            // Update student session record
-            const sessionData = {
+            // Update student session record and create attendance log
+            const logResult = this.dataManager.recordAttendance(this.currentStudent, parseInt(sessionNum), {
                 attendance: status,
+                ...details,
                 homework: hwStatus,
                 quiz: parseInt(quizScore),
                 date: new Date().toLocaleDateString('en-US')
-            };
-
-            this.dataManager.updateStudentSession(this.currentStudent.id, parseInt(sessionNum), sessionData);
-
-            // Create attendance log
-            const logData = {
-                studentId: this.currentStudent.id,
-                studentName: this.currentStudent.fullName,
-                session: parseInt(sessionNum),
-                attendance: status,
-                homework: hwStatus,
-                quiz: parseInt(quizScore)
-            };
-
-            const logResult = this.dataManager.addAttendanceLog(logData);
+            });
             
+            // Present may have been tagged late by the session's schedule
             const action = logResult.createdAt === logResult.updatedAt ? 'New record created' : 'Updated existing record';
-            this.showAlert(`${action}: ${this.currentStudent.fullName} - ${CONFIG.getSessionName(parseInt(sessionNum))} - ${status.toUpperCase()}`, 'success');
+            this.showAlert(`${action}: ${this.currentStudent.fullName} - ${CONFIG.getSessionName(parseInt(sessionNum))} - ${this.getStatusDisplay(logResult.attendance, 'attendance').toUpperCase()}${this.getAttendanceDetail(logResult)}`, 'success', { undo: true });
 
             // Update displays
             this.displayStudentSessionRecords(this.currentStudent);
@@ -1162,8 +1633,8 @@ closeExistingStudentInfo() {
         const sessionNum = document.getElementById('sessionNumber').value;
         const today = new Date().toLocaleDateString('en-US');
 
-        // Find students not marked for this session today
-        const allStudents = this.dataManager.getAllStudents();
+        // Find students of the class not marked for this session today
+        const allStudents = this.dataManager.getCourseStudents();
         const studentsToMarkAbsent = allStudents.filter(student => {
             if (student.id === this.currentStudent.id) return false;
             
@@ -1187,37 +1658,26 @@ closeExistingStudentInfo() {
 
         let markedCount = 0;
 
-        studentsToMarkAbsent.forEach(student => {
-            try {
-                // Update student session record
-                const sessionData = {
-                    attendance: 'absent',
-                    homework: 'not-done',
-                    quiz: 0,
-                    date: today
-                };
-
-                this.dataManager.updateStudentSession(student.id, parseInt(sessionNum), sessionData);
-
-                // Create attendance log
-                const logData = {
-                    studentId: student.id,
-                    studentName: student.fullName,
-                    session: parseInt(sessionNum),
-                    attendance: 'absent',
-                    homework: 'not-done',
-                    quiz: 0
-                };
-
-                this.dataManager.addAttendanceLog(logData);
-                markedCount++;
-
-            } catch (error) {
-                console.error(`Failed to mark ${student.fullName} as absent:`, error);
-            }
-        });
+        // One change for the whole class, so a single undo takes it back
+        this.dataManager.runBatch('attendance-marked', () => {
+            studentsToMarkAbsent.forEach(student => {
+                try {
+                    // Update student session record and create attendance log
+                    this.dataManager.recordAttendance(student, parseInt(sessionNum), {
+                        attendance: 'absent',
+                        homework: 'not-done',
+                        quiz: 0,
+                        date: today
+                    });
+                    markedCount++;
+
+                } catch (error) {
+                    console.error(`Failed to mark ${student.fullName} as absent:`, error);
+                }
+            });
+        }, { label: `Mark ${studentsToMarkAbsent.length} students absent` });
 
-        this.showAlert(`Successfully marked ${markedCount} students as ABSENT for ${CONFIG.getSessionName(parseInt(sessionNum))}`, 'success');
+        this.showAlert(`Successfully marked ${markedCount} students as ABSENT for ${CONFIG.getSessionName(parseInt(sessionNum))}`, 'success', { undo: true });
         
         this.updateCounters();
         if (this.currentStudent) {
@@ -1231,7 +1691,12 @@ closeExistingStudentInfo() {
         if (!tbody) return;
 
         tbody.innerHTML = '';
-        const students = this.dataManager.getAllStudents();
+        const students = this.dataManager.getCourseStudents();
+
+        const title = document.getElementById('importedStudentsTitle');
+        if (title) {
+            title.textContent = `Students in ${this.dataManager.getCourse().name}`;
+        }
 
         students.forEach(student => {
             const row = document.createElement('tr');
@@ -1247,14 +1712,62 @@ closeExistingStudentInfo() {
                         <button class="btn btn-sm btn-primary" onclick="uiComponents.showStudentInfo(uiComponents.dataManager.getStudentById('${student.id}'))" title="View Details">
                             👁️
                         </button>
-                        <button class="btn btn-sm btn-success" onclick="uiComponents.showEditStudentForm(uiComponents.dataManager.getStudentById('${student.id}'))" title="Edit Student">
+                        <button class="btn btn-sm btn-success" data-permission="edit-students" onclick="uiComponents.showEditStudentForm(uiComponents.dataManager.getStudentById('${student.id}'))" title="Edit Student">
                             ✏️
                         </button>
+                        <button class="btn btn-sm btn-warning" onclick="uiComponents.printIdCards('${student.id}')" title="Print ID Card">
+                            🪪
+                        </button>
                     </div>
                 </td>
             `;
             tbody.appendChild(row);
         });
+
+        this.updateIdCardCenters(students);
+    }
+
+    // Fill the ID card center filter with the centers currently in use
+    updateIdCardCenters(students) {
+        const select = document.getElementById('idCardCenter');
+        if (!select) return;
+
+        const selected = select.value;
+        const centers = [...new Set(students.map(student => student.center).filter(Boolean))].sort();
+
+        select.innerHTML = '<option value="">All students</option>' +
+            centers.map(center => `<option value="${center}">${center}</option>`).join('');
+        select.value = centers.includes(selected) ? selected : '';
+    }
+
+    // Open a printable ID card sheet (one student, or the selected center) from the server
+    printIdCards(studentId = null) {
+        if (syncClient.state === 'local') {
+            this.showAlert('ID cards are generated by the sync server. Open the system through the server URL to print them.', 'error');
+            return;
+        }
+
+        const params = new URLSearchParams();
+        if (studentId) {
+            params.set('ids', studentId);
+        } else {
+            // Cards for the students of the class shown
+            params.set('courseId', this.dataManager.getCurrentCourseId());
+            const center = document.getElementById('idCardCenter').value;
+            if (center) params.set('center', center);
+        }
+
+        // Fetched with the login token, then shown in a new tab (opened first so it isn't blocked)
+        const cardWindow = window.open('', '_blank');
+        authClient.request(`/api/id-cards?${params.toString()}`, { text: true })
+            .then(html => {
+                cardWindow.document.write(html);
+                cardWindow.document.close();
+            })
+            .catch(error => {
+                cardWindow.close();
+                this.showAlert(`Failed to create ID cards: ${error.message}`, 'error');
+            });
     }
 
     displayStudentRecords() {
@@ -1263,6 +1776,8 @@ closeExistingStudentInfo() {
 
         tbody.innerHTML = '';
         const records = this.dataManager.getAllStudentRecords();
+        const sessionCount = this.dataManager.getSessionCount();
+        this.displayStudentRecordsHeader(sessionCount);
 
         records.forEach(record => {
             const row = document.createElement('tr');
@@ -1272,10 +1787,9 @@ closeExistingStudentInfo() {
                 <td>${record.parentPhone}</td>
             `;
 
-            // Show first 3 sessions in the table
-            for (let i = 1; i <= 3; i++) {
-                const session = record.sessions[i];
-                const attStatus = session.attendance ? (session.attendance === 'present' ? 'P' : 'A') : '-';
+            for (let i = 1; i <= sessionCount; i++) {
+                const session = record.sessions[i] || {};
+                const attStatus = session.attendance ? CONFIG.formatAttendanceCode(session) : '-';
                 const hwStatus = session.homework ? session.homework.charAt(0).toUpperCase() : '-';
                 const quizScore = session.quiz !== null && session.quiz !== undefined ? session.quiz : '-';
 
@@ -1292,7 +1806,7 @@ closeExistingStudentInfo() {
                         <button class="btn btn-sm btn-primary" onclick="uiComponents.showStudentInfo(uiComponents.dataManager.getStudentById('${record.id}'))" title="View Details">
                             👁️
                         </button>
-                        <button class="btn btn-sm btn-success" onclick="uiComponents.showEditStudentForm(uiComponents.dataManager.getStudentById('${record.id}'))" title="Edit Student">
+                        <button class="btn btn-sm btn-success" data-permission="edit-students" onclick="uiComponents.showEditStudentForm(uiComponents.dataManager.getStudentById('${record.id}'))" title="Edit Student">
                             ✏️
                         </button>
                     </div>
@@ -1304,6 +1818,22 @@ closeExistingStudentInfo() {
         });
     }
 
+    // Header of the records table: three columns for each session of the course
+    displayStudentRecordsHeader(sessionCount) {
+        const headerRow = document.querySelector('#studentRecordsTable thead tr');
+        if (!headerRow) return;
+
+        const column = (index, label) =>
+            `<th onclick="sortTable('studentRecordsTable', ${index})">${label} <span class="sort-arrow">↕</span></th>`;
+
+        let html = column(0, 'ID') + column(1, 'Full Name') + column(2, 'Parent\'s Phone');
+        for (let i = 1; i <= sessionCount; i++) {
+            const index = 3 * i;
+            html += column(index, `S${i} Att`) + column(index + 1, `S${i} HW`) + column(index + 2, `S${i} Quiz`);
+        }
+        headerRow.innerHTML = html + '<th>Actions</th>';
+    }
+
     displayAttendanceLogs() {
         const tbody = document.querySelector('#attendanceTable tbody');
         if (!tbody) return;
@@ -1326,7 +1856,7 @@ closeExistingStudentInfo() {
                 <td>${log.studentId}</td>
                 <td>${log.studentName}</td>
                 <td>${CONFIG.getSessionName(log.session)}</td>
-                <td><span class="status-${log.attendance}">${log.attendance.toUpperCase()}</span></td>
+                <td><span class="status-${log.attendance}">${this.getStatusDisplay(log.attendance, 'attendance').toUpperCase()}</span>${this.getAttendanceDetail(log)}</td>
                 <td><span class="status-${log.homework}">${hwStatusText[log.homework]}</span></td>
                 <td>${log.quiz}/10</td>
             `;
@@ -1334,6 +1864,38 @@ closeExistingStudentInfo() {
         });
     }
 
+    // Punctuality of the class's students (see DataManager.getPunctuality)
+    displayPunctualityReport() {
+        const tbody = document.querySelector('#punctualityTable tbody');
+        if (!tbody) return;
+
+        const trendText = {
+            improving: '📉 Improving',
+            worsening: '📈 Worsening',
+            steady: '➡️ Steady'
+        };
+
+        tbody.innerHTML = '';
+        this.dataManager.getPunctualityReport().forEach(entry => {
+            const recent = entry.recent.map(minutes => minutes > 0
+                ? `<span class="status-late">${minutes}m</span>`
+                : '<span class="status-present">✓</span>').join(' ');
+
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${entry.student.id}</td>
+                <td>${entry.student.fullName}</td>
+                <td>${entry.attended}</td>
+                <td>${entry.onTime}</td>
+                <td>${entry.late}</td>
+                <td>${entry.late > 0 ? entry.averageMinutesLate : '-'}</td>
+                <td>${recent || '-'}</td>
+                <td>${trendText[entry.trend] || '-'}</td>
+            `;
+            tbody.appendChild(row);
+        });
+    }
+
     // Update counters
     updateCounters() {
         const stats = this.dataManager.getStatistics();
@@ -1365,49 +1927,1525 @@ closeExistingStudentInfo() {
         }
     }
 
-    // Display all data
-    displayAllData() {
-        this.displayImportedStudents();
-        this.displayStudentRecords();
-        this.displayAttendanceLogs();
-        this.updateCounters();
+    // Refresh views after data changed on another device or by undo/redo
+    refreshAfterDataChange() {
+        this.displayAllData();
+
+        if (this.currentStudent) {
+            const student = this.dataManager.getStudentById(this.currentStudent.id);
+            if (student) {
+                this.currentStudent = student;
+                this.displayStudentSessionRecords(student);
+            } else {
+                this.hideStudentInfo();
+            }
+        }
     }
 
-    // Table sorting functionality
-    sortTable(tableId, columnIndex) {
-        const table = document.getElementById(tableId);
-        if (!table) return;
+    // Show the sync connection state in the header
+    updateSyncStatus(status) {
+        const statusElement = document.getElementById('syncStatus');
+        if (!statusElement) return;
 
-        const tbody = table.querySelector('tbody');
-        const rows = Array.from(tbody.querySelectorAll('tr'));
-        
-        const sortKey = `${tableId}_${columnIndex}`;
-        if (!this.sortStates[sortKey]) {
-            this.sortStates[sortKey] = 'asc';
-        } else {
-            this.sortStates[sortKey] = this.sortStates[sortKey] === 'asc' ? 'desc' : 'asc';
-        }
-        
-        const isAscending = this.sortStates[sortKey] === 'asc';
-        
-        rows.sort((rowA, rowB) => {
-            const cellA = rowA.cells[columnIndex];
-            const cellB = rowB.cells[columnIndex];
-            
-            if (!cellA || !cellB) return 0;
-            
-            let textA = cellA.textContent.trim();
-            let textB = cellB.textContent.trim();
-            
-            const numA = parseFloat(textA);
-            const numB = parseFloat(textB);
-            
-            if (!isNaN(numA) && !isNaN(numB)) {
-                return isAscending ? numA - numB : numB - numA;
+        const labels = {
+            'local': '⚪ Local only',
+            'connecting': '🟠 Connecting...',
+            'connected': `🟢 Live sync · ${status.clients || 1} device${status.clients === 1 ? '' : 's'}`,
+            'disconnected': '🔴 Offline - changes saved locally'
+        };
+
+        statusElement.textContent = labels[status.state] || status.state;
+        statusElement.className = `sync-status sync-${status.state}`;
+    }
+
+    // Fill the QR check-in controls from the configuration
+    setupScanControls() {
+        if (!document.getElementById('scanSessionNumber')) return;
+
+        document.getElementById('scanClassroom').value = CONFIG.qrScan.defaultClassroom;
+        document.getElementById('scanToMark').checked = CONFIG.qrScan.scanToMark;
+    }
+
+    // Session pickers list the course's sessions (a selection that still exists is kept)
+    updateSessionControls() {
+        const sessionCount = this.dataManager.getSessionCount();
+
+        ['sessionNumber', 'scanSessionNumber'].forEach(id => {
+            const select = document.getElementById(id);
+            if (!select || select.options.length === sessionCount) return;
+
+            const selected = parseInt(select.value) || CONFIG.sessions.defaultSession;
+            select.innerHTML = '';
+            for (let i = 1; i <= sessionCount; i++) {
+                select.insertAdjacentHTML('beforeend', `<option value="${i}">${CONFIG.getSessionName(i)}</option>`);
             }
-            
-            textA = textA.toLowerCase();
-            textB = textB.toLowerCase();
+            select.value = String(Math.min(selected, sessionCount));
+        });
+
+        this.selectTodaySession();
+
+        const countInput = document.getElementById('sessionCountInput');
+        if (countInput && document.activeElement !== countInput) {
+            countInput.max = CONFIG.sessions.maxCount;
+            countInput.value = sessionCount;
+        }
+    }
+
+    // Pick the session planned for today in the session pickers, once per class and day
+    // (so a session picked by hand isn't changed back), and describe it
+    selectTodaySession() {
+        const course = this.dataManager.getCourse();
+        const today = new Date().toLocaleDateString('en-US');
+        const todaySession = this.dataManager.getTodaySession();
+        const key = `${course.id}|${today}`;
+
+        if (todaySession && this.todaySessionKey !== key) {
+            ['sessionNumber', 'scanSessionNumber'].forEach(id => {
+                const select = document.getElementById(id);
+                if (select) select.value = String(todaySession);
+            });
+        }
+        this.todaySessionKey = key;
+
+        const info = document.getElementById('todaySessionInfo');
+        if (!info) return;
+        if (!todaySession) {
+            info.textContent = `No session of ${course.name} is planned for today`;
+            return;
+        }
+        const plan = CONFIG.getSessionSchedule(course, todaySession);
+        info.textContent = `📅 Today: ${[CONFIG.getSessionName(todaySession), this.formatSessionTime(plan), plan.room, plan.topic]
+            .filter(Boolean).join(' · ')}`;
+    }
+
+    // Change the number of sessions in the course
+    saveSessionCount() {
+        if (!this.checkPermission('manage-courses', 'change the number of sessions')) return;
+
+        const input = document.getElementById('sessionCountInput');
+        const count = Number(input.value);
+
+        try {
+            const previous = this.dataManager.getSessionCount();
+            this.dataManager.setSessionCount(count);
+            if (count === previous) {
+                this.showAlert(`The course already has ${count} sessions`, 'info');
+                return;
+            }
+
+            this.displayAllData();
+            if (this.currentStudent) {
+                this.displayStudentSessionRecords(this.currentStudent);
+            }
+            const note = count < previous ? ' (recorded data for later sessions is kept)' : '';
+            this.showAlert(`Number of sessions changed from ${previous} to ${count}${note}`, 'success', { undo: true });
+        } catch (error) {
+            input.value = this.dataManager.getSessionCount();
+            this.showAlert(error.message, 'error');
+        }
+    }
+
+    // Class switcher in the header
+    updateCourseControls() {
+        const select = document.getElementById('courseSelect');
+        if (!select) return;
+
+        select.innerHTML = this.dataManager.getCourses().map(course =>
+            `<option value="${course.id}">${course.name}</option>`
+        ).join('');
+        select.value = this.dataManager.getCurrentCourseId();
+    }
+
+    // Show another class (its roster, records, logs and session plan)
+    switchCourse(courseId) {
+        try {
+            const course = this.dataManager.setCurrentCourse(courseId);
+            this.displayAllData();
+            if (this.currentStudent) {
+                this.showStudentInfo(this.currentStudent);
+            }
+            this.updateActiveSessionStatus();
+            this.showAlert(`Showing ${course.name}`, 'info');
+        } catch (error) {
+            this.updateCourseControls();
+            this.showAlert(error.message, 'error');
+        }
+    }
+
+    // Put a student on the roster of the class shown
+    enrollStudent(studentId, courseId = this.dataManager.getCurrentCourseId()) {
+        if (!this.checkPermission('edit-students', 'change class rosters')) return;
+
+        try {
+            const student = this.dataManager.enrollStudent(studentId, courseId);
+            this.showAlert(`${student.fullName} added to ${this.dataManager.getCourse(courseId).name}`, 'success', { undo: true });
+            this.displayAllData();
+            if (this.currentStudent && this.currentStudent.id == studentId) {
+                this.showStudentInfo(student);
+            }
+            this.refreshCourseManagement();
+        } catch (error) {
+            this.showAlert(error.message, 'error');
+        }
+    }
+
+    unenrollStudent(studentId, courseId) {
+        if (!this.checkPermission('edit-students', 'change class rosters')) return;
+
+        const student = this.dataManager.getStudentById(studentId);
+        const course = this.dataManager.getCourse(courseId);
+        if (!confirm(`Remove ${student.fullName} from ${course.name}?\n\nTheir records and attendance logs in the class are kept.`)) {
+            return;
+        }
+
+        try {
+            this.dataManager.unenrollStudent(studentId, courseId);
+            this.showAlert(`${student.fullName} removed from ${course.name}`, 'success', { undo: true });
+            this.displayAllData();
+            this.refreshCourseManagement();
+        } catch (error) {
+            this.showAlert(error.message, 'error');
+        }
+    }
+
+    // Classes: add, rename, change the number of sessions, delete, and edit rosters
+    showCourseManagement() {
+        const courses = this.dataManager.getCourses();
+        const students = this.dataManager.getAllStudents();
+
+        this.hideCourseManagement();
+        const coursesHtml = `
+            <div class="deleted-students-container" id="courseManagementContainer">
+                <div class="deleted-students-list">
+                    <h3>📚 Classes (${courses.length})</h3>
+                    <div class="deleted-students-grid">
+                        ${courses.map(course => {
+                            const roster = this.dataManager.getCourseStudents(course.id);
+                            const others = students.filter(student => !this.dataManager.isEnrolled(student.id, course.id));
+                            return `
+                            <div class="deleted-student-card course-card">
+                                <h4>${course.name}${course.id === this.dataManager.getCurrentCourseId() ? ' (shown)' : ''}</h4>
+                                <p><strong>Sessions:</strong> ${CONFIG.getSessionCount(course)}</p>
+                                <p><strong>Times:</strong> ${this.formatCourseSchedule(course)}</p>
+                                <p><strong>Students (${roster.length}):</strong></p>
+                                <ul class="course-roster">
+                                    ${roster.map(student => `
+                                        <li>
+                                            ${student.fullName} (${student.id})
+                                            <button class="btn btn-sm" data-permission="edit-students" title="Remove from class"
+                                                    onclick="uiComponents.unenrollStudent('${student.id}', '${course.id}')">✖</button>
+                                        </li>
+                                    `).join('') || '<li><em>No students yet</em></li>'}
+                                </ul>
+                                ${others.length > 0 ? `
+                                <div class="course-roster-add" data-permission="edit-students">
+                                    <select class="select-input" id="courseAdd-${course.id}">
+                                        ${others.map(student => `<option value="${student.id}">${student.fullName} (${student.id})</option>`).join('')}
+                                    </select>
+                                    <button class="btn btn-success btn-sm"
+                                            onclick="uiComponents.enrollStudent(document.getElementById('courseAdd-${course.id}').value, '${course.id}')">
+                                        ➕ Add
+                                    </button>
+                                </div>` : ''}
+                                <div class="deleted-student-actions">
+                                    <button class="btn btn-primary btn-sm" onclick="uiComponents.switchCourse('${course.id}'); uiComponents.hideCourseManagement()">
+                                        Show
+                                    </button>
+                                    <button class="btn btn-warning btn-sm" data-permission="manage-courses" onclick="uiComponents.renameCourse('${course.id}')">
+                                        Rename
+                                    </button>
+                                    <button class="btn btn-warning btn-sm" data-permission="manage-courses" onclick="uiComponents.changeCourseSessions('${course.id}')">
+                                        Sessions
+                                    </button>
+                                    <button class="btn btn-warning btn-sm" data-permission="manage-courses" onclick="uiComponents.changeSessionTimes('${course.id}')">
+                                        Times
+                                    </button>
+                                    ${course.id === CONFIG.courses.defaultId ? '' : `
+                                    <button class="btn btn-export btn-sm" data-permission="manage-courses" onclick="uiComponents.deleteCourse('${course.id}')" style="background: #c0392b;">
+                                        Delete
+                                    </button>`}
+                                </div>
+                            </div>
+                        `;
+                        }).join('')}
+                    </div>
+                    <form id="addCourseForm" class="add-user-form" data-permission="manage-courses">
+                        <h4>Add Class</h4>
+                        <input type="text" name="name" class="search-input" placeholder="Class name"
+                               maxlength="${CONFIG.courses.maxNameLength}" autocomplete="off" required>
+                        <input type="number" name="sessionCount" class="select-input" min="1" max="${CONFIG.sessions.maxCount}"
+                               value="${CONFIG.sessions.defaultCount}" title="Number of sessions" required>
+                        <button type="submit" class="btn btn-success">➕ Add Class</button>
+                    </form>
+                    <div class="deleted-students-actions">
+                        <button class="btn btn-warning" onclick="uiComponents.hideCourseManagement()">Close</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', coursesHtml);
+
+        document.getElementById('addCourseForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (!this.checkPermission('manage-courses', 'add classes')) return;
+
+            const formData = new FormData(e.target);
+            try {
+                const course = this.dataManager.addCourse({
+                    name: formData.get('name'),
+                    sessionCount: Number(formData.get('sessionCount'))
+                });
+                this.showAlert(`Class "${course.name}" added`, 'success', { undo: true });
+                this.updateCourseControls();
+                this.showCourseManagement();
+            } catch (error) {
+                this.showAlert(`Failed to add class: ${error.message}`, 'error');
+            }
+        });
+    }
+
+    hideCourseManagement() {
+        const container = document.getElementById('courseManagementContainer');
+        if (container) {
+            container.remove();
+        }
+    }
+
+    // Redraw the classes window if it is open
+    refreshCourseManagement() {
+        if (document.getElementById('courseManagementContainer')) {
+            this.showCourseManagement();
+        }
+    }
+
+    updateCourse(courseId, updates) {
+        try {
+            const course = this.dataManager.updateCourse(courseId, updates);
+            this.showAlert(`Class "${course.name}" updated`, 'success', { undo: true });
+            this.displayAllData();
+            this.refreshCourseManagement();
+        } catch (error) {
+            this.showAlert(`Failed to update class: ${error.message}`, 'error');
+        }
+    }
+
+    renameCourse(courseId) {
+        if (!this.checkPermission('manage-courses', 'rename classes')) return;
+
+        const name = prompt('New class name:', this.dataManager.getCourse(courseId).name);
+        if (name !== null) {
+            this.updateCourse(courseId, { name });
+        }
+    }
+
+    changeCourseSessions(courseId) {
+        if (!this.checkPermission('manage-courses', 'change the number of sessions')) return;
+
+        const count = prompt(`Number of sessions (1 to ${CONFIG.sessions.maxCount}):`, this.dataManager.getSessionCount(courseId));
+        if (count !== null) {
+            this.updateCourse(courseId, { sessionCount: Number(count) });
+        }
+    }
+
+    // "Session 1: 09:00-10:30 (5 min grace)" for each scheduled session of a course
+    formatCourseSchedule(course) {
+        const entries = [];
+        for (let i = 1; i <= CONFIG.getSessionCount(course); i++) {
+            const schedule = CONFIG.getSessionSchedule(course, i);
+            if (schedule && schedule.start) {
+                entries.push(`${CONFIG.getSessionName(i)}: ${escapeHtml(this.formatSessionTime(schedule))} (${escapeHtml(schedule.graceMinutes)} min grace)`);
+            }
+        }
+        return entries.join(', ') || '<em>Not scheduled</em>';
+    }
+
+    // Session numbers from "3", "1-4, 6" or "all"; null if the text names none of 1..count
+    parseSessionList(text, count) {
+        const numbers = new Set();
+        const clean = String(text).trim().toLowerCase();
+        if (clean === 'all') {
+            for (let i = 1; i <= count; i++) numbers.add(i);
+        } else {
+            clean.split(',').forEach(part => {
+                const [from, to = from] = part.split('-').map(value => parseInt(value));
+                for (let i = from; i <= to && i <= count; i++) {
+                    if (i >= 1) numbers.add(i);
+                }
+            });
+        }
+        return numbers.size > 0 ? [...numbers] : null;
+    }
+
+    // Set or clear the start/end time and grace period of some of a course's sessions
+    changeSessionTimes(courseId) {
+        if (!this.checkPermission('manage-courses', 'change session times')) return;
+
+        const count = this.dataManager.getSessionCount(courseId);
+        const sessionsText = prompt(`Sessions to set times for (e.g. 3, 1-${count} or all):`, 'all');
+        if (sessionsText === null) return;
+
+        const sessions = this.parseSessionList(sessionsText, count);
+        if (!sessions) {
+            this.showAlert(`Enter session numbers from 1 to ${count}`, 'error');
+            return;
+        }
+
+        const current = CONFIG.getSessionSchedule(this.dataManager.getCourse(courseId), sessions[0]) || {};
+        const start = prompt('Start time (HH:MM, 24-hour) - leave empty to remove the times:', current.start || '');
+        if (start === null) return;
+        if (!start.trim()) {
+            this.updateSessionSchedule(courseId, sessions, { start: null, end: null, graceMinutes: null });
+            return;
+        }
+
+        const end = prompt('End time (HH:MM, optional):', current.end || '');
+        if (end === null) return;
+        const grace = prompt('Grace period (minutes after the start before students count as late):',
+            current.graceMinutes !== undefined ? current.graceMinutes : CONFIG.schedule.defaultGraceMinutes);
+        if (grace === null) return;
+
+        this.updateSessionSchedule(courseId, sessions, {
+            start: start.trim(),
+            ...(end.trim() ? { end: end.trim() } : {}),
+            graceMinutes: Number(grace)
+        });
+    }
+
+    updateSessionSchedule(courseId, sessions, entry) {
+        try {
+            const course = this.dataManager.setSessionSchedule(sessions, entry, courseId);
+            this.showAlert(`Session times of "${course.name}" updated`, 'success', { undo: true });
+            this.refreshCourseManagement();
+        } catch (error) {
+            this.showAlert(`Failed to change session times: ${error.message}`, 'error');
+        }
+    }
+
+    // "09:00-10:30" of a session plan ('' without a start time)
+    formatSessionTime(plan) {
+        return plan.start ? `${plan.start}${plan.end ? `-${plan.end}` : ''}` : '';
+    }
+
+    deleteCourse(courseId) {
+        if (!this.checkPermission('manage-courses', 'delete classes')) return;
+
+        const course = this.dataManager.getCourse(courseId);
+        const hasData = this.dataManager.courseHasData(courseId);
+        if (hasData && !this.checkPermission('delete-permanent', 'delete a class with records')) return;
+
+        const warning = hasData ? '\n\nIts session records and attendance logs will be deleted too.' : '';
+        if (!confirm(`Delete class "${course.name}"?${warning}`)) {
+            return;
+        }
+
+        try {
+            this.dataManager.deleteCourse(courseId);
+            this.showAlert(`Class "${course.name}" deleted`, 'success', { undo: true });
+            this.displayAllData();
+            this.refreshCourseManagement();
+        } catch (error) {
+            this.showAlert(`Failed to delete class: ${error.message}`, 'error');
+        }
+    }
+
+    // Calendar tab: a month of planned sessions of every class (the class shown is
+    // highlighted) and holidays, the session plan of the class shown, its recurring rule
+    // and the holidays list
+    displayCalendar() {
+        const grid = document.getElementById('calendarGrid');
+        if (!grid) return;
+
+        const today = new Date();
+        if (!this.calendarMonth) {
+            this.calendarMonth = new Date(today.getFullYear(), today.getMonth(), 1);
+        }
+        const month = this.calendarMonth;
+        const first = new Date(month.getFullYear(), month.getMonth(), 1 - month.getDay());
+        const last = new Date(first.getFullYear(), first.getMonth(), first.getDate() + 41);
+
+        document.getElementById('calendarTitle').textContent =
+            month.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+
+        const sessions = this.dataManager.getScheduledSessions(CONFIG.formatDate(first), CONFIG.formatDate(last));
+        const holidays = this.dataManager.getHolidays();
+        const currentCourseId = this.dataManager.getCurrentCourseId();
+
+        let html = CONFIG.schedule.weekDays.map(day => `<div class="calendar-weekday">${day.slice(0, 3)}</div>`).join('');
+        for (let i = 0; i < 42; i++) {
+            const day = new Date(first.getFullYear(), first.getMonth(), first.getDate() + i);
+            const date = CONFIG.formatDate(day);
+            const holiday = holidays.find(item => item.date === date);
+            const classes = [
+                'calendar-day',
+                day.getMonth() !== month.getMonth() ? 'other-month' : '',
+                date === CONFIG.formatDate(today) ? 'today' : '',
+                holiday ? 'holiday' : ''
+            ].filter(Boolean).join(' ');
+
+            html += `
+                <div class="${classes}">
+                    <div class="calendar-date">${day.getDate()}</div>
+                    ${holiday ? `<div class="calendar-holiday">🏖️ ${escapeHtml(holiday.name || 'Holiday')}</div>` : ''}
+                    ${sessions.filter(session => session.date === date).map(session => `
+                        <div class="calendar-session${session.courseId === currentCourseId ? ' current-course' : ''}"
+                             title="${escapeHtml([session.room, session.center, session.topic].filter(Boolean).join(' · '))}">
+                            <strong>${escapeHtml(session.courseName)}</strong> ${CONFIG.getSessionName(session.session)}
+                            ${session.start ? `<br>${escapeHtml(this.formatSessionTime(session))}` : ''}
+                            ${session.room ? `<br>${escapeHtml(session.room)}` : ''}
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+        }
+        grid.innerHTML = html;
+
+        this.displaySessionPlan();
+        this.displayPlanningControls();
+    }
+
+    changeCalendarMonth(delta) {
+        const today = new Date();
+        const month = this.calendarMonth || today;
+        this.calendarMonth = delta === 0
+            ? new Date(today.getFullYear(), today.getMonth(), 1)
+            : new Date(month.getFullYear(), month.getMonth() + delta, 1);
+        this.displayCalendar();
+    }
+
+    displaySessionPlan() {
+        const tbody = document.querySelector('#sessionPlanTable tbody');
+        if (!tbody) return;
+
+        const course = this.dataManager.getCourse();
+        document.getElementById('sessionPlanTitle').textContent = `🗓️ Session Plan - ${course.name}`;
+
+        tbody.innerHTML = '';
+        for (let i = 1; i <= CONFIG.getSessionCount(course); i++) {
+            const plan = CONFIG.getSessionSchedule(course, i) || {};
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${CONFIG.getSessionName(i)}</td>
+                <td>${plan.date ? `${CONFIG.schedule.weekDays[CONFIG.toDate(plan.date).getDay()].slice(0, 3)} ${escapeHtml(plan.date)}` : '-'}</td>
+                <td>${escapeHtml(this.formatSessionTime(plan) || '-')}</td>
+                <td>${escapeHtml(plan.room || '-')}</td>
+                <td>${escapeHtml(plan.center || '-')}</td>
+                <td>${escapeHtml(plan.topic || '-')}</td>
+                <td data-permission="manage-courses">
+                    <button class="btn btn-warning btn-sm" onclick="uiComponents.editSessionPlan(${i})">✏️ Edit</button>
+                </td>
+            `;
+            tbody.appendChild(row);
+        }
+    }
+
+    // Fill the recurring rule form and the holidays list
+    displayPlanningControls() {
+        const course = this.dataManager.getCourse();
+        const rule = course.recurrence;
+        const summary = document.getElementById('recurrenceSummary');
+        if (!summary) return;
+
+        summary.textContent = rule
+            ? `${course.name} meets every ${rule.days.map(day => CONFIG.schedule.weekDays[day]).join(' and ')} from ${rule.startDate}; holidays are skipped.`
+            : `Pick the week days ${course.name} meets on to date all its sessions at once.`;
+
+        // Keep what is being typed into the form while the calendar redraws
+        const daysContainer = document.getElementById('recurrenceDays');
+        if (daysContainer.dataset.courseId !== course.id) {
+            daysContainer.dataset.courseId = course.id;
+            daysContainer.innerHTML = CONFIG.schedule.weekDays.map((day, index) => `
+                <label><input type="checkbox" value="${index}"${rule && rule.days.includes(index) ? ' checked' : ''}> ${day.slice(0, 3)}</label>
+            `).join('');
+
+            const startDate = rule && CONFIG.toDate(rule.startDate);
+            const pad = number => String(number).padStart(2, '0');
+            document.getElementById('recurrenceStartDate').value = startDate
+                ? `${startDate.getFullYear()}-${pad(startDate.getMonth() + 1)}-${pad(startDate.getDate())}`
+                : '';
+            document.getElementById('recurrenceStart').value = (rule && rule.start) || '';
+            document.getElementById('recurrenceEnd').value = (rule && rule.end) || '';
+            document.getElementById('recurrenceRoom').value = (rule && rule.room) || '';
+            document.getElementById('recurrenceCenter').value = (rule && rule.center) || '';
+        }
+
+        const list = document.getElementById('holidayList');
+        list.innerHTML = this.dataManager.getHolidays().map(holiday => `
+            <li>
+                ${escapeHtml(holiday.date)}${holiday.name ? ` - ${escapeHtml(holiday.name)}` : ''}
+                <button class="btn btn-sm" title="Remove holiday" data-date="${escapeHtml(holiday.date)}"
+                        onclick="uiComponents.removeHoliday(this.dataset.date)">✖</button>
+            </li>
+        `).join('') || '<li><em>No holidays</em></li>';
+    }
+
+    // Change the date, times, room, center and topic of one session of the class shown
+    editSessionPlan(sessionNumber) {
+        if (!this.checkPermission('manage-courses', 'plan sessions')) return;
+
+        const plan = CONFIG.getSessionSchedule(this.dataManager.getCourse(), sessionNumber) || {};
+        const fields = [
+            ['date', 'Date (M/D/YYYY)'],
+            ['start', 'Start time (HH:MM, 24-hour)'],
+            ['end', 'End time (HH:MM)'],
+            ['room', 'Room'],
+            ['center', 'Center'],
+            ['topic', 'Topic']
+        ];
+
+        const updates = {};
+        for (const [field, label] of fields) {
+            const value = prompt(`${CONFIG.getSessionName(sessionNumber)} - ${label} (leave empty to clear):`, plan[field] || '');
+            if (value === null) return;
+            updates[field] = value.trim() || null;
+        }
+
+        try {
+            this.dataManager.setSessionSchedule([sessionNumber], updates);
+            this.showAlert(`${CONFIG.getSessionName(sessionNumber)} planned`, 'success', { undo: true });
+            this.displayAllData();
+        } catch (error) {
+            this.showAlert(`Failed to plan the session: ${error.message}`, 'error');
+        }
+    }
+
+    saveRecurrence() {
+        if (!this.checkPermission('manage-courses', 'plan sessions')) return;
+
+        const value = id => document.getElementById(id).value.trim();
+        const rule = {
+            days: Array.from(document.querySelectorAll('#recurrenceDays input:checked')).map(input => Number(input.value)),
+            startDate: value('recurrenceStartDate'),
+            ...(value('recurrenceStart') ? { start: value('recurrenceStart') } : {}),
+            ...(value('recurrenceEnd') ? { end: value('recurrenceEnd') } : {}),
+            ...(value('recurrenceRoom') ? { room: value('recurrenceRoom') } : {}),
+            ...(value('recurrenceCenter') ? { center: value('recurrenceCenter') } : {})
+        };
+        const startDate = CONFIG.toDate(rule.startDate);
+        if (startDate) {
+            rule.startDate = CONFIG.formatDate(startDate);
+        }
+
+        const course = this.dataManager.getCourse();
+        if (Object.keys(course.schedule || {}).length > 0 &&
+            !confirm(`Plan the sessions of ${course.name} again?\n\nTheir dates will be replaced; topics are kept.`)) {
+            return;
+        }
+
+        try {
+            this.dataManager.setRecurrence(rule);
+            this.showAlert(`Sessions of ${course.name} planned`, 'success', { undo: true });
+            this.displayAllData();
+        } catch (error) {
+            this.showAlert(`Failed to plan sessions: ${error.message}`, 'error');
+        }
+    }
+
+    // Stop dating the class's sessions by rule (the dates already planned are kept)
+    clearRecurrence() {
+        if (!this.checkPermission('manage-courses', 'plan sessions')) return;
+
+        const course = this.dataManager.getCourse();
+        if (!course.recurrence) {
+            this.showAlert(`${course.name} has no recurring sessions`, 'info');
+            return;
+        }
+
+        try {
+            this.dataManager.setRecurrence(null);
+            document.getElementById('recurrenceDays').dataset.courseId = '';
+            this.showAlert(`${course.name} no longer repeats; its planned dates are kept`, 'success', { undo: true });
+            this.displayAllData();
+        } catch (error) {
+            this.showAlert(`Failed to change the class: ${error.message}`, 'error');
+        }
+    }
+
+    addHoliday() {
+        if (!this.checkPermission('manage-courses', 'change holidays')) return;
+
+        try {
+            const holiday = this.dataManager.addHoliday({
+                date: document.getElementById('holidayDate').value,
+                name: document.getElementById('holidayName').value
+            });
+            document.getElementById('holidayDate').value = '';
+            document.getElementById('holidayName').value = '';
+            this.showAlert(`Holiday added on ${holiday.date}`, 'success', { undo: true });
+            this.displayAllData();
+        } catch (error) {
+            this.showAlert(`Failed to add holiday: ${error.message}`, 'error');
+        }
+    }
+
+    removeHoliday(date) {
+        if (!this.checkPermission('manage-courses', 'change holidays')) return;
+
+        try {
+            this.dataManager.removeHoliday(date);
+            this.showAlert(`Holiday on ${date} removed`, 'success', { undo: true });
+            this.displayAllData();
+        } catch (error) {
+            this.showAlert(`Failed to remove holiday: ${error.message}`, 'error');
+        }
+    }
+
+    // Queue messages for the parents of the class's students after the selected session
+    closeSession() {
+        if (!this.checkPermission('notify', 'notify parents')) return;
+
+        const course = this.dataManager.getCourse();
+        const sessionNum = parseInt(document.getElementById('sessionNumber').value);
+        const sessionName = CONFIG.getSessionName(sessionNum);
+        if (!confirm(`Close ${sessionName} of ${course.name}?\n\nParents of students who were absent, didn't do the homework or took the quiz get a message.`)) {
+            return;
+        }
+
+        try {
+            const result = this.dataManager.closeSession(sessionNum);
+            const parts = [`${result.queued} message(s) queued`];
+            if (result.unchanged > 0) parts.push(`${result.unchanged} already queued or sent`);
+            if (result.cancelled > 0) parts.push(`${result.cancelled} no longer needed and cancelled`);
+            if (result.skipped.length > 0) {
+                parts.push(`no contact for ${result.skipped.map(item => item.studentName).join(', ')}`);
+            }
+            this.showAlert(`${sessionName} closed: ${parts.join('; ')}`, result.skipped.length > 0 ? 'info' : 'success',
+                { undo: result.queued + result.cancelled > 0 });
+            this.displayNotifications();
+        } catch (error) {
+            this.showAlert(`Failed to close the session: ${error.message}`, 'error');
+        }
+    }
+
+    displayNotifications() {
+        const tbody = document.querySelector('#notificationsTable tbody');
+        if (!tbody) return;
+
+        const filter = document.getElementById('notificationStatusFilter');
+        if (filter.options.length === 1) {
+            Object.entries(Notifications.statuses).forEach(([value, label]) => filter.add(new Option(label, value)));
+        }
+
+        const counts = {};
+        this.dataManager.notifications.forEach(message => {
+            counts[message.status] = (counts[message.status] || 0) + 1;
+        });
+        document.getElementById('notificationSummary').textContent = Object.entries(Notifications.statuses)
+            .filter(([value]) => counts[value])
+            .map(([value, label]) => `${label}: ${counts[value]}`)
+            .join(' · ');
+
+        const messages = this.dataManager.getNotifications({ status: filter.value });
+        tbody.innerHTML = messages.map(message => {
+            const course = this.dataManager.getCourse(message.courseId);
+            const actions = [
+                message.status === 'failed' || message.status === 'cancelled'
+                    ? `<button class="btn btn-warning btn-sm" data-id="${escapeHtml(message.id)}" onclick="uiComponents.retryNotification(this.dataset.id)">🔁 Send Again</button>` : '',
+                message.status === 'queued'
+                    ? `<button class="btn btn-sm" data-id="${escapeHtml(message.id)}" onclick="uiComponents.cancelNotification(this.dataset.id)">✖ Cancel</button>` : ''
+            ].join(' ');
+
+            return `
+                <tr>
+                    <td>${new Date(message.createdAt).toLocaleString('en-US')}</td>
+                    <td>${escapeHtml(message.studentName)} (${escapeHtml(message.studentId)})</td>
+                    <td>${escapeHtml(course ? course.name : message.courseId)} / ${CONFIG.getSessionName(message.session)}</td>
+                    <td>${Notifications.channels[message.channel] ? Notifications.channels[message.channel].label : escapeHtml(message.channel)}</td>
+                    <td>${escapeHtml(message.to)}</td>
+                    <td><div class="notification-message">${escapeHtml(message.body)}</div></td>
+                    <td>
+                        <span class="status-${escapeHtml(message.status)}" title="${message.provider ? `via ${escapeHtml(message.provider)}` : ''}">${Notifications.statuses[message.status] || escapeHtml(message.status)}</span>
+                        ${message.sentAt ? `<div class="calendar-note">${new Date(message.sentAt).toLocaleString('en-US')}</div>` : ''}
+                        ${message.attempts > 0 && message.status !== 'sent' ? `<div class="calendar-note">${message.attempts} attempt(s)</div>` : ''}
+                        ${message.error ? `<div class="notification-error">${escapeHtml(message.error)}</div>` : ''}
+                    </td>
+                    <td data-permission="notify">${actions}</td>
+                </tr>
+            `;
+        }).join('') || '<tr><td colspan="8"><em>No messages</em></td></tr>';
+
+        this.displayNotificationTemplates();
+    }
+
+    // Template editors (kept while one is being edited, so a sync doesn't wipe the typing)
+    displayNotificationTemplates() {
+        const container = document.getElementById('notificationTemplates');
+        if (!container || container.contains(document.activeElement)) return;
+
+        document.getElementById('notificationPlaceholders').textContent =
+            `Placeholders: ${Notifications.placeholders.map(name => `{${name}}`).join(' ')}`;
+
+        const templates = this.dataManager.getNotificationTemplates();
+        container.innerHTML = Object.entries(templates).map(([type, template]) => `
+            <div class="notification-template">
+                <label><strong>${template.label}</strong>
+                    ${type === 'subject' ? '' : `<input type="checkbox" id="template-enabled-${type}"${template.enabled ? ' checked' : ''}> Send`}
+                </label>
+                <textarea id="template-body-${type}" maxlength="${Notifications.maxTemplateLength}">${escapeHtml(template.body)}</textarea>
+                <button class="btn btn-success btn-sm" onclick="uiComponents.saveNotificationTemplate('${type}')">💾 Save</button>
+            </div>
+        `).join('');
+    }
+
+    saveNotificationTemplate(type) {
+        if (!this.checkPermission('notify', 'change message templates')) return;
+
+        const enabled = document.getElementById(`template-enabled-${type}`);
+        try {
+            this.dataManager.updateNotificationTemplate(type, {
+                body: document.getElementById(`template-body-${type}`).value,
+                ...(enabled ? { enabled: enabled.checked } : {})
+            });
+            this.showAlert('Message template saved', 'success', { undo: true });
+            document.activeElement.blur();
+            this.displayNotifications();
+        } catch (error) {
+            this.showAlert(`Failed to save the template: ${error.message}`, 'error');
+        }
+    }
+
+    retryNotification(id) {
+        this.changeNotification(id, 'retryNotification', 'Message queued again');
+    }
+
+    cancelNotification(id) {
+        this.changeNotification(id, 'cancelNotification', 'Message cancelled');
+    }
+
+    changeNotification(id, method, successMessage) {
+        if (!this.checkPermission('notify', 'change messages')) return;
+
+        try {
+            this.dataManager[method](id);
+            this.showAlert(successMessage, 'success', { undo: true });
+            this.displayNotifications();
+        } catch (error) {
+            this.showAlert(error.message, 'error');
+        }
+    }
+
+    getScanClassroom() {
+        const input = document.getElementById('scanClassroom');
+        return (input && input.value.trim()) || CONFIG.qrScan.defaultClassroom;
+    }
+
+    // Scans during the session check students in to the class shown in the app
+    async startScanSession() {
+        const course = this.dataManager.getCourse();
+        const options = {
+            classroom: this.getScanClassroom(),
+            courseId: course.id,
+            sessionNumber: parseInt(document.getElementById('scanSessionNumber').value),
+            scanToMark: document.getElementById('scanToMark').checked
+        };
+
+        try {
+            await syncClient.startSession(options);
+            this.showAlert(`${course.name} session ${options.sessionNumber} started in ${options.classroom}`, 'success');
+        } catch (error) {
+            this.showAlert(`Failed to start session: ${error.message}`, 'error');
+        }
+    }
+
+    async stopScanSession() {
+        try {
+            await syncClient.stopSession(this.getScanClassroom());
+            this.showAlert('Session ended', 'success');
+        } catch (error) {
+            this.showAlert(`Failed to end session: ${error.message}`, 'error');
+        }
+    }
+
+    // Show the active session of the selected classroom
+    updateActiveSessionStatus() {
+        const statusElement = document.getElementById('activeSessionStatus');
+        if (!statusElement) return;
+
+        const active = syncClient.getActiveSession(this.getScanClassroom());
+        const course = active && this.dataManager.getCourse(CONFIG.getCourseId(active));
+        statusElement.classList.toggle('active', Boolean(active));
+        statusElement.textContent = active
+            ? `🟢 ${course ? course.name : 'Deleted class'} session ${active.sessionNumber} active since ${new Date(active.startedAt).toLocaleTimeString('en-US')} (${active.date})` +
+              (active.scanToMark ? ' - scans mark students present' : ' - scans only look up students')
+            : 'No active session';
+    }
+
+    submitQRScan(payload) {
+        try {
+            syncClient.scanQRCode(payload, this.getScanClassroom());
+        } catch (error) {
+            this.showAlert(error.message, 'error');
+        }
+    }
+
+    handleScanResult(result) {
+        qrScanner.playSound(result.success);
+
+        if (!result.success) {
+            this.showAlert(result.error, 'error');
+            return;
+        }
+
+        const student = this.dataManager.getStudentById(result.student.id) || result.student;
+
+        if (result.alreadyCheckedIn) {
+            this.showAlert(`ℹ️ ${student.fullName} is already checked in for Session ${result.activeSession.sessionNumber}`, 'success');
+        } else if (result.marked) {
+            this.showAlert(`✅ ${student.fullName} checked in for Session ${result.activeSession.sessionNumber}`, 'success');
+        } else {
+            // No scan-to-mark session: show the student so attendance can be marked by hand
+            this.showStudentInfo(student);
+            this.showAlert(`Student found: ${student.fullName}`, 'success');
+        }
+    }
+
+    async startCameraScanner() {
+        const video = document.getElementById('qrVideo');
+        qrScanner.onDetect = (text) => this.handleDecodedQR(text);
+
+        try {
+            await qrScanner.start(video);
+            document.getElementById('qrCameraView').style.display = 'block';
+            document.getElementById('startCameraBtn').style.display = 'none';
+            document.getElementById('stopCameraBtn').style.display = 'inline-block';
+        } catch (error) {
+            qrScanner.stop();
+            const message = error.name === 'NotAllowedError' ? 'Camera permission was denied' : error.message;
+            this.showAlert(`Could not start the camera: ${message}`, 'error');
+        }
+    }
+
+    stopCameraScanner() {
+        qrScanner.stop();
+        document.getElementById('qrCameraView').style.display = 'none';
+        document.getElementById('startCameraBtn').style.display = 'inline-block';
+        document.getElementById('stopCameraBtn').style.display = 'none';
+    }
+
+    // Fallback for machines without a camera: decode a photo or screenshot of a card
+    async scanImageFile(input) {
+        const file = input.files[0];
+        input.value = '';
+        if (!file) return;
+
+        try {
+            const text = await qrScanner.decodeFile(file);
+            if (!text) {
+                qrScanner.playSound(false);
+                this.showAlert('No QR code found in the image', 'error');
+                return;
+            }
+            this.handleDecodedQR(text);
+        } catch (error) {
+            qrScanner.playSound(false);
+            this.showAlert(`Failed to scan image: ${error.message}`, 'error');
+        }
+    }
+
+    // Online, the server verifies the card (and may mark attendance); offline the
+    // student is looked up locally and opened for the teacher to mark by hand
+    handleDecodedQR(text) {
+        if (syncClient.isConnected()) {
+            this.submitQRScan(text);
+            return;
+        }
+
+        const studentId = QRScanner.parsePayload(text);
+        const student = studentId ? this.dataManager.getStudentById(studentId) : null;
+
+        if (!student) {
+            qrScanner.playSound(false);
+            this.showAlert(studentId ? `No student with ID ${studentId}` : 'This is not a student ID card', 'error');
+            return;
+        }
+
+        qrScanner.playSound(true);
+        this.showStudentInfo(student);
+        this.showAlert(`Offline: ${student.fullName}'s card can't be verified - check the student, then mark attendance`, 'success');
+    }
+
+    // Show how many changes are waiting to be sent to the server
+    updatePendingCount(count) {
+        const badge = document.getElementById('pendingBadge');
+        if (!badge) return;
+
+        badge.textContent = `⏳ ${count} pending change${count === 1 ? '' : 's'}`;
+        badge.style.display = count > 0 ? 'inline-block' : 'none';
+    }
+
+    // Accounts: show the logged-in user and hide controls the role may not use
+    // (the server enforces the same rules)
+    applyPermissions() {
+        const permissions = new Set();
+        Object.values(CONFIG.auth.roles).forEach(role => role.permissions.forEach(p => permissions.add(p)));
+        permissions.forEach(permission => {
+            document.body.classList.toggle(`no-${permission}`, !authClient.can(permission));
+        });
+
+        const userMenu = document.getElementById('userMenu');
+        if (!userMenu) return;
+
+        const user = authClient.user;
+        userMenu.style.display = authClient.isEnabled() && user ? 'flex' : 'none';
+        if (user) {
+            const role = CONFIG.auth.roles[user.role];
+            document.getElementById('currentUser').textContent = `👤 ${user.username} (${role ? role.label : user.role})`;
+        }
+    }
+
+    // Alert and return false when the logged-in role may not do something
+    checkPermission(permission, action) {
+        if (authClient.can(permission)) {
+            return true;
+        }
+        this.showAlert(`Your role is not allowed to ${action}`, 'error');
+        return false;
+    }
+
+    showLoginForm(message = '') {
+        if (document.getElementById('loginFormContainer')) return;
+
+        const formHtml = `
+            <div class="student-form-container" id="loginFormContainer">
+                <div class="student-form login-form">
+                    <h3>🔐 Log In</h3>
+                    <p style="color: #666; margin-bottom: 15px;">Log in to sync with the server. Changes made meanwhile are kept on this device.</p>
+                    <p id="loginError" class="login-error" style="${message ? '' : 'display: none;'}"></p>
+                    <form id="loginForm">
+                        <div class="form-group">
+                            <label for="loginUsername">Username</label>
+                            <input type="text" id="loginUsername" name="username" autocomplete="username" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="loginPassword">Password</label>
+                            <input type="password" id="loginPassword" name="password" autocomplete="current-password" required>
+                        </div>
+                        <div class="form-buttons">
+                            <button type="submit" class="btn btn-success">Log In</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', formHtml);
+        document.getElementById('loginError').textContent = message;
+        document.getElementById('loginUsername').focus();
+
+        document.getElementById('loginForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleLogin(e);
+        });
+    }
+
+    hideLoginForm() {
+        const container = document.getElementById('loginFormContainer');
+        if (container) {
+            container.remove();
+        }
+    }
+
+    async handleLogin(e) {
+        const formData = new FormData(e.target);
+        const errorText = document.getElementById('loginError');
+
+        try {
+            const user = await authClient.login(formData.get('username').trim(), formData.get('password'));
+            this.hideLoginForm();
+            syncClient.reconnect();
+            this.showAlert(`Logged in as ${user.username}`, 'success');
+        } catch (error) {
+            errorText.textContent = error.message;
+            errorText.style.display = 'block';
+        }
+    }
+
+    logout() {
+        if (!confirm('Log out? Changes you make on this device will be sent after the next login.')) {
+            return;
+        }
+
+        authClient.logout();
+        syncClient.socket.disconnect();
+        this.showLoginForm();
+    }
+
+    showChangePasswordForm() {
+        const formHtml = `
+            <div class="student-form-container" id="passwordFormContainer">
+                <div class="student-form login-form">
+                    <h3>🔑 Change Password</h3>
+                    <form id="passwordForm">
+                        <div class="form-group">
+                            <label for="currentPassword">Current Password</label>
+                            <input type="password" id="currentPassword" name="currentPassword" autocomplete="current-password" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="newPassword">New Password (at least ${CONFIG.auth.minPasswordLength} characters)</label>
+                            <input type="password" id="newPassword" name="newPassword" autocomplete="new-password"
+                                   minlength="${CONFIG.auth.minPasswordLength}" required>
+                        </div>
+                        <div class="form-buttons">
+                            <button type="submit" class="btn btn-success">Change Password</button>
+                            <button type="button" class="btn btn-warning" onclick="uiComponents.hideChangePasswordForm()">Cancel</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', formHtml);
+
+        document.getElementById('passwordForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+
+            try {
+                await authClient.changePassword(formData.get('currentPassword'), formData.get('newPassword'));
+                this.hideChangePasswordForm();
+                syncClient.reconnect(); // The old token was revoked
+                this.showAlert('Password changed. Your other devices were logged out.', 'success');
+            } catch (error) {
+                this.showAlert(`Failed to change password: ${error.message}`, 'error');
+            }
+        });
+    }
+
+    hideChangePasswordForm() {
+        const container = document.getElementById('passwordFormContainer');
+        if (container) {
+            container.remove();
+        }
+    }
+
+    // User accounts (admins only)
+    async showUserManagement() {
+        if (!this.checkPermission('manage-users', 'manage users')) return;
+
+        let users;
+        try {
+            ({ users } = await authClient.request('/api/users'));
+        } catch (error) {
+            this.showAlert(`Failed to load users: ${error.message}`, 'error');
+            return;
+        }
+
+        const roleOptions = selected => Object.keys(CONFIG.auth.roles).map(role =>
+            `<option value="${role}" ${role === selected ? 'selected' : ''}>${CONFIG.auth.roles[role].label}</option>`
+        ).join('');
+
+        this.hideUserManagement();
+        const usersHtml = `
+            <div class="deleted-students-container" id="userManagementContainer">
+                <div class="deleted-students-list">
+                    <h3>👥 Users (${users.length})</h3>
+                    <div class="deleted-students-grid">
+                        ${users.map(user => `
+                            <div class="deleted-student-card">
+                                <h4>${user.username}${user.username === authClient.user.username ? ' (you)' : ''}</h4>
+                                <p><strong>Role:</strong>
+                                    <select class="select-input" onchange="uiComponents.updateUser('${user.username}', { role: this.value })">
+                                        ${roleOptions(user.role)}
+                                    </select>
+                                </p>
+                                <p><strong>Created:</strong> ${new Date(user.createdAt).toLocaleDateString()}</p>
+                                <div class="deleted-student-actions">
+                                    <button class="btn btn-warning btn-sm" onclick="uiComponents.resetUserPassword('${user.username}')">
+                                        Reset Password
+                                    </button>
+                                    <button class="btn btn-export btn-sm" onclick="uiComponents.deleteUser('${user.username}')" style="background: #c0392b;">
+                                        Delete
+                                    </button>
+                                </div>
+                            </div>
+                        `).join('')}
+                    </div>
+                    <form id="addUserForm" class="add-user-form">
+                        <h4>Add User</h4>
+                        <input type="text" name="username" class="search-input" placeholder="Username" autocomplete="off" required>
+                        <input type="password" name="password" class="search-input" placeholder="Password" autocomplete="new-password"
+                               minlength="${CONFIG.auth.minPasswordLength}" required>
+                        <select name="role" class="select-input">${roleOptions('assistant')}</select>
+                        <button type="submit" class="btn btn-success">➕ Add User</button>
+                    </form>
+                    <div class="deleted-students-actions">
+                        <button class="btn btn-warning" onclick="uiComponents.hideUserManagement()">Close</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', usersHtml);
+
+        document.getElementById('addUserForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+
+            try {
+                const { user } = await authClient.request('/api/users', {
+                    method: 'POST',
+                    body: {
+                        username: formData.get('username').trim(),
+                        password: formData.get('password'),
+                        role: formData.get('role')
+                    }
+                });
+                this.showAlert(`User "${user.username}" added`, 'success');
+                this.showUserManagement();
+            } catch (error) {
+                this.showAlert(`Failed to add user: ${error.message}`, 'error');
+            }
+        });
+    }
+
+    hideUserManagement() {
+        const container = document.getElementById('userManagementContainer');
+        if (container) {
+            container.remove();
+        }
+    }
+
+    async updateUser(username, changes) {
+        try {
+            await authClient.request(`/api/users/${encodeURIComponent(username)}`, { method: 'PATCH', body: changes });
+            this.showAlert(`User "${username}" updated`, 'success');
+        } catch (error) {
+            this.showAlert(`Failed to update user: ${error.message}`, 'error');
+        }
+        this.showUserManagement();
+    }
+
+    resetUserPassword(username) {
+        const password = prompt(`New password for "${username}" (at least ${CONFIG.auth.minPasswordLength} characters).\nThey will be logged out on every device.`);
+        if (password) {
+            this.updateUser(username, { password });
+        }
+    }
+
+    async deleteUser(username) {
+        if (!confirm(`Delete user "${username}"? They will be logged out on every device.`)) {
+            return;
+        }
+
+        try {
+            await authClient.request(`/api/users/${encodeURIComponent(username)}`, { method: 'DELETE' });
+            this.showAlert(`User "${username}" deleted`, 'success');
+            this.showUserManagement();
+        } catch (error) {
+            this.showAlert(`Failed to delete user: ${error.message}`, 'error');
+        }
+    }
+
+    // Change history: the server's audit trail when served by server.js, otherwise this
+    // device's own. Filters: studentId, user, dateFrom, dateTo.
+    async showAuditTrail(filters = {}) {
+        if (!this.checkPermission('view-audit', 'view the change history')) return;
+
+        let page;
+        try {
+            page = await this.loadAuditEntries(filters);
+        } catch (error) {
+            this.showAlert(`Failed to load the change history: ${error.message}`, 'error');
+            return;
+        }
+
+        const students = [
+            ...this.dataManager.getAllStudents(),
+            ...this.dataManager.getDeletedStudents().map(deleted => deleted.student).filter(Boolean)
+        ];
+
+        this.hideAuditTrail();
+        const auditHtml = `
+            <div class="deleted-students-container" id="auditTrailContainer">
+                <div class="deleted-students-list">
+                    <h3>📜 Change History (${page.total})</h3>
+                    <form id="auditFilterForm" class="audit-filters">
+                        <input type="text" name="studentId" class="search-input" list="auditStudents" placeholder="Student ID"
+                               value="${filters.studentId || ''}" autocomplete="off">
+                        <datalist id="auditStudents">
+                            ${students.map(student => `<option value="${student.id}">${student.fullName}</option>`).join('')}
+                        </datalist>
+                        <input type="text" name="user" class="search-input" placeholder="User" value="${filters.user || ''}" autocomplete="off">
+                        <label>From <input type="date" name="dateFrom" class="search-input" value="${filters.dateFrom || ''}"></label>
+                        <label>To <input type="date" name="dateTo" class="search-input" value="${filters.dateTo || ''}"></label>
+                        <button type="submit" class="btn btn-primary">🔍 Filter</button>
+                    </form>
+                    <div class="table-container">
+                        <table class="audit-table">
+                            <thead>
+                                <tr><th>When</th><th>User</th><th>Device</th><th>Change</th><th>Details</th></tr>
+                            </thead>
+                            <tbody id="auditTrailRows">
+                                ${page.entries.length > 0
+                                    ? page.entries.map(entry => this.renderAuditEntry(entry)).join('')
+                                    : '<tr><td colspan="5">No changes found</td></tr>'}
+                            </tbody>
+                        </table>
+                    </div>
+                    <div class="deleted-students-actions">
+                        <button class="btn btn-primary" id="auditLoadMore" onclick="uiComponents.loadMoreAuditEntries()"
+                                style="${page.nextBefore ? '' : 'display: none;'}">⬇️ Load Older Changes</button>
+                        <button class="btn btn-warning" onclick="uiComponents.hideAuditTrail()">Close</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', auditHtml);
+        this.auditQuery = { filters, before: page.nextBefore };
+
+        document.getElementById('auditFilterForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+            const selected = {};
+            ['studentId', 'user', 'dateFrom', 'dateTo'].forEach(field => {
+                const value = formData.get(field).trim();
+                if (value) selected[field] = value;
+            });
+            this.showAuditTrail(selected);
+        });
+    }
+
+    hideAuditTrail() {
+        const container = document.getElementById('auditTrailContainer');
+        if (container) {
+            container.remove();
+        }
+    }
+
+    async loadMoreAuditEntries() {
+        if (!this.auditQuery || !this.auditQuery.before) return;
+
+        try {
+            const page = await this.loadAuditEntries({ ...this.auditQuery.filters, before: this.auditQuery.before });
+            document.getElementById('auditTrailRows')
+                .insertAdjacentHTML('beforeend', page.entries.map(entry => this.renderAuditEntry(entry)).join(''));
+            this.auditQuery.before = page.nextBefore;
+            document.getElementById('auditLoadMore').style.display = page.nextBefore ? '' : 'none';
+        } catch (error) {
+            this.showAlert(`Failed to load the change history: ${error.message}`, 'error');
+        }
+    }
+
+    loadAuditEntries(query) {
+        if (authClient.isEnabled()) {
+            return authClient.request(`/api/audit?${new URLSearchParams(query)}`);
+        }
+        return Promise.resolve(this.dataManager.queryAuditLog(query));
+    }
+
+    renderAuditEntry(entry) {
+        const actions = { create: 'Added', update: 'Changed', delete: 'Removed' };
+        const entities = {
+            students: 'student',
+            studentRecords: 'session record',
+            attendanceLogs: 'attendance log',
+            deletedStudents: 'deleted student',
+            activeSessions: 'active session',
+            users: 'user account',
+            courses: 'class',
+            enrollments: 'class enrolment'
+        };
+        // Values come from any device (names, free text), so everything is shown as text
+        const format = value => value === null || value === undefined || value === ''
+            ? '—'
+            : escapeHtml(typeof value === 'object' ? JSON.stringify(value) : value);
+
+        let details;
+        if (entry.action === 'update') {
+            const fields = new Set([...Object.keys(entry.before), ...Object.keys(entry.after)]);
+            details = Array.from(fields).map(field =>
+                `<div><strong>${escapeHtml(field)}:</strong> ${format(entry.before[field])} → ${format(entry.after[field])}</div>`
+            ).join('');
+        } else {
+            // Whole entity: show its plain values, not nested sessions or logs
+            const values = entry.after || entry.before;
+            details = Object.keys(values)
+                .filter(field => values[field] !== null && typeof values[field] !== 'object' && !['rev', 'revBy'].includes(field))
+                .map(field => `<div><strong>${escapeHtml(field)}:</strong> ${format(values[field])}</div>`)
+                .join('');
+        }
+
+        const student = entry.studentId !== null && entry.studentId !== undefined
+            ? `<br><small>${escapeHtml(entry.studentName)} (${escapeHtml(entry.studentId)})</small>`
+            : '';
+
+        return `
+            <tr class="audit-${entry.action}">
+                <td>${new Date(entry.at).toLocaleString()}</td>
+                <td>${format(entry.user)}</td>
+                <td>${entry.device ? format(entry.device.name) : '—'}</td>
+                <td>${actions[entry.action]} ${entities[entry.collection] || escapeHtml(entry.collection)} ${escapeHtml(entry.entityId)}${student}</td>
+                <td class="audit-details">${details}</td>
+            </tr>
+        `;
+    }
+
+    // Let the user choose between this device's value and the server's for each conflict
+    showSyncConflicts(conflicts) {
+        this.hideSyncConflicts();
+        if (conflicts.length === 0) return;
+
+        const collectionLabels = {
+            students: 'Student info',
+            studentRecords: 'Session record',
+            attendanceLogs: 'Attendance log',
+            deletedStudents: 'Deleted student',
+            courses: 'Class',
+            enrollments: 'Class enrolment'
+        };
+
+        const conflictsHtml = `
+            <div class="deleted-students-container" id="syncConflictsContainer">
+                <div class="deleted-students-list">
+                    <h3>⚠️ Conflicting Changes (${conflicts.length})</h3>
+                    <p style="text-align: center; margin-bottom: 20px; color: #666;">
+                        These records were changed on another device at the same time. Choose which value to keep.
+                    </p>
+                    <div class="deleted-students-grid">
+                        ${conflicts.map(conflict => {
+                            const entity = conflict.clientValue || conflict.serverEntity || {};
+                            const name = this.getConflictName(conflict);
+                            const title = conflict.session !== undefined
+                                ? `${collectionLabels[conflict.collection]} · Session ${conflict.session}`
+                                : collectionLabels[conflict.collection];
+                            const fields = this.getConflictFields(conflict.serverValue, conflict.clientValue);
+
+                            return `
+                                <div class="sync-conflict-card">
+                                    <h4>${name}</h4>
+                                    <p><strong>${title}</strong> (ID: ${entity.studentId || conflict.id})</p>
+                                    <div class="sync-conflict-values">
+                                        <div>
+                                            <strong>This device</strong>
+                                            ${this.formatConflictValue(conflict.clientValue, fields)}
+                                        </div>
+                                        <div>
+                                            <strong>Other device</strong>
+                                            ${this.formatConflictValue(conflict.serverValue, fields)}
+                                        </div>
+                                    </div>
+                                    <div class="deleted-student-actions">
+                                        <button class="btn btn-success btn-sm" onclick="uiComponents.resolveSyncConflict('${conflict.key}', 'mine')">
+                                            Keep Mine
+                                        </button>
+                                        <button class="btn btn-warning btn-sm" onclick="uiComponents.resolveSyncConflict('${conflict.key}', 'theirs')">
+                                            Keep Theirs
+                                        </button>
+                                    </div>
+                                </div>
+                            `;
+                        }).join('')}
+                    </div>
+                    <div class="deleted-students-actions">
+                        <button class="btn btn-warning" onclick="uiComponents.hideSyncConflicts()">Decide Later</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', conflictsHtml);
+    }
+
+    hideSyncConflicts() {
+        const container = document.getElementById('syncConflictsContainer');
+        if (container) {
+            container.remove();
+        }
+    }
+
+    resolveSyncConflict(key, winner) {
+        try {
+            const remaining = syncClient.resolveConflict(key, winner);
+            this.showAlert(winner === 'mine' ? 'Your value was kept' : 'The other device\'s value was kept', 'success');
+            this.showSyncConflicts(remaining);
+        } catch (error) {
+            this.showAlert(`Failed to resolve conflict: ${error.message}`, 'error');
+        }
+    }
+
+    getConflictName(conflict) {
+        const value = conflict.clientValue || conflict.serverEntity || {};
+        const student = value.student || (value.studentId !== undefined && this.dataManager.getStudentById(value.studentId)) || value;
+        return student.fullName || student.studentName || student.name || `ID ${conflict.id}`;
+    }
+
+    // Fields that differ between the two versions (bookkeeping fields are left out)
+    getConflictFields(serverValue, clientValue) {
+        const ignored = ['rev', 'createdAt', 'updatedAt', 'sessions'];
+        const keys = new Set([...Object.keys(serverValue || {}), ...Object.keys(clientValue || {})]);
+
+        return Array.from(keys).filter(key =>
+            !ignored.includes(key) &&
+            JSON.stringify((serverValue || {})[key]) !== JSON.stringify((clientValue || {})[key])
+        );
+    }
+
+    formatConflictValue(value, fields) {
+        if (!value) {
+            return '<p><em>Deleted</em></p>';
+        }
+        if (fields.length === 0) {
+            return '<p><em>Same values</em></p>';
+        }
+
+        return fields.map(field => {
+            const fieldValue = value[field];
+            const display = fieldValue === null || fieldValue === undefined || fieldValue === ''
+                ? '-'
+                : typeof fieldValue === 'object' ? JSON.stringify(fieldValue) : fieldValue;
+            return `<p><strong>${field}:</strong> ${display}</p>`;
+        }).join('');
+    }
+
+    // Display all data
+    displayAllData() {
+        this.updateCourseControls();
+        this.updateSessionControls();
+        this.displayImportedStudents();
+        this.displayStudentRecords();
+        this.displayPunctualityReport();
+        this.displayAttendanceLogs();
+        this.displayCalendar();
+        this.displayNotifications();
+        this.updateCounters();
+    }
+
+    // Table sorting functionality
+    sortTable(tableId, columnIndex) {
+        const table = document.getElementById(tableId);
+        if (!table) return;
+
+        const tbody = table.querySelector('tbody');
+        const rows = Array.from(tbody.querySelectorAll('tr'));
+        
+        const sortKey = `${tableId}_${columnIndex}`;
+        if (!this.sortStates[sortKey]) {
+            this.sortStates[sortKey] = 'asc';
+        } else {
+            this.sortStates[sortKey] = this.sortStates[sortKey] === 'asc' ? 'desc' : 'asc';
+        }
+        
+        const isAscending = this.sortStates[sortKey] === 'asc';
+        
+        rows.sort((rowA, rowB) => {
+            const cellA = rowA.cells[columnIndex];
+            const cellB = rowB.cells[columnIndex];
+            
+            if (!cellA || !cellB) return 0;
+            
+            let textA = cellA.textContent.trim();
+            let textB = cellB.textContent.trim();
+            
+            const numA = parseFloat(textA);
+            const numB = parseFloat(textB);
+            
+            if (!isNaN(numA) && !isNaN(numB)) {
+                return isAscending ? numA - numB : numB - numA;
+            }
+            
+            textA = textA.toLowerCase();
+            textB = textB.toLowerCase();
             
             if (textA < textB) return isAscending ? -1 : 1;
             if (textA > textB) return isAscending ? 1 : -1;
@@ -1437,16 +3475,43 @@ closeExistingStudentInfo() {
         });
     }
 
-    // Loading state management
-    setLoadingState(isLoading, message = 'Loading...') {
-        // You can implement loading overlays, spinners, etc.
-        if (isLoading) {
-            console.log(message);
-            // Disable buttons, show spinner, etc.
+    // Loading overlay with a message; options.done and options.total show a progress bar,
+    // options.onCancel a Cancel button. Called again to update it.
+    setLoadingState(isLoading, message = 'Loading...', options = {}) {
+        let overlay = document.getElementById('loadingOverlay');
+        if (!isLoading) {
+            if (overlay) {
+                overlay.remove();
+            }
+            return;
+        }
+
+        if (!overlay) {
+            document.body.insertAdjacentHTML('beforeend', `
+                <div class="loading-overlay" id="loadingOverlay">
+                    <div class="loading-box">
+                        <div class="loading-message"></div>
+                        <progress class="loading-progress"></progress>
+                        <button class="btn btn-warning loading-cancel">Cancel</button>
+                    </div>
+                </div>
+            `);
+            overlay = document.getElementById('loadingOverlay');
+        }
+
+        const progress = overlay.querySelector('.loading-progress');
+        if (options.total > 0) {
+            progress.max = options.total;
+            progress.value = options.done || 0;
+            message = `${message} ${options.done || 0} of ${options.total}`;
         } else {
-            console.log('Loading complete');
-            // Re-enable buttons, hide spinner, etc.
+            progress.removeAttribute('value'); // Moving bar: no measure of progress
         }
+        overlay.querySelector('.loading-message').textContent = message;
+
+        const cancelButton = overlay.querySelector('.loading-cancel');
+        cancelButton.style.display = options.onCancel ? '' : 'none';
+        cancelButton.onclick = options.onCancel || null;
     }
 
     // Utility methods
@@ -1508,6 +3573,15 @@ closeExistingStudentInfo() {
     }
 }
 
+// Spreadsheet cells, file names and the like are shown as text, never as markup
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 // Create singleton instance
 const uiComponents = new UIComponents(dataManager, excelHandler);
 